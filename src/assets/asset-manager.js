@@ -9,6 +9,29 @@
 import { createRoadTexture, createYellowLineTexture } from './images/road-background';
 import { createCharacterTexture } from './images/character-sprite';
 import { createMenuButtonTexture } from './images/menu-button';
+import {
+  createStandardObstacleTexture,
+  createDebrisTexture,
+  createWeaverTexture,
+  createArmoredTexture,
+  createBarrierTexture,
+  createGunnerTexture
+} from './images/obstacle-sprites';
+import {
+  createShieldPowerUpTexture,
+  createRapidFirePowerUpTexture,
+  createSpreadPowerUpTexture,
+  createRepairPowerUpTexture,
+  createUpgradePowerUpTexture,
+  createShieldBubbleTexture
+} from './images/power-up-sprites';
+import {
+  createSparkleTexture,
+  createPelletTexture,
+  createLanceTexture,
+  createEnemyShotTexture
+} from './images/projectile-sprites';
+import { createWardenTexture, createWeakPointTexture } from './images/boss-sprites';
 
 /**
  * Asset Manager class
@@ -32,6 +55,35 @@ export class AssetManager {
 
     // Create the menu button texture
     createMenuButtonTexture(scene, 40, 'menuButtonTexture');
+
+    // Create a texture for each obstacle type
+    const obstacles = AssetManager.keys.obstacles;
+    createStandardObstacleTexture(scene, 40, 64, obstacles.standard);
+    createDebrisTexture(scene, 20, 20, obstacles.debris);
+    createWeaverTexture(scene, 40, 48, obstacles.weaver);
+    createArmoredTexture(scene, 48, 64, obstacles.armored);
+    createBarrierTexture(scene, 250, 32, obstacles.barrier);
+    createGunnerTexture(scene, 44, 52, obstacles.gunner);
+
+    // Create a texture for each power-up type, and the shield around the character
+    const powerUps = AssetManager.keys.powerUps;
+    createShieldPowerUpTexture(scene, 32, powerUps.shield);
+    createRapidFirePowerUpTexture(scene, 32, powerUps.rapidFire);
+    createSpreadPowerUpTexture(scene, 32, powerUps.spread);
+    createRepairPowerUpTexture(scene, 32, powerUps.repair);
+    createUpgradePowerUpTexture(scene, 32, powerUps.upgrade);
+    createShieldBubbleTexture(scene, 96, AssetManager.keys.shieldBubble);
+
+    // Create the projectile textures named by the weapons
+    const projectiles = AssetManager.keys.projectiles;
+    createSparkleTexture(scene, 16, projectiles.sparkle);
+    createPelletTexture(scene, 12, projectiles.pellet);
+    createLanceTexture(scene, 10, 40, projectiles.lance);
+    createEnemyShotTexture(scene, 12, 20, AssetManager.keys.enemyShot);
+
+    // Create a texture for each boss type, and the weak points drawn on them
+    createWardenTexture(scene, 240, 80, AssetManager.keys.bosses.warden);
+    createWeakPointTexture(scene, 36, AssetManager.keys.bossWeakPoint);
   }
 
   /**
@@ -52,7 +104,48 @@ export class AssetManager {
       road: 'roadTexture',
       yellowLine: 'yellowLineTexture',
       character: 'characterTexture',
-      menuButton: 'menuButtonTexture'
+      menuButton: 'menuButtonTexture',
+
+      // Lane dividers for lane mode, generated by the renderer for the screen width
+      laneLines: 'laneLinesTexture',
+
+      // Obstacle textures, keyed by obstacle type
+      obstacles: {
+        standard: 'obstacleStandardTexture',
+        debris: 'obstacleDebrisTexture',
+        weaver: 'obstacleWeaverTexture',
+        armored: 'obstacleArmoredTexture',
+        barrier: 'obstacleBarrierTexture',
+        gunner: 'obstacleGunnerTexture'
+      },
+
+      // Power-up textures, keyed by power-up type
+      powerUps: {
+        shield: 'powerUpShieldTexture',
+        rapidFire: 'powerUpRapidFireTexture',
+        spread: 'powerUpSpreadTexture',
+        repair: 'powerUpRepairTexture',
+        upgrade: 'powerUpUpgradeTexture'
+      },
+
+      // Projectile textures, keyed by the texture named in each weapon's visual
+      projectiles: {
+        sparkle: 'projectileSparkleTexture',
+        pellet: 'projectilePelletTexture',
+        lance: 'projectileLanceTexture'
+      },
+
+      // Shots fired by enemies
+      enemyShot: 'enemyShotTexture',
+
+      // Boss textures, keyed by boss type, and the weak points on every boss
+      bosses: {
+        warden: 'bossWardenTexture'
+      },
+      bossWeakPoint: 'bossWeakPointTexture',
+
+      // Bubble around the character while the shield is active
+      shieldBubble: 'shieldBubbleTexture'
     };
   }
 }
@@ -0,0 +1,75 @@
+/**
+ * Boss Sprite Generators
+ *
+ * This file contains a function per boss type to generate its body sprite
+ * programmatically, and the weak point drawn on top of every boss. Textures are
+ * drawn at the size of the boss hitbox in world units and scaled by the renderer.
+ * Weak points are drawn in white so the renderer can tint them open or closed.
+ */
+
+/**
+ * Creates the Warden boss texture (a wide armored hull with twin cannons)
+ *
+ * @param {Phaser.Scene} scene - The scene to create the texture in
+ * @param {number} width - The width of the texture
+ * @param {number} height - The height of the texture
+ * @param {string} textureName - The name to give the generated texture
+ */
+export function createWardenTexture(
+  scene, width = 240, height = 80, textureName = 'bossWardenTexture'
+) {
+  const graphics = scene.add.graphics();
+
+  // Hull, narrower at the front
+  graphics.fillStyle(0x37474f, 1);
+  graphics.fillPoints([
+    { x: 0, y: 0 },
+    { x: width, y: 0 },
+    { x: width * 0.9, y: height * 0.8 },
+    { x: width * 0.1, y: height * 0.8 }
+  ], true);
+
+  // Armor plates
+  graphics.fillStyle(0x546e7a, 1);
+  graphics.fillRect(width * 0.08, height * 0.1, width * 0.84, height * 0.2);
+  graphics.fillRect(width * 0.38, height * 0.35, width * 0.24, height * 0.4);
+
+  // Twin cannons pointing down the road
+  graphics.fillStyle(0x212121, 1);
+  graphics.fillRect(width * 0.42, height * 0.6, width * 0.05, height * 0.4);
+  graphics.fillRect(width * 0.53, height * 0.6, width * 0.05, height * 0.4);
+
+  // Running lights
+  graphics.fillStyle(0xff1744, 1);
+  [0.15, 0.3, 0.7, 0.85].forEach((x) => {
+    graphics.fillCircle(width * x, height * 0.2, 3);
+  });
+
+  graphics.generateTexture(textureName, width, height);
+  graphics.destroy();
+
+  return textureName;
+}
+
+/**
+ * Creates the weak point texture (a round core with a ring)
+ *
+ * @param {Phaser.Scene} scene - The scene to create the texture in
+ * @param {number} size - The width and height of the texture
+ * @param {string} textureName - The name to give the generated texture
+ */
+export function createWeakPointTexture(scene, size = 36, textureName = 'bossWeakPointTexture') {
+  const graphics = scene.add.graphics();
+
+  graphics.fillStyle(0xffffff, 0.6);
+  graphics.fillCircle(size / 2, size / 2, size / 2);
+  graphics.fillStyle(0xffffff, 1);
+  graphics.fillCircle(size / 2, size / 2, size * 0.3);
+  graphics.lineStyle(2, 0xffffff, 1);
+  graphics.strokeCircle(size / 2, size / 2, size / 2 - 1);
+
+  graphics.generateTexture(textureName, size, size);
+  graphics.destroy();
+
+  return textureName;
+}
@@ -0,0 +1,211 @@
+/**
+ * Obstacle Sprite Generators
+ *
+ * This file contains a function per obstacle type to generate its sprite
+ * programmatically using Phaser's graphics capabilities. Textures are drawn at
+ * the size of the type's hitbox in world units and scaled by the renderer.
+ */
+
+/**
+ * Creates the standard obstacle texture (red crate)
+ *
+ * @param {Phaser.Scene} scene - The scene to create the texture in
+ * @param {number} width - The width of the texture
+ * @param {number} height - The height of the texture
+ * @param {string} textureName - The name to give the generated texture
+ */
+export function createStandardObstacleTexture(
+  scene, width = 40, height = 64, textureName = 'obstacleStandardTexture'
+) {
+  // Create a graphics object to draw the obstacle
+  const graphics = scene.add.graphics();
+
+  // Crate body
+  graphics.fillStyle(0xcc2222, 1);
+  graphics.fillRoundedRect(0, 0, width, height, 6);
+
+  // Cross braces
+  graphics.lineStyle(3, 0x881111, 1);
+  graphics.strokeRect(width * 0.1, height * 0.1, width * 0.8, height * 0.8);
+  graphics.lineBetween(width * 0.1, height * 0.1, width * 0.9, height * 0.9);
+  graphics.lineBetween(width * 0.9, height * 0.1, width * 0.1, height * 0.9);
+
+  // Generate a texture from the graphics object
+  graphics.generateTexture(textureName, width, height);
+
+  // Destroy the graphics object as it's no longer needed
+  graphics.destroy();
+
+  return textureName;
+}
+
+/**
+ * Creates the debris texture (small orange shard)
+ *
+ * @param {Phaser.Scene} scene - The scene to create the texture in
+ * @param {number} width - The width of the texture
+ * @param {number} height - The height of the texture
+ * @param {string} textureName - The name to give the generated texture
+ */
+export function createDebrisTexture(
+  scene, width = 20, height = 20, textureName = 'obstacleDebrisTexture'
+) {
+  const graphics = scene.add.graphics();
+
+  // Jagged shard
+  graphics.fillStyle(0xff8800, 1);
+  graphics.fillPoints([
+    { x: width * 0.5, y: 0 },
+    { x: width, y: height * 0.35 },
+    { x: width * 0.8, y: height },
+    { x: width * 0.15, y: height * 0.85 },
+    { x: 0, y: height * 0.3 }
+  ], true);
+
+  // Highlight
+  graphics.fillStyle(0xffcc66, 1);
+  graphics.fillCircle(width * 0.45, height * 0.4, width * 0.15);
+
+  graphics.generateTexture(textureName, width, height);
+  graphics.destroy();
+
+  return textureName;
+}
+
+/**
+ * Creates the weaver texture (purple diamond with side fins)
+ *
+ * @param {Phaser.Scene} scene - The scene to create the texture in
+ * @param {number} width - The width of the texture
+ * @param {number} height - The height of the texture
+ * @param {string} textureName - The name to give the generated texture
+ */
+export function createWeaverTexture(
+  scene, width = 40, height = 48, textureName = 'obstacleWeaverTexture'
+) {
+  const graphics = scene.add.graphics();
+
+  // Side fins hint at the sideways drift
+  graphics.fillStyle(0x6a1b9a, 1);
+  graphics.fillTriangle(0, height * 0.5, width * 0.3, height * 0.3, width * 0.3, height * 0.7);
+  graphics.fillTriangle(width, height * 0.5, width * 0.7, height * 0.3, width * 0.7, height * 0.7);
+
+  // Diamond body
+  graphics.fillStyle(0xab47bc, 1);
+  graphics.fillPoints([
+    { x: width * 0.5, y: 0 },
+    { x: width * 0.75, y: height * 0.5 },
+    { x: width * 0.5, y: height },
+    { x: width * 0.25, y: height * 0.5 }
+  ], true);
+
+  graphics.generateTexture(textureName, width, height);
+  graphics.destroy();
+
+  return textureName;
+}
+
+/**
+ * Creates the armored obstacle texture (gray plated block with rivets)
+ *
+ * @param {Phaser.Scene} scene - The scene to create the texture in
+ * @param {number} width - The width of the texture
+ * @param {number} height - The height of the texture
+ * @param {string} textureName - The name to give the generated texture
+ */
+export function createArmoredTexture(
+  scene, width = 48, height = 64, textureName = 'obstacleArmoredTexture'
+) {
+  const graphics = scene.add.graphics();
+
+  // Plated body
+  graphics.fillStyle(0x607d8b, 1);
+  graphics.fillRoundedRect(0, 0, width, height, 4);
+  graphics.fillStyle(0x90a4ae, 1);
+  graphics.fillRect(width * 0.15, height * 0.1, width * 0.7, height * 0.35);
+  graphics.fillRect(width * 0.15, height * 0.55, width * 0.7, height * 0.35);
+
+  // Rivets
+  graphics.fillStyle(0x263238, 1);
+  [0.1, 0.9].forEach((x) => {
+    [0.08, 0.5, 0.92].forEach((y) => {
+      graphics.fillCircle(width * x, height * y, 2);
+    });
+  });
+
+  graphics.generateTexture(textureName, width, height);
+  graphics.destroy();
+
+  return textureName;
+}
+
+/**
+ * Creates the barrier texture (striped roadblock)
+ *
+ * @param {Phaser.Scene} scene - The scene to create the texture in
+ * @param {number} width - The width of the texture
+ * @param {number} height - The height of the texture
+ * @param {string} textureName - The name to give the generated texture
+ */
+export function createBarrierTexture(
+  scene, width = 250, height = 32, textureName = 'obstacleBarrierTexture'
+) {
+  const graphics = scene.add.graphics();
+
+  // White board
+  graphics.fillStyle(0xffffff, 1);
+  graphics.fillRect(0, 0, width, height);
+
+  // Red diagonal stripes (anything outside the board is cropped by generateTexture)
+  graphics.fillStyle(0xd32f2f, 1);
+  for (let x = -height; x < width; x += height * 2) {
+    graphics.fillPoints([
+      { x: x, y: height },
+      { x: x + height, y: height },
+      { x: x + height * 2, y: 0 },
+      { x: x + height, y: 0 }
+    ], true);
+  }
+
+  // Dark frame
+  graphics.lineStyle(2, 0x212121, 1);
+  graphics.strokeRect(1, 1, width - 2, height - 2);
+
+  graphics.generateTexture(textureName, width, height);
+  graphics.destroy();
+
+  return textureName;
+}
+
+/**
+ * Creates the gunner enemy texture (dark hull with a cannon pointing down the road)
+ *
+ * @param {Phaser.Scene} scene - The scene to create the texture in
+ * @param {number} width - The width of the texture
+ * @param {number} height - The height of the texture
+ * @param {string} textureName - The name to give the generated texture
+ */
+export function createGunnerTexture(
+  scene, width = 44, height = 52, textureName = 'obstacleGunnerTexture'
+) {
+  const graphics = scene.add.graphics();
+
+  // Hull
+  graphics.fillStyle(0x4a148c, 1);
+  graphics.fillRoundedRect(0, 0, width, height * 0.75, 6);
+
+  // Turret and cannon, pointing at the character
+  graphics.fillStyle(0x7b1fa2, 1);
+  graphics.fillCircle(width / 2, height * 0.4, width * 0.25);
+  graphics.fillStyle(0x212121, 1);
+  graphics.fillRect(width * 0.42, height * 0.4, width * 0.16, height * 0.6);
+
+  // Sensor light
+  graphics.fillStyle(0xff1744, 1);
+  graphics.fillCircle(width / 2, height * 0.4, width * 0.08);
+
+  graphics.generateTexture(textureName, width, height);
+  graphics.destroy();
+
+  return textureName;
+}
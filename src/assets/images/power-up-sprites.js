@@ -0,0 +1,170 @@
+/**
+ * Power-Up Sprite Generators
+ *
+ * This file contains a function per power-up type to generate its pickup
+ * sprite programmatically using Phaser's graphics capabilities, and the bubble
+ * drawn around the character while the shield is active. Pickups are round
+ * tokens with a symbol, drawn at the size of the power-up hitbox in world units
+ * and scaled by the renderer.
+ */
+
+/**
+ * Draws the round token every pickup is drawn on
+ *
+ * @param {Phaser.GameObjects.Graphics} graphics - The graphics object to draw on
+ * @param {number} size - The size of the texture
+ * @param {number} color - The token color
+ */
+function drawToken(graphics, size, color) {
+  graphics.fillStyle(color, 1);
+  graphics.fillCircle(size / 2, size / 2, size / 2);
+  graphics.lineStyle(2, 0xffffff, 1);
+  graphics.strokeCircle(size / 2, size / 2, size / 2 - 1);
+}
+
+/**
+ * Creates the shield pickup texture (blue token with a shield)
+ *
+ * @param {Phaser.Scene} scene - The scene to create the texture in
+ * @param {number} size - The width and height of the texture
+ * @param {string} textureName - The name to give the generated texture
+ */
+export function createShieldPowerUpTexture(scene, size = 32, textureName = 'powerUpShieldTexture') {
+  const graphics = scene.add.graphics();
+  drawToken(graphics, size, 0x1e88e5);
+
+  // Shield outline
+  graphics.fillStyle(0xffffff, 1);
+  graphics.fillPoints([
+    { x: size * 0.3, y: size * 0.28 },
+    { x: size * 0.7, y: size * 0.28 },
+    { x: size * 0.66, y: size * 0.6 },
+    { x: size * 0.5, y: size * 0.76 },
+    { x: size * 0.34, y: size * 0.6 }
+  ], true);
+
+  graphics.generateTexture(textureName, size, size);
+  graphics.destroy();
+
+  return textureName;
+}
+
+/**
+ * Creates the rapid fire pickup texture (orange token with double chevrons)
+ *
+ * @param {Phaser.Scene} scene - The scene to create the texture in
+ * @param {number} size - The width and height of the texture
+ * @param {string} textureName - The name to give the generated texture
+ */
+export function createRapidFirePowerUpTexture(
+  scene, size = 32, textureName = 'powerUpRapidFireTexture'
+) {
+  const graphics = scene.add.graphics();
+  drawToken(graphics, size, 0xfb8c00);
+
+  // Two chevrons pointing up the road
+  graphics.fillStyle(0xffffff, 1);
+  [0.3, 0.52].forEach((y) => {
+    graphics.fillTriangle(
+      size * 0.5, size * y,
+      size * 0.72, size * (y + 0.18),
+      size * 0.28, size * (y + 0.18)
+    );
+  });
+
+  graphics.generateTexture(textureName, size, size);
+  graphics.destroy();
+
+  return textureName;
+}
+
+/**
+ * Creates the spread shot pickup texture (green token with three fanned dots)
+ *
+ * @param {Phaser.Scene} scene - The scene to create the texture in
+ * @param {number} size - The width and height of the texture
+ * @param {string} textureName - The name to give the generated texture
+ */
+export function createSpreadPowerUpTexture(scene, size = 32, textureName = 'powerUpSpreadTexture') {
+  const graphics = scene.add.graphics();
+  drawToken(graphics, size, 0x43a047);
+
+  // Three shots fanning out
+  graphics.fillStyle(0xffffff, 1);
+  graphics.fillCircle(size * 0.3, size * 0.35, size * 0.08);
+  graphics.fillCircle(size * 0.5, size * 0.28, size * 0.08);
+  graphics.fillCircle(size * 0.7, size * 0.35, size * 0.08);
+  graphics.fillCircle(size * 0.5, size * 0.7, size * 0.1);
+
+  graphics.generateTexture(textureName, size, size);
+  graphics.destroy();
+
+  return textureName;
+}
+
+/**
+ * Creates the repair pickup texture (white token with a red cross)
+ *
+ * @param {Phaser.Scene} scene - The scene to create the texture in
+ * @param {number} size - The width and height of the texture
+ * @param {string} textureName - The name to give the generated texture
+ */
+export function createRepairPowerUpTexture(scene, size = 32, textureName = 'powerUpRepairTexture') {
+  const graphics = scene.add.graphics();
+  drawToken(graphics, size, 0xf5f5f5);
+
+  // Red cross
+  graphics.fillStyle(0xe53935, 1);
+  graphics.fillRect(size * 0.42, size * 0.22, size * 0.16, size * 0.56);
+  graphics.fillRect(size * 0.22, size * 0.42, size * 0.56, size * 0.16);
+
+  graphics.generateTexture(textureName, size, size);
+  graphics.destroy();
+
+  return textureName;
+}
+
+/**
+ * Creates the upgrade pickup texture (purple token with an up arrow)
+ *
+ * @param {Phaser.Scene} scene - The scene to create the texture in
+ * @param {number} size - The width and height of the texture
+ * @param {string} textureName - The name to give the generated texture
+ */
+export function createUpgradePowerUpTexture(
+  scene, size = 32, textureName = 'powerUpUpgradeTexture'
+) {
+  const graphics = scene.add.graphics();
+  drawToken(graphics, size, 0x8e24aa);
+
+  // Arrow pointing up
+  graphics.fillStyle(0xffffff, 1);
+  graphics.fillTriangle(size * 0.5, size * 0.2, size * 0.76, size * 0.5, size * 0.24, size * 0.5);
+  graphics.fillRect(size * 0.41, size * 0.5, size * 0.18, size * 0.28);
+
+  graphics.generateTexture(textureName, size, size);
+  graphics.destroy();
+
+  return textureName;
+}
+
+/**
+ * Creates the bubble drawn around the character while the shield is active
+ *
+ * @param {Phaser.Scene} scene - The scene to create the texture in
+ * @param {number} size - The width and height of the texture
+ * @param {string} textureName - The name to give the generated texture
+ */
+export function createShieldBubbleTexture(scene, size = 96, textureName = 'shieldBubbleTexture') {
+  const graphics = scene.add.graphics();
+
+  graphics.fillStyle(0x64b5f6, 0.25);
+  graphics.fillCircle(size / 2, size / 2, size / 2 - 2);
+  graphics.lineStyle(3, 0x90caf9, 0.9);
+  graphics.strokeCircle(size / 2, size / 2, size / 2 - 2);
+
+  graphics.generateTexture(textureName, size, size);
+  graphics.destroy();
+
+  return textureName;
+}
@@ -0,0 +1,111 @@
+/**
+ * Projectile Sprite Generators
+ *
+ * This file contains a function per projectile texture named by the weapon
+ * registry, and the texture of the shots fired by enemies. Weapon textures are
+ * drawn in white so each weapon can tint them, and the renderer scales them to
+ * the weapon's projectile size.
+ */
+
+/**
+ * Creates the sparkle texture (a four-pointed star)
+ *
+ * @param {Phaser.Scene} scene - The scene to create the texture in
+ * @param {number} size - The width and height of the texture
+ * @param {string} textureName - The name to give the generated texture
+ */
+export function createSparkleTexture(scene, size = 16, textureName = 'projectileSparkleTexture') {
+  const graphics = scene.add.graphics();
+  const center = size / 2;
+
+  graphics.fillStyle(0xffffff, 1);
+  graphics.fillPoints([
+    { x: center, y: 0 },
+    { x: center + size * 0.14, y: center - size * 0.14 },
+    { x: size, y: center },
+    { x: center + size * 0.14, y: center + size * 0.14 },
+    { x: center, y: size },
+    { x: center - size * 0.14, y: center + size * 0.14 },
+    { x: 0, y: center },
+    { x: center - size * 0.14, y: center - size * 0.14 }
+  ], true);
+
+  graphics.generateTexture(textureName, size, size);
+  graphics.destroy();
+
+  return textureName;
+}
+
+/**
+ * Creates the pellet texture (a small round shot with a bright core)
+ *
+ * @param {Phaser.Scene} scene - The scene to create the texture in
+ * @param {number} size - The width and height of the texture
+ * @param {string} textureName - The name to give the generated texture
+ */
+export function createPelletTexture(scene, size = 12, textureName = 'projectilePelletTexture') {
+  const graphics = scene.add.graphics();
+
+  graphics.fillStyle(0xdddddd, 1);
+  graphics.fillCircle(size / 2, size / 2, size / 2);
+  graphics.fillStyle(0xffffff, 1);
+  graphics.fillCircle(size / 2, size / 2, size / 4);
+
+  graphics.generateTexture(textureName, size, size);
+  graphics.destroy();
+
+  return textureName;
+}
+
+/**
+ * Creates the lance texture (a long bolt pointing up the road)
+ *
+ * @param {Phaser.Scene} scene - The scene to create the texture in
+ * @param {number} width - The width of the texture
+ * @param {number} height - The height of the texture
+ * @param {string} textureName - The name to give the generated texture
+ */
+export function createLanceTexture(
+  scene, width = 10, height = 40, textureName = 'projectileLanceTexture'
+) {
+  const graphics = scene.add.graphics();
+
+  // Pointed tip
+  graphics.fillStyle(0xffffff, 1);
+  graphics.fillTriangle(width / 2, 0, width, height * 0.2, 0, height * 0.2);
+
+  // Shaft, fading toward the tail
+  graphics.fillRect(width * 0.2, height * 0.2, width * 0.6, height * 0.5);
+  graphics.fillStyle(0xffffff, 0.5);
+  graphics.fillRect(width * 0.3, height * 0.7, width * 0.4, height * 0.3);
+
+  graphics.generateTexture(textureName, width, height);
+  graphics.destroy();
+
+  return textureName;
+}
+
+/**
+ * Creates the enemy shot texture (a red orb with a hot core)
+ * Enemy shots are not tinted, so they are drawn in their own colors
+ *
+ * @param {Phaser.Scene} scene - The scene to create the texture in
+ * @param {number} width - The width of the texture
+ * @param {number} height - The height of the texture
+ * @param {string} textureName - The name to give the generated texture
+ */
+export function createEnemyShotTexture(
+  scene, width = 12, height = 20, textureName = 'enemyShotTexture'
+) {
+  const graphics = scene.add.graphics();
+
+  graphics.fillStyle(0xd50000, 1);
+  graphics.fillEllipse(width / 2, height / 2, width, height);
+  graphics.fillStyle(0xffab91, 1);
+  graphics.fillEllipse(width / 2, height * 0.6, width * 0.5, height * 0.5);
+
+  graphics.generateTexture(textureName, width, height);
+  graphics.destroy();
+
+  return textureName;
+}
@@ -12,17 +12,22 @@
  * @param {number} width - The width of the texture
  * @param {number} height - The height of the texture
  * @param {string} textureName - The name to give the generated texture
+ * @param {Object} colors - The road colors
+ * @param {number} colors.road - The road surface color (dark gray by default)
+ * @param {number} colors.edge - The road edge color (white by default)
  */
-export function createRoadTexture(scene, width, height, textureName = 'roadTexture') {
+export function createRoadTexture(scene, width, height, textureName = 'roadTexture', colors = {}) {
+  const { road = 0x333333, edge = 0xFFFFFF } = colors;
+
   // Create a graphics object to draw the road
   const graphics = scene.add.graphics();
 
-  // Road background (dark gray)
-  graphics.fillStyle(0x333333, 1);
+  // Road background
+  graphics.fillStyle(road, 1);
   graphics.fillRect(0, 0, width, height);
 
-  // Road edges (white lines)
-  graphics.fillStyle(0xFFFFFF, 1);
+  // Road edges
+  graphics.fillStyle(edge, 1);
   graphics.fillRect(width * 0.1, 0, width * 0.03, height); // Left edge
   graphics.fillRect(width * 0.87, 0, width * 0.03, height); // Right edge
 
@@ -42,8 +47,11 @@ export function createRoadTexture(scene, width, height, textureName = 'roadTextu
  * @param {number} width - The width of the texture
  * @param {number} height - The height of the texture
  * @param {string} textureName - The name to give the generated texture
+ * @param {number} color - The center line color (yellow by default)
  */
-export function createYellowLineTexture(scene, width, height, textureName = 'yellowLineTexture') {
+export function createYellowLineTexture(
+  scene, width, height, textureName = 'yellowLineTexture', color = 0xFFFF00
+) {
   // Create a graphics object to draw the yellow line
   const graphics = scene.add.graphics();
 
@@ -51,8 +59,8 @@ export function createYellowLineTexture(scene, width, height, textureName = 'yel
   graphics.fillStyle(0x000000, 0);
   graphics.fillRect(0, 0, width, height);
 
-  // Center line (dashed yellow)
-  graphics.fillStyle(0xFFFF00, 1);
+  // Center line (dashed)
+  graphics.fillStyle(color, 1);
   const dashLength = height / 8; // Larger dashes for better visibility
   const gapLength = dashLength;
 
@@ -68,3 +76,49 @@ export function createYellowLineTexture(scene, width, height, textureName = 'yel
 
   return textureName;
 }
+
+/**
+ * Creates the dashed lane divider texture used in lane mode
+ * The road covers roadWidth of the texture's width, centered, like the road texture
+ *
+ * @param {Phaser.Scene} scene - The scene to create the texture in
+ * @param {number} width - The width of the texture
+ * @param {number} height - The height of the texture
+ * @param {string} textureName - The name to give the generated texture
+ * @param {number} laneCount - The number of lanes
+ * @param {number} roadWidth - The width of the road as a share of the texture width
+ * @param {number} color - The divider color (yellow by default)
+ */
+export function createLaneLineTexture(
+  scene, width, height, textureName, laneCount, roadWidth, color = 0xFFFF00
+) {
+  // Create a graphics object to draw the lane dividers
+  const graphics = scene.add.graphics();
+
+  // Transparent background
+  graphics.fillStyle(0x000000, 0);
+  graphics.fillRect(0, 0, width, height);
+
+  // One dashed line between each pair of lanes
+  graphics.fillStyle(color, 1);
+  const dashLength = height / 8;
+  const gapLength = dashLength;
+  const roadLeft = width * (1 - roadWidth) / 2;
+  const laneWidth = (width * roadWidth) / laneCount;
+
+  for (let lane = 1; lane < laneCount; lane++) {
+    const x = roadLeft + lane * laneWidth;
+
+    for (let y = 0; y < height; y += dashLength + gapLength) {
+      graphics.fillRect(x - width * 0.005, y, width * 0.01, dashLength);
+    }
+  }
+
+  // Generate a texture from the graphics object
+  graphics.generateTexture(textureName, width, height);
+
+  // Destroy the graphics object as it's no longer needed
+  graphics.destroy();
+
+  return textureName;
+}
@@ -0,0 +1,56 @@
+/**
+ * Difficulty Presets
+ *
+ * This file loads the Easy/Normal/Hard presets for the difficulty director.
+ * The curves live in difficulty.json so they can be edited without touching code.
+ */
+
+import presets from './difficulty.json';
+import { deepFreeze } from './tuning';
+
+/**
+ * Name of the preset used when none is chosen
+ *
+ * @constant {string} DEFAULT_DIFFICULTY
+ */
+export const DEFAULT_DIFFICULTY = 'normal';
+
+/**
+ * Names of all difficulty presets, easiest first
+ *
+ * @constant {Array<string>} DIFFICULTIES
+ */
+export const DIFFICULTIES = Object.freeze(Object.keys(presets));
+
+/**
+ * @typedef {Object} DifficultyPreset
+ * @property {string} name - The preset name (a key of difficulty.json)
+ * @property {string} label - The name shown to the player
+ * @property {number} rampTime - Seconds of play to reach full intensity from time alone
+ * @property {number} timeWeight - Share of the intensity driven by elapsed time
+ * @property {number} progressWeight - Share of the intensity driven by progress
+ * @property {Array<Array<number>>} spawnInterval - Spawn interval multiplier by intensity
+ * @property {Array<Array<number>>} obstacleSpeed - Obstacle speed multiplier by intensity
+ * @property {Object<string, number>} unlocks - Intensity at which each obstacle type is unlocked
+ */
+
+/**
+ * Load a read-only difficulty preset
+ * Unknown names fall back to the default preset with a warning
+ *
+ * @param {string} name - The preset name
+ * @returns {DifficultyPreset} The frozen preset
+ */
+export function loadDifficulty(name = DEFAULT_DIFFICULTY) {
+  let presetName = name;
+
+  if (!Object.prototype.hasOwnProperty.call(presets, presetName)) {
+    console.warn(`Unknown difficulty ${name}, using ${DEFAULT_DIFFICULTY}`);
+    presetName = DEFAULT_DIFFICULTY;
+  }
+
+  const preset = JSON.parse(JSON.stringify(presets[presetName]));
+  preset.name = presetName;
+
+  return deepFreeze(preset);
+}
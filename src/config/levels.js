@@ -0,0 +1,70 @@
+/**
+ * Levels
+ *
+ * This file loads the level definitions. Each level lives in its own JSON file
+ * in src/config/levels/ and sets the road palette, the obstacle mix, the
+ * obstacle speed, the length of the stage and optionally the track layout.
+ * Levels are played in the order of LEVEL_FILES; to add a level, create a JSON
+ * file and list it here.
+ */
+
+import city from './levels/01-city.json';
+import desert from './levels/02-desert.json';
+import night from './levels/03-night.json';
+import { deepFreeze } from './tuning';
+import { isValidTrack } from '../simulation/track';
+
+/**
+ * Level definitions in the order they are played
+ *
+ * @constant {Array<Object>} LEVEL_FILES
+ */
+const LEVEL_FILES = [city, desert, night];
+
+/**
+ * @typedef {Object} Level
+ * @property {string} id - Unique level id, used for generated texture keys
+ * @property {string} name - The name shown to the player
+ * @property {number} length - Progress points (avoid/kill progress) needed to clear the stage
+ * @property {number} speed - Obstacle speed multiplier on top of the difficulty curve
+ * @property {Object<string, number>} obstacleMix - Spawn weight of each obstacle type; unlisted
+ *   types use their own weight
+ * @property {{road: string, edge: string, line: string, sky: string, ground: string}} palette -
+ *   Road colors as hex strings; sky and ground are only used by the behind view and are
+ *   optional
+ * @property {Array<TrackSegment>} [track] - Track segments played in a loop; generated from the
+ *   seed when missing
+ */
+
+/**
+ * Check that a level has every field the game needs
+ *
+ * @param {Object} level - The level definition
+ * @returns {boolean} True if the level can be played
+ */
+function isValidLevel(level) {
+  return typeof level.id === 'string' &&
+    typeof level.name === 'string' &&
+    typeof level.length === 'number' && level.length > 0 &&
+    typeof level.speed === 'number' && level.speed > 0 &&
+    level.obstacleMix !== null && typeof level.obstacleMix === 'object' &&
+    level.palette !== null && typeof level.palette === 'object' &&
+    (level.track === undefined || isValidTrack(level.track));
+}
+
+/**
+ * Load the read-only list of levels
+ * Levels with missing or invalid fields are skipped with a warning
+ *
+ * @returns {Array<Level>} The frozen levels, in play order
+ */
+export function loadLevels() {
+  const levels = LEVEL_FILES.filter((level, index) => {
+    if (isValidLevel(level)) return true;
+
+    console.warn(`Skipping invalid level definition #${index + 1}`);
+    return false;
+  });
+
+  return deepFreeze(JSON.parse(JSON.stringify(levels)));
+}
@@ -0,0 +1,77 @@
+/**
+ * Player Settings
+ *
+ * This file defines the preferences shown in the settings panel and loads the
+ * player's choices. Unlike the tuning config these are not gameplay values:
+ * they can change at any time and are never part of replays.
+ */
+
+import { Settings } from '../models/settings';
+import { DEFAULT_DIFFICULTY, DIFFICULTIES, loadDifficulty } from './difficulty';
+import { CONTROL_MODES, DEFAULT_CONTROL_MODE } from '../simulation/lanes';
+import { RENDER_MODES, DEFAULT_RENDER_MODE } from '../rendering/renderers';
+
+/**
+ * The settings, in the order the settings panel lists them
+ *
+ * @constant {Object<string, SettingDefinition>} SETTING_DEFINITIONS
+ */
+export const SETTING_DEFINITIONS = Object.freeze({
+  controlMode: {
+    label: 'Controls',
+    default: DEFAULT_CONTROL_MODE,
+    options: [CONTROL_MODES.FREE, CONTROL_MODES.LANES],
+    optionLabels: ['Free', 'Lanes']
+  },
+  touchSensitivity: { label: 'Touch sensitivity', default: 1.0, min: 0.5, max: 2.0, step: 0.1 },
+  gamepadDeadzone: {
+    label: 'Stick deadzone', default: 0.2, min: 0.05, max: 0.5, step: 0.05, percent: true
+  },
+  controlAreaHeight: {
+    label: 'Control area', default: 0.25, min: 0.15, max: 0.5, step: 0.05, percent: true
+  },
+  uiScale: { label: 'UI scale', default: 1.0, min: 0.75, max: 1.5, step: 0.05 },
+  volume: { label: 'Volume', default: 1.0, min: 0, max: 1, step: 0.1, percent: true },
+  showFPS: { label: 'FPS counter', default: true },
+  showGhost: { label: 'Ghost', default: true },
+  renderMode: {
+    label: 'View',
+    default: DEFAULT_RENDER_MODE,
+    options: [RENDER_MODES.TOP_DOWN, RENDER_MODES.BEHIND],
+    optionLabels: ['Top-down', 'Behind']
+  },
+  difficulty: {
+    label: 'Difficulty',
+    default: DEFAULT_DIFFICULTY,
+    options: DIFFICULTIES.slice(),
+    optionLabels: DIFFICULTIES.map((name) => loadDifficulty(name).label)
+  }
+});
+
+/**
+ * localStorage key of the player's settings
+ *
+ * @constant {string} STORAGE_KEY
+ */
+const STORAGE_KEY = 'railgame.settings';
+
+/**
+ * The settings shared by every scene, created on first use
+ *
+ * @type {Settings|null}
+ */
+let settings = null;
+
+/**
+ * Load the player's settings
+ * Every call returns the same instance, so a change is seen by every scene
+ *
+ * @returns {Settings} The settings
+ */
+export function loadSettings() {
+  if (!settings) {
+    settings = new Settings(SETTING_DEFINITIONS, STORAGE_KEY);
+  }
+
+  return settings;
+}
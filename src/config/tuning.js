@@ -0,0 +1,137 @@
+/**
+ * Tuning Config
+ *
+ * This file loads the static gameplay tuning values (speeds, damage, timings...).
+ * The defaults live in tuning.json so they can be edited without touching code.
+ * Values that differ per obstacle type (hitbox, damage, kill score) live in
+ * src/simulation/obstacle-types.js.
+ * The loaded config is frozen: per-run values belong in RunState, and
+ * device or user preferences belong in the scene settings.
+ */
+
+import defaultTuning from './tuning.json';
+
+/**
+ * @typedef {Object} Tuning
+ * @property {number} roadSpeed - Speed of the road scrolling in pixels per second
+ * @property {number} characterSpeed - Speed of character movement in pixels per second
+ * @property {number} roadWidth - Width of the road as a percentage of the game width
+ * @property {number} depthElementsCount - Number of depth elements to create
+ * @property {number} depthElementSpeed - Base speed of depth elements in pixels per second
+ * @property {number} buttonScale - Scale factor for button hover effect
+ * @property {number} buttonScaleSpeed - Speed of button scale animation in ms
+ * @property {number} maxDepthElements - Maximum number of depth elements to create
+ * @property {number} cullingThreshold - Distance in pixels beyond which objects are culled
+ * @property {number} topBarHeight - Height of the top bar in pixels
+ * @property {number} maxHealth - Health value at the start of a run
+ * @property {number} yellowLineSpeed - Speed of the yellow line scrolling in pixels per second
+ *   (negative for opposite direction)
+ * @property {number} obstacleSpeed - Speed of obstacles moving down the road in pixels per second
+ * @property {number} obstacleSpawnInterval - Time between obstacle spawns in ms
+ * @property {number} invulnerabilityDuration - Invulnerability period after a collision in ms
+ * @property {number} projectileSpeed - Speed of projectiles in pixels per second, scaled by each
+ *   weapon
+ * @property {number} fireRate - Minimum time between shots in ms, scaled by each weapon
+ * @property {number} avoidScore - Score awarded for an obstacle that leaves the screen
+ * @property {number} avoidProgress - Progress awarded for an obstacle that leaves the screen
+ * @property {number} killProgress - Progress awarded for destroying an obstacle
+ * @property {number} enemyProjectileCancelScore - Score awarded for shooting down an enemy shot
+ * @property {number} bossProgress - Stage progress in percent at which the stage boss appears
+ * @property {number} comboStep - Kills in a row needed to raise the combo multiplier by one
+ * @property {number} maxComboMultiplier - Highest combo multiplier on kill scores
+ * @property {number} nearMissDistance - Largest gap between an obstacle and the character that
+ *   counts as a near miss
+ * @property {number} nearMissScore - Score awarded for a near miss
+ * @property {number} pixelsPerMeter - Road pixels scrolled per meter of distance travelled
+ * @property {number} gameOverDelay - Delay before showing the game over screen in ms
+ * @property {number} stageClearDuration - Time the stage clear summary is shown before the next
+ *   level in ms
+ * @property {number} simulationRate - Fixed simulation steps per second
+ * @property {number} maxStepsPerFrame - Maximum simulation steps run in a single frame
+ * @property {number} worldRoadWidth - Width of the road in world units
+ * @property {number} roadPadding - Distance the character keeps from the road edge in world units
+ * @property {number} obstacleSpawnPadding - Distance obstacles spawn from the road edge in
+ *   world units
+ * @property {number} spawnDistance - Distance ahead of the character where obstacles spawn
+ * @property {number} despawnDistance - Distance behind the character where obstacles are removed
+ * @property {number} projectileRange - Distance ahead of the character where projectiles are
+ *   removed
+ * @property {number} projectileSpawnOffset - Distance ahead of the character where projectiles
+ *   spawn
+ * @property {number} powerUpSpawnInterval - Time between power-up spawns in ms
+ * @property {number} laneWidth - Preferred lane width in world units; sets the lane count in
+ *   lane mode
+ * @property {number} minLanes - Fewest lanes in lane mode
+ * @property {number} maxLanes - Most lanes in lane mode
+ * @property {number} laneChangeDuration - Duration of the eased move to the next lane in ms
+ * @property {number} laneMargin - Gap kept at the sides of obstacles that fill several lanes, in
+ *   world units
+ * @property {number} laneSwipeDistance - Drag distance in pixels that counts as a lane change swipe
+ * @property {number} dragThreshold - Drag distance in pixels that starts steering in free mode
+ * @property {number} horizonHeight - Share of the game area above the horizon in the behind view
+ * @property {number} cameraDistance - Distance of the behind-view camera behind the character in
+ *   world units
+ * @property {number} drawDistance - Distance ahead of the character the behind view draws the road
+ * @property {number} roadStripeLength - Length of the alternating road stripes in the behind
+ *   view, in world units
+ * @property {number} roadsidePostSpacing - Distance between the roadside posts in the behind view,
+ *   in world units
+ * @property {number} roadBandCount - Number of bands the top-down road is split into so it can bend
+ * @property {number} trackSegmentMinLength - Shortest generated track segment in world units
+ * @property {number} trackSegmentMaxLength - Longest generated track segment in world units
+ * @property {number} maxHillHeight - Height of the highest generated hill in world units
+ * @property {number} curveStrength - How far the drawn road bends per world unit squared at the
+ *   sharpest curve
+ * @property {number} centrifugalForce - Push toward the outside of the sharpest curve in world
+ *   units per second
+ * @property {number} ghostAlpha - Opacity of the personal-best ghost character
+ * @property {number} ghostTrailLength - Number of positions kept in the ghost's trail
+ * @property {number} ghostTrailInterval - Simulation steps between ghost trail positions
+ * @property {{width: number, length: number}} characterHitbox - Character hitbox in world units
+ * @property {{width: number, length: number}} powerUpHitbox - Power-up hitbox in world units
+ */
+
+/**
+ * Recursively freeze an object so tuning values cannot be changed at runtime
+ *
+ * @param {Object} object - The object to freeze
+ * @returns {Object} The frozen object
+ */
+export function deepFreeze(object) {
+  Object.values(object).forEach((value) => {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+      deepFreeze(value);
+    }
+  });
+
+  return Object.freeze(object);
+}
+
+/**
+ * Load a read-only tuning config
+ * Overrides are merged over the defaults from tuning.json. Unknown keys and
+ * values whose type does not match the default are ignored with a warning.
+ *
+ * @param {Object|string} overrides - Tuning overrides as an object or a JSON string
+ * @returns {Tuning} The frozen tuning config
+ */
+export function loadTuning(overrides = {}) {
+  const source = typeof overrides === 'string' ? JSON.parse(overrides) : overrides;
+  const tuning = JSON.parse(JSON.stringify(defaultTuning));
+
+  Object.keys(source).forEach((key) => {
+    if (!Object.prototype.hasOwnProperty.call(defaultTuning, key)) {
+      console.warn(`Ignoring unknown tuning key: ${key}`);
+      return;
+    }
+
+    if (typeof source[key] !== typeof defaultTuning[key]) {
+      console.warn(`Ignoring tuning key ${key}: expected a ${typeof defaultTuning[key]}`);
+      return;
+    }
+
+    tuning[key] = source[key];
+  });
+
+  return deepFreeze(tuning);
+}
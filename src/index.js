@@ -10,8 +10,15 @@
 // Import the Phaser library and game scenes
 import Phaser from 'phaser';
 import { LoadingScene } from './scenes/LoadingScene';
+import { MenuScene } from './scenes/MenuScene';
 import { MainScene } from './scenes/MainScene';
+import { GameOverScene } from './scenes/GameOverScene';
+import { ReplayScene } from './scenes/ReplayScene';
+import { HighScoresScene } from './scenes/HighScoresScene';
+import { SettingsScene } from './scenes/SettingsScene';
 import { DeviceDetector } from './utils/device-detector';
+import { readReplayFile } from './utils/replay-file';
+import { loadSettings } from './config/settings';
 
 /**
  * Game configuration object
@@ -70,6 +77,10 @@ const config = {
       debug: false
     }
   },
+  // Enable the Gamepad plugin, for menu navigation with a pad
+  input: {
+    gamepad: true
+  },
   // Disable banner in console
   banner: false,
   // Optimize for mobile if detected
@@ -81,7 +92,9 @@ const config = {
     roundPixels: true
   },
   // Array of scenes to include in the game (order matters - first scene will start first)
-  scene: [LoadingScene, MainScene]
+  scene: [
+    LoadingScene, MenuScene, MainScene, GameOverScene, ReplayScene, HighScoresScene, SettingsScene
+  ]
 };
 
 /**
@@ -112,10 +125,45 @@ window.addEventListener('load', () => {
     applyDeviceSpecificOptimizations(game);
   }
 
+  // Open replay files dropped onto the page
+  setupReplayDrop(game);
+
   // Add the game to the window for debugging
   window.game = game;
 });
 
+/**
+ * Play replay files dropped onto the page, so QA can open a replay attached to a ticket
+ *
+ * @param {Phaser.Game} game - The Phaser game instance
+ */
+function setupReplayDrop(game) {
+  window.addEventListener('dragover', (event) => {
+    event.preventDefault();
+  });
+
+  window.addEventListener('drop', (event) => {
+    event.preventDefault();
+
+    const file = event.dataTransfer.files[0];
+    if (!file) return;
+
+    readReplayFile(file).then((replay) => {
+      // Stop whatever is running and play the replay instead
+      game.scene.getScenes(false).forEach((scene) => {
+        if (scene.sys.isActive() || scene.sys.isPaused()) {
+          game.scene.stop(scene.sys.settings.key);
+        }
+      });
+
+      game.scene.start('ReplayScene', { replay });
+    }).catch((error) => {
+      console.error('Could not open replay:', error);
+      window.alert(`Could not open replay: ${error.message}`);
+    });
+  });
+}
+
 /**
  * Apply device-specific optimizations based on detected device
  *
@@ -140,12 +188,8 @@ function applyDeviceSpecificOptimizations(game) {
         );
       }
 
-      // Apply touch sensitivity adjustments in the main scene
-      const mainScene = game.scene.getScene('MainScene');
-      if (mainScene && mainScene.config) {
-        // Adjust touch sensitivity
-        mainScene.config.touchSensitivity = deviceDetector.getTouchSensitivityAdjustment();
-      }
+      // Adjust the default touch sensitivity (a value the player chose is kept)
+      loadSettings().setDefault('touchSensitivity', deviceDetector.getTouchSensitivityAdjustment());
     }
 
     // High-resolution device optimizations
@@ -153,11 +197,8 @@ function applyDeviceSpecificOptimizations(game) {
       // Adjust rendering quality for high-res screens
       game.renderer.setTextureCrisp(true);
 
-      // Adjust UI scaling if needed
-      const mainScene = game.scene.getScene('MainScene');
-      if (mainScene && mainScene.config) {
-        mainScene.config.uiScale = Math.min(deviceInfo.pixelRatio / 2, 1.5);
-      }
+      // Adjust the default UI scaling (a value the player chose is kept)
+      loadSettings().setDefault('uiScale', Math.min(deviceInfo.pixelRatio / 2, 1.5));
     }
   }, 500); // Wait for scenes to initialize
 }
@@ -0,0 +1,291 @@
+/**
+ * Run State Model
+ *
+ * This file contains the model holding every value that belongs to a single run:
+ * health, score, progress, the weapon, active power-up effects and the gameplay
+ * timers. Keeping them in one object gives restarts, saves and replays a single
+ * thing to reset or capture.
+ */
+
+import { DEFAULT_WEAPON } from '../simulation/weapons.js';
+
+/**
+ * Where score comes from, for the breakdown shown at the end of a run
+ *
+ * @constant {Object} SCORE_SOURCES
+ */
+export const SCORE_SOURCES = Object.freeze({
+  KILLS: 'kills',            // Destroying obstacles, enemies and bosses
+  DODGES: 'dodges',          // Obstacles that got past the character
+  NEAR_MISSES: 'nearMisses', // Obstacles that passed close to the character
+  SHOTS_DOWN: 'shotsDown',   // Enemy shots shot down by projectiles
+  COMBO: 'combo'             // Extra points from the combo multiplier
+});
+
+export class RunState {
+  /**
+   * Create a new RunState instance
+   *
+   * @param {Object} tuning - The read-only tuning config
+   */
+  constructor(tuning) {
+    this.tuning = tuning;
+
+    // Initialize all run values
+    this.reset();
+  }
+
+  /**
+   * Reset all values to the start of a new run
+   */
+  reset() {
+    this.health = this.tuning.maxHealth; // Current health value
+    this.score = 0;                      // Current score value
+    this.progress = 0;                   // Current progress value (0-100)
+    this.progressPoints = 0;             // Progress points earned in the current stage
+    this.progressGoal = 100;             // Progress points needed to reach 100% progress
+    this.stage = 1;                      // Number of the current stage
+    this.isStageClear = false;           // Whether the current stage has been cleared
+    this.stageClearTimer = 0;            // Time spent on the stage clear summary in ms
+    this.stageStartScore = 0;            // Score when the current stage started
+    this.stageStartKills = 0;            // Kills when the current stage started
+    this.stageStartElapsed = 0;          // Run time when the current stage started in ms
+    this.distance = 0;                   // Distance travelled in meters
+    this.kills = 0;                      // Number of obstacles destroyed by projectiles
+    this.combo = 0;                      // Kills in a row without taking damage
+    this.scoreSources = {};              // Score earned from each of SCORE_SOURCES
+    Object.values(SCORE_SOURCES).forEach((source) => {
+      this.scoreSources[source] = 0;
+    });
+    this.elapsed = 0;                    // Time spent playing (excluding pauses) in ms
+    this.obstacleSpawnTimer = 0;         // Timer for spawning obstacles
+    this.powerUpSpawnTimer = 0;          // Timer for spawning power-ups
+    this.effects = {};                   // Time left in ms of each active power-up effect, by type
+    this.isInvulnerable = false;         // Whether the character is invulnerable after a collision
+    this.invulnerabilityTimer = 0;       // Timer for invulnerability period
+    this.lastFireTime = null;            // Run time of the last projectile fired (null if none)
+    this.weapon = DEFAULT_WEAPON;        // Type of the weapon being fired
+    this.weaponLevels = {};              // Upgrade level of each weapon, by type (1 when missing)
+    this.isGameOver = false;             // Whether the run has ended
+  }
+
+  /**
+   * Add points to the score
+   *
+   * @param {number} points - The points to add
+   * @param {string} source - One of SCORE_SOURCES
+   */
+  addScore(points, source) {
+    this.score += points;
+    this.scoreSources[source] += points;
+  }
+
+  /**
+   * Get the multiplier the combo applies to kill scores
+   * It goes up by one every comboStep kills, up to maxComboMultiplier
+   *
+   * @returns {number} The multiplier
+   */
+  getComboMultiplier() {
+    return Math.min(
+      this.tuning.maxComboMultiplier, 1 + Math.floor(this.combo / this.tuning.comboStep)
+    );
+  }
+
+  /**
+   * Count a kill and award its score, multiplied by the combo
+   * The extra points from the multiplier are counted as combo score
+   *
+   * @param {number} points - The kill's base score
+   * @returns {number} The points awarded
+   */
+  addKill(points) {
+    this.kills += 1;
+    this.combo += 1;
+
+    const bonus = points * (this.getComboMultiplier() - 1);
+    this.addScore(points, SCORE_SOURCES.KILLS);
+    this.addScore(bonus, SCORE_SOURCES.COMBO);
+
+    return points + bonus;
+  }
+
+  /**
+   * Advance the progress toward the stage goal, clamped to 100
+   *
+   * @param {number} amount - The progress points to add
+   */
+  addProgress(amount) {
+    this.progressPoints += amount;
+    this.progress = Math.min(100, this.progressPoints * 100 / this.progressGoal);
+  }
+
+  /**
+   * Start the next stage: progress starts over and the stage totals are reset
+   *
+   * @param {number} progressGoal - Progress points needed to clear the new stage
+   */
+  startNextStage(progressGoal) {
+    this.stage += 1;
+    this.progress = 0;
+    this.progressPoints = 0;
+    this.progressGoal = progressGoal;
+    this.isStageClear = false;
+    this.stageClearTimer = 0;
+    this.obstacleSpawnTimer = 0;
+    this.powerUpSpawnTimer = 0;
+    this.stageStartScore = this.score;
+    this.stageStartKills = this.kills;
+    this.stageStartElapsed = this.elapsed;
+  }
+
+  /**
+   * Check whether enough time has passed since the last shot
+   *
+   * @param {number} fireRate - Minimum time between shots in ms
+   * @returns {boolean} True if a projectile may be fired
+   */
+  canFire(fireRate) {
+    return this.lastFireTime === null || this.elapsed - this.lastFireTime >= fireRate;
+  }
+
+  /**
+   * Record that a projectile was fired at the current run time
+   */
+  recordFire() {
+    this.lastFireTime = this.elapsed;
+  }
+
+  /**
+   * Apply damage to the character and start the invulnerability period
+   *
+   * @param {number} amount - The health to remove
+   * @returns {boolean} True if the damage was applied (false while invulnerable)
+   */
+  applyDamage(amount) {
+    if (this.isInvulnerable) return false;
+
+    this.health = Math.max(0, this.health - amount);
+    this.combo = 0; // Taking damage breaks the combo
+    this.isInvulnerable = true;
+    this.invulnerabilityTimer = 0;
+
+    return true;
+  }
+
+  /**
+   * Restore health, up to the maximum
+   *
+   * @param {number} amount - The health to restore
+   */
+  heal(amount) {
+    this.health = Math.min(this.tuning.maxHealth, this.health + amount);
+  }
+
+  /**
+   * Start a timed power-up effect, restarting it if it is already active
+   *
+   * @param {string} type - The power-up type
+   * @param {number} duration - The length of the effect in ms
+   */
+  addEffect(type, duration) {
+    this.effects[type] = duration;
+  }
+
+  /**
+   * Check whether a power-up effect is active
+   *
+   * @param {string} type - The power-up type
+   * @returns {boolean} True if the effect has time left
+   */
+  hasEffect(type) {
+    return this.effects[type] !== undefined;
+  }
+
+  /**
+   * End a power-up effect early
+   *
+   * @param {string} type - The power-up type
+   */
+  removeEffect(type) {
+    delete this.effects[type];
+  }
+
+  /**
+   * Count down the active power-up effects
+   *
+   * @param {number} elapsed - The time passed in ms
+   * @returns {Array<string>} The types whose effect ran out
+   */
+  updateEffects(elapsed) {
+    return Object.keys(this.effects).filter((type) => {
+      this.effects[type] -= elapsed;
+      if (this.effects[type] > 0) return false;
+
+      delete this.effects[type];
+      return true;
+    });
+  }
+
+  /**
+   * Check whether the character has run out of health
+   *
+   * @returns {boolean} True if health has reached zero
+   */
+  isDead() {
+    return this.health <= 0;
+  }
+
+  /**
+   * Create a plain copy of all run values
+   * The copy is safe to serialize and is not affected by later changes.
+   *
+   * @returns {Object} The current run values
+   */
+  snapshot() {
+    return {
+      health: this.health,
+      score: this.score,
+      progress: this.progress,
+      progressPoints: this.progressPoints,
+      progressGoal: this.progressGoal,
+      stage: this.stage,
+      isStageClear: this.isStageClear,
+      stageClearTimer: this.stageClearTimer,
+      stageStartScore: this.stageStartScore,
+      stageStartKills: this.stageStartKills,
+      stageStartElapsed: this.stageStartElapsed,
+      distance: this.distance,
+      kills: this.kills,
+      combo: this.combo,
+      scoreSources: Object.assign({}, this.scoreSources),
+      elapsed: this.elapsed,
+      obstacleSpawnTimer: this.obstacleSpawnTimer,
+      powerUpSpawnTimer: this.powerUpSpawnTimer,
+      effects: Object.assign({}, this.effects),
+      isInvulnerable: this.isInvulnerable,
+      invulnerabilityTimer: this.invulnerabilityTimer,
+      lastFireTime: this.lastFireTime,
+      weapon: this.weapon,
+      weaponLevels: Object.assign({}, this.weaponLevels),
+      isGameOver: this.isGameOver
+    };
+  }
+
+  /**
+   * Set all run values from a copy made by snapshot()
+   * Values missing from the copy keep their start-of-run value
+   *
+   * @param {Object} snapshot - The run values to continue from
+   */
+  restore(snapshot) {
+    this.reset();
+
+    Object.keys(this.snapshot()).forEach((key) => {
+      if (snapshot[key] === undefined) return;
+
+      const value = snapshot[key];
+      this[key] = value && typeof value === 'object' ? Object.assign({}, value) : value;
+    });
+  }
+}
@@ -0,0 +1,221 @@
+/**
+ * Settings Model
+ *
+ * This file contains the player's display, control and audio preferences. Each
+ * setting has a default, which the device detection may replace, and the player
+ * may override it. Only the player's overrides are stored in localStorage, so a
+ * better default for the device still applies to everything the player left alone.
+ * Like RunState it does not depend on Phaser, so it can be checked under Node.
+ */
+
+/**
+ * @typedef {Object} SettingDefinition
+ * @property {string} label - The name shown in the settings panel
+ * @property {boolean|number|string} default - The value used until the device or the player
+ *   changes it
+ * @property {number} [min] - Lowest value of a numeric setting
+ * @property {number} [max] - Highest value of a numeric setting
+ * @property {number} [step] - Step of a numeric setting's slider
+ * @property {boolean} [percent] - Whether a numeric setting is shown as a percentage
+ * @property {Array<string>} [options] - Allowed values of a choice setting, in the order they are
+ *   cycled
+ * @property {Array<string>} [optionLabels] - Names shown for the options
+ */
+
+export class Settings {
+  /**
+   * Create a new Settings instance
+   * The player's stored overrides are loaded straight away
+   *
+   * @param {Object<string, SettingDefinition>} definitions - The settings, keyed by name
+   * @param {string} storageKey - localStorage key of the player's overrides
+   */
+  constructor(definitions, storageKey) {
+    this.definitions = definitions;
+    this.storageKey = storageKey;
+
+    this.defaults = {};   // Values used where the player has not chosen one
+    this.overrides = {};  // Values the player chose
+    this.listeners = [];  // Called with (key, value) whenever a value changes
+
+    Object.keys(definitions).forEach((key) => {
+      this.defaults[key] = definitions[key].default;
+
+      // Plain property access reads and changes a setting, like the old settings object
+      Object.defineProperty(this, key, {
+        enumerable: true,
+        get: () => this.get(key),
+        set: (value) => this.set(key, value)
+      });
+    });
+
+    this.load();
+  }
+
+  /**
+   * Get the current value of a setting
+   *
+   * @param {string} key - The setting
+   * @returns {boolean|number|string} The player's value, or the default
+   */
+  get(key) {
+    return Object.prototype.hasOwnProperty.call(this.overrides, key)
+      ? this.overrides[key]
+      : this.defaults[key];
+  }
+
+  /**
+   * Change a setting for the player and store the change
+   * Numbers are clamped to their range; invalid values are ignored
+   *
+   * @param {string} key - The setting
+   * @param {boolean|number|string} value - The new value
+   */
+  set(key, value) {
+    const valid = this.validate(key, value);
+    if (valid === undefined) {
+      console.warn(`Ignoring invalid value ${value} for setting ${key}`);
+      return;
+    }
+
+    const previous = this.get(key);
+    this.overrides[key] = valid;
+    this.save();
+
+    if (valid !== previous) {
+      this.notify(key, valid);
+    }
+  }
+
+  /**
+   * Replace the default of a setting, for example with a value suited to the device
+   * A value the player chose is kept
+   *
+   * @param {string} key - The setting
+   * @param {boolean|number|string} value - The new default
+   */
+  setDefault(key, value) {
+    const valid = this.validate(key, value);
+    if (valid === undefined) return;
+
+    const previous = this.get(key);
+    this.defaults[key] = valid;
+
+    if (this.get(key) !== previous) {
+      this.notify(key, this.get(key));
+    }
+  }
+
+  /**
+   * Go back to the default of a setting
+   *
+   * @param {string} key - The setting
+   */
+  reset(key) {
+    const previous = this.get(key);
+    delete this.overrides[key];
+    this.save();
+
+    if (this.get(key) !== previous) {
+      this.notify(key, this.get(key));
+    }
+  }
+
+  /**
+   * Go back to the defaults of every setting
+   */
+  resetAll() {
+    Object.keys(this.definitions).forEach((key) => this.reset(key));
+  }
+
+  /**
+   * Check whether the player chose the value of a setting
+   *
+   * @param {string} key - The setting
+   * @returns {boolean} True if the setting is overridden
+   */
+  isOverridden(key) {
+    return Object.prototype.hasOwnProperty.call(this.overrides, key);
+  }
+
+  /**
+   * Listen for changes to any setting
+   *
+   * @param {Function} listener - Called with (key, value) after a value changes
+   * @returns {Function} Call to stop listening
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+
+    return () => {
+      this.listeners = this.listeners.filter((candidate) => candidate !== listener);
+    };
+  }
+
+  /**
+   * Tell the listeners that a value changed
+   *
+   * @param {string} key - The setting
+   * @param {boolean|number|string} value - The new value
+   */
+  notify(key, value) {
+    this.listeners.slice().forEach((listener) => listener(key, value));
+  }
+
+  /**
+   * Check a value against a setting's definition
+   *
+   * @param {string} key - The setting
+   * @param {*} value - The value to check
+   * @returns {boolean|number|string|undefined} The value, clamped for numbers, or undefined if it
+   *   is invalid
+   */
+  validate(key, value) {
+    const definition = this.definitions[key];
+    if (!definition || typeof value !== typeof definition.default) return undefined;
+
+    if (definition.options) {
+      return definition.options.includes(value) ? value : undefined;
+    }
+
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value)) return undefined;
+      return Math.min(definition.max, Math.max(definition.min, value));
+    }
+
+    return value;
+  }
+
+  /**
+   * Load the player's overrides, keeping only the ones that are still valid
+   */
+  load() {
+    let stored = null;
+
+    try {
+      stored = JSON.parse(window.localStorage.getItem(this.storageKey));
+    } catch (error) {
+      console.warn('Ignoring unreadable settings:', error.message);
+    }
+
+    if (!stored || typeof stored !== 'object') return;
+
+    Object.keys(stored).forEach((key) => {
+      const valid = this.validate(key, stored[key]);
+      if (valid !== undefined) {
+        this.overrides[key] = valid;
+      }
+    });
+  }
+
+  /**
+   * Store the player's overrides
+   */
+  save() {
+    try {
+      window.localStorage.setItem(this.storageKey, JSON.stringify(this.overrides));
+    } catch (error) {
+      console.warn('Could not save settings:', error.message);
+    }
+  }
+}
@@ -0,0 +1,268 @@
+/**
+ * Behind-View Renderer
+ *
+ * This file contains the renderer that draws the simulation world in a
+ * pseudo-3D view from behind the character. The road narrows toward a
+ * vanishing point on the horizon: world positions are projected with a
+ * perspective divide, so obstacles appear small at the horizon and grow as they
+ * approach, and projectiles shrink as they fly away. Curves bend the road to
+ * the side and hills raise it toward the horizon or hide it behind a crest. Sprites, effects and
+ * simulation events are handled by the WorldRenderer base class.
+ */
+
+import Phaser from 'phaser';
+import { CONTROL_MODES } from '../simulation/lanes';
+import { WorldRenderer } from './world-renderer';
+
+/**
+ * Colors used when a level has no sky or ground color, or for the default road
+ *
+ * @constant {Object} DEFAULT_PALETTE
+ */
+const DEFAULT_PALETTE = {
+  road: '#333333',
+  edge: '#ffffff',
+  line: '#ffff00',
+  sky: '#87ceeb',
+  ground: '#4caf50'
+};
+
+export class BehindViewRenderer extends WorldRenderer {
+  /**
+   * Create a new BehindViewRenderer instance
+   *
+   * @param {Phaser.Scene} scene - The scene to draw in
+   * @param {Simulation} simulation - The simulation to render
+   * @param {Object} tuning - The read-only tuning config
+   */
+  constructor(scene, simulation, tuning) {
+    super(scene, simulation, tuning);
+
+    // Distance the road has scrolled, in world units
+    this.roadOffset = 0;
+
+    // Road colors as numbers, set by applyLevelPalette()
+    this.colors = null;
+  }
+
+  /**
+   * Creates the graphics the sky, ground and road are drawn on
+   */
+  createRoadBackground() {
+    // Calculate the available game area (excluding top bar)
+    this.gameAreaHeight = this.gameHeight - this.tuning.topBarHeight;
+
+    // The horizon splits the game area between the sky and the ground
+    this.horizonY = this.tuning.topBarHeight + this.gameAreaHeight * this.tuning.horizonHeight;
+
+    // Redrawn every frame as the road scrolls
+    this.road = this.scene.add.graphics();
+    this.road.setDepth(0);
+  }
+
+  /**
+   * Colors the sky, ground and road with a level's palette
+   *
+   * @param {Object|null} level - The level, or null for the default road
+   */
+  applyLevelPalette(level) {
+    const palette = Object.assign({}, DEFAULT_PALETTE, level ? level.palette : {});
+    const toColor = (hex) => Phaser.Display.Color.HexStringToColor(hex).color;
+
+    this.colors = {
+      road: toColor(palette.road),
+      edge: toColor(palette.edge),
+      line: toColor(palette.line),
+      sky: toColor(palette.sky),
+      ground: toColor(palette.ground)
+    };
+
+    // The projection is not ready yet when the renderer is being created
+    if (this.focalLength) {
+      this.drawRoad();
+    }
+  }
+
+  /**
+   * Calculates the camera that looks at the road from behind the character
+   * At the character (z = 0) the road has the same width as in the top-down
+   * view, so both renderers show the same world at the character's distance
+   */
+  createWorldProjection() {
+    // Pixels per world unit at the character's distance
+    const characterScale = (this.gameWidth * this.tuning.roadWidth) / this.tuning.worldRoadWidth;
+
+    // The character sits near the bottom of the game area at z = 0
+    this.characterY = this.tuning.topBarHeight + (this.gameAreaHeight * 0.8);
+
+    // The camera is cameraDistance behind the character; the focal length and
+    // camera height put the character's scale and screen position where we want them
+    this.focalLength = characterScale * this.tuning.cameraDistance;
+    this.cameraHeight = (this.characterY - this.horizonY) / characterScale;
+
+    // Anything closer to the camera than this is not drawn
+    this.nearDistance = this.tuning.cameraDistance * 0.25;
+
+    this.drawRoad();
+  }
+
+  /**
+   * Converts a world position to a screen position with a perspective divide
+   *
+   * @param {number} x - The world x coordinate (0 is the road center)
+   * @param {number} z - The world z coordinate (0 is the character)
+   * @returns {{x: number, y: number, scale: number, visible: boolean}} The screen position
+   */
+  project(x, z) {
+    const depth = Math.max(z + this.tuning.cameraDistance, this.nearDistance);
+    const scale = this.focalLength / depth;
+    const shape = this.getRoadShape(z);
+
+    return {
+      x: this.gameWidth / 2 + (x + shape.x) * scale,
+      y: this.horizonY + (this.cameraHeight - shape.elevation) * scale,
+      scale: scale,
+      visible: z + this.tuning.cameraDistance > this.nearDistance
+    };
+  }
+
+  /**
+   * Places an obstacle and sorts it so nearer obstacles cover farther ones
+   *
+   * @param {Phaser.GameObjects.Sprite} sprite - The obstacle sprite
+   * @param {Object} obstacle - The simulation obstacle
+   */
+  placeObstacle(sprite, obstacle) {
+    super.placeObstacle(sprite, obstacle);
+
+    // Stays between the road (below 5) and the projectile glow (7)
+    sprite.setDepth(5 + 1 / (obstacle.z + this.tuning.cameraDistance + this.tuning.drawDistance));
+  }
+
+  /**
+   * Draws the sky, the ground and the road with its stripes, edges and lines
+   * Stripes alternate along the road so its movement can be seen
+   */
+  drawRoad() {
+    const graphics = this.road;
+    const halfWidth = this.tuning.worldRoadWidth / 2;
+    const stripe = this.tuning.roadStripeLength;
+    const edgeWidth = this.tuning.roadPadding / 2;
+
+    graphics.clear();
+
+    // Sky and ground
+    graphics.fillStyle(this.colors.sky, 1);
+    graphics.fillRect(
+      0, this.tuning.topBarHeight, this.gameWidth, this.horizonY - this.tuning.topBarHeight
+    );
+    graphics.fillStyle(this.colors.ground, 1);
+    graphics.fillRect(0, this.horizonY, this.gameWidth, this.gameHeight - this.horizonY);
+
+    // Road dividers: the lane lines in lane mode, otherwise the center line
+    const dividers = [];
+    if (this.simulation.controlMode === CONTROL_MODES.LANES) {
+      const laneWidth = this.tuning.worldRoadWidth / this.simulation.laneCount;
+      for (let lane = 1; lane < this.simulation.laneCount; lane++) {
+        dividers.push(-halfWidth + lane * laneWidth);
+      }
+    } else {
+      dividers.push(0);
+    }
+
+    // Draw the stripes from the far end so nearer ones cover the seams
+    const nearZ = this.nearDistance - this.tuning.cameraDistance;
+    const phase = this.roadOffset % (stripe * 2);
+    const count = Math.ceil((this.tuning.drawDistance - nearZ + phase) / stripe);
+
+    for (let i = count; i >= 0; i--) {
+      const z1 = Math.max(nearZ - phase + i * stripe, nearZ);
+      const z2 = nearZ - phase + (i + 1) * stripe;
+      if (z2 <= nearZ) continue;
+
+      const near = this.project(0, z1);
+      const far = this.project(0, z2);
+      const light = i % 2 === 0;
+
+      // Road surface, slightly lighter on every other stripe
+      graphics.fillStyle(this.colors.road, 1);
+      this.fillRoadQuad(near, far, -halfWidth, halfWidth);
+      if (light) {
+        graphics.fillStyle(0xffffff, 0.05);
+        this.fillRoadQuad(near, far, -halfWidth, halfWidth);
+      }
+
+      // Edges alternate between the edge color and the road color
+      graphics.fillStyle(light ? this.colors.edge : this.colors.road, 1);
+      this.fillRoadQuad(near, far, -halfWidth - edgeWidth, -halfWidth);
+      this.fillRoadQuad(near, far, halfWidth, halfWidth + edgeWidth);
+
+      // Dashed dividers
+      if (light) {
+        graphics.fillStyle(this.colors.line, 1);
+        dividers.forEach((x) => this.fillRoadQuad(near, far, x - 2, x + 2));
+      }
+    }
+
+    this.drawRoadsidePosts(halfWidth + edgeWidth * 3);
+  }
+
+  /**
+   * Fills the part of a road stripe between two world x coordinates
+   *
+   * @param {Object} near - The projected near end of the stripe
+   * @param {Object} far - The projected far end of the stripe
+   * @param {number} left - The left world x coordinate
+   * @param {number} right - The right world x coordinate
+   */
+  fillRoadQuad(near, far, left, right) {
+    this.road.fillPoints([
+      { x: near.x + left * near.scale, y: near.y },
+      { x: near.x + right * near.scale, y: near.y },
+      { x: far.x + right * far.scale, y: far.y },
+      { x: far.x + left * far.scale, y: far.y }
+    ], true);
+  }
+
+  /**
+   * Draws posts at both sides of the road, which grow as they approach
+   *
+   * @param {number} offset - The distance of the posts from the road center in world units
+   */
+  drawRoadsidePosts(offset) {
+    const spacing = this.tuning.roadsidePostSpacing;
+    const nearZ = this.nearDistance - this.tuning.cameraDistance;
+    const phase = this.roadOffset % spacing;
+
+    this.road.fillStyle(this.colors.edge, 1);
+
+    for (let z = this.tuning.drawDistance - phase; z > nearZ; z -= spacing) {
+      [-offset, offset].forEach((x) => {
+        const base = this.project(x, z);
+        const width = 6 * base.scale;
+        const height = 40 * base.scale;
+
+        this.road.fillRect(base.x - width / 2, base.y - height, width, height);
+      });
+    }
+  }
+
+  /**
+   * Scrolls the road toward the camera
+   * This is purely visual, so it follows the real frame time
+   *
+   * @param {number} delta - The time since the last frame in ms
+   */
+  updateScenery(delta) {
+    this.roadOffset += this.tuning.roadSpeed * delta / 1000;
+    this.drawRoad();
+  }
+
+  /**
+   * Removes everything the renderer drew, so another renderer can take over
+   */
+  destroy() {
+    super.destroy();
+    this.road.destroy();
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * Renderers
+ *
+ * This file lists the ways the simulation world can be drawn and creates the
+ * matching renderer. Every renderer shares the simulation's world model, so
+ * the view can be switched at any time, even in the middle of a run.
+ */
+
+import { TopDownRenderer } from './top-down-renderer';
+import { BehindViewRenderer } from './behind-view-renderer';
+
+/**
+ * How the world is seen
+ *
+ * @constant {Object} RENDER_MODES
+ */
+export const RENDER_MODES = Object.freeze({
+  TOP_DOWN: 'topDown', // A flat road seen from above
+  BEHIND: 'behind'     // A pseudo-3D road seen from behind the character
+});
+
+/**
+ * The render mode used when none is chosen
+ *
+ * @constant {string} DEFAULT_RENDER_MODE
+ */
+export const DEFAULT_RENDER_MODE = RENDER_MODES.TOP_DOWN;
+
+/**
+ * Create the renderer for a render mode
+ * Call create() on the result to draw the world
+ *
+ * @param {string} mode - One of RENDER_MODES; unknown modes use the default
+ * @param {Phaser.Scene} scene - The scene to draw in
+ * @param {Simulation} simulation - The simulation to render
+ * @param {Object} tuning - The read-only tuning config
+ * @returns {WorldRenderer} The renderer
+ */
+export function createWorldRenderer(mode, scene, simulation, tuning) {
+  if (mode === RENDER_MODES.BEHIND) {
+    return new BehindViewRenderer(scene, simulation, tuning);
+  }
+
+  return new TopDownRenderer(scene, simulation, tuning);
+}
@@ -0,0 +1,372 @@
+/**
+ * Top-Down Renderer
+ *
+ * This file contains the renderer that draws the simulation world as a flat,
+ * top-down scrolling road. World positions map linearly onto the screen, so
+ * every entity keeps the same size at every distance. The road is drawn as
+ * horizontal bands that shift sideways to follow the curves of the track;
+ * hills cannot be seen from above. Sprites, effects and
+ * simulation events are handled by the WorldRenderer base class.
+ */
+
+import Phaser from 'phaser';
+import { AssetManager } from '../assets/asset-manager';
+import {
+  createRoadTexture, createYellowLineTexture, createLaneLineTexture
+} from '../assets/images/road-background';
+import { ObjectPool } from '../utils/object-pool';
+import { CONTROL_MODES } from '../simulation/lanes';
+import { WorldRenderer } from './world-renderer';
+
+export class TopDownRenderer extends WorldRenderer {
+  /**
+   * Create a new TopDownRenderer instance
+   *
+   * @param {Phaser.Scene} scene - The scene to draw in
+   * @param {Simulation} simulation - The simulation to render
+   * @param {Object} tuning - The read-only tuning config
+   */
+  constructor(scene, simulation, tuning) {
+    super(scene, simulation, tuning);
+
+    // Object pooling
+    this.depthElementPool = null;
+    this.depthElements = [];
+  }
+
+  /**
+   * Creates the road background as bands of tile sprites
+   * Each band is shifted sideways by the bend of the road at its distance
+   */
+  createRoadBackground() {
+    // Calculate the available game area (excluding top bar)
+    const gameAreaHeight = this.gameHeight - this.tuning.topBarHeight;
+    const gameAreaY = this.tuning.topBarHeight + (gameAreaHeight / 2);
+
+    // The road is slightly taller than the game area
+    const roadHeight = gameAreaHeight * 1.2;
+    const roadTop = gameAreaY - roadHeight / 2;
+    const bandHeight = Math.ceil(roadHeight / this.tuning.roadBandCount);
+
+    // Fills the sides of the road uncovered when the bands shift in a curve
+    this.roadShoulder = this.scene.add.rectangle(
+      this.gameWidth / 2, gameAreaY, this.gameWidth, roadHeight, 0x333333
+    );
+    this.roadShoulder.setDepth(0);
+
+    this.roadBands = [];
+    for (let i = 0; i < this.tuning.roadBandCount; i++) {
+      const y = roadTop + i * bandHeight + bandHeight / 2;
+
+      const band = {
+        y: y,
+        textureOffset: i * bandHeight, // Texture row at the top of the band, so the bands line up
+        road: this.scene.add.tileSprite(
+          this.gameWidth / 2, y, this.gameWidth, bandHeight, AssetManager.keys.road
+        ),
+        yellowLine: this.scene.add.tileSprite(
+          this.gameWidth / 2, y, this.gameWidth, bandHeight, AssetManager.keys.yellowLine
+        )
+      };
+
+      // Set the yellow line depth to be above the road but below other elements
+      band.road.setOrigin(0.5).setDepth(0);
+      band.yellowLine.setOrigin(0.5).setDepth(1);
+
+      this.roadBands.push(band);
+    }
+
+    // Scroll positions shared by every band
+    this.roadScroll = 0;
+    this.yellowLineScroll = 0;
+
+    // Calculate road boundaries for depth elements
+    const roadWidthPixels = this.gameWidth * this.tuning.roadWidth;
+    this.leftBoundary = (this.gameWidth - roadWidthPixels) / 2 + 30; // Add padding
+    this.rightBoundary = this.gameWidth - this.leftBoundary - 30;    // Add padding
+
+    // Store the game area dimensions for reference
+    this.gameAreaHeight = gameAreaHeight;
+    this.gameAreaY = gameAreaY;
+  }
+
+  /**
+   * Colors the road with a level's palette
+   * Textures are generated once per level and reused when the level comes back
+   *
+   * @param {Object|null} level - The level, or null for the default road
+   */
+  applyLevelPalette(level) {
+    const toColor = (hex) => Phaser.Display.Color.HexStringToColor(hex).color;
+    let roadKey = AssetManager.keys.road;
+    let lineKey = AssetManager.keys.yellowLine;
+
+    if (level) {
+      roadKey = `${AssetManager.keys.road}-${level.id}`;
+      lineKey = `${AssetManager.keys.yellowLine}-${level.id}`;
+
+      if (!this.scene.textures.exists(roadKey)) {
+        createRoadTexture(this.scene, 800, 1200, roadKey, {
+          road: toColor(level.palette.road),
+          edge: toColor(level.palette.edge)
+        });
+      }
+    }
+
+    // Lane mode replaces the center line with the lane dividers
+    if (this.simulation.controlMode === CONTROL_MODES.LANES) {
+      lineKey = `${AssetManager.keys.laneLines}-${level ? level.id : 'default'}`;
+
+      if (!this.scene.textures.exists(lineKey)) {
+        createLaneLineTexture(
+          this.scene,
+          this.gameWidth,
+          1200,
+          lineKey,
+          this.simulation.laneCount,
+          this.tuning.roadWidth,
+          level ? toColor(level.palette.line) : undefined
+        );
+      }
+    } else if (level && !this.scene.textures.exists(lineKey)) {
+      createYellowLineTexture(this.scene, 800, 1200, lineKey, toColor(level.palette.line));
+    }
+
+    this.roadShoulder.setFillStyle(level ? toColor(level.palette.road) : 0x333333);
+    this.roadBands.forEach((band) => {
+      band.road.setTexture(roadKey);
+      band.yellowLine.setTexture(lineKey);
+    });
+  }
+
+  /**
+   * Calculates how world coordinates from the simulation map onto the screen
+   * The road spans the same world width on every device, so runs play the same
+   * regardless of screen size
+   */
+  createWorldProjection() {
+    // Horizontal scale from world units to pixels
+    this.worldScale = (this.gameWidth * this.tuning.roadWidth) / this.tuning.worldRoadWidth;
+
+    // The character sits near the bottom of the game area at z = 0
+    this.characterY = this.tuning.topBarHeight + (this.gameAreaHeight * 0.8);
+
+    // Obstacles spawn just above the visible area at z = spawnDistance
+    const spawnY = this.tuning.topBarHeight - 50;
+    this.worldScaleZ = (this.characterY - spawnY) / this.tuning.spawnDistance;
+  }
+
+  /**
+   * Converts a world x coordinate to a screen x position
+   *
+   * @param {number} x - The world x coordinate (0 is the road center)
+   * @returns {number} The screen x position
+   */
+  worldToScreenX(x) {
+    return this.gameWidth / 2 + x * this.worldScale;
+  }
+
+  /**
+   * Converts a world z coordinate to a screen y position
+   *
+   * @param {number} z - The world z coordinate (0 is the character)
+   * @returns {number} The screen y position
+   */
+  worldToScreenY(z) {
+    return this.characterY - z * this.worldScaleZ;
+  }
+
+  /**
+   * Converts a world position to a screen position
+   * The flat road has the same scale at every distance
+   *
+   * @param {number} x - The world x coordinate (0 is the road center)
+   * @param {number} z - The world z coordinate (0 is the character)
+   * @returns {{x: number, y: number, scale: number, visible: boolean}} The screen position
+   */
+  project(x, z) {
+    return {
+      x: this.worldToScreenX(x + this.getRoadShape(z).x),
+      y: this.worldToScreenY(z),
+      scale: this.worldScale,
+      visible: true
+    };
+  }
+
+  /**
+   * Creates the depth elements that move past the road
+   */
+  createScenery() {
+    // Initialize object pool for depth elements
+    this.initializeObjectPool();
+
+    // Create depth elements for forward motion illusion
+    this.createDepthElements();
+  }
+
+  /**
+   * Initialize the object pool for depth elements
+   */
+  initializeObjectPool() {
+    // Create a texture for depth elements if it doesn't exist
+    if (!this.scene.textures.exists('depthElement')) {
+      const graphics = this.scene.add.graphics();
+      graphics.fillStyle(0xFFFFFF, 0.7); // White with some transparency
+      graphics.fillCircle(0, 0, 10); // Size 10 circle
+      graphics.generateTexture('depthElement', 20, 20);
+      graphics.destroy();
+    }
+
+    // Create factory function for depth elements
+    const factory = () => {
+      const sprite = this.scene.add.sprite(0, 0, 'depthElement');
+      sprite.visible = false; // Start invisible
+      return {
+        sprite: sprite,
+        speed: 0,
+        scale: 1,
+        active: false
+      };
+    };
+
+    // Create reset function for depth elements
+    const reset = (element) => {
+      element.sprite.visible = false;
+      element.sprite.x = 0;
+      element.sprite.y = 0;
+      element.sprite.setScale(1);
+      element.speed = 0;
+      element.scale = 1;
+      element.active = false;
+    };
+
+    // Initialize the object pool
+    this.depthElementPool = new ObjectPool(factory, reset, this.tuning.maxDepthElements);
+  }
+
+  /**
+   * Creates depth elements for forward motion illusion
+   */
+  createDepthElements() {
+    // Create a group for depth elements
+    this.depthElements = [];
+
+    // Create multiple depth elements
+    for (let i = 0; i < this.tuning.depthElementsCount; i++) {
+      this.addDepthElement(this.cosmeticRandom.between(-100, this.gameHeight));
+    }
+  }
+
+  /**
+   * Takes a depth element from the pool and places it on the road
+   *
+   * @param {number} y - The starting y position
+   */
+  addDepthElement(y) {
+    // Get an element from the pool
+    const element = this.depthElementPool.get();
+
+    // Configure the element
+    element.sprite.x = this.cosmeticRandom.between(this.leftBoundary, this.rightBoundary);
+    element.sprite.y = y;
+    element.speed = this.cosmeticRandom.floatBetween(1, 3) * this.tuning.depthElementSpeed;
+    element.scale = this.cosmeticRandom.floatBetween(0.5, 1.5);
+    element.sprite.setScale(element.scale);
+    element.sprite.visible = true;
+    element.active = true;
+
+    // Add to the active elements array
+    this.depthElements.push(element);
+  }
+
+  /**
+   * Adjust the amount of visual detail to the current frame rate
+   *
+   * @param {number} fps - The current frames per second
+   */
+  optimizeDetail(fps) {
+    // If FPS is too low, reduce visual elements
+    if (fps < 30) {
+      // Reduce number of depth elements
+      if (this.depthElements.length > 2) {
+        const element = this.depthElements.pop();
+        this.depthElementPool.release(element);
+        console.log(`Reduced depth elements to ${this.depthElements.length}`);
+      }
+    }
+    // If FPS is good and we have capacity, add more visual elements
+    else if (fps > 55 && this.depthElements.length < this.tuning.maxDepthElements) {
+      this.addDepthElement(-50);
+      console.log(`Increased depth elements to ${this.depthElements.length}`);
+    }
+  }
+
+  /**
+   * Updates the scrolling road and depth elements
+   * These are purely visual, so they follow the real frame time
+   *
+   * @param {number} delta - The time since the last frame in ms
+   */
+  updateScenery(delta) {
+    const seconds = delta / 1000;
+
+    // Update road scrolling
+    this.roadScroll += this.tuning.roadSpeed * seconds;
+
+    // Update yellow line scrolling at a different speed (negative for opposite direction)
+    this.yellowLineScroll += this.tuning.yellowLineSpeed * seconds;
+
+    // Shift every band to the bend of the road at its distance
+    this.roadBands.forEach((band) => {
+      const z = (this.characterY - band.y) / this.worldScaleZ;
+      const x = this.worldToScreenX(this.getRoadShape(z).x);
+
+      band.road.x = x;
+      band.road.tilePositionY = this.roadScroll + band.textureOffset;
+      band.yellowLine.x = x;
+      band.yellowLine.tilePositionY = this.yellowLineScroll + band.textureOffset;
+    });
+
+    // Update depth elements with culling optimization
+    for (let i = 0; i < this.depthElements.length; i++) {
+      const element = this.depthElements[i];
+
+      // Skip inactive elements
+      if (!element.active) continue;
+
+      // Move the element down
+      element.sprite.y += element.speed * seconds;
+
+      // Increase the size as it moves down to create depth perception
+      const progress = element.sprite.y / this.gameHeight;
+      const newScale = element.scale * (1 + progress);
+      element.sprite.setScale(newScale);
+
+      // Reset the element when it goes off screen
+      if (element.sprite.y > this.gameHeight + this.tuning.cullingThreshold) {
+        element.sprite.y = -this.tuning.cullingThreshold;
+        element.sprite.x = this.cosmeticRandom.between(this.leftBoundary, this.rightBoundary);
+        element.sprite.setScale(element.scale);
+      }
+    }
+  }
+
+  /**
+   * Removes everything the renderer drew, so another renderer can take over
+   */
+  destroy() {
+    super.destroy();
+
+    // Destroy the depth elements, including the idle ones in the pool
+    this.depthElements.forEach((element) => element.sprite.destroy());
+    this.depthElementPool.pool.forEach((element) => element.sprite.destroy());
+    this.depthElements = [];
+    this.depthElementPool.clear();
+    this.roadBands.forEach((band) => {
+      band.road.destroy();
+      band.yellowLine.destroy();
+    });
+    this.roadBands = [];
+    this.roadShoulder.destroy();
+  }
+}
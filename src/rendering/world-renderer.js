@@ -0,0 +1,1126 @@
+/**
+ * World Renderer
+ *
+ * This file contains the base class of the renderers that draw the simulation
+ * world. It owns the character, obstacle, projectile, enemy shot, boss and power-up sprites, the
+ * ghost and the visual effects, but none of the gameplay rules: every frame it positions
+ * its sprites from the simulation state, and it reacts to simulation events by
+ * creating, removing and animating sprites.
+ *
+ * Subclasses decide how the world looks from the camera: they draw the road and
+ * scenery and implement project(), which maps world x/z coordinates onto the
+ * screen. World x is measured from the road center, so project() adds the bend
+ * of the track sampled by updateRoadShape() to keep everything on the road.
+ * Every renderer shares the same world model, so they can be swapped at any
+ * time without changing the run.
+ */
+
+import Phaser from 'phaser';
+import { AssetManager } from '../assets/asset-manager';
+import { SIMULATION_EVENTS, BOSS_STATES } from '../simulation/simulation';
+import { RANDOM_STREAMS } from '../simulation/random';
+import { WEAPON_TYPES } from '../simulation/weapons';
+
+export class WorldRenderer {
+  /**
+   * Create a new WorldRenderer instance
+   *
+   * @param {Phaser.Scene} scene - The scene to draw in
+   * @param {Simulation} simulation - The simulation to render
+   * @param {Object} tuning - The read-only tuning config
+   */
+  constructor(scene, simulation, tuning) {
+    this.scene = scene;
+    this.simulation = simulation;
+    this.tuning = tuning;
+
+    // Sprites for simulation entities, keyed by entity id
+    this.obstacleSprites = new Map();
+    this.projectileSprites = new Map();
+    this.enemyProjectileSprites = new Map();
+    this.powerUpSprites = new Map();
+
+    // The stage boss and its weak points, while a boss is on the road
+    this.bossSprite = null;
+    this.weakPointSprites = [];
+
+    // Bend and height of the road around the character, sampled every frame
+    this.roadShapeAhead = [];
+    this.roadShapeBehind = [];
+
+    // Optional personal-best ghost, set with setGhost()
+    this.ghost = null;
+    this.ghostSprite = null;
+    this.ghostTrail = null;
+    this.ghostVisible = true;
+  }
+
+  /**
+   * Visual-only randomness uses its own stream so it never changes the run
+   *
+   * @returns {SeededRandom} The cosmetic random stream of the current run
+   */
+  get cosmeticRandom() {
+    return this.simulation.random.stream(RANDOM_STREAMS.COSMETIC);
+  }
+
+  /**
+   * Create the road, character and scenery
+   */
+  create() {
+    // Get game dimensions
+    this.gameWidth = this.scene.cameras.main.width;
+    this.gameHeight = this.scene.cameras.main.height;
+
+    // Sample the track before anything is projected
+    this.updateRoadShape();
+
+    // Create the road background (also sets gameAreaHeight)
+    this.createRoadBackground();
+
+    // Color the road for the current level
+    this.applyLevelPalette(this.simulation.level);
+
+    // Map simulation world coordinates onto the screen
+    this.createWorldProjection();
+
+    // Create the character sprite
+    this.createCharacter();
+
+    // Create the scenery that moves past the road
+    this.createScenery();
+  }
+
+  /**
+   * Creates the road background; implemented by each renderer
+   */
+  createRoadBackground() {}
+
+  /**
+   * Colors the road with a level's palette; implemented by each renderer
+   *
+   * @param {Object|null} level - The level, or null for the default road
+   */
+  applyLevelPalette(level) {}
+
+  /**
+   * Calculates how world coordinates map onto the screen; implemented by each renderer
+   */
+  createWorldProjection() {}
+
+  /**
+   * Creates the scenery that moves past the road; implemented by each renderer
+   */
+  createScenery() {}
+
+  /**
+   * Converts a world position to a screen position; implemented by each renderer
+   *
+   * @param {number} x - The world x coordinate (0 is the road center)
+   * @param {number} z - The world z coordinate (0 is the character)
+   * @returns {{x: number, y: number, scale: number, visible: boolean}} The screen position,
+   *   the pixels per world unit at that distance, and whether the position can be seen
+   */
+  project(x, z) {
+    throw new Error('Renderers must implement project()');
+  }
+
+  /**
+   * Samples the bend and height of the road ahead of and behind the character
+   * The road bends by integrating the track's curve twice, so it leaves the
+   * character straight ahead and turns more and more with distance
+   */
+  updateRoadShape() {
+    const track = this.simulation.track;
+    const position = this.simulation.trackPosition;
+    const step = this.tuning.roadStripeLength;
+    const baseElevation = track.getElevation(position);
+
+    const sample = (samples, direction, distance) => {
+      let slope = 0;
+      let x = 0;
+
+      samples.length = 0;
+      samples.push({ x: 0, elevation: 0 });
+
+      for (let z = step; z <= distance + step; z += step) {
+        const curve = track.getCurve(position + direction * (z - step / 2)) *
+          this.tuning.curveStrength;
+        slope += curve * step;
+        x += slope * step;
+        samples.push({
+          x: x,
+          elevation: track.getElevation(position + direction * z) - baseElevation
+        });
+      }
+    };
+
+    const distanceAhead = Math.max(this.tuning.drawDistance, this.tuning.spawnDistance * 2);
+    sample(this.roadShapeAhead, 1, distanceAhead);
+    sample(this.roadShapeBehind, -1, this.tuning.despawnDistance * 2);
+  }
+
+  /**
+   * Gets the bend and height of the road at a distance from the character
+   *
+   * @param {number} z - The world z coordinate (0 is the character)
+   * @returns {{x: number, elevation: number}} How far the road center is shifted
+   *   across the road and raised above the character, in world units
+   */
+  getRoadShape(z) {
+    const samples = z >= 0 ? this.roadShapeAhead : this.roadShapeBehind;
+    const index = Math.min(Math.abs(z) / this.tuning.roadStripeLength, samples.length - 1);
+    const low = samples[Math.floor(index)];
+    const high = samples[Math.ceil(index)];
+    const t = index - Math.floor(index);
+
+    return {
+      x: low.x + (high.x - low.x) * t,
+      elevation: low.elevation + (high.elevation - low.elevation) * t
+    };
+  }
+
+  /**
+   * Moves a sprite to the screen position of a world position
+   *
+   * @param {Phaser.GameObjects.Sprite} sprite - The sprite to move
+   * @param {number} x - The world x coordinate
+   * @param {number} z - The world z coordinate
+   * @returns {{x: number, y: number, scale: number, visible: boolean}} The projected position
+   */
+  placeSprite(sprite, x, z) {
+    const position = this.project(x, z);
+
+    sprite.setPosition(position.x, position.y);
+    sprite.setVisible(position.visible);
+
+    return position;
+  }
+
+  /**
+   * Creates the character sprite
+   */
+  createCharacter() {
+    const position = this.project(this.simulation.character.x, 0);
+
+    // Create the character sprite
+    this.character = this.scene.add.sprite(position.x, position.y, AssetManager.keys.character);
+
+    // Set the origin to the center
+    this.character.setOrigin(0.5);
+
+    // Match the character's size to its world size (the hitbox is set by the simulation)
+    this.character.setScale(position.scale);
+
+    // Set the character's depth to be above the road and yellow line
+    this.character.setDepth(10);
+
+    // The shield bubble follows the character while the shield is active
+    this.shieldBubble = this.scene.add.sprite(
+      position.x, position.y, AssetManager.keys.shieldBubble
+    );
+    this.shieldBubble.setDepth(11);
+    this.shieldBubble.setVisible(false);
+  }
+
+  /**
+   * Shows a ghost racing alongside the character
+   * The ghost uses the character texture, tinted and semi-transparent, and has no physics body
+   *
+   * @param {Ghost} ghost - The ghost to show
+   */
+  setGhost(ghost) {
+    this.ghost = ghost;
+
+    if (!this.ghostSprite) {
+      const position = this.project(ghost.x, 0);
+
+      this.ghostSprite = this.scene.add.sprite(position.x, position.y, AssetManager.keys.character);
+      this.ghostSprite.setOrigin(0.5);
+      this.ghostSprite.setScale(position.scale);
+      this.ghostSprite.setTint(0x66ccff); // Light blue tint
+      this.ghostSprite.setAlpha(this.tuning.ghostAlpha);
+
+      // Below the character so the live run always stays readable
+      this.ghostSprite.setDepth(9);
+
+      // The trail is drawn fresh every frame
+      this.ghostTrail = this.scene.add.graphics();
+      this.ghostTrail.setDepth(9);
+    }
+
+    this.syncGhost();
+  }
+
+  /**
+   * Shows or hides the ghost and its trail
+   *
+   * @param {boolean} visible - Whether the ghost should be visible
+   */
+  setGhostVisible(visible) {
+    this.ghostVisible = visible;
+    this.syncGhost();
+  }
+
+  /**
+   * Positions the ghost and redraws its trail
+   */
+  syncGhost() {
+    if (!this.ghost || !this.ghostSprite) return;
+
+    // The ghost disappears once its run is over
+    const visible = this.ghostVisible && !this.ghost.isFinished();
+    this.ghostSprite.setVisible(visible);
+    this.ghostTrail.clear();
+    if (!visible) return;
+
+    this.ghostSprite.x = this.project(this.ghost.x, 0).x;
+
+    // Older positions have moved down with the road
+    const spacing = this.tuning.roadSpeed * this.tuning.ghostTrailInterval /
+      this.tuning.simulationRate;
+
+    this.ghost.trail.forEach((x, index) => {
+      const position = this.project(x, -(index + 1) * spacing);
+      if (!position.visible) return;
+
+      const fade = 1 - index / this.ghost.trail.length;
+      this.ghostTrail.fillStyle(0x66ccff, this.tuning.ghostAlpha * fade);
+      this.ghostTrail.fillCircle(position.x, position.y, 4 * position.scale);
+    });
+  }
+
+  /**
+   * Adjust the amount of visual detail to the current frame rate
+   *
+   * @param {number} fps - The current frames per second
+   */
+  optimizeDetail(fps) {}
+
+  /**
+   * Creates, removes and animates sprites for a simulation event
+   *
+   * @param {Object} event - The simulation event
+   */
+  handleEvent(event) {
+    switch (event.type) {
+      case SIMULATION_EVENTS.OBSTACLE_SPAWNED:
+        this.createObstacle(event.obstacle);
+        break;
+
+      case SIMULATION_EVENTS.OBSTACLE_AVOIDED:
+        this.removeObstacle(event.obstacle);
+        break;
+
+      case SIMULATION_EVENTS.OBSTACLE_DAMAGED:
+        this.flashObstacle(event.obstacle);
+        if (event.spent) {
+          this.removeProjectile(event.projectile);
+        }
+        break;
+
+      case SIMULATION_EVENTS.OBSTACLE_DESTROYED: {
+        // Create an explosion animation
+        const position = this.project(event.obstacle.x, event.obstacle.z);
+        this.createExplosionAnimation(position.x, position.y);
+        if (event.spent) {
+          this.removeProjectile(event.projectile);
+        }
+        this.removeObstacle(event.obstacle);
+        break;
+      }
+
+      case SIMULATION_EVENTS.PROJECTILE_FIRED:
+        this.createProjectile(event.projectile);
+        break;
+
+      case SIMULATION_EVENTS.PROJECTILE_EXPIRED:
+        this.removeProjectile(event.projectile);
+        break;
+
+      case SIMULATION_EVENTS.ENEMY_TELEGRAPH:
+        this.telegraphEnemy(event.obstacle, event.duration);
+        break;
+
+      case SIMULATION_EVENTS.ENEMY_FIRED:
+        this.endTelegraph(event.obstacle);
+        this.createEnemyProjectile(event.enemyProjectile);
+        break;
+
+      case SIMULATION_EVENTS.BOSS_SPAWNED:
+        this.createBoss(event.boss);
+        break;
+
+      case SIMULATION_EVENTS.BOSS_TELEGRAPH:
+        if (this.bossSprite) {
+          this.pulseSprite(this.bossSprite, event.duration);
+        }
+        break;
+
+      case SIMULATION_EVENTS.BOSS_FIRED:
+        if (this.bossSprite) {
+          this.stopPulse(this.bossSprite);
+        }
+        event.enemyProjectiles
+          .forEach((enemyProjectile) => this.createEnemyProjectile(enemyProjectile));
+        break;
+
+      case SIMULATION_EVENTS.BOSS_DAMAGED: {
+        const position = this.project(event.weakPoint.x, event.weakPoint.z);
+        this.createCollisionAnimation(position.x, position.y);
+        this.flashBoss();
+        this.removeProjectile(event.projectile);
+        break;
+      }
+
+      case SIMULATION_EVENTS.BOSS_BLOCKED: {
+        // Projectiles glance off the armor
+        const position = this.project(event.projectile.x, event.projectile.z);
+        this.createPickupAnimation(position.x, position.y);
+        this.removeProjectile(event.projectile);
+        break;
+      }
+
+      case SIMULATION_EVENTS.BOSS_DEFEATED:
+        this.createBossExplosion(event.boss, event.duration);
+        break;
+
+      case SIMULATION_EVENTS.ENEMY_PROJECTILE_EXPIRED:
+        this.removeEnemyProjectile(event.enemyProjectile);
+        break;
+
+      case SIMULATION_EVENTS.ENEMY_PROJECTILE_CANCELLED: {
+        // The shot bursts where it was hit
+        const position = this.project(event.enemyProjectile.x, event.enemyProjectile.z);
+        this.createPickupAnimation(position.x, position.y);
+        this.removeEnemyProjectile(event.enemyProjectile);
+        if (event.spent) {
+          this.removeProjectile(event.projectile);
+        }
+        break;
+      }
+
+      case SIMULATION_EVENTS.SHIELD_BLOCKED: {
+        // The obstacle or enemy shot breaks on the shield
+        const source = event.obstacle || event.enemyProjectile;
+        const position = this.project(source.x, source.z);
+        this.createExplosionAnimation(position.x, position.y);
+        this.removeHitSource(event);
+        break;
+      }
+
+      case SIMULATION_EVENTS.POWER_UP_SPAWNED:
+        this.createPowerUp(event.powerUp);
+        break;
+
+      case SIMULATION_EVENTS.POWER_UP_COLLECTED: {
+        const position = this.project(event.powerUp.x, event.powerUp.z);
+        this.createPickupAnimation(position.x, position.y);
+        this.removePowerUp(event.powerUp);
+        break;
+      }
+
+      case SIMULATION_EVENTS.POWER_UP_MISSED:
+        this.removePowerUp(event.powerUp);
+        break;
+
+      case SIMULATION_EVENTS.NEAR_MISS:
+        this.createScorePopup(this.character.x, this.character.y, `Near miss +${event.score}`);
+        break;
+
+      case SIMULATION_EVENTS.PLAYER_HIT: {
+        this.flashCharacter();
+
+        // Create a collision animation
+        const source = event.obstacle || event.enemyProjectile;
+        const position = this.project(source.x, source.z);
+        this.createCollisionAnimation(position.x, position.y);
+        this.removeHitSource(event);
+        break;
+      }
+
+      case SIMULATION_EVENTS.GAME_OVER:
+        // Explode the character to make the end of the run obvious
+        this.createExplosionAnimation(this.character.x, this.character.y);
+        this.character.setVisible(false);
+        break;
+
+      case SIMULATION_EVENTS.STAGE_CLEARED:
+        // The simulation cleared the road for the stage clear summary
+        this.rebuild();
+        break;
+
+      case SIMULATION_EVENTS.STAGE_STARTED:
+        this.applyLevelPalette(event.level);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Remove the sprite of whatever hit the character or the shield
+   *
+   * @param {Object} event - A PLAYER_HIT or SHIELD_BLOCKED event, with an obstacle or an enemy shot
+   */
+  removeHitSource(event) {
+    if (event.obstacle) {
+      this.removeObstacle(event.obstacle);
+    } else {
+      this.removeEnemyProjectile(event.enemyProjectile);
+    }
+  }
+
+  /**
+   * Flash the character to indicate invulnerability
+   */
+  flashCharacter() {
+    this.scene.tweens.add({
+      targets: this.character,
+      alpha: 0.5,
+      duration: 100,
+      yoyo: true,
+      repeat: 5
+    });
+  }
+
+  /**
+   * Create an obstacle sprite for an obstacle spawned by the simulation
+   *
+   * @param {Object} obstacle - The simulation obstacle
+   * @returns {Phaser.GameObjects.Sprite} The created obstacle sprite
+   */
+  createObstacle(obstacle) {
+    const textures = AssetManager.keys.obstacles;
+
+    // Create the obstacle sprite with its type's texture
+    const sprite = this.scene.add.sprite(0, 0, textures[obstacle.type] || textures.standard);
+
+    // Place the obstacle at its world position, scaled to its hitbox
+    this.placeObstacle(sprite, obstacle);
+
+    // Set the obstacle's depth to be above the road but below the character
+    sprite.setDepth(5);
+
+    // Store the sprite by simulation id for easy access
+    this.obstacleSprites.set(obstacle.id, sprite);
+
+    // Return the created obstacle
+    return sprite;
+  }
+
+  /**
+   * Moves an obstacle sprite to its obstacle and scales it to the hitbox
+   *
+   * @param {Phaser.GameObjects.Sprite} sprite - The obstacle sprite
+   * @param {Object} obstacle - The simulation obstacle
+   */
+  placeObstacle(sprite, obstacle) {
+    const position = this.placeSprite(sprite, obstacle.x, obstacle.z);
+    sprite.setDisplaySize(obstacle.width * position.scale, obstacle.length * position.scale);
+  }
+
+  /**
+   * Flash an obstacle that was hit but not destroyed
+   *
+   * @param {Object} obstacle - The simulation obstacle
+   */
+  flashObstacle(obstacle) {
+    const sprite = this.obstacleSprites.get(obstacle.id);
+    if (!sprite) return;
+
+    sprite.setTintFill(0xffffff);
+    this.scene.time.delayedCall(80, () => {
+      // The obstacle may have been destroyed in the meantime
+      if (sprite.active) {
+        sprite.clearTint();
+      }
+    });
+  }
+
+  /**
+   * Remove an obstacle sprite from the game
+   *
+   * @param {Object} obstacle - The simulation obstacle
+   */
+  removeObstacle(obstacle) {
+    const sprite = this.obstacleSprites.get(obstacle.id);
+    if (!sprite) return;
+
+    // Remove from our map
+    this.obstacleSprites.delete(obstacle.id);
+
+    // Stop a telegraph that was still warning of a shot
+    if (sprite.telegraph) {
+      sprite.telegraph.stop();
+    }
+
+    // Destroy the obstacle sprite
+    sprite.destroy();
+  }
+
+  /**
+   * Warn that an enemy is about to fire by pulsing it red until the shot
+   *
+   * @param {Object} obstacle - The simulation obstacle about to fire
+   * @param {number} duration - Time until the shot in ms
+   */
+  telegraphEnemy(obstacle, duration) {
+    const sprite = this.obstacleSprites.get(obstacle.id);
+    if (sprite) {
+      this.pulseSprite(sprite, duration);
+    }
+  }
+
+  /**
+   * Return an enemy to its normal look once it has fired
+   *
+   * @param {Object} obstacle - The simulation obstacle that fired
+   */
+  endTelegraph(obstacle) {
+    const sprite = this.obstacleSprites.get(obstacle.id);
+    if (sprite) {
+      this.stopPulse(sprite);
+    }
+  }
+
+  /**
+   * Pulse a sprite red as a warning that lasts for a duration
+   *
+   * @param {Phaser.GameObjects.Sprite} sprite - The sprite to pulse
+   * @param {number} duration - The length of the warning in ms
+   */
+  pulseSprite(sprite, duration) {
+    sprite.setTint(0xff5252);
+    sprite.telegraph = this.scene.tweens.add({
+      targets: sprite,
+      alpha: 0.4,
+      duration: duration / 6,
+      yoyo: true,
+      repeat: 2
+    });
+  }
+
+  /**
+   * Stop a warning pulse and restore the sprite's look
+   *
+   * @param {Phaser.GameObjects.Sprite} sprite - The pulsing sprite
+   */
+  stopPulse(sprite) {
+    if (sprite.telegraph) {
+      sprite.telegraph.stop();
+      sprite.telegraph = null;
+    }
+    sprite.setAlpha(1);
+    sprite.clearTint();
+  }
+
+  /**
+   * Create the boss sprite and a sprite for each of its weak points
+   *
+   * @param {Object} boss - The simulation boss
+   */
+  createBoss(boss) {
+    const textures = AssetManager.keys.bosses;
+
+    this.bossSprite = this.scene.add.sprite(0, 0, textures[boss.type]);
+    this.bossSprite.setDepth(5);
+
+    this.weakPointSprites = boss.weakPoints.map(() => {
+      return this.scene.add.sprite(0, 0, AssetManager.keys.bossWeakPoint);
+    });
+
+    this.placeBoss(boss);
+  }
+
+  /**
+   * Moves the boss and its weak points to the boss and shows whether the weak points are open
+   * Open weak points glow red; closed ones are covered in grey
+   *
+   * @param {Object} boss - The simulation boss
+   */
+  placeBoss(boss) {
+    this.placeObstacle(this.bossSprite, boss);
+
+    const open = boss.weakPointsOpen;
+    boss.weakPoints.forEach((weakPoint, index) => {
+      const sprite = this.weakPointSprites[index];
+      this.placeObstacle(sprite, weakPoint);
+      sprite.setDepth(this.bossSprite.depth + 0.01);
+      sprite.setTint(open ? 0xff1744 : 0x616161);
+      sprite.setAlpha(open ? 1 : 0.7);
+      sprite.setVisible(sprite.visible && boss.state !== BOSS_STATES.EXPLODING);
+    });
+  }
+
+  /**
+   * Flash the boss when one of its weak points takes damage
+   */
+  flashBoss() {
+    const sprite = this.bossSprite;
+    if (!sprite) return;
+
+    sprite.setTintFill(0xffffff);
+    this.scene.time.delayedCall(80, () => {
+      if (sprite.active) {
+        sprite.clearTint();
+      }
+    });
+  }
+
+  /**
+   * Play the boss's explosion sequence: explosions spread over its body for
+   * the duration, ending in a big blast
+   *
+   * @param {Object} boss - The simulation boss
+   * @param {number} duration - The length of the sequence in ms
+   */
+  createBossExplosion(boss, duration) {
+    if (!this.bossSprite) return;
+
+    const sprite = this.bossSprite;
+    const random = this.cosmeticRandom;
+    const count = 8;
+
+    this.stopPulse(sprite);
+    this.scene.time.addEvent({
+      delay: duration / (count + 1),
+      repeat: count - 1,
+      callback: () => {
+        if (!sprite.active) return;
+
+        this.createExplosionAnimation(
+          sprite.x + random.floatBetween(-0.5, 0.5) * sprite.displayWidth,
+          sprite.y + random.floatBetween(-0.5, 0.5) * sprite.displayHeight
+        );
+      }
+    });
+
+    // The final blast shakes the screen as the boss breaks apart
+    this.scene.time.delayedCall(duration * count / (count + 1), () => {
+      if (!sprite.active) return;
+
+      this.createExplosionAnimation(sprite.x - sprite.displayWidth / 4, sprite.y);
+      this.createExplosionAnimation(sprite.x, sprite.y);
+      this.createExplosionAnimation(sprite.x + sprite.displayWidth / 4, sprite.y);
+      this.scene.cameras.main.shake(400, 0.01);
+      this.scene.tweens.add({ targets: sprite, alpha: 0, duration: duration / (count + 1) });
+    });
+  }
+
+  /**
+   * Remove the boss and its weak point sprites
+   */
+  removeBoss() {
+    if (!this.bossSprite) return;
+
+    this.stopPulse(this.bossSprite);
+    this.bossSprite.destroy();
+    this.weakPointSprites.forEach((sprite) => sprite.destroy());
+    this.bossSprite = null;
+    this.weakPointSprites = [];
+  }
+
+  /**
+   * Create an enemy shot sprite for a shot fired by an enemy
+   *
+   * @param {Object} enemyProjectile - The simulation enemy shot
+   * @returns {Phaser.GameObjects.Sprite} The created enemy shot sprite
+   */
+  createEnemyProjectile(enemyProjectile) {
+    const sprite = this.scene.add.sprite(0, 0, AssetManager.keys.enemyShot);
+
+    // Above the obstacles, below the player's projectiles
+    sprite.setDepth(6);
+
+    this.placeEnemyProjectile(sprite, enemyProjectile);
+    this.enemyProjectileSprites.set(enemyProjectile.id, sprite);
+
+    return sprite;
+  }
+
+  /**
+   * Moves an enemy shot sprite to its shot and scales it to the hitbox
+   *
+   * @param {Phaser.GameObjects.Sprite} sprite - The enemy shot sprite
+   * @param {Object} enemyProjectile - The simulation enemy shot
+   */
+  placeEnemyProjectile(sprite, enemyProjectile) {
+    const position = this.placeSprite(sprite, enemyProjectile.x, enemyProjectile.z);
+    sprite.setDisplaySize(
+      enemyProjectile.width * position.scale, enemyProjectile.length * position.scale
+    );
+  }
+
+  /**
+   * Remove an enemy shot sprite from the game
+   *
+   * @param {Object} enemyProjectile - The simulation enemy shot
+   */
+  removeEnemyProjectile(enemyProjectile) {
+    const sprite = this.enemyProjectileSprites.get(enemyProjectile.id);
+    if (!sprite) return;
+
+    this.enemyProjectileSprites.delete(enemyProjectile.id);
+    sprite.destroy();
+  }
+
+  /**
+   * Create a projectile sprite for a projectile fired by the simulation
+   * Its texture, tint, glow and trail come from the visual of its weapon
+   *
+   * @param {Object} projectile - The simulation projectile
+   * @returns {Phaser.GameObjects.Sprite} The created projectile sprite
+   */
+  createProjectile(projectile) {
+    const visual = WEAPON_TYPES[projectile.weapon].visual;
+    const texture = AssetManager.keys.projectiles[visual.texture];
+
+    // Create the projectile sprite
+    const sprite = this.scene.add.sprite(0, 0, texture);
+    sprite.setTint(visual.tint);
+    sprite.size = visual.size;
+
+    // Set the projectile's depth to be above the road but below the character
+    sprite.setDepth(8);
+
+    // Store the sprite by simulation id for easy access
+    this.projectileSprites.set(projectile.id, sprite);
+
+    // Add a particle emitter for the trail
+    const particles = this.scene.add.particles(0, 0, texture, {
+      speed: 50,
+      scale: { start: 0.5, end: 0 },
+      tint: visual.trail.tint,
+      blendMode: 'ADD',
+      lifespan: visual.trail.lifespan,
+      quantity: 1,
+      frequency: visual.trail.frequency
+    });
+
+    // Attach the particle emitter to the projectile
+    sprite.particles = particles;
+
+    // Add a glow effect
+    const glow = this.scene.add.sprite(0, 0, texture);
+    glow.setTint(visual.glowTint);
+    glow.setAlpha(0.5);
+    glow.setBlendMode(Phaser.BlendModes.ADD);
+    glow.setDepth(7);
+    sprite.glow = glow;
+
+    // Place the projectile and its effects at its world position
+    this.placeProjectile(sprite, projectile);
+
+    // Play a sound effect (if we had one)
+    // this.scene.sound.play('fire');
+
+    // Return the created projectile
+    return sprite;
+  }
+
+  /**
+   * Moves a projectile sprite and its effects to its projectile
+   * The projectile is scaled to its weapon's size at the projectile's distance
+   *
+   * @param {Phaser.GameObjects.Sprite} sprite - The projectile sprite
+   * @param {Object} projectile - The simulation projectile
+   */
+  placeProjectile(sprite, projectile) {
+    const position = this.placeSprite(sprite, projectile.x, projectile.z);
+    const projectileSize = sprite.size * position.scale;
+    sprite.setScale(projectileSize / sprite.width);
+
+    sprite.particles.setPosition(position.x, position.y);
+    sprite.particles.setVisible(position.visible);
+
+    sprite.glow.setPosition(position.x, position.y);
+    sprite.glow.setScale(projectileSize * 1.5 / sprite.glow.width);
+    sprite.glow.setVisible(position.visible);
+  }
+
+  /**
+   * Remove a projectile sprite from the game
+   *
+   * @param {Object} projectile - The simulation projectile
+   */
+  removeProjectile(projectile) {
+    const sprite = this.projectileSprites.get(projectile.id);
+    if (!sprite) return;
+
+    // Remove from our map
+    this.projectileSprites.delete(projectile.id);
+
+    // Destroy the particle emitter if it exists
+    if (sprite.particles) {
+      sprite.particles.destroy();
+    }
+
+    // Destroy the glow effect if it exists
+    if (sprite.glow) {
+      sprite.glow.destroy();
+    }
+
+    // Destroy the projectile sprite
+    sprite.destroy();
+  }
+
+  /**
+   * Create a power-up sprite for a power-up spawned by the simulation
+   *
+   * @param {Object} powerUp - The simulation power-up
+   * @returns {Phaser.GameObjects.Sprite} The created power-up sprite
+   */
+  createPowerUp(powerUp) {
+    const sprite = this.scene.add.sprite(0, 0, AssetManager.keys.powerUps[powerUp.type]);
+
+    // Place the power-up at its world position, scaled to its hitbox
+    this.placePowerUp(sprite, powerUp);
+
+    // On the road, below the obstacles
+    sprite.setDepth(4);
+
+    // Store the sprite by simulation id for easy access
+    this.powerUpSprites.set(powerUp.id, sprite);
+
+    return sprite;
+  }
+
+  /**
+   * Moves a power-up sprite to its power-up and scales it to the hitbox
+   *
+   * @param {Phaser.GameObjects.Sprite} sprite - The power-up sprite
+   * @param {Object} powerUp - The simulation power-up
+   */
+  placePowerUp(sprite, powerUp) {
+    const position = this.placeSprite(sprite, powerUp.x, powerUp.z);
+    sprite.setDisplaySize(powerUp.width * position.scale, powerUp.length * position.scale);
+  }
+
+  /**
+   * Remove a power-up sprite from the game
+   *
+   * @param {Object} powerUp - The simulation power-up
+   */
+  removePowerUp(powerUp) {
+    const sprite = this.powerUpSprites.get(powerUp.id);
+    if (!sprite) return;
+
+    this.powerUpSprites.delete(powerUp.id);
+    sprite.destroy();
+  }
+
+  /**
+   * Create a pickup animation at the specified position
+   *
+   * @param {number} x - The x position of the pickup
+   * @param {number} y - The y position of the pickup
+   */
+  createPickupAnimation(x, y) {
+    const particles = this.scene.add.particles(x, y, 'characterTexture', {
+      speed: 120,
+      scale: { start: 0.3, end: 0 },
+      blendMode: 'ADD',
+      lifespan: 400,
+      quantity: 12,
+      tint: [0xffffff, 0x66ccff]
+    });
+
+    // Stop the emitter after a short time
+    this.scene.time.delayedCall(400, () => {
+      particles.destroy();
+    });
+  }
+
+  /**
+   * Create an explosion animation at the specified position
+   *
+   * @param {number} x - The x position of the explosion
+   * @param {number} y - The y position of the explosion
+   */
+  createExplosionAnimation(x, y) {
+    // Create a particle emitter for the explosion effect
+    const particles = this.scene.add.particles(x, y, 'characterTexture', {
+      speed: 200,
+      scale: { start: 0.8, end: 0 },
+      blendMode: 'ADD',
+      lifespan: 800,
+      quantity: 20,
+      tint: [0xff0000, 0xff7700, 0xffff00]
+    });
+
+    // Stop the emitter after a short time
+    this.scene.time.delayedCall(800, () => {
+      particles.destroy();
+    });
+  }
+
+  /**
+   * Show a short-lived score text that floats up from the specified position
+   *
+   * @param {number} x - The x position of the text
+   * @param {number} y - The y position of the text
+   * @param {string} text - The text to show
+   */
+  createScorePopup(x, y, text) {
+    const popup = this.scene.add.text(x, y - 40, text, {
+      font: 'bold 16px Arial',
+      fill: '#ffdd44',
+      stroke: '#000000',
+      strokeThickness: 3
+    }).setOrigin(0.5);
+    popup.setDepth(20);
+
+    this.scene.tweens.add({
+      targets: popup,
+      y: y - 80,
+      alpha: 0,
+      duration: 700,
+      onComplete: () => {
+        popup.destroy();
+      }
+    });
+  }
+
+  /**
+   * Create a collision animation at the specified position
+   *
+   * @param {number} x - The x position of the collision
+   * @param {number} y - The y position of the collision
+   */
+  createCollisionAnimation(x, y) {
+    // Create a particle emitter for the collision effect
+    const particles = this.scene.add.particles(x, y, 'characterTexture', {
+      speed: 100,
+      scale: { start: 0.5, end: 0 },
+      blendMode: 'ADD',
+      lifespan: 500,
+      quantity: 10
+    });
+
+    // Stop the emitter after a short time
+    this.scene.time.delayedCall(500, () => {
+      particles.destroy();
+    });
+  }
+
+  /**
+   * Recreate all entity sprites from the current simulation state
+   * Used after the simulation jumps, for example when a replay is scrubbed
+   */
+  rebuild() {
+    Array.from(this.obstacleSprites.keys()).forEach((id) => this.removeObstacle({ id }));
+    Array.from(this.projectileSprites.keys()).forEach((id) => this.removeProjectile({ id }));
+    Array.from(this.enemyProjectileSprites.keys())
+      .forEach((id) => this.removeEnemyProjectile({ id }));
+    Array.from(this.powerUpSprites.keys()).forEach((id) => this.removePowerUp({ id }));
+
+    this.simulation.obstacles.forEach((obstacle) => this.createObstacle(obstacle));
+    this.simulation.projectiles.forEach((projectile) => this.createProjectile(projectile));
+    this.simulation.enemyProjectiles
+      .forEach((enemyProjectile) => this.createEnemyProjectile(enemyProjectile));
+    this.simulation.powerUps.forEach((powerUp) => this.createPowerUp(powerUp));
+
+    this.removeBoss();
+    if (this.simulation.boss) {
+      this.createBoss(this.simulation.boss);
+    }
+
+    this.character.setVisible(!this.simulation.run.isGameOver);
+    this.applyLevelPalette(this.simulation.level);
+  }
+
+  /**
+   * Positions the character, obstacle, projectile, enemy shot and power-up sprites from the
+   * simulation
+   */
+  sync() {
+    this.updateRoadShape();
+
+    this.character.x = this.project(this.simulation.character.x, 0).x;
+
+    // Ensure the character is fully visible once invulnerability ends
+    if (!this.simulation.run.isInvulnerable) {
+      this.character.alpha = 1;
+    }
+
+    this.simulation.obstacles.forEach((obstacle) => {
+      const sprite = this.obstacleSprites.get(obstacle.id);
+      if (sprite) {
+        this.placeObstacle(sprite, obstacle);
+      }
+    });
+
+    this.simulation.projectiles.forEach((projectile) => {
+      const sprite = this.projectileSprites.get(projectile.id);
+      if (sprite) {
+        this.placeProjectile(sprite, projectile);
+      }
+    });
+
+    this.simulation.enemyProjectiles.forEach((enemyProjectile) => {
+      const sprite = this.enemyProjectileSprites.get(enemyProjectile.id);
+      if (sprite) {
+        this.placeEnemyProjectile(sprite, enemyProjectile);
+      }
+    });
+
+    // The boss leaves the road once its explosion sequence is over
+    if (this.simulation.boss && this.bossSprite) {
+      this.placeBoss(this.simulation.boss);
+    } else if (this.bossSprite) {
+      this.removeBoss();
+    }
+
+    this.simulation.powerUps.forEach((powerUp) => {
+      const sprite = this.powerUpSprites.get(powerUp.id);
+      if (sprite) {
+        this.placePowerUp(sprite, powerUp);
+      }
+    });
+
+    // Show the shield around the character while it is active
+    const shielded = this.simulation.run.hasEffect('shield') && this.character.visible;
+    this.shieldBubble.setVisible(shielded);
+    if (shielded) {
+      const position = this.project(this.simulation.character.x, 0);
+      const { width, length } = this.simulation.character;
+      const size = Math.max(width, length) * 1.4;
+      this.shieldBubble.setPosition(this.character.x, this.character.y);
+      this.shieldBubble.setDisplaySize(size * position.scale, size * position.scale);
+    }
+
+    this.syncGhost();
+  }
+
+  /**
+   * Updates the moving road and scenery; implemented by each renderer
+   * These are purely visual, so they follow the real frame time
+   *
+   * @param {number} delta - The time since the last frame in ms
+   */
+  updateScenery(delta) {}
+
+  /**
+   * Removes everything the renderer drew, so another renderer can take over
+   */
+  destroy() {
+    Array.from(this.obstacleSprites.keys()).forEach((id) => this.removeObstacle({ id }));
+    Array.from(this.projectileSprites.keys()).forEach((id) => this.removeProjectile({ id }));
+    Array.from(this.enemyProjectileSprites.keys())
+      .forEach((id) => this.removeEnemyProjectile({ id }));
+    Array.from(this.powerUpSprites.keys()).forEach((id) => this.removePowerUp({ id }));
+    this.removeBoss();
+
+    this.character.destroy();
+    this.shieldBubble.destroy();
+
+    if (this.ghostSprite) {
+      this.ghostSprite.destroy();
+      this.ghostTrail.destroy();
+      this.ghostSprite = null;
+      this.ghostTrail = null;
+    }
+  }
+}
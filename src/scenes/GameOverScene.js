@@ -0,0 +1,187 @@
+/**
+ * Game Over Scene for Rail Game
+ * Displays the results of a finished run and lets the player retry or leave
+ *
+ * @file GameOverScene.js
+ * @author Rail Game Team
+ * @version 1.0.0
+ */
+
+import Phaser from 'phaser';
+import { downloadReplay } from '../utils/replay-file';
+import { SCORE_SOURCES } from '../models/run-state';
+import { ModalDialog, Label, Button, List, MenuInput, UI_THEME } from '../ui/widgets';
+
+/**
+ * Labels of the score sources in the breakdown, in the order they are listed
+ *
+ * @constant {Array<Array<string>>} SCORE_SOURCE_LABELS
+ */
+const SCORE_SOURCE_LABELS = [
+  [SCORE_SOURCES.KILLS, 'Kills'],
+  [SCORE_SOURCES.DODGES, 'Dodges'],
+  [SCORE_SOURCES.NEAR_MISSES, 'Near misses'],
+  [SCORE_SOURCES.SHOTS_DOWN, 'Shots down'],
+  [SCORE_SOURCES.COMBO, 'Combo bonus']
+];
+
+/**
+ * GameOverScene class
+ * Shown on top of the paused MainScene once the character's health reaches zero
+ *
+ * @class GameOverScene
+ * @extends Phaser.Scene
+ */
+export class GameOverScene extends Phaser.Scene {
+  /**
+   * Create a new GameOverScene instance
+   * Initializes the scene with the key 'GameOverScene'
+   */
+  constructor() {
+    super('GameOverScene');
+  }
+
+  /**
+   * Init method - automatically called by Phaser before create
+   * Stores the results of the run that just ended
+   *
+   * @method init
+   * @param {Object} data - The final run results
+   * @param {number} data.score - The final score
+   * @param {number} data.distance - The distance travelled in meters
+   * @param {number} data.kills - The number of obstacles destroyed
+   * @param {Object<string, number>} data.scoreSources - The score earned from each of SCORE_SOURCES
+   * @param {number} data.stage - The stage the run ended on
+   * @param {number} data.seed - The seed the run was played with
+   * @param {string} data.difficulty - The name of the difficulty the run was played on
+   * @param {Object} data.replay - The recorded replay of the run
+   * @param {number} data.highScoreRank - The run's rank in the high-score table, or -1 if it did
+   *   not make it
+   */
+  init(data) {
+    this.results = {
+      score: data.score || 0,
+      distance: data.distance || 0,
+      kills: data.kills || 0,
+      scoreSources: data.scoreSources || {},
+      stage: data.stage || 1,
+      seed: data.seed,
+      difficulty: data.difficulty,
+      replay: data.replay || null,
+      highScoreRank: Number.isInteger(data.highScoreRank) ? data.highScoreRank : -1
+    };
+  }
+
+  /**
+   * Create method - automatically called by Phaser after init
+   * Builds the results panel with the score breakdown, and the Retry and Main Menu buttons
+   *
+   * @method create
+   */
+  create() {
+    // Create the results dialog over the final frame of the run
+    const dialog = new ModalDialog(this, {
+      width: 340,
+      height: 500,
+      title: 'Game Over',
+      titleColor: '#ff4444',
+      titleSize: 36
+    });
+
+    // Create the run summary
+    dialog.addWidget(new Label(this, 0, -125, [
+      `Score: ${this.results.score}`,
+      `Distance: ${this.results.distance} m`,
+      `Kills: ${this.results.kills}`,
+      `Stage: ${this.results.stage}`
+    ], { size: 22, lineSpacing: 8 }));
+
+    // Break the score down by where it came from
+    dialog.addWidget(new Label(this, 0, -52, 'Score breakdown', {
+      size: 14,
+      color: UI_THEME.mutedColor
+    }));
+    dialog.addWidget(new Label(this, 0, 10, SCORE_SOURCE_LABELS.map(([source, label]) => {
+      return `${label}: ${this.results.scoreSources[source] || 0}`;
+    }), { size: 16, lineSpacing: 2 }));
+
+    // Show the seed so a bug report can reproduce the exact run (?seed=...)
+    const seedText = `Seed: ${this.results.seed} (${this.results.difficulty})`;
+    dialog.addWidget(new Label(this, 0, 85, seedText, {
+      size: 14,
+      color: UI_THEME.mutedColor
+    }));
+
+    // Open the high-score table, pointing out the run if it made it
+    const rank = this.results.highScoreRank;
+    const highScoresText = rank >= 0 ? `New high score! #${rank + 1}` : 'High Scores';
+    dialog.addWidget(new Button(this, 0, 115, highScoresText, () => {
+      this.openHighScores();
+    }, { color: rank >= 0 ? UI_THEME.highlightColor : UI_THEME.textColor }));
+
+    // Create the Retry and Main Menu buttons
+    const runButtons = new List(this, -80, 160, { spacing: 160, horizontal: true });
+    const retryButton = runButtons.addButton('Retry', () => this.retry());
+    runButtons.addButton('Main Menu', () => this.returnToMainMenu());
+    dialog.addWidget(runButtons);
+
+    // Create the Watch Replay and Save Replay buttons (saving downloads the replay for bug reports)
+    const replayButtons = new List(this, -80, 210, { spacing: 160, horizontal: true });
+    replayButtons.addButton('Watch Replay', () => this.watchReplay());
+    replayButtons.addButton('Save Replay', () => this.saveReplay());
+    dialog.addWidget(replayButtons);
+
+    // Replays are only available for recorded runs
+    replayButtons.setVisible(this.results.replay !== null);
+
+    // Retry is focused, so Enter or A on a gamepad retries straight away
+    dialog.focusGroup.focus(retryButton);
+    new MenuInput(this, () => dialog.focusGroup);
+  }
+
+  /**
+   * Restarts MainScene with a fresh run, without reloading the page
+   */
+  retry() {
+    // Starting MainScene stops this scene and restarts the paused MainScene
+    this.scene.start('MainScene');
+  }
+
+  /**
+   * Plays back the run that just ended
+   */
+  watchReplay() {
+    // The replay draws its own world, so the finished run is no longer needed
+    this.scene.stop('MainScene');
+    this.scene.start('ReplayScene', {
+      replay: this.results.replay,
+      results: this.results
+    });
+  }
+
+  /**
+   * Shows the high-score table over the results, highlighting the run
+   */
+  openHighScores() {
+    this.scene.pause();
+    this.scene.launch('HighScoresScene', {
+      returnTo: this.scene.key,
+      highlight: this.results.highScoreRank
+    });
+  }
+
+  /**
+   * Downloads the replay of the run as a JSON file
+   */
+  saveReplay() {
+    downloadReplay(this.results.replay);
+  }
+
+  /**
+   * Leaves the run and returns to the main menu
+   */
+  returnToMainMenu() {
+    this.scene.stop('MainScene');
+    this.scene.start('MenuScene');
+  }
+}
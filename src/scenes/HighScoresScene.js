@@ -0,0 +1,132 @@
+/**
+ * High Scores Scene for Rail Game
+ * Lists the best runs kept in localStorage
+ *
+ * @file HighScoresScene.js
+ * @author Rail Game Team
+ * @version 1.0.0
+ */
+
+import Phaser from 'phaser';
+import { DIFFICULTIES, loadDifficulty } from '../config/difficulty';
+import { loadHighScores, MAX_HIGH_SCORES } from '../utils/high-scores';
+import { ModalDialog, Label, MenuInput, UI_THEME } from '../ui/widgets';
+
+/**
+ * HighScoresScene class
+ * Shown on top of the scene it was opened from, which is paused until it closes
+ *
+ * @class HighScoresScene
+ * @extends Phaser.Scene
+ */
+export class HighScoresScene extends Phaser.Scene {
+  /**
+   * Create a new HighScoresScene instance
+   * Initializes the scene with the key 'HighScoresScene'
+   */
+  constructor() {
+    super('HighScoresScene');
+
+    // Height of a row of the table
+    this.rowHeight = 26;
+  }
+
+  /**
+   * Init method - automatically called by Phaser before create
+   *
+   * @method init
+   * @param {Object} data - Where the scene was opened from
+   * @param {string} data.returnTo - The key of the paused scene to resume on close
+   * @param {number} data.highlight - The rank of a row to highlight, if any
+   */
+  init(data = {}) {
+    this.returnTo = data.returnTo || null;
+    this.highlight = Number.isInteger(data.highlight) ? data.highlight : -1;
+  }
+
+  /**
+   * Create method - automatically called by Phaser after init
+   * Builds the table of high scores and the Back button
+   *
+   * @method create
+   */
+  create() {
+    const entries = loadHighScores().entries;
+
+    // Create the table dialog over the scene below
+    const dialog = new ModalDialog(this, {
+      width: 380,
+      height: 160 + MAX_HIGH_SCORES * this.rowHeight,
+      title: 'High Scores',
+      buttons: [['Back', () => this.close()]],
+      onCancel: () => this.close()
+    });
+
+    // Create the rows, best run first
+    const firstRow = dialog.top + 85;
+    if (entries.length === 0) {
+      dialog.addWidget(new Label(this, 0, firstRow + this.rowHeight, 'No runs yet', {
+        color: UI_THEME.mutedColor
+      }));
+    }
+
+    entries.forEach((entry, rank) => {
+      const y = firstRow + rank * this.rowHeight;
+      this.createRow(entry, rank, y).forEach((label) => dialog.addWidget(label));
+    });
+
+    // Allow closing from the keyboard or a gamepad
+    dialog.focusGroup.focusFirst();
+    new MenuInput(this, () => dialog.focusGroup);
+  }
+
+  /**
+   * Creates the labels of a table row
+   *
+   * @param {Object} entry - The high score
+   * @param {number} rank - The rank of the entry (0 is the best)
+   * @param {number} y - The y position relative to the table dialog
+   * @returns {Array<Label>} The labels of the row
+   */
+  createRow(entry, rank, y) {
+    const style = {
+      size: 16,
+      color: rank === this.highlight ? UI_THEME.highlightColor : UI_THEME.textColor
+    };
+    const date = entry.date ? new Date(entry.date).toLocaleDateString() : '';
+    const cell = (x, text, originX = 0) => {
+      return new Label(this, x, y, text, Object.assign({ originX }, style));
+    };
+
+    return [
+      cell(-170, `${rank + 1}.`),
+      cell(-140, `${entry.score}`),
+      cell(-60, `${entry.distance} m`),
+      cell(20, this.getDifficultyLabel(entry.difficulty)),
+      cell(170, date, 1)
+    ];
+  }
+
+  /**
+   * Gets the name shown for a difficulty preset
+   *
+   * @param {string|null} difficulty - The preset name
+   * @returns {string} The preset's label, or the stored name if the preset no longer exists
+   */
+  getDifficultyLabel(difficulty) {
+    return DIFFICULTIES.includes(difficulty)
+      ? loadDifficulty(difficulty).label
+      : (difficulty || '');
+  }
+
+  /**
+   * Closes the table and resumes the scene it was opened from
+   */
+  close() {
+    if (this.returnTo) {
+      this.scene.resume(this.returnTo);
+    }
+
+    this.scene.stop();
+  }
+}
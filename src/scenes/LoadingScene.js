@@ -74,7 +74,7 @@ export class LoadingScene extends Phaser.Scene {
     AssetManager.createAssets(this);
 
     // Register event handler for the 'complete' event
-    // This cleans up the loading UI and transitions to the main scene after a short delay
+    // This cleans up the loading UI and transitions to the main menu after a short delay
     this.load.on('complete', () => {
       // Remove the progress bar graphics
       progressBar.destroy();
@@ -84,7 +84,7 @@ export class LoadingScene extends Phaser.Scene {
       // Add a small delay to show the loading screen even if assets load quickly
       // This ensures players can see the loading screen even with fast connections
       setTimeout(() => {
-        this.scene.start('MainScene');
+        this.scene.start('MenuScene');
       }, 500); // 500ms delay
     });
   }
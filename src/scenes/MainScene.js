@@ -10,7 +10,24 @@
 import Phaser from 'phaser';
 import { AssetManager } from '../assets/asset-manager';
 import { PerformanceMonitor } from '../utils/performance-monitor';
-import { ObjectPool } from '../utils/object-pool';
+import { loadTuning } from '../config/tuning';
+import { loadDifficulty, DIFFICULTIES } from '../config/difficulty';
+import { loadLevels } from '../config/levels';
+import { Simulation, SIMULATION_EVENTS } from '../simulation/simulation';
+import { CONTROL_MODES } from '../simulation/lanes';
+import { POWER_UP_TYPES } from '../simulation/power-ups';
+import { WEAPON_TYPES } from '../simulation/weapons';
+import { BOSS_TYPES } from '../simulation/bosses';
+import { createSeed, parseSeed } from '../simulation/random';
+import { ReplayRecorder } from '../simulation/replay';
+import { Ghost } from '../simulation/ghost';
+import { createWorldRenderer, RENDER_MODES } from '../rendering/renderers';
+import { loadPersonalBest, savePersonalBest, isNewPersonalBest } from '../utils/personal-best';
+import { recordHighScore } from '../utils/high-scores';
+import { createRunSave, storeRunSave, clearRunSave } from '../utils/run-save';
+import { loadSettings } from '../config/settings';
+import { ModalDialog, Label, List, MenuInput, UI_THEME } from '../ui/widgets';
+import { GamepadControls } from '../utils/gamepad-controls';
 
 /**
  * MainScene class
@@ -27,38 +44,164 @@ export class MainScene extends Phaser.Scene {
   constructor() {
     super('MainScene');
 
-    // Game configuration
-    this.config = {
-      roadSpeed: 1,           // Speed of the road scrolling (reduced by 50%)
-      characterSpeed: 2.5,    // Speed of character movement (reduced by 50%)
-      roadWidth: 0.8,         // Width of the road as a percentage of the game width
-      depthElementsCount: 5,  // Number of depth elements to create
-      depthElementSpeed: 1.5, // Speed of depth elements (reduced by 50%)
-      buttonScale: 1.1,       // Scale factor for button hover effect
-      buttonScaleSpeed: 200,  // Speed of button scale animation in ms
-      showFPS: true,          // Whether to show the FPS counter
-      maxDepthElements: 10,   // Maximum number of depth elements to create
-      cullingThreshold: 100,  // Distance in pixels beyond which objects are culled
-      controlAreaHeight: 0.25, // Height of the control area as a percentage of the game height
-      touchSensitivity: 1.0,  // Touch sensitivity adjustment factor
-      uiScale: 1.0,           // UI scaling factor for high-resolution screens
-      topBarHeight: 60,       // Height of the top bar in pixels
-      health: 100,            // Initial health value
-      maxHealth: 100,         // Maximum health value
-      score: 0,               // Initial score value
-      progress: 0,            // Initial progress value (0-100)
-      yellowLineSpeed: -1.5,  // Speed of the yellow line scrolling (negative for opposite direction, reduced by 50%)
-      obstacleSpeed: 2,       // Speed of obstacles moving down the road (reduced by 50%)
-      collisionDamage: 10,    // Amount of health lost on collision with an obstacle
-      projectileSpeed: 7.5,   // Speed of projectiles (3x character speed)
-      fireRate: 500,          // Minimum time between shots in milliseconds
-      sparkleSize: 15         // Size of the sparkle projectile
-    };
+    // Read-only gameplay tuning, loaded from src/config/tuning.json
+    this.config = loadTuning();
+
+    // Read-only level definitions, loaded from src/config/levels/
+    this.levels = loadLevels();
+
+    // The player's display, control and audio preferences (see src/config/settings.js)
+    // index.js replaces some defaults with values suited to the device
+    this.settings = loadSettings();
+
+    // Headless gameplay simulation; this scene only renders its state
+    this.simulation = new Simulation(this.config);
+
+    // Values for the current run (health, score, progress, timers)
+    this.run = this.simulation.run;
+
+    // Transient input and UI state, recreated in init()
+    this.state = null;
+
+    // Records the input of the current run for replays, recreated in init()
+    this.recorder = null;
+
+    // Replay of the best run so far and the ghost replaying it, recreated in init()
+    this.personalBest = null;
+    this.ghost = null;
+
+    // Draws the simulation world (Phaser's own renderer is this.renderer)
+    this.worldRenderer = null;
+
+    // Performance monitoring
+    this.performanceMonitor = null;
+
+    // The message shown by showNotice(), while it is on screen
+    this.notice = null;
+  }
+
+  /**
+   * Init method - automatically called by Phaser before create
+   * Resets all per-run values, including when the scene is restarted
+   * A saved run left in the registry under 'runToResume' is continued instead of starting a new one
+   *
+   * @method init
+   * @param {Object} data - Optional start data
+   * @param {number} data.seed - The seed for the run (defaults to the URL or a random seed)
+   * @param {string} data.difficulty - The difficulty preset (defaults to the URL or the settings)
+   */
+  init(data = {}) {
+    // The save is taken out of the registry so a retry starts a new run
+    const save = this.registry.get('runToResume') || null;
+    this.registry.remove('runToResume');
+    this.isResumedRun = save !== null;
+
+    if (save) {
+      this.difficulty = loadDifficulty(save.difficulty);
+      this.simulation.reset(
+        save.simulation.seed, this.difficulty, this.levels, save.simulation.controlMode
+      );
+      this.simulation.restore(save.simulation);
+      console.log(`Continuing ${this.difficulty.name} run with seed ${this.simulation.seed}`);
+    } else {
+      this.difficulty = loadDifficulty(this.chooseDifficulty(data.difficulty));
+      this.simulation.reset(
+        this.chooseSeed(data.seed), this.difficulty, this.levels, this.settings.controlMode
+      );
+      console.log(`Starting ${this.difficulty.name} run with seed ${this.simulation.seed}`);
+
+      // A new run replaces any saved run
+      clearRunSave();
+    }
+
+    this.recorder = new ReplayRecorder(
+      this.simulation.seed,
+      this.config,
+      this.difficulty,
+      this.levels,
+      this.simulation.controlMode
+    );
+    if (save) {
+      this.recorder.resume(save.replay);
+    }
+    this.state = this.createInitialState();
+
+    // Race against the best run on this difficulty, unless it was recorded with different tuning
+    this.personalBest = loadPersonalBest(this.difficulty.name);
+    const canRaceBest = this.personalBest &&
+      this.personalBest.tuningHash === this.recorder.tuningHash;
+    this.ghost = canRaceBest
+      ? new Ghost(this.config, this.personalBest, this.difficulty, this.levels)
+      : null;
+
+    // A continued run's ghost catches up to where the run was saved
+    while (this.ghost && this.ghost.simulation.tick < this.simulation.tick &&
+           !this.ghost.isFinished()) {
+      this.ghost.step();
+    }
+  }
+
+  /**
+   * Chooses the seed for a new run
+   * A seed passed to the scene wins, then a ?seed= URL parameter, then a random seed
+   *
+   * @param {number} requestedSeed - The seed passed to the scene, if any
+   * @returns {number} The seed for the run
+   */
+  chooseSeed(requestedSeed) {
+    const seed = parseSeed(requestedSeed);
+    if (seed !== null) return seed;
+
+    const urlSeed = parseSeed(new URLSearchParams(window.location.search).get('seed'));
+    if (urlSeed !== null) return urlSeed;
 
-    // Game state
-    this.state = {
+    return createSeed();
+  }
+
+  /**
+   * Chooses the difficulty preset for a new run
+   * A preset passed to the scene wins, then a ?difficulty= URL parameter, then the settings
+   *
+   * @param {string} requestedDifficulty - The preset passed to the scene, if any
+   * @returns {string} The preset name for the run
+   */
+  chooseDifficulty(requestedDifficulty) {
+    if (DIFFICULTIES.includes(requestedDifficulty)) return requestedDifficulty;
+
+    const urlDifficulty = new URLSearchParams(window.location.search).get('difficulty');
+    if (DIFFICULTIES.includes(urlDifficulty)) return urlDifficulty;
+
+    return this.settings.difficulty;
+  }
+
+  /**
+   * Whether the current run snaps the character between lanes
+   *
+   * @returns {boolean} True in lane mode
+   */
+  isLaneMode() {
+    return this.simulation.controlMode === CONTROL_MODES.LANES;
+  }
+
+  /**
+   * Requests a move to the neighbouring lane on the next step (lane mode)
+   *
+   * @param {number} direction - -1 for the lane on the left, 1 for the lane on the right
+   */
+  requestLaneChange(direction) {
+    this.state.laneRequest = direction;
+  }
+
+  /**
+   * Creates the transient input and UI state
+   *
+   * @returns {Object} A fresh game state
+   */
+  createInitialState() {
+    return {
       isMovingLeft: false,
       isMovingRight: false,
+      steerStrength: 1,       // How hard the character steers, below 1 only for a gamepad stick
       isPaused: false,
       menuOpen: false,
       confirmDialogOpen: false,
@@ -70,23 +213,14 @@ export class MainScene extends Phaser.Scene {
       clickHoldX: 0,          // X position of click-hold gesture
       isHighResolution: false, // Whether the device has a high-resolution screen
       deviceModel: 'unknown', // The detected device model
-      obstacleSpawnTimer: 0,  // Timer for spawning obstacles
-      obstacleSpawnInterval: 2000, // Time between obstacle spawns in ms
-      isInvulnerable: false,  // Whether the character is currently invulnerable after a collision
-      invulnerabilityTimer: 0, // Timer for invulnerability period
-      lastFireTime: 0,        // Time of last projectile fired
-      isFiring: false         // Whether the player is currently firing
+      isFiring: false,        // Whether the player is currently firing
+      fireRequested: false,   // Whether a projectile should be fired on the next step
+      menuRequested: false,   // Whether the menu was opened since the last step, for replays
+      switchWeaponRequested: false, // Whether the next weapon should be selected on the next step
+      laneRequest: 0,         // Lane change for the next step in lane mode (-1 left, 1 right)
+      swipeHandled: false,    // Whether the current swipe already changed lanes
+      stepAccumulator: 0      // Frame time not yet consumed by fixed simulation steps
     };
-
-    // Game objects
-    this.obstacles = [];     // Array to store active obstacles
-    this.projectiles = [];   // Array to store active projectiles
-
-    // Performance monitoring
-    this.performanceMonitor = null;
-
-    // Object pooling
-    this.depthElementPool = null;
   }
 
   /**
@@ -109,43 +243,64 @@ export class MainScene extends Phaser.Scene {
 
     // Initialize performance monitor
     this.performanceMonitor = new PerformanceMonitor(this, {
-      showFPS: this.config.showFPS,
+      showFPS: this.settings.showFPS,
       updateInterval: 1000
     });
 
-    // Create the road background as a tile sprite
-    this.createRoadBackground();
-
-    // Create the character sprite
-    this.createCharacter();
-
-    // Initialize object pool for depth elements
-    this.initializeObjectPool();
+    // Create the road, character and depth elements
+    this.worldRenderer = createWorldRenderer(
+      this.settings.renderMode, this, this.simulation, this.config
+    );
+    this.worldRenderer.create();
+    this.gameAreaHeight = this.worldRenderer.gameAreaHeight;
 
-    // Create depth elements for forward motion illusion
-    this.createDepthElements();
+    // Show the personal-best ghost next to the character
+    if (this.ghost) {
+      this.worldRenderer.setGhost(this.ghost);
+      this.worldRenderer.setGhostVisible(this.settings.showGhost);
+    }
 
     // Create the top bar UI
     this.createTopBar();
 
+    // Create the boss health bar, shown during boss fights
+    this.createBossBar();
+
     // Set up input handlers
     this.setupInputHandlers();
 
+    // Let the arrows, Enter and a gamepad's D-pad and A/B buttons use the menus
+    // (ESC is handled in handleMenuKey, since it also opens the menu)
+    new MenuInput(this, () => this.getOpenFocusGroup(), { escape: false });
+
+    // Read gamepads for steering, firing and the menu; pads can come and go during the run
+    this.gamepadControls = new GamepadControls({
+      deadzone: this.settings.gamepadDeadzone,
+      onConnect: () => this.showNotice('Gamepad connected'),
+      onDisconnect: () => this.handleGamepadDisconnect()
+    });
+
     // Add menu button (vertical ellipsis) in the top bar
     this.createMenuButton();
 
-    // Initialize physics for collision detection
-    this.initializePhysics();
+    // Add keyboard shortcut for toggling FPS display (F key)
+    this.input.keyboard.on('keydown-F', () => {
+      this.settings.showFPS = !this.settings.showFPS;
+    });
 
-    // Create obstacle group
-    this.createObstacleGroup();
+    // Add keyboard shortcut for toggling the ghost (G key)
+    this.input.keyboard.on('keydown-G', () => {
+      this.toggleGhost();
+    });
 
-    // Create projectile group
-    this.createProjectileGroup();
+    // Add keyboard shortcut for switching between the top-down and behind views (V key)
+    this.input.keyboard.on('keydown-V', () => {
+      this.toggleRenderMode();
+    });
 
-    // Add keyboard shortcut for toggling FPS display (F key)
-    this.input.keyboard.on('keydown-F', () => {
-      this.performanceMonitor.toggleFPSDisplay();
+    // Add keyboard shortcut for switching to the next weapon (Q key)
+    this.input.keyboard.on('keydown-Q', () => {
+      this.switchWeapon();
     });
 
     // Add keyboard shortcut for optimizing performance (O key)
@@ -153,6 +308,30 @@ export class MainScene extends Phaser.Scene {
       this.optimizePerformance();
     });
 
+    // Apply the volume now and every setting as soon as it changes, without restarting
+    this.sound.volume = this.settings.volume;
+    const stopApplyingSettings = this.settings.onChange((key, value) => {
+      this.applySetting(key, value);
+    });
+
+    // Save the run whenever the page is hidden, since the browser may kill a background tab
+    this.saveOnHide = () => {
+      if (document.hidden) {
+        this.saveRun();
+      }
+    };
+    document.addEventListener('visibilitychange', this.saveOnHide);
+    this.events.once('shutdown', () => {
+      document.removeEventListener('visibilitychange', this.saveOnHide);
+      stopApplyingSettings();
+    });
+
+    // A continued run shows what was on the road and starts paused in the menu
+    if (this.isResumedRun) {
+      this.worldRenderer.rebuild();
+      this.openMenu();
+    }
+
     // Set up periodic performance optimization
     this.time.addEvent({
       delay: 10000, // Check every 10 seconds
@@ -162,157 +341,15 @@ export class MainScene extends Phaser.Scene {
     });
   }
 
-  /**
-   * Creates the road background as a tile sprite
-   */
-  createRoadBackground() {
-    // Calculate the available game area (excluding top bar)
-    const gameAreaHeight = this.gameHeight - this.config.topBarHeight;
-    const gameAreaY = this.config.topBarHeight + (gameAreaHeight / 2);
-
-    // Create a tile sprite using the road texture
-    this.road = this.add.tileSprite(
-      this.gameWidth / 2,           // x position (center)
-      gameAreaY,                    // y position (center of game area)
-      this.gameWidth,               // width
-      gameAreaHeight * 1.2,         // height (slightly taller than the game area)
-      AssetManager.keys.road        // texture key
-    );
-
-    // Set the origin to the center
-    this.road.setOrigin(0.5);
-
-    // Create the yellow line as a separate tile sprite
-    this.yellowLine = this.add.tileSprite(
-      this.gameWidth / 2,           // x position (center)
-      gameAreaY,                    // y position (center of game area)
-      this.gameWidth,               // width
-      gameAreaHeight * 1.2,         // height (same as road)
-      AssetManager.keys.yellowLine  // texture key
-    );
-
-    // Set the origin to the center
-    this.yellowLine.setOrigin(0.5);
-
-    // Set the yellow line depth to be above the road but below other elements
-    this.yellowLine.setDepth(1);
-    this.road.setDepth(0);
-
-    // Calculate road boundaries for character movement
-    const roadWidthPixels = this.gameWidth * this.config.roadWidth;
-    this.leftBoundary = (this.gameWidth - roadWidthPixels) / 2 + 30; // Add padding
-    this.rightBoundary = this.gameWidth - this.leftBoundary - 30;    // Add padding
-
-    // Store the game area dimensions for reference
-    this.gameAreaHeight = gameAreaHeight;
-    this.gameAreaY = gameAreaY;
-  }
-
-  /**
-   * Creates the character sprite
-   */
-  createCharacter() {
-    // Calculate the character's vertical position (accounting for top bar)
-    const characterY = this.config.topBarHeight + (this.gameAreaHeight * 0.8);
-
-    // Create the character sprite
-    this.character = this.physics.add.sprite(
-      this.gameWidth / 2,                 // x position (center)
-      characterY,                         // y position (near bottom of game area)
-      AssetManager.keys.character         // texture key
-    );
-
-    // Set the origin to the center
-    this.character.setOrigin(0.5);
-
-    // Apply scaling for high-resolution screens if needed
-    if (this.state.isHighResolution) {
-      this.character.setScale(this.config.uiScale);
-    }
-
-    // Set the character's depth to be above the road and yellow line
-    this.character.setDepth(10);
-
-    // Set up a smaller physics body for more accurate collisions
-    this.character.body.setSize(this.character.width * 0.7, this.character.height * 0.7);
-    this.character.body.setOffset(this.character.width * 0.15, this.character.height * 0.15);
-  }
-
-  /**
-   * Initialize the object pool for depth elements
-   */
-  initializeObjectPool() {
-    // Create a texture for depth elements if it doesn't exist
-    if (!this.textures.exists('depthElement')) {
-      const graphics = this.add.graphics();
-      graphics.fillStyle(0xFFFFFF, 0.7); // White with some transparency
-      graphics.fillCircle(0, 0, 10); // Size 10 circle
-      graphics.generateTexture('depthElement', 20, 20);
-      graphics.destroy();
-    }
-
-    // Create factory function for depth elements
-    const factory = () => {
-      const sprite = this.add.sprite(0, 0, 'depthElement');
-      sprite.visible = false; // Start invisible
-      return {
-        sprite: sprite,
-        speed: 0,
-        scale: 1,
-        active: false
-      };
-    };
-
-    // Create reset function for depth elements
-    const reset = (element) => {
-      element.sprite.visible = false;
-      element.sprite.x = 0;
-      element.sprite.y = 0;
-      element.sprite.setScale(1);
-      element.speed = 0;
-      element.scale = 1;
-      element.active = false;
-    };
-
-    // Initialize the object pool
-    this.depthElementPool = new ObjectPool(factory, reset, this.config.maxDepthElements);
-  }
-
-  /**
-   * Creates depth elements for forward motion illusion
-   */
-  createDepthElements() {
-    // Create a group for depth elements
-    this.depthElements = [];
-
-    // Create multiple depth elements
-    for (let i = 0; i < this.config.depthElementsCount; i++) {
-      // Get an element from the pool
-      const element = this.depthElementPool.get();
-
-      // Configure the element
-      element.sprite.x = Phaser.Math.Between(this.leftBoundary, this.rightBoundary);
-      element.sprite.y = Phaser.Math.Between(-100, this.gameHeight);
-      element.speed = Phaser.Math.FloatBetween(1, 3) * this.config.depthElementSpeed;
-      element.scale = Phaser.Math.FloatBetween(0.5, 1.5);
-      element.sprite.setScale(element.scale);
-      element.sprite.visible = true;
-      element.active = true;
-
-      // Add to the active elements array
-      this.depthElements.push(element);
-    }
-  }
-
   /**
    * Sets up input handlers for character movement
    * Implements touch controls in the bottom quarter of the screen
-   * Supports click-hold and drag gestures
+   * Supports click-hold and drag gestures, or swipes in lane mode
    * Also supports keyboard arrow keys
    */
   setupInputHandlers() {
     // Calculate the control area dimensions (bottom quarter of the game area, not including top bar)
-    const controlAreaHeight = this.gameAreaHeight * this.config.controlAreaHeight;
+    const controlAreaHeight = this.gameAreaHeight * this.settings.controlAreaHeight;
     const controlAreaY = this.gameHeight - (controlAreaHeight / 2);
 
     // Create a debug rectangle to visualize the control area (can be removed in production)
@@ -347,13 +384,16 @@ export class MainScene extends Phaser.Scene {
       // Store the initial position for drag detection
       this.state.dragStartX = pointer.x;
       this.state.dragX = pointer.x;
+      this.state.swipeHandled = false;
 
       // Determine if we're clicking to the left or right of the character
-      if (pointer.x < this.character.x) {
+      // (in lane mode only swipes change lanes)
+      const steerByClick = !this.isLaneMode();
+      if (steerByClick && pointer.x < this.worldRenderer.character.x) {
         this.state.isMovingLeft = true;
         this.state.isMovingRight = false;
         this.state.clickHoldX = pointer.x;
-      } else if (pointer.x > this.character.x) {
+      } else if (steerByClick && pointer.x > this.worldRenderer.character.x) {
         this.state.isMovingRight = true;
         this.state.isMovingLeft = false;
         this.state.clickHoldX = pointer.x;
@@ -369,8 +409,19 @@ export class MainScene extends Phaser.Scene {
         // Calculate the drag distance
         const dragDistance = pointer.x - this.state.dragStartX;
 
+        // In lane mode a swipe moves one lane, once per swipe
+        if (this.isLaneMode()) {
+          const swipeDistance = this.config.laneSwipeDistance / this.settings.touchSensitivity;
+          if (!this.state.swipeHandled && Math.abs(dragDistance) > swipeDistance) {
+            this.state.swipeHandled = true;
+            this.requestLaneChange(Math.sign(dragDistance));
+          }
+          return;
+        }
+
         // If the drag distance is significant, consider it a drag operation
-        if (Math.abs(dragDistance) > 10) {
+        const dragThreshold = this.config.dragThreshold / this.settings.touchSensitivity;
+        if (Math.abs(dragDistance) > dragThreshold) {
           this.state.isDragging = true;
           this.state.dragX = pointer.x;
 
@@ -404,7 +455,7 @@ export class MainScene extends Phaser.Scene {
     });
 
     // Add input for the rest of the screen (to be ignored)
-    const nonControlArea = this.add.zone(
+    this.nonControlArea = this.add.zone(
       this.gameWidth / 2,          // x position (center)
       this.gameHeight / 2 - controlAreaHeight / 2, // y position (top 3/4)
       this.gameWidth,              // width (full screen width)
@@ -412,12 +463,89 @@ export class MainScene extends Phaser.Scene {
     ).setOrigin(0.5).setInteractive();
 
     // Ignore inputs in the non-control area
-    nonControlArea.on('pointerdown', (pointer) => {
+    this.nonControlArea.on('pointerdown', (pointer) => {
       // Only allow interaction if it's with the menu button or other UI elements
       // This effectively ignores movement controls outside the control area
     });
   }
 
+  /**
+   * Resizes the control area after its height setting changes
+   * Zones resize their hit areas with them and keep their input handlers
+   */
+  layoutControlArea() {
+    const controlAreaHeight = this.gameAreaHeight * this.settings.controlAreaHeight;
+    const controlAreaY = this.gameHeight - (controlAreaHeight / 2);
+
+    this.controlAreaDebug.setSize(this.gameWidth, controlAreaHeight);
+    this.controlAreaDebug.setPosition(this.gameWidth / 2, controlAreaY);
+
+    this.controlArea.setSize(this.gameWidth, controlAreaHeight);
+    this.controlArea.setPosition(this.gameWidth / 2, controlAreaY);
+
+    this.nonControlArea.setSize(this.gameWidth, this.gameHeight - controlAreaHeight);
+    this.nonControlArea.setPosition(
+      this.gameWidth / 2, this.gameHeight / 2 - controlAreaHeight / 2
+    );
+  }
+
+  /**
+   * Gets the scale of the in-game UI
+   *
+   * @returns {number} The UI scale setting
+   */
+  getUiScale() {
+    return this.settings.uiScale;
+  }
+
+  /**
+   * Applies a setting that changed during the run
+   * The control mode is kept for the current run so its replay stays valid
+   *
+   * @param {string} key - The setting that changed
+   * @param {boolean|number|string} value - The new value
+   */
+  applySetting(key, value) {
+    switch (key) {
+      case 'showFPS':
+        this.performanceMonitor.setFPSVisible(value);
+        break;
+      case 'uiScale':
+        this.rebuildHud();
+        break;
+      case 'controlAreaHeight':
+        this.layoutControlArea();
+        break;
+      case 'gamepadDeadzone':
+        this.gamepadControls.deadzone = value;
+        break;
+      case 'volume':
+        this.sound.volume = value;
+        break;
+      case 'renderMode':
+        this.rebuildWorldRenderer();
+        break;
+      case 'showGhost':
+        this.worldRenderer.setGhostVisible(value);
+        this.ghostDeltaText.setVisible(this.ghost !== null && value);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Recreates the top bar, menu button and boss bar at the current UI scale
+   */
+  rebuildHud() {
+    this.topBar.destroy();
+    this.bossBar.destroy();
+
+    this.createTopBar();
+    this.createBossBar();
+    this.createMenuButton();
+  }
+
   /**
    * Creates the top bar UI with health, score, and progress indicators
    */
@@ -426,7 +554,7 @@ export class MainScene extends Phaser.Scene {
     this.topBar = this.add.container(0, 0);
 
     // Apply UI scaling for high-resolution screens
-    const uiScale = this.state.isHighResolution ? this.config.uiScale : 1.0;
+    const uiScale = this.getUiScale();
 
     // Create top bar background
     const topBarBg = this.add.rectangle(
@@ -452,7 +580,7 @@ export class MainScene extends Phaser.Scene {
     this.healthText = this.add.text(
       20,
       this.config.topBarHeight / 2,
-      `Health: ${this.config.health}`,
+      `Health: ${this.run.health}`,
       {
         font: `${Math.round(18 * uiScale)}px Arial`,
         fill: '#ffffff'
@@ -478,24 +606,49 @@ export class MainScene extends Phaser.Scene {
     ).setOrigin(0, 0.5);
 
     // Update health bar to match initial health
-    this.updateHealthBar(this.config.health);
+    this.updateHealthBar(this.run.health);
 
     // Create score indicator
     this.scoreText = this.add.text(
       this.gameWidth / 2,
       this.config.topBarHeight / 2,
-      `Score: ${this.config.score}`,
+      `Score: ${this.run.score}`,
       {
         font: `${Math.round(20 * uiScale)}px Arial`,
         fill: '#ffffff'
       }
     ).setOrigin(0.5);
 
+    // Create the combo multiplier, left of the score (hidden until a combo starts)
+    this.comboText = this.add.text(
+      this.gameWidth / 2 - 70 * uiScale,
+      this.config.topBarHeight / 2,
+      '',
+      {
+        font: `bold ${Math.round(14 * uiScale)}px Arial`,
+        fill: '#ffcc00'
+      }
+    ).setOrigin(1, 0.5);
+    this.updateCombo();
+
+    // Create the score difference to the personal-best ghost
+    this.ghostDeltaText = this.add.text(
+      this.gameWidth / 2 + 70 * uiScale,
+      this.config.topBarHeight / 2,
+      '',
+      {
+        font: `${Math.round(14 * uiScale)}px Arial`,
+        fill: '#66ccff'
+      }
+    ).setOrigin(0, 0.5);
+    this.ghostDeltaText.setVisible(this.ghost !== null && this.settings.showGhost);
+    this.updateGhostDelta();
+
     // Create progress indicator
     this.progressText = this.add.text(
       this.gameWidth - 20 - 100 * uiScale,
       this.config.topBarHeight / 2 - 15 * uiScale,
-      `Progress:`,
+      `Stage ${this.run.stage}:`,
       {
         font: `${Math.round(14 * uiScale)}px Arial`,
         fill: '#ffffff'
@@ -521,7 +674,38 @@ export class MainScene extends Phaser.Scene {
     ).setOrigin(1, 0.5);
 
     // Update progress bar to match initial progress
-    this.updateProgressBar(this.config.progress);
+    this.updateProgressBar(this.run.progress);
+
+    // Create the active power-up effects, listed just below the top bar
+    this.effectsText = this.add.text(
+      20,
+      this.config.topBarHeight + 14 * uiScale,
+      '',
+      {
+        font: `${Math.round(14 * uiScale)}px Arial`,
+        fill: '#ffffff',
+        backgroundColor: '#00000080',
+        padding: { x: 4, y: 2 }
+      }
+    ).setOrigin(0, 0.5).setVisible(false);
+    this.updateEffects();
+
+    // Create the weapon indicator just below the top bar; tapping it switches weapon
+    this.weaponText = this.add.text(
+      this.gameWidth - 20,
+      this.config.topBarHeight + 14 * uiScale,
+      '',
+      {
+        font: `${Math.round(14 * uiScale)}px Arial`,
+        fill: '#ffff66',
+        backgroundColor: '#00000080',
+        padding: { x: 4, y: 2 }
+      }
+    ).setOrigin(1, 0.5).setInteractive({ useHandCursor: true });
+    this.weaponText.on('pointerdown', () => {
+      this.switchWeapon();
+    });
+    this.updateWeapon();
 
     // Add all elements to the top bar container
     this.topBar.add([
@@ -531,9 +715,13 @@ export class MainScene extends Phaser.Scene {
       this.healthBarBg,
       this.healthBarFill,
       this.scoreText,
+      this.comboText,
+      this.ghostDeltaText,
       this.progressText,
       this.progressBarBg,
-      this.progressBarFill
+      this.progressBarFill,
+      this.effectsText,
+      this.weaponText
     ]);
 
     // Set the top bar to stay fixed to the camera
@@ -551,7 +739,7 @@ export class MainScene extends Phaser.Scene {
 
     // Calculate the width of the health bar fill
     const fillWidth = (clampedHealth / this.config.maxHealth) * 100 *
-                     (this.state.isHighResolution ? this.config.uiScale : 1.0);
+                     this.getUiScale();
 
     // Update the health bar fill width
     this.healthBarFill.width = fillWidth;
@@ -588,6 +776,111 @@ export class MainScene extends Phaser.Scene {
     });
   }
 
+  /**
+   * Updates the combo multiplier next to the score
+   * It is shown from the second kill in a row
+   */
+  updateCombo() {
+    const combo = this.run.combo;
+    const text = combo >= 2 ? `x${this.run.getComboMultiplier()} (${combo} combo)` : '';
+
+    if (this.comboText.text !== text) {
+      this.comboText.setText(text);
+      this.comboText.setVisible(text !== '');
+    }
+  }
+
+  /**
+   * Updates the score difference to the personal-best ghost at the same point of its run
+   */
+  updateGhostDelta() {
+    if (!this.ghost) return;
+
+    const delta = this.run.score - this.ghost.score;
+    const text = `${delta >= 0 ? '+' : ''}${delta} vs best`;
+
+    // Only redraw when the difference changes
+    if (this.ghostDeltaText.text !== text) {
+      this.ghostDeltaText.setText(text);
+      this.ghostDeltaText.setColor(delta >= 0 ? '#66ff66' : '#ff6666');
+    }
+  }
+
+  /**
+   * Updates the list of active power-up effects with their countdowns
+   */
+  updateEffects() {
+    const text = Object.keys(this.run.effects)
+      .map((type) => `${POWER_UP_TYPES[type].name} ${Math.ceil(this.run.effects[type] / 1000)}s`)
+      .join('   ');
+
+    // Only redraw when a countdown changes
+    if (this.effectsText.text !== text) {
+      this.effectsText.setText(text);
+      this.effectsText.setVisible(text !== '');
+    }
+  }
+
+  /**
+   * Updates the weapon indicator with the weapon being fired and its level
+   */
+  updateWeapon() {
+    const weapon = this.run.weapon;
+    this.weaponText.setText(`${WEAPON_TYPES[weapon].name} Lv${this.run.weaponLevels[weapon] || 1}`);
+  }
+
+  /**
+   * Shows or hides the personal-best ghost and its score difference
+   */
+  toggleGhost() {
+    if (!this.ghost) return;
+
+    this.settings.showGhost = !this.settings.showGhost;
+  }
+
+  /**
+   * Switches between the top-down and behind views
+   */
+  toggleRenderMode() {
+    this.settings.renderMode = this.settings.renderMode === RENDER_MODES.BEHIND
+      ? RENDER_MODES.TOP_DOWN
+      : RENDER_MODES.BEHIND;
+  }
+
+  /**
+   * Recreates the world renderer for the view setting
+   * Both renderers draw the same world, so the switch happens mid-run
+   */
+  rebuildWorldRenderer() {
+    this.worldRenderer.destroy();
+
+    // Everything left is UI; it must stay in front of the new road
+    const ui = this.children.list.slice();
+
+    this.worldRenderer = createWorldRenderer(
+      this.settings.renderMode, this, this.simulation, this.config
+    );
+    this.worldRenderer.create();
+    this.worldRenderer.rebuild();
+
+    if (this.ghost) {
+      this.worldRenderer.setGhost(this.ghost);
+      this.worldRenderer.setGhostVisible(this.settings.showGhost);
+    }
+
+    this.worldRenderer.sync();
+    ui.forEach((gameObject) => this.children.bringToTop(gameObject));
+  }
+
+  /**
+   * Gets the label of the view toggle
+   *
+   * @returns {string} The label
+   */
+  getRenderModeLabel() {
+    return `View: ${this.settings.renderMode === RENDER_MODES.BEHIND ? 'Behind' : 'Top-down'}`;
+  }
+
   /**
    * Updates the progress bar to reflect the current progress value
    *
@@ -599,18 +892,187 @@ export class MainScene extends Phaser.Scene {
 
     // Calculate the width of the progress bar fill
     const fillWidth = (clampedProgress / 100) * 100 *
-                     (this.state.isHighResolution ? this.config.uiScale : 1.0);
+                     this.getUiScale();
 
     // Update the progress bar fill width
     this.progressBarFill.width = fillWidth;
   }
 
+  /**
+   * Creates the large boss health bar at the top of the road
+   * It is marked where each attack phase starts, and hidden until a boss appears
+   */
+  createBossBar() {
+    const uiScale = this.getUiScale();
+    const width = this.gameWidth * 0.7;
+    const height = 14 * uiScale;
+
+    this.bossBar = this.add.container(this.gameWidth / 2, this.config.topBarHeight + 44 * uiScale);
+    this.bossBar.setDepth(40);
+
+    this.bossNameText = this.add.text(0, -height, '', {
+      font: `bold ${Math.round(16 * uiScale)}px Arial`,
+      fill: '#ff5252'
+    }).setOrigin(0.5, 1);
+
+    const background = this.add.rectangle(0, 0, width, height, 0x333333, 0.9).setOrigin(0.5);
+    background.setStrokeStyle(2, 0xffffff);
+
+    this.bossBarFill = this.add.rectangle(-width / 2, 0, width, height, 0xff1744).setOrigin(0, 0.5);
+    this.bossBarWidth = width;
+
+    this.bossBar.add([this.bossNameText, background, this.bossBarFill]);
+
+    // Phase markers, drawn where each phase after the first begins
+    this.bossPhaseMarkers = this.add.graphics();
+    this.bossBar.add(this.bossPhaseMarkers);
+
+    this.bossBar.setVisible(false);
+
+    // A boss already on the road (for example after a restart) shows its bar at once
+    if (this.simulation.boss) {
+      this.showBossBar(this.simulation.boss);
+    }
+  }
+
+  /**
+   * Shows the boss health bar for a boss entering the road
+   *
+   * @param {Object} boss - The simulation boss
+   */
+  showBossBar(boss) {
+    const type = BOSS_TYPES[boss.type];
+    const height = this.bossBarFill.height;
+
+    this.bossNameText.setText(type.name);
+    this.bossPhaseMarkers.clear();
+    this.bossPhaseMarkers.lineStyle(2, 0xffffff, 0.8);
+    type.phases.slice(1).forEach((phase) => {
+      const x = -this.bossBarWidth / 2 + this.bossBarWidth * phase.health;
+      this.bossPhaseMarkers.lineBetween(x, -height / 2, x, height / 2);
+    });
+
+    this.bossBar.setAlpha(1);
+    this.bossBar.setVisible(true);
+    this.updateBossBar(boss);
+  }
+
+  /**
+   * Updates the boss health bar to the health the boss has left
+   *
+   * @param {Object} boss - The simulation boss
+   */
+  updateBossBar(boss) {
+    this.bossBarFill.width = this.bossBarWidth * boss.health / BOSS_TYPES[boss.type].health;
+  }
+
+  /**
+   * Fades out the boss health bar once the boss is destroyed
+   */
+  hideBossBar() {
+    this.tweens.add({
+      targets: this.bossBar,
+      alpha: 0,
+      duration: 500,
+      onComplete: () => this.bossBar.setVisible(false)
+    });
+  }
+
+  /**
+   * Shows the stage clear summary while the simulation waits before the next level
+   *
+   * @param {Object} event - The stage cleared event
+   */
+  showStageClear(event) {
+    const levels = this.simulation.levels;
+    const nextLevel = levels[(this.simulation.levelIndex + 1) % levels.length];
+    const seconds = Math.round(event.summary.time / 1000);
+    const time = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+    // Create the summary container
+    this.stageClearContainer = this.add.container(this.gameWidth / 2, this.gameHeight / 2);
+    this.stageClearContainer.setDepth(50);
+
+    // Create the summary panel
+    const panel = this.add.rectangle(0, 0, 320, 220, 0x333333, 0.9);
+    panel.setStrokeStyle(2, 0xffffff);
+
+    // Create the title
+    const title = this.add.text(0, -75, `Stage ${event.stage} Clear!`, {
+      font: '30px Arial',
+      fill: '#66ff66'
+    }).setOrigin(0.5);
+
+    // Create the stage summary
+    const summary = this.add.text(0, 0, [
+      event.level.name,
+      `Score: +${event.summary.score}`,
+      `Kills: ${event.summary.kills}`,
+      `Time: ${time}`
+    ], {
+      font: '18px Arial',
+      fill: '#ffffff',
+      align: 'center',
+      lineSpacing: 4
+    }).setOrigin(0.5);
+
+    // Announce the next level
+    const next = this.add.text(0, 80, `Next: ${nextLevel.name}`, {
+      font: '16px Arial',
+      fill: '#aaaaaa'
+    }).setOrigin(0.5);
+
+    this.stageClearContainer.add([panel, title, summary, next]);
+  }
+
+  /**
+   * Hides the stage clear summary and resets the HUD for the next level
+   */
+  hideStageClear() {
+    if (this.stageClearContainer) {
+      this.stageClearContainer.destroy();
+      this.stageClearContainer = null;
+    }
+
+    this.progressText.setText(`Stage ${this.run.stage}:`);
+    this.updateProgressBar(this.run.progress);
+  }
+
+  /**
+   * Briefly shows a message below the top bar, such as a gamepad being plugged in
+   *
+   * @param {string} text - The message
+   */
+  showNotice(text) {
+    if (this.notice) {
+      this.tweens.killTweensOf(this.notice);
+      this.notice.destroy();
+    }
+
+    const noticeY = this.config.topBarHeight + 30;
+    this.notice = new Label(this, this.gameWidth / 2, noticeY, text, { stroke: true })
+      .setScale(this.getUiScale())
+      .setDepth(UI_THEME.dialogDepth);
+
+    // Fade out after two seconds
+    this.tweens.add({
+      targets: this.notice,
+      alpha: 0,
+      delay: 2000,
+      duration: 500,
+      onComplete: () => {
+        this.notice.destroy();
+        this.notice = null;
+      }
+    });
+  }
+
   /**
    * Creates the menu button (vertical ellipsis)
    */
   createMenuButton() {
     // Apply UI scaling for high-resolution screens
-    const uiScale = this.state.isHighResolution ? this.config.uiScale : 1.0;
+    const uiScale = this.getUiScale();
 
     // Add menu button in the top bar (vertical ellipsis)
     this.menuButton = this.add.image(
@@ -650,7 +1112,7 @@ export class MainScene extends Phaser.Scene {
     // Add click/tap event handler for the menu button
     this.menuButton.on('pointerdown', () => {
       // Toggle menu visibility
-      if (!this.state.menuOpen && !this.state.confirmDialogOpen) {
+      if (!this.state.menuOpen && !this.state.confirmDialogOpen && !this.run.isGameOver) {
         this.openMenu();
       }
     });
@@ -667,73 +1129,122 @@ export class MainScene extends Phaser.Scene {
     this.state.isPaused = true;
     this.state.menuOpen = true;
 
-    // Create semi-transparent background
-    this.menuOverlay = this.add.rectangle(
-      this.gameWidth / 2,
-      this.gameHeight / 2,
-      this.gameWidth,
-      this.gameHeight,
-      0x000000,
-      0.7
-    );
+    // Keep the run in case the player leaves from here
+    this.saveRun();
 
-    // Create menu container
-    this.menuContainer = this.add.container(this.gameWidth / 2, this.gameHeight / 2);
+    // Mark the pause in the replay on the next step
+    this.state.menuRequested = true;
 
-    // Create menu panel
-    const menuPanel = this.add.rectangle(0, 0, 300, 200, 0x333333, 0.9);
-    menuPanel.setStrokeStyle(2, 0xffffff);
+    this.menuDialog = new ModalDialog(this, {
+      width: 300,
+      height: 400,
+      title: 'Menu',
+      onCancel: () => this.closeMenu()
+    });
 
-    // Create menu title
-    const menuTitle = this.add.text(0, -70, 'Menu', {
-      font: '32px Arial',
-      fill: '#ffffff'
-    }).setOrigin(0.5);
+    const items = new List(this, 0, -110);
+    items.addButton('Resume', () => this.closeMenu());
 
-    // Create Resume button
-    const resumeButton = this.add.text(0, -20, 'Resume', {
-      font: '24px Arial',
-      fill: '#ffffff'
-    }).setOrigin(0.5);
+    // The control mode applies from the next run; the view applies immediately
+    const controlsButton = items.addButton(this.getControlModeLabel(), () => {
+      this.toggleControlMode();
+      controlsButton.setText(this.getControlModeLabel());
+    });
+    const viewButton = items.addButton(this.getRenderModeLabel(), () => {
+      this.toggleRenderMode();
+      viewButton.setText(this.getRenderModeLabel());
+    });
 
-    resumeButton.setInteractive({ useHandCursor: true });
+    items.addButton('High Scores', () => this.openHighScores());
+    items.addButton('Settings', () => {
+      this.openSettings();
 
-    // Add hover effects
-    resumeButton.on('pointerover', () => {
-      resumeButton.setScale(this.config.buttonScale);
+      // The settings panel can also change the toggles in this menu
+      this.events.once('resume', () => {
+        controlsButton.setText(this.getControlModeLabel());
+        viewButton.setText(this.getRenderModeLabel());
+      });
     });
+    items.addButton('Exit', () => this.openExitConfirmation());
 
-    resumeButton.on('pointerout', () => {
-      resumeButton.setScale(1);
-    });
+    this.menuDialog.addWidget(items);
+    this.menuDialog.focusGroup.focusFirst();
+  }
 
-    resumeButton.on('pointerdown', () => {
-      this.closeMenu();
-    });
+  /**
+   * Gets the focus group of the dialog in front, for keyboard and gamepad navigation
+   *
+   * @returns {FocusGroup|null} The focus group, or null while the game is running
+   */
+  getOpenFocusGroup() {
+    if (this.state.confirmDialogOpen) return this.exitConfirmation.focusGroup;
+    if (this.state.menuOpen) return this.menuDialog.focusGroup;
 
-    // Create Exit button
-    const exitButton = this.add.text(0, 30, 'Exit', {
-      font: '24px Arial',
-      fill: '#ffffff'
-    }).setOrigin(0.5);
+    return null;
+  }
 
-    exitButton.setInteractive({ useHandCursor: true });
+  /**
+   * Shows the high-score table over the menu
+   * This scene is paused until the table is closed
+   */
+  openHighScores() {
+    this.menuDialog.setVisible(false);
 
-    // Add hover effects
-    exitButton.on('pointerover', () => {
-      exitButton.setScale(this.config.buttonScale);
+    // Show the menu again once the table resumes this scene
+    this.events.once('resume', () => {
+      this.menuDialog.setVisible(true);
     });
 
-    exitButton.on('pointerout', () => {
-      exitButton.setScale(1);
-    });
+    this.scene.pause();
+    this.scene.launch('HighScoresScene', { returnTo: this.scene.key });
+  }
 
-    exitButton.on('pointerdown', () => {
-      this.openExitConfirmation();
+  /**
+   * Shows the settings panel over the menu
+   * This scene is paused until the panel is closed, but changes apply to it at once
+   */
+  openSettings() {
+    this.menuDialog.setVisible(false);
+
+    // Show the menu again once the panel resumes this scene
+    this.events.once('resume', () => {
+      this.menuDialog.setVisible(true);
     });
 
-    // Add elements to the menu container
-    this.menuContainer.add([menuPanel, menuTitle, resumeButton, exitButton]);
+    this.scene.pause();
+    this.scene.launch('SettingsScene', { returnTo: this.scene.key });
+  }
+
+  /**
+   * Gets the label of the control mode toggle
+   *
+   * @returns {string} The label, noting when the change waits for the next run
+   */
+  getControlModeLabel() {
+    const label = this.settings.controlMode === CONTROL_MODES.LANES ? 'Lanes' : 'Free';
+    const pending = this.settings.controlMode !== this.simulation.controlMode ? ' (next run)' : '';
+
+    return `Controls: ${label}${pending}`;
+  }
+
+  /**
+   * Switches the control mode setting between free steering and lanes
+   * The current run keeps its mode so its replay stays valid
+   */
+  toggleControlMode() {
+    this.settings.controlMode = this.settings.controlMode === CONTROL_MODES.LANES
+      ? CONTROL_MODES.FREE
+      : CONTROL_MODES.LANES;
+  }
+
+  /**
+   * Saves the run in progress so it can be continued on the next launch
+   * Finished runs are not saved
+   */
+  saveRun() {
+    if (this.run.isGameOver) return;
+
+    storeRunSave(createRunSave(this.simulation, this.recorder));
   }
 
   /**
@@ -744,9 +1255,11 @@ export class MainScene extends Phaser.Scene {
     this.state.isPaused = false;
     this.state.menuOpen = false;
 
+    // The pad button that closed the menu is not also a press in the game
+    this.gamepadControls.sync();
+
     // Destroy menu elements
-    if (this.menuOverlay) this.menuOverlay.destroy();
-    if (this.menuContainer) this.menuContainer.destroy();
+    if (this.menuDialog) this.menuDialog.close();
   }
 
   /**
@@ -757,68 +1270,24 @@ export class MainScene extends Phaser.Scene {
     this.state.confirmDialogOpen = true;
 
     // Hide the menu
-    this.menuContainer.visible = false;
-
-    // Create confirmation dialog container
-    this.exitConfirmationContainer = this.add.container(this.gameWidth / 2, this.gameHeight / 2);
-
-    // Create dialog panel
-    const dialogPanel = this.add.rectangle(0, 0, 400, 200, 0x333333, 0.9);
-    dialogPanel.setStrokeStyle(2, 0xffffff);
-
-    // Create confirmation message
-    const confirmMessage = this.add.text(0, -50, 'Are you sure you want to leave the game?', {
-      font: '20px Arial',
-      fill: '#ffffff',
-      align: 'center',
-      wordWrap: { width: 350 }
-    }).setOrigin(0.5);
-
-    // Create Yes button
-    const yesButton = this.add.text(-70, 30, 'Yes', {
-      font: '24px Arial',
-      fill: '#ffffff'
-    }).setOrigin(0.5);
-
-    yesButton.setInteractive({ useHandCursor: true });
-
-    // Add hover effects
-    yesButton.on('pointerover', () => {
-      yesButton.setScale(this.config.buttonScale);
-    });
-
-    yesButton.on('pointerout', () => {
-      yesButton.setScale(1);
+    this.menuDialog.setVisible(false);
+
+    // The menu's backdrop already dims the game
+    this.exitConfirmation = new ModalDialog(this, {
+      width: 400,
+      height: 200,
+      overlay: false,
+      message: 'Are you sure you want to leave the game?',
+      buttons: [
+        // Leave for the main menu; the run was saved when the menu opened, so it can be continued
+        ['Yes', () => this.scene.start('MenuScene')],
+        ['Cancel', () => this.closeExitConfirmation()]
+      ],
+      onCancel: () => this.closeExitConfirmation()
     });
 
-    yesButton.on('pointerdown', () => {
-      // Exit the game (reload the page for simplicity)
-      window.location.reload();
-    });
-
-    // Create Cancel button
-    const cancelButton = this.add.text(70, 30, 'Cancel', {
-      font: '24px Arial',
-      fill: '#ffffff'
-    }).setOrigin(0.5);
-
-    cancelButton.setInteractive({ useHandCursor: true });
-
-    // Add hover effects
-    cancelButton.on('pointerover', () => {
-      cancelButton.setScale(this.config.buttonScale);
-    });
-
-    cancelButton.on('pointerout', () => {
-      cancelButton.setScale(1);
-    });
-
-    cancelButton.on('pointerdown', () => {
-      this.closeExitConfirmation();
-    });
-
-    // Add elements to the confirmation container
-    this.exitConfirmationContainer.add([dialogPanel, confirmMessage, yesButton, cancelButton]);
+    // Cancel is focused, so pressing Enter by mistake does not leave the run
+    this.exitConfirmation.focusGroup.focus(this.exitConfirmation.buttons.items[1]);
   }
 
   /**
@@ -829,10 +1298,10 @@ export class MainScene extends Phaser.Scene {
     this.state.confirmDialogOpen = false;
 
     // Show the menu again
-    this.menuContainer.visible = true;
+    this.menuDialog.setVisible(true);
 
     // Destroy confirmation dialog
-    if (this.exitConfirmationContainer) this.exitConfirmationContainer.destroy();
+    if (this.exitConfirmation) this.exitConfirmation.close();
   }
 
   /**
@@ -842,406 +1311,168 @@ export class MainScene extends Phaser.Scene {
     const fps = this.performanceMonitor.getFPS();
     console.log(`Optimizing performance. Current FPS: ${fps}`);
 
-    // If FPS is too low, reduce visual elements
-    if (fps < 30) {
-      // Reduce number of depth elements
-      if (this.depthElements.length > 2) {
-        const element = this.depthElements.pop();
-        this.depthElementPool.release(element);
-        console.log(`Reduced depth elements to ${this.depthElements.length}`);
-      }
-    }
-    // If FPS is good and we have capacity, add more visual elements
-    else if (fps > 55 && this.depthElements.length < this.config.maxDepthElements) {
-      // Add a new depth element
-      const element = this.depthElementPool.get();
-
-      // Configure the element
-      element.sprite.x = Phaser.Math.Between(this.leftBoundary, this.rightBoundary);
-      element.sprite.y = -50;
-      element.speed = Phaser.Math.FloatBetween(1, 3) * this.config.depthElementSpeed;
-      element.scale = Phaser.Math.FloatBetween(0.5, 1.5);
-      element.sprite.setScale(element.scale);
-      element.sprite.visible = true;
-      element.active = true;
-
-      // Add to the active elements array
-      this.depthElements.push(element);
-      console.log(`Increased depth elements to ${this.depthElements.length}`);
-    }
+    // Add or remove visual detail to match the frame rate
+    this.worldRenderer.optimizeDetail(fps);
   }
 
   /**
-   * Initialize physics for collision detection
-   */
-  initializePhysics() {
-    // Enable physics on the character
-    this.physics.world.enable(this.character);
-  }
-
-  /**
-   * Create obstacle group for collision detection
-   */
-  createObstacleGroup() {
-    // Create a physics group for obstacles
-    this.obstacleGroup = this.physics.add.group();
-
-    // Set up collision between character and obstacles
-    this.physics.add.overlap(
-      this.character,
-      this.obstacleGroup,
-      this.handleCollision,
-      null,
-      this
-    );
-  }
-
-  /**
-   * Create projectile group for collision detection
-   */
-  createProjectileGroup() {
-    // Create a physics group for projectiles
-    this.projectileGroup = this.physics.add.group();
-
-    // Set up collision between projectiles and obstacles
-    this.physics.add.overlap(
-      this.projectileGroup,
-      this.obstacleGroup,
-      this.handleProjectileCollision,
-      null,
-      this
-    );
-  }
-
-  /**
-   * Create a sparkle projectile
+   * Request a projectile on the next simulation step
+   * The simulation applies the fire rate limit
    */
   fireProjectile() {
-    // Check if enough time has passed since the last shot
-    const currentTime = this.time.now;
-    if (currentTime - this.state.lastFireTime < this.config.fireRate) {
-      return; // Fire rate limit not met
-    }
-
-    // Update last fire time
-    this.state.lastFireTime = currentTime;
-
-    // Create the projectile at the character's position
-    const projectile = this.physics.add.sprite(
-      this.character.x,
-      this.character.y - this.character.height / 2, // Spawn above the character
-      'characterTexture' // Reuse character texture for now
-    );
-
-    // Scale down the projectile
-    const projectileSize = this.config.sparkleSize;
-    projectile.setScale(projectileSize / projectile.width);
-
-    // Set the projectile's tint to make it visually distinct (sparkle effect)
-    projectile.setTint(0xffff00); // Yellow tint
-
-    // Set the projectile's depth to be above the road but below the character
-    projectile.setDepth(8);
-
-    // Add the projectile to the physics group
-    this.projectileGroup.add(projectile);
-
-    // Store the projectile in our array for easy access
-    this.projectiles.push(projectile);
-
-    // Add a particle emitter for sparkle effect
-    const particles = this.add.particles(projectile.x, projectile.y, 'characterTexture', {
-      speed: 50,
-      scale: { start: 0.2, end: 0 },
-      blendMode: 'ADD',
-      lifespan: 300,
-      quantity: 1,
-      frequency: 50
-    });
-
-    // Attach the particle emitter to the projectile
-    projectile.particles = particles;
-
-    // Add a glow effect
-    const glow = this.add.sprite(projectile.x, projectile.y, 'characterTexture');
-    glow.setScale(projectileSize * 1.5 / glow.width);
-    glow.setTint(0xffff99);
-    glow.setAlpha(0.5);
-    glow.setBlendMode(Phaser.BlendModes.ADD);
-    glow.setDepth(7);
-    projectile.glow = glow;
-
-    // Play a sound effect (if we had one)
-    // this.sound.play('fire');
+    // No firing while paused or after the run has ended
+    if (this.state.isPaused) return;
 
-    // Return the created projectile
-    return projectile;
+    this.state.fireRequested = true;
   }
 
   /**
-   * Handle collision between projectile and obstacle
-   *
-   * @param {Phaser.GameObjects.Sprite} projectile - The projectile sprite
-   * @param {Phaser.GameObjects.Sprite} obstacle - The obstacle sprite
+   * Request the next weapon on the next simulation step
    */
-  handleProjectileCollision(projectile, obstacle) {
-    // Create an explosion animation
-    this.createExplosionAnimation(obstacle.x, obstacle.y);
-
-    // Remove the projectile
-    this.removeProjectile(projectile);
-
-    // Remove the obstacle
-    this.removeObstacle(obstacle);
-
-    // Increase score
-    this.config.score += 20;
-    this.updateScore(this.config.score);
+  switchWeapon() {
+    if (this.state.isPaused) return;
 
-    // Update progress
-    this.config.progress = Math.min(100, this.config.progress + 2);
-    this.updateProgressBar(this.config.progress);
+    this.state.switchWeaponRequested = true;
   }
 
   /**
-   * Create an explosion animation at the specified position
+   * Handle a projectile destroying an obstacle
+   * The renderer shows the explosion; this updates the HUD
    *
-   * @param {number} x - The x position of the explosion
-   * @param {number} y - The y position of the explosion
+   * @param {Object} event - The simulation event
+   * @param {Object} event.projectile - The simulation projectile
+   * @param {Object} event.obstacle - The simulation obstacle
    */
-  createExplosionAnimation(x, y) {
-    // Create a particle emitter for the explosion effect
-    const particles = this.add.particles(x, y, 'characterTexture', {
-      speed: 200,
-      scale: { start: 0.8, end: 0 },
-      blendMode: 'ADD',
-      lifespan: 800,
-      quantity: 20,
-      tint: [0xff0000, 0xff7700, 0xffff00]
-    });
-
-    // Stop the emitter after a short time
-    this.time.delayedCall(800, () => {
-      particles.destroy();
-    });
+  handleProjectileCollision(event) {
+    // Show the new score, combo and progress
+    this.updateScore(this.run.score);
+    this.updateCombo();
+    this.updateProgressBar(this.run.progress);
   }
 
   /**
-   * Remove a projectile from the game
+   * Handle an obstacle or enemy shot hitting the character
+   * The renderer flashes the character; this updates the HUD
    *
-   * @param {Phaser.GameObjects.Sprite} projectile - The projectile to remove
-   */
-  removeProjectile(projectile) {
-    // Remove from our array
-    const index = this.projectiles.indexOf(projectile);
-    if (index > -1) {
-      this.projectiles.splice(index, 1);
-    }
-
-    // Destroy the particle emitter if it exists
-    if (projectile.particles) {
-      projectile.particles.destroy();
-    }
-
-    // Destroy the glow effect if it exists
-    if (projectile.glow) {
-      projectile.glow.destroy();
-    }
-
-    // Destroy the projectile sprite
-    projectile.destroy();
-  }
-
-  /**
-   * Create a new obstacle
+   * @param {Object} event - The simulation event
+   * @param {Object} [event.obstacle] - The simulation obstacle
+   * @param {Object} [event.enemyProjectile] - The simulation enemy shot
    */
-  createObstacle() {
-    // Randomly position the obstacle on the road
-    const x = Phaser.Math.Between(this.leftBoundary + 30, this.rightBoundary - 30);
-    const y = this.config.topBarHeight - 50; // Start above the visible area
-
-    // Create the obstacle sprite
-    const obstacle = this.physics.add.sprite(x, y, 'characterTexture');
-
-    // Set the obstacle's tint to make it visually distinct
-    obstacle.setTint(0xff0000); // Red tint
-
-    // Scale the obstacle
-    obstacle.setScale(0.8);
-
-    // Set the obstacle's depth to be above the road but below the character
-    obstacle.setDepth(5);
-
-    // Add the obstacle to the physics group
-    this.obstacleGroup.add(obstacle);
-
-    // Store the obstacle in our array for easy access
-    this.obstacles.push(obstacle);
-
-    // Return the created obstacle
-    return obstacle;
+  handleCollision(event) {
+    // Update the health bar; taking damage also breaks the combo
+    this.updateHealthBar(this.run.health);
+    this.updateCombo();
   }
 
   /**
-   * Handle collision between character and obstacle
-   *
-   * @param {Phaser.GameObjects.Sprite} character - The character sprite
-   * @param {Phaser.GameObjects.Sprite} obstacle - The obstacle sprite
+   * Ends the current run and shows the game over screen
+   * Gameplay stops immediately; the summary appears after a short delay
    */
-  handleCollision(character, obstacle) {
-    // Skip if the character is invulnerable
-    if (this.state.isInvulnerable) return;
-
-    // Make the character invulnerable for a short time
-    this.state.isInvulnerable = true;
-    this.state.invulnerabilityTimer = 0;
-
-    // Flash the character to indicate invulnerability
-    this.tweens.add({
-      targets: character,
-      alpha: 0.5,
-      duration: 100,
-      yoyo: true,
-      repeat: 5
-    });
-
-    // Reduce health
-    const newHealth = this.config.health - this.config.collisionDamage;
-    this.config.health = Math.max(0, newHealth);
-
-    // Update the health bar
-    this.updateHealthBar(this.config.health);
+  endRun() {
+    this.state.isPaused = true;
 
-    // Create a collision animation
-    this.createCollisionAnimation(obstacle.x, obstacle.y);
+    // Keep the replay of the run so it can be watched or saved from the game over screen
+    const replay = this.recorder.toJSON(this.run.score);
+    this.registry.set('lastReplay', replay);
 
-    // Remove the obstacle
-    this.removeObstacle(obstacle);
+    // A finished run can no longer be continued
+    clearRunSave();
 
-    // Check if the character is dead
-    if (this.config.health <= 0) {
-      // Game over logic would go here
-      console.log('Game Over!');
+    // A new best run becomes the ghost of the next runs
+    if (isNewPersonalBest(this.personalBest, replay)) {
+      savePersonalBest(replay);
     }
-  }
 
-  /**
-   * Create a collision animation at the specified position
-   *
-   * @param {number} x - The x position of the collision
-   * @param {number} y - The y position of the collision
-   */
-  createCollisionAnimation(x, y) {
-    // Create a particle emitter for the collision effect
-    const particles = this.add.particles(x, y, 'characterTexture', {
-      speed: 100,
-      scale: { start: 0.5, end: 0 },
-      blendMode: 'ADD',
-      lifespan: 500,
-      quantity: 10
+    // Every run is offered to the high-score table
+    const highScoreRank = recordHighScore({
+      score: this.run.score,
+      distance: Math.floor(this.run.distance),
+      date: new Date().toISOString(),
+      difficulty: this.difficulty.name,
+      seed: this.simulation.seed
     });
 
-    // Stop the emitter after a short time
-    this.time.delayedCall(500, () => {
-      particles.destroy();
+    // Show the game over screen on top of the final frame
+    this.time.delayedCall(this.config.gameOverDelay, () => {
+      this.scene.pause();
+      this.scene.launch('GameOverScene', {
+        score: this.run.score,
+        distance: Math.floor(this.run.distance),
+        kills: this.run.kills,
+        scoreSources: Object.assign({}, this.run.scoreSources),
+        stage: this.run.stage,
+        seed: this.simulation.seed,
+        difficulty: this.difficulty.label,
+        replay: replay,
+        highScoreRank: highScoreRank
+      });
     });
   }
 
   /**
-   * Remove an obstacle from the game
+   * Update method - automatically called by Phaser on each frame
+   * Reads input every frame and advances the gameplay in fixed time steps,
+   * so movement and collisions behave the same at any refresh rate
    *
-   * @param {Phaser.GameObjects.Sprite} obstacle - The obstacle to remove
+   * @param {number} time - The current time in ms
+   * @param {number} delta - The time since the last frame in ms
    */
-  removeObstacle(obstacle) {
-    // Remove from our array
-    const index = this.obstacles.indexOf(obstacle);
-    if (index > -1) {
-      this.obstacles.splice(index, 1);
-    }
+  update(time, delta) {
+    // Read the gamepads every frame, even while paused, so a button held
+    // in a menu is not taken as a new press when the game resumes
+    const gamepad = this.gamepadControls.poll();
 
-    // Destroy the obstacle sprite
-    obstacle.destroy();
-  }
+    // The menu keys also work while the menu has the game paused
+    this.handleMenuKey(gamepad.menu);
 
-  /**
-   * Update method - automatically called by Phaser on each frame
-   * Handles game logic that needs to run continuously
-   */
-  update(time, delta) {
     // Skip updates if the game is paused
     if (this.state.isPaused) return;
 
     // Update performance monitor
     this.performanceMonitor.update();
 
-    // Update road scrolling
-    this.road.tilePositionY += this.config.roadSpeed;
-
-    // Update yellow line scrolling at a different speed (negative for opposite direction)
-    this.yellowLine.tilePositionY += this.config.yellowLineSpeed;
-
-    // Update obstacle spawn timer
-    this.state.obstacleSpawnTimer += delta;
-    if (this.state.obstacleSpawnTimer >= this.state.obstacleSpawnInterval) {
-      this.state.obstacleSpawnTimer = 0;
-      this.createObstacle();
-    }
-
-    // Update obstacles
-    for (let i = this.obstacles.length - 1; i >= 0; i--) {
-      const obstacle = this.obstacles[i];
+    // Read keyboard and gamepad input (firing reacts immediately)
+    this.handleKeyboardInput();
+    this.handleGamepadInput(gamepad);
 
-      // Move the obstacle down
-      obstacle.y += this.config.obstacleSpeed;
+    // Run as many fixed simulation steps as the elapsed time allows
+    const stepDuration = this.simulation.stepDuration;
+    this.state.stepAccumulator += delta;
 
-      // Remove obstacles that go off screen
-      if (obstacle.y > this.gameHeight + 50) {
-        this.removeObstacle(obstacle);
+    let steps = 0;
+    while (this.state.stepAccumulator >= stepDuration && steps < this.config.maxStepsPerFrame) {
+      this.stepSimulation();
+      this.state.stepAccumulator -= stepDuration;
+      steps++;
 
-        // Increase score when successfully avoiding an obstacle
-        this.config.score += 10;
-        this.updateScore(this.config.score);
-
-        // Update progress
-        this.config.progress = Math.min(100, this.config.progress + 1);
-        this.updateProgressBar(this.config.progress);
-      }
+      // Stop stepping as soon as the run ends
+      if (this.state.isPaused) break;
     }
 
-    // Update projectiles
-    for (let i = this.projectiles.length - 1; i >= 0; i--) {
-      const projectile = this.projectiles[i];
-
-      // Move the projectile up
-      projectile.y -= this.config.projectileSpeed;
+    // Drop any backlog after a long stall instead of fast-forwarding through it
+    if (steps === this.config.maxStepsPerFrame) {
+      this.state.stepAccumulator = 0;
+    }
 
-      // Update the particle emitter position
-      if (projectile.particles) {
-        projectile.particles.setPosition(projectile.x, projectile.y);
-      }
+    // Render the current simulation state
+    this.worldRenderer.sync();
 
-      // Update the glow effect position
-      if (projectile.glow) {
-        projectile.glow.setPosition(projectile.x, projectile.y);
-      }
-
-      // Remove projectiles that go off screen
-      if (projectile.y < -50) {
-        this.removeProjectile(projectile);
-      }
-    }
+    // Update purely visual elements with the real frame time
+    this.worldRenderer.updateScenery(delta);
+  }
 
-    // Update invulnerability timer
-    if (this.state.isInvulnerable) {
-      this.state.invulnerabilityTimer += delta;
-      if (this.state.invulnerabilityTimer >= 1500) { // 1.5 seconds of invulnerability
-        this.state.isInvulnerable = false;
-        this.character.alpha = 1; // Ensure character is fully visible
+  /**
+   * Handles keyboard input for movement and firing
+   */
+  handleKeyboardInput() {
+    // In lane mode each arrow tap moves one lane
+    if (this.isLaneMode()) {
+      if (Phaser.Input.Keyboard.JustDown(this.cursors.left)) {
+        this.requestLaneChange(-1);
+      } else if (Phaser.Input.Keyboard.JustDown(this.cursors.right)) {
+        this.requestLaneChange(1);
       }
-    }
-
-    // Handle keyboard input for movement
-    if (this.cursors.left.isDown) {
+    } else if (this.cursors.left.isDown) {
       this.state.isMovingLeft = true;
       this.state.isMovingRight = false;
     } else if (this.cursors.right.isDown) {
@@ -1259,9 +1490,60 @@ export class MainScene extends Phaser.Scene {
     if (Phaser.Input.Keyboard.JustDown(this.spaceBar)) {
       this.fireProjectile();
     }
+  }
 
-    // Handle ESC key for menu
-    if (Phaser.Input.Keyboard.JustDown(this.escKey)) {
+  /**
+   * Handles gamepad input for movement and firing
+   * It is read after the keyboard and touch input, so the pad only takes over
+   * while its stick or D-pad is pushed. A stick pushed partway steers the
+   * character more slowly.
+   *
+   * @param {GamepadFrame} gamepad - The gamepad input for this frame
+   */
+  handleGamepadInput(gamepad) {
+    // In lane mode each push of the stick or D-pad moves one lane
+    if (this.isLaneMode()) {
+      if (gamepad.steerPressed !== 0) {
+        this.requestLaneChange(gamepad.steerPressed);
+      }
+    } else if (gamepad.steering !== 0) {
+      this.state.isMovingLeft = gamepad.steering < 0;
+      this.state.isMovingRight = gamepad.steering > 0;
+      this.state.steerStrength = Math.abs(gamepad.steering);
+    } else {
+      this.state.steerStrength = 1;
+    }
+
+    // Any face button fires
+    if (gamepad.fire) {
+      this.fireProjectile();
+    }
+  }
+
+  /**
+   * Pauses the run in the menu when a gamepad is unplugged, since the player
+   * may have lost control of the character
+   */
+  handleGamepadDisconnect() {
+    this.showNotice('Gamepad disconnected');
+
+    if (!this.state.isPaused && !this.run.isGameOver) {
+      this.openMenu();
+    }
+  }
+
+  /**
+   * Handles the ESC key and a gamepad's Start button, which open the menu
+   * and close it or the exit confirmation
+   *
+   * @param {boolean} startPressed - Whether Start was pressed on a gamepad this frame
+   */
+  handleMenuKey(startPressed) {
+    // There is no menu once the run has ended
+    if (this.run.isGameOver) return;
+
+    // Handle ESC key and Start button for menu
+    if (Phaser.Input.Keyboard.JustDown(this.escKey) || startPressed) {
       if (!this.state.menuOpen && !this.state.confirmDialogOpen) {
         this.openMenu();
       } else if (this.state.menuOpen && !this.state.confirmDialogOpen) {
@@ -1270,48 +1552,114 @@ export class MainScene extends Phaser.Scene {
         this.closeExitConfirmation();
       }
     }
+  }
 
-    // Update character position based on input
-    // Prioritize drag gestures over click-hold
-    if (this.state.isDragging) {
-      // Move based on drag position relative to character
-      if (this.state.isMovingLeft && this.character.x > this.leftBoundary) {
-        this.character.x -= this.config.characterSpeed;
-      } else if (this.state.isMovingRight && this.character.x < this.rightBoundary) {
-        this.character.x += this.config.characterSpeed;
-      }
-    } else {
-      // Handle click-hold movement
-      if (this.state.isMovingLeft && this.character.x > this.leftBoundary) {
-        this.character.x -= this.config.characterSpeed;
-      }
+  /**
+   * Advances the simulation by one fixed step and renders what happened
+   */
+  stepSimulation() {
+    const input = {
+      left: this.state.isMovingLeft || this.state.laneRequest < 0,
+      right: this.state.isMovingRight || this.state.laneRequest > 0,
+      steer: this.state.steerStrength,
+      fire: this.state.fireRequested,
+      menu: this.state.menuRequested,
+      switchWeapon: this.state.switchWeaponRequested
+    };
 
-      if (this.state.isMovingRight && this.character.x < this.rightBoundary) {
-        this.character.x += this.config.characterSpeed;
-      }
-    }
+    // Record the input so the run can be replayed exactly
+    this.recorder.record(this.simulation.tick, input);
+
+    const events = this.simulation.step(input);
 
-    // Update depth elements with culling optimization
-    for (let i = 0; i < this.depthElements.length; i++) {
-      const element = this.depthElements[i];
+    // The ghost replays its run in lockstep with the live run
+    if (this.ghost) {
+      this.ghost.step();
+      this.updateGhostDelta();
+    }
 
-      // Skip inactive elements
-      if (!element.active) continue;
+    // Count down the active power-up effects
+    this.updateEffects();
 
-      // Move the element down
-      element.sprite.y += element.speed;
+    // Fire, menu, weapon and lane requests are consumed by a single step
+    this.state.fireRequested = false;
+    this.state.menuRequested = false;
+    this.state.switchWeaponRequested = false;
+    this.state.laneRequest = 0;
 
-      // Increase the size as it moves down to create depth perception
-      const progress = element.sprite.y / this.gameHeight;
-      const newScale = element.scale * (1 + progress);
-      element.sprite.setScale(newScale);
+    events.forEach((event) => {
+      this.worldRenderer.handleEvent(event);
+      this.handleSimulationEvent(event);
+    });
+  }
 
-      // Reset the element when it goes off screen
-      if (element.sprite.y > this.gameHeight + this.config.cullingThreshold) {
-        element.sprite.y = -this.config.cullingThreshold;
-        element.sprite.x = Phaser.Math.Between(this.leftBoundary, this.rightBoundary);
-        element.sprite.setScale(element.scale);
-      }
+  /**
+   * Updates the HUD for a simulation event
+   * Sprites and effects are handled by the renderer
+   *
+   * @param {Object} event - The simulation event
+   */
+  handleSimulationEvent(event) {
+    switch (event.type) {
+      case SIMULATION_EVENTS.OBSTACLE_AVOIDED:
+        this.updateScore(this.run.score);
+        this.updateProgressBar(this.run.progress);
+        break;
+
+      case SIMULATION_EVENTS.OBSTACLE_DESTROYED:
+        this.handleProjectileCollision(event);
+        break;
+
+      case SIMULATION_EVENTS.ENEMY_PROJECTILE_CANCELLED:
+      case SIMULATION_EVENTS.NEAR_MISS:
+        // Shooting down an enemy shot and passing close to an obstacle score a bonus
+        this.updateScore(this.run.score);
+        break;
+
+      case SIMULATION_EVENTS.BOSS_SPAWNED:
+        this.showBossBar(event.boss);
+        break;
+
+      case SIMULATION_EVENTS.BOSS_DAMAGED:
+        this.updateBossBar(event.boss);
+        break;
+
+      case SIMULATION_EVENTS.BOSS_DEFEATED:
+        // Beating the boss scores a large bonus
+        this.updateBossBar(event.boss);
+        this.updateScore(this.run.score);
+        this.updateCombo();
+        this.hideBossBar();
+        break;
+
+      case SIMULATION_EVENTS.PLAYER_HIT:
+        this.handleCollision(event);
+        break;
+
+      case SIMULATION_EVENTS.POWER_UP_COLLECTED:
+        // Repair restores health
+        this.updateHealthBar(this.run.health);
+        break;
+
+      case SIMULATION_EVENTS.WEAPON_SWITCHED:
+      case SIMULATION_EVENTS.WEAPON_UPGRADED:
+        this.updateWeapon();
+        break;
+
+      case SIMULATION_EVENTS.GAME_OVER:
+        this.endRun();
+        break;
+
+      case SIMULATION_EVENTS.STAGE_CLEARED:
+        this.showStageClear(event);
+        break;
+
+      case SIMULATION_EVENTS.STAGE_STARTED:
+        this.hideStageClear();
+        break;
+
+      default:
+        break;
     }
   }
 }
@@ -0,0 +1,221 @@
+/**
+ * Menu Scene for Rail Game
+ * The title screen shown after loading and when a run is left
+ *
+ * @file MenuScene.js
+ * @author Rail Game Team
+ * @version 1.0.0
+ */
+
+import Phaser from 'phaser';
+import { AssetManager } from '../assets/asset-manager';
+import { loadTuning } from '../config/tuning';
+import { DIFFICULTIES, loadDifficulty } from '../config/difficulty';
+import { loadRunSave } from '../utils/run-save';
+import { loadSettings } from '../config/settings';
+import { ModalDialog, Label, List, FocusGroup, MenuInput } from '../ui/widgets';
+
+/**
+ * MenuScene class
+ * Offers Play (or continuing a saved run), Difficulty, High Scores, Settings and Credits
+ * over a scrolling road
+ *
+ * @class MenuScene
+ * @extends Phaser.Scene
+ */
+export class MenuScene extends Phaser.Scene {
+  /**
+   * Create a new MenuScene instance
+   * Initializes the scene with the key 'MenuScene'
+   */
+  constructor() {
+    super('MenuScene');
+
+    // Read-only gameplay tuning, for the speed of the road backdrop
+    this.config = loadTuning();
+
+    // The player's preferences, shared by every scene
+    this.settings = loadSettings();
+
+    // Space between the menu buttons
+    this.buttonSpacing = 50;
+
+    // How far the backdrop road sways from side to side
+    this.swayDistance = 40;
+  }
+
+  /**
+   * Create method - automatically called by Phaser
+   * Builds the road backdrop, the title and the menu buttons
+   *
+   * @method create
+   */
+  create() {
+    this.gameWidth = this.cameras.main.width;
+    this.gameHeight = this.cameras.main.height;
+
+    this.createBackdrop();
+
+    // Create title
+    new Label(this, this.gameWidth / 2, this.gameHeight * 0.2, 'Rail Game', {
+      size: 48,
+      bold: true,
+      stroke: true
+    });
+
+    // A run saved in progress can be continued
+    const save = loadRunSave();
+    const labels = [];
+    if (save) {
+      labels.push(['Continue run', () => this.continueRun(save)]);
+    }
+    labels.push(['Play', () => this.play()]);
+    const difficultyIndex = labels.length;
+    labels.push(
+      [this.getDifficultyLabel(), () => this.cycleDifficulty()],
+      ['High Scores', () => this.openOverlay('HighScoresScene')],
+      ['Settings', () => this.openOverlay('SettingsScene')],
+      ['Credits', () => this.openCredits()]
+    );
+
+    // Create the buttons in a column below the title
+    this.buttons = new List(this, this.gameWidth / 2, this.gameHeight * 0.2 + 80, {
+      spacing: this.buttonSpacing,
+      buttonOptions: { size: 28, stroke: true },
+      scaled: true
+    });
+    labels.forEach(([label, onClick]) => this.buttons.addButton(label, onClick));
+    this.focusGroup = new FocusGroup();
+    this.focusGroup.add(this.buttons);
+    this.focusGroup.focusFirst();
+
+    // Allow using the menu and the credits from the keyboard or a gamepad
+    this.creditsDialog = null;
+    new MenuInput(this, () => {
+      return this.creditsDialog ? this.creditsDialog.focusGroup : this.focusGroup;
+    });
+
+    // The difficulty can also be changed in the settings panel
+    const difficultyButton = this.buttons.items[difficultyIndex];
+    const stopShowingDifficulty = this.settings.onChange((key) => {
+      if (key === 'difficulty') difficultyButton.setText(this.getDifficultyLabel());
+    });
+    this.events.once('shutdown', stopShowingDifficulty);
+  }
+
+  /**
+   * Creates the road and yellow line that scroll behind the menu
+   */
+  createBackdrop() {
+    const centerX = this.gameWidth / 2;
+    const centerY = this.gameHeight / 2;
+
+    this.road = this.add.tileSprite(
+      centerX, centerY, this.gameWidth, this.gameHeight, AssetManager.keys.road
+    );
+    this.yellowLine = this.add.tileSprite(
+      centerX, centerY, this.gameWidth, this.gameHeight, AssetManager.keys.yellowLine
+    );
+
+    // Darken the road so the menu stays readable
+    this.add.rectangle(centerX, centerY, this.gameWidth, this.gameHeight, 0x000000, 0.4);
+
+    this.backdropTime = 0;
+  }
+
+  /**
+   * Gets the label of the difficulty button
+   *
+   * @returns {string} The label with the name of the chosen preset
+   */
+  getDifficultyLabel() {
+    return `Difficulty: ${loadDifficulty(this.settings.difficulty).label}`;
+  }
+
+  /**
+   * Switches the difficulty of new runs to the next preset
+   */
+  cycleDifficulty() {
+    const index = DIFFICULTIES.indexOf(this.settings.difficulty);
+    this.settings.difficulty = DIFFICULTIES[(index + 1) % DIFFICULTIES.length];
+  }
+
+  /**
+   * Starts a new run
+   */
+  play() {
+    this.scene.start('MainScene');
+  }
+
+  /**
+   * Continues the saved run
+   *
+   * @param {Object} save - The saved run
+   */
+  continueRun(save) {
+    // MainScene picks the save up from the registry
+    this.registry.set('runToResume', save);
+    this.scene.start('MainScene');
+  }
+
+  /**
+   * Shows a scene over the menu, which is paused until it closes
+   *
+   * @param {string} key - The key of the scene to show
+   */
+  openOverlay(key) {
+    this.scene.pause();
+    this.scene.launch(key, { returnTo: this.scene.key });
+  }
+
+  /**
+   * Opens the credits dialog
+   */
+  openCredits() {
+    this.buttons.setVisible(false);
+
+    this.creditsDialog = new ModalDialog(this, {
+      width: 360,
+      height: 240,
+      title: 'Credits',
+      titleSize: 28,
+      overlay: false,
+      message: [
+        'Made by the Rail Game Team',
+        'Built with Phaser 3',
+        'All graphics are generated in code'
+      ],
+      buttons: [['Close', () => this.closeCredits()]],
+      onCancel: () => this.closeCredits()
+    });
+    this.creditsDialog.focusGroup.focusFirst();
+  }
+
+  /**
+   * Closes the credits dialog
+   */
+  closeCredits() {
+    if (this.creditsDialog) this.creditsDialog.close();
+    this.creditsDialog = null;
+    this.buttons.setVisible(true);
+  }
+
+  /**
+   * Update method - automatically called by Phaser on each frame
+   * Scrolls the backdrop road and sways it gently from side to side
+   *
+   * @param {number} time - The current time in ms
+   * @param {number} delta - The time since the last frame in ms
+   */
+  update(time, delta) {
+    const seconds = delta / 1000;
+    this.backdropTime += seconds;
+
+    this.road.tilePositionY += this.config.roadSpeed * seconds;
+    this.yellowLine.tilePositionY += this.config.yellowLineSpeed * seconds;
+
+    const sway = Math.sin(this.backdropTime * 0.5) * this.swayDistance;
+    this.road.tilePositionX = sway;
+    this.yellowLine.tilePositionX = sway;
+  }
+}
@@ -0,0 +1,367 @@
+/**
+ * Replay Scene for Rail Game
+ * Plays back a recorded run by feeding its inputs to a fresh simulation
+ *
+ * @file ReplayScene.js
+ * @author Rail Game Team
+ * @version 1.0.0
+ */
+
+import Phaser from 'phaser';
+import { loadTuning } from '../config/tuning';
+import { loadDifficulty } from '../config/difficulty';
+import { loadLevels } from '../config/levels';
+import { Simulation, SIMULATION_EVENTS } from '../simulation/simulation';
+import { ReplayPlayer, hashTuning } from '../simulation/replay';
+import { createWorldRenderer } from '../rendering/renderers';
+import { List, FocusGroup, MenuInput } from '../ui/widgets';
+import { loadSettings } from '../config/settings';
+
+/**
+ * Playback speeds, cycled by the speed button
+ *
+ * @constant {Array<number>} PLAYBACK_SPEEDS
+ */
+const PLAYBACK_SPEEDS = [1, 2, 4];
+
+/**
+ * ReplayScene class
+ * Re-runs a recorded run step by step, with pause, fast-forward and a timeline for scrubbing
+ *
+ * @class ReplayScene
+ * @extends Phaser.Scene
+ */
+export class ReplayScene extends Phaser.Scene {
+  /**
+   * Create a new ReplayScene instance
+   * Initializes the scene with the key 'ReplayScene'
+   */
+  constructor() {
+    super('ReplayScene');
+
+    // Replays must be played with the tuning and levels they were recorded with
+    this.config = loadTuning();
+    this.levels = loadLevels();
+
+    // Height of the playback controls at the bottom of the screen
+    this.controlsHeight = 70;
+  }
+
+  /**
+   * Init method - automatically called by Phaser before create
+   *
+   * @method init
+   * @param {Object} data - The replay to play
+   * @param {Object} data.replay - The replay (defaults to the last finished run)
+   * @param {Object} data.results - The game over results to return to, if any
+   */
+  init(data = {}) {
+    this.replay = data.replay || this.registry.get('lastReplay') || null;
+    this.results = data.results || null;
+
+    this.isPaused = false;
+    this.speedIndex = 0;
+    this.stepAccumulator = 0;
+    this.statusMessage = '';
+    this.statusMessageTicks = 0;
+  }
+
+  /**
+   * Create method - automatically called by Phaser after init
+   * Builds the replayed world, the HUD and the playback controls
+   *
+   * @method create
+   */
+  create() {
+    this.gameWidth = this.cameras.main.width;
+    this.gameHeight = this.cameras.main.height;
+
+    // Nothing to play, so start a normal run instead
+    if (!this.replay) {
+      this.scene.start('MainScene');
+      return;
+    }
+
+    // A fresh simulation and input player for the recorded seed, difficulty and control mode
+    this.difficulty = this.replay.difficulty ? loadDifficulty(this.replay.difficulty) : null;
+    this.simulation = new Simulation(
+      this.config,
+      this.replay.seed,
+      this.difficulty,
+      this.levels,
+      this.replay.controlMode
+    );
+    this.player = new ReplayPlayer(this.replay);
+
+    // Replays use the view chosen in the game
+    const renderMode = loadSettings().renderMode;
+    this.worldRenderer = createWorldRenderer(renderMode, this, this.simulation, this.config);
+    this.worldRenderer.create();
+
+    this.createHud();
+    this.createControls();
+
+    // Space toggles playback; the arrows, Enter and a gamepad use the playback buttons,
+    // and ESC or B leaves the replay
+    this.input.keyboard.on('keydown-SPACE', () => {
+      this.togglePause();
+    });
+
+    new MenuInput(this, () => this.focusGroup);
+  }
+
+  /**
+   * Creates the top bar with the score, the current tick and warnings
+   */
+  createHud() {
+    const barHeight = this.config.topBarHeight;
+
+    this.add.rectangle(this.gameWidth / 2, barHeight / 2, this.gameWidth, barHeight, 0x222222, 0.8)
+      .setDepth(100);
+
+    this.add.text(20, barHeight / 2, 'REPLAY', {
+      font: '20px Arial',
+      fill: '#ff4444'
+    }).setOrigin(0, 0.5).setDepth(101);
+
+    this.scoreText = this.add.text(this.gameWidth / 2, barHeight / 2, '', {
+      font: '20px Arial',
+      fill: '#ffffff'
+    }).setOrigin(0.5).setDepth(101);
+
+    this.tickText = this.add.text(this.gameWidth - 20, barHeight / 2, '', {
+      font: '14px Arial',
+      fill: '#aaaaaa'
+    }).setOrigin(1, 0.5).setDepth(101);
+
+    // Status line below the top bar (tuning mismatch, menu marker, result)
+    this.statusText = this.add.text(this.gameWidth / 2, barHeight + 20, '', {
+      font: '16px Arial',
+      fill: '#ffcc00',
+      align: 'center'
+    }).setOrigin(0.5).setDepth(101);
+
+    // A replay recorded with different tuning plays back, but will not match the run
+    this.tuningMismatch = this.replay.tuningHash !==
+      hashTuning(this.config, this.difficulty, this.levels);
+    this.updateHud();
+  }
+
+  /**
+   * Creates the play/pause, speed and exit buttons and the timeline
+   */
+  createControls() {
+    const top = this.gameHeight - this.controlsHeight;
+
+    this.add.rectangle(
+      this.gameWidth / 2,
+      top + this.controlsHeight / 2,
+      this.gameWidth,
+      this.controlsHeight,
+      0x222222,
+      0.8
+    ).setDepth(100);
+
+    // Timeline for scrubbing through the replay
+    const timelineWidth = this.gameWidth - 40;
+    this.timeline = this.add.rectangle(20, top + 15, timelineWidth, 10, 0x666666)
+      .setOrigin(0, 0.5)
+      .setDepth(101)
+      .setInteractive({ useHandCursor: true });
+
+    this.timelineFill = this.add.rectangle(20, top + 15, 0, 10, 0xff4444)
+      .setOrigin(0, 0.5)
+      .setDepth(102);
+
+    this.timeline.on('pointerdown', (pointer) => {
+      this.seekToPointer(pointer);
+    });
+
+    this.timeline.on('pointermove', (pointer) => {
+      if (pointer.isDown) {
+        this.seekToPointer(pointer);
+      }
+    });
+
+    // Playback buttons
+    const buttons = new List(this, this.gameWidth / 2 - 110, top + 48, {
+      spacing: 110,
+      horizontal: true,
+      buttonOptions: { size: 20 }
+    }).setDepth(101);
+
+    this.pauseButton = buttons.addButton('Pause', () => this.togglePause());
+    this.speedButton = buttons.addButton('1x', () => this.cycleSpeed());
+    buttons.addButton('Exit', () => this.exit());
+
+    this.focusGroup = new FocusGroup({ onCancel: () => this.exit() });
+    this.focusGroup.add(buttons);
+    this.focusGroup.focusFirst();
+  }
+
+  /**
+   * Pauses or resumes playback
+   */
+  togglePause() {
+    this.isPaused = !this.isPaused;
+    this.pauseButton.setText(this.isPaused ? 'Play' : 'Pause');
+  }
+
+  /**
+   * Switches to the next playback speed
+   */
+  cycleSpeed() {
+    this.speedIndex = (this.speedIndex + 1) % PLAYBACK_SPEEDS.length;
+    this.speedButton.setText(`${PLAYBACK_SPEEDS[this.speedIndex]}x`);
+  }
+
+  /**
+   * Seeks to the tick under the pointer on the timeline
+   *
+   * @param {Phaser.Input.Pointer} pointer - The pointer on the timeline
+   */
+  seekToPointer(pointer) {
+    const ratio = Phaser.Math.Clamp((pointer.x - this.timeline.x) / this.timeline.width, 0, 1);
+    this.seekTo(Math.round(ratio * this.replay.ticks));
+  }
+
+  /**
+   * Jumps to a tick of the replay
+   * Going back re-runs the simulation from the start; no effects are shown
+   * for the skipped steps
+   *
+   * @param {number} tick - The tick to jump to
+   */
+  seekTo(tick) {
+    const target = Phaser.Math.Clamp(tick, 0, this.replay.ticks);
+
+    if (target < this.simulation.tick) {
+      this.simulation.reset(this.replay.seed);
+      this.player.reset();
+    }
+
+    while (this.simulation.tick < target && !this.simulation.run.isGameOver) {
+      this.simulation.step(this.player.inputAt(this.simulation.tick));
+    }
+
+    this.stepAccumulator = 0;
+    this.worldRenderer.rebuild();
+    this.worldRenderer.sync();
+    this.updateHud();
+  }
+
+  /**
+   * Whether the whole replay has been played
+   *
+   * @returns {boolean} True if there are no steps left
+   */
+  isFinished() {
+    return this.player.isFinished(this.simulation.tick) || this.simulation.run.isGameOver;
+  }
+
+  /**
+   * Advances the simulation by one recorded step and renders what happened
+   */
+  stepReplay() {
+    const input = this.player.inputAt(this.simulation.tick);
+
+    // Show where the player opened the menu during the run
+    if (input.menu) {
+      this.showStatus('Menu opened');
+    }
+
+    const events = this.simulation.step(input);
+    events.forEach((event) => {
+      this.worldRenderer.handleEvent(event);
+
+      if (event.type === SIMULATION_EVENTS.STAGE_CLEARED) {
+        this.showStatus(`Stage ${event.stage} clear: ${event.level.name}`);
+      }
+    });
+  }
+
+  /**
+   * Shows a short-lived message below the top bar
+   *
+   * @param {string} message - The message to show
+   */
+  showStatus(message) {
+    this.statusMessage = message;
+    this.statusMessageTicks = this.config.simulationRate;
+  }
+
+  /**
+   * Updates the score, tick counter, timeline and status line
+   */
+  updateHud() {
+    const run = this.simulation.run;
+
+    this.scoreText.setText(`Score: ${run.score}`);
+    this.tickText.setText(`${this.simulation.tick} / ${this.replay.ticks}`);
+
+    if (this.timelineFill) {
+      const ratio = this.replay.ticks > 0 ? this.simulation.tick / this.replay.ticks : 1;
+      this.timelineFill.width = this.timeline.width * Math.min(ratio, 1);
+    }
+
+    let status = '';
+    if (this.isFinished()) {
+      status = run.score === this.replay.score
+        ? `Replay finished: score ${run.score} matches the recorded run`
+        : `Replay finished: score ${run.score} does not match the recorded ${this.replay.score}`;
+    } else if (this.statusMessageTicks > 0) {
+      status = this.statusMessage;
+    } else if (this.tuningMismatch) {
+      status = 'Recorded with different tuning; playback may not match';
+    }
+
+    this.statusText.setText(status);
+  }
+
+  /**
+   * Leaves the replay and returns to the game over screen, or to the main menu
+   */
+  exit() {
+    if (this.results) {
+      this.scene.start('GameOverScene', this.results);
+    } else {
+      this.scene.start('MenuScene');
+    }
+  }
+
+  /**
+   * Update method - automatically called by Phaser on each frame
+   * Advances the replay in the same fixed steps as the original run
+   *
+   * @param {number} time - The current time in ms
+   * @param {number} delta - The time since the last frame in ms
+   */
+  update(time, delta) {
+    if (!this.simulation || this.isPaused || this.isFinished()) return;
+
+    const speed = PLAYBACK_SPEEDS[this.speedIndex];
+    const stepDuration = this.simulation.stepDuration;
+    const maxSteps = this.config.maxStepsPerFrame * speed;
+    this.stepAccumulator += delta * speed;
+
+    let steps = 0;
+    while (this.stepAccumulator >= stepDuration && steps < maxSteps && !this.isFinished()) {
+      this.stepReplay();
+      this.stepAccumulator -= stepDuration;
+      steps++;
+
+      if (this.statusMessageTicks > 0) {
+        this.statusMessageTicks--;
+      }
+    }
+
+    // Drop any backlog after a long stall instead of fast-forwarding through it
+    if (steps === maxSteps) {
+      this.stepAccumulator = 0;
+    }
+
+    this.worldRenderer.sync();
+    this.worldRenderer.updateScenery(delta * speed);
+    this.updateHud();
+  }
+}
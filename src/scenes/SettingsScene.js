@@ -0,0 +1,126 @@
+/**
+ * Settings Scene for Rail Game
+ * Lets the player change the display, control and audio preferences
+ *
+ * @file SettingsScene.js
+ * @author Rail Game Team
+ * @version 1.0.0
+ */
+
+import Phaser from 'phaser';
+import { SETTING_DEFINITIONS, loadSettings } from '../config/settings';
+import { ModalDialog, Label, Slider, Toggle, MenuInput } from '../ui/widgets';
+
+/**
+ * SettingsScene class
+ * Shown on top of the scene it was opened from, which is paused until it closes
+ * Every change is stored and applied at once, so the scene below updates while paused
+ *
+ * @class SettingsScene
+ * @extends Phaser.Scene
+ */
+export class SettingsScene extends Phaser.Scene {
+  /**
+   * Create a new SettingsScene instance
+   * Initializes the scene with the key 'SettingsScene'
+   */
+  constructor() {
+    super('SettingsScene');
+
+    // The player's preferences, shared by every scene
+    this.settings = loadSettings();
+
+    // Space between the rows of the panel
+    this.rowSpacing = 40;
+  }
+
+  /**
+   * Init method - automatically called by Phaser before create
+   *
+   * @method init
+   * @param {Object} data - Where the scene was opened from
+   * @param {string} data.returnTo - The key of the paused scene to resume on close
+   */
+  init(data = {}) {
+    this.returnTo = data.returnTo || null;
+  }
+
+  /**
+   * Create method - automatically called by Phaser after init
+   * Builds a slider for each numeric setting, a toggle for each other setting,
+   * and the Defaults and Back buttons
+   *
+   * @method create
+   */
+  create() {
+    // Create the settings dialog over the scene below
+    const dialog = new ModalDialog(this, {
+      width: 420,
+      height: 560,
+      title: 'Settings',
+      buttons: [
+        ['Defaults', () => this.settings.resetAll()],
+        ['Back', () => this.close()]
+      ],
+      onCancel: () => this.close()
+    });
+
+    // One row per setting: a slider for numbers, a toggle for everything else
+    this.controls = {};
+    Object.keys(SETTING_DEFINITIONS).forEach((key, index) => {
+      const y = -190 + index * this.rowSpacing;
+      const definition = SETTING_DEFINITIONS[key];
+      const onChange = (value) => this.settings.set(key, value);
+
+      dialog.addWidget(new Label(this, -190, y, definition.label, { originX: 0 }));
+
+      this.controls[key] = dialog.addWidget(typeof definition.default === 'number'
+        ? new Slider(this, -10, y, {
+          min: definition.min,
+          max: definition.max,
+          step: definition.step,
+          value: this.settings.get(key),
+          format: (value) => this.formatNumber(definition, value),
+          onChange
+        })
+        : new Toggle(this, 80, y, {
+          values: definition.options || [true, false],
+          labels: definition.optionLabels,
+          value: this.settings.get(key),
+          onChange
+        }));
+    });
+
+    // Keep the controls in step with changes made anywhere, such as Defaults or the F key
+    const stopRefreshing = this.settings.onChange((key, value) => {
+      if (this.controls[key]) this.controls[key].setValue(value);
+    });
+    this.events.once('shutdown', stopRefreshing);
+
+    // Allow using the panel from the keyboard or a gamepad
+    dialog.focusGroup.focusFirst();
+    new MenuInput(this, () => dialog.focusGroup);
+  }
+
+  /**
+   * Gets the text shown beside a slider
+   *
+   * @param {SettingDefinition} definition - The setting's definition
+   * @param {number} value - The value
+   * @returns {string} The value as a percentage or a factor
+   */
+  formatNumber(definition, value) {
+    return definition.percent ? `${Math.round(value * 100)}%` : `${value.toFixed(2)}x`;
+  }
+
+  /**
+   * Closes the settings and resumes the scene they were opened from
+   */
+  close() {
+    if (this.returnTo) {
+      this.scene.resume(this.returnTo);
+    }
+
+    this.scene.stop();
+  }
+}
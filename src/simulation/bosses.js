@@ -0,0 +1,145 @@
+/**
+ * Boss Types
+ *
+ * This file is the registry of the bosses fought at the end of each stage.
+ * A boss enters at the top of the road when the stage is nearly complete and
+ * holds its distance, swaying across the road. Its body is armored: it only
+ * takes damage through weak points that open for a moment and close again.
+ *
+ * A fight is split into phases by the health the boss has left. Each phase
+ * sets how fast the boss sways, how long its weak points stay open and closed,
+ * and its attack: a telegraphed volley of shots fanned out around the
+ * character's position. Like the other registries it does not depend on Phaser;
+ * textures are drawn by src/assets/images/boss-sprites.js.
+ */
+
+/**
+ * @typedef {Object} BossAttack
+ * @property {number} interval - Time between volleys in ms
+ * @property {number} telegraph - Warning shown before each volley in ms
+ * @property {number} shots - Shots per volley
+ * @property {number} spreadSpeed - Sideways speed between neighboring shots in world units per
+ *   second
+ * @property {number} speed - Speed of the shots down the road in world units per second
+ * @property {number} damage - Health lost when a shot hits the character
+ * @property {{width: number, length: number}} hitbox - Hitbox of the shots in world units
+ */
+
+/**
+ * @typedef {Object} BossPhase
+ * @property {number} health - The phase starts once the boss's health fraction drops to this value
+ * @property {number} swaySpeed - Sideways speed in world units per second
+ * @property {number} weakPointOpen - Time the weak points stay open in ms
+ * @property {number} weakPointClosed - Time the weak points stay closed in ms
+ * @property {BossAttack} attack - The volleys fired during the phase
+ */
+
+/**
+ * @typedef {Object} BossType
+ * @property {string} name - The name shown above the boss health bar
+ * @property {number} health - Damage needed to destroy the boss
+ * @property {number} score - Score bonus for destroying the boss
+ * @property {{width: number, length: number}} hitbox - Hitbox of the armored body in world units
+ * @property {number} distance - Distance from the character the boss holds
+ * @property {number} entrySpeed - Speed the boss enters at in world units per second
+ * @property {number} explosionDuration - Length of the explosion sequence before the stage clears
+ *   in ms
+ * @property {Array<{x: number, width: number, length: number}>} weakPoints - Weak points on the
+ *   front of the body, with their offset from the body center
+ * @property {Array<BossPhase>} phases - The phases, in the order they are played
+ */
+
+/**
+ * Boss definitions, keyed by boss type
+ *
+ * @constant {Object<string, BossType>} BOSS_TYPES
+ */
+export const BOSS_TYPES = Object.freeze({
+  warden: Object.freeze({
+    name: 'The Warden',
+    health: 40,
+    score: 2000,
+    hitbox: Object.freeze({ width: 240, length: 80 }),
+    distance: 400,
+    entrySpeed: 120,
+    explosionDuration: 2000,
+    weakPoints: Object.freeze([
+      Object.freeze({ x: -75, width: 36, length: 36 }),
+      Object.freeze({ x: 75, width: 36, length: 36 })
+    ]),
+    phases: Object.freeze([
+      Object.freeze({
+        health: 1,
+        swaySpeed: 40,
+        weakPointOpen: 2500,
+        weakPointClosed: 2000,
+        attack: Object.freeze({
+          interval: 1800,
+          telegraph: 600,
+          shots: 1,
+          spreadSpeed: 0,
+          speed: 220,
+          damage: 10,
+          hitbox: Object.freeze({ width: 14, length: 22 })
+        })
+      }),
+      Object.freeze({
+        health: 0.6,
+        swaySpeed: 70,
+        weakPointOpen: 2000,
+        weakPointClosed: 2500,
+        attack: Object.freeze({
+          interval: 1600,
+          telegraph: 500,
+          shots: 3,
+          spreadSpeed: 60,
+          speed: 240,
+          damage: 10,
+          hitbox: Object.freeze({ width: 14, length: 22 })
+        })
+      }),
+      Object.freeze({
+        health: 0.3,
+        swaySpeed: 100,
+        weakPointOpen: 1500,
+        weakPointClosed: 3000,
+        attack: Object.freeze({
+          interval: 1400,
+          telegraph: 400,
+          shots: 5,
+          spreadSpeed: 70,
+          speed: 260,
+          damage: 15,
+          hitbox: Object.freeze({ width: 14, length: 22 })
+        })
+      })
+    ])
+  })
+});
+
+/**
+ * The boss fought at the end of every stage
+ *
+ * @constant {string} DEFAULT_BOSS
+ */
+export const DEFAULT_BOSS = 'warden';
+
+/**
+ * Get the phase a boss is in for the health it has left
+ *
+ * @param {BossType} type - The boss type
+ * @param {number} health - The health the boss has left
+ * @returns {number} The index of the phase
+ */
+export function getBossPhase(type, health) {
+  const fraction = health / type.health;
+  let phase = 0;
+
+  type.phases.forEach((candidate, index) => {
+    if (fraction <= candidate.health) {
+      phase = index;
+    }
+  });
+
+  return phase;
+}
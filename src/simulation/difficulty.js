@@ -0,0 +1,94 @@
+/**
+ * Difficulty Director
+ *
+ * This file scales the challenge of a run as it goes on. The director combines
+ * the elapsed time and the run's progress into an intensity between 0 and 1,
+ * then reads the spawn interval, the obstacle speed and the unlocked obstacle
+ * types from the curves of a difficulty preset (see src/config/difficulty.json).
+ * Curve values are multipliers of the base values in the tuning config.
+ */
+
+import { OBSTACLE_TYPES, DEFAULT_OBSTACLE_TYPE } from './obstacle-types.js';
+
+/**
+ * Read a piecewise-linear curve
+ *
+ * @param {Array<Array<number>>} points - The curve as [intensity, value] points, sorted by
+ *   intensity
+ * @param {number} intensity - The intensity to read the curve at
+ * @returns {number} The interpolated value (the end values are held outside the curve)
+ */
+export function sampleCurve(points, intensity) {
+  if (intensity <= points[0][0]) return points[0][1];
+
+  for (let i = 1; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    if (intensity <= x1) {
+      const [x0, y0] = points[i - 1];
+      return y0 + (y1 - y0) * (intensity - x0) / (x1 - x0);
+    }
+  }
+
+  return points[points.length - 1][1];
+}
+
+export class DifficultyDirector {
+  /**
+   * Create a new DifficultyDirector instance
+   *
+   * @param {Object} tuning - The read-only tuning config
+   * @param {Object|null} preset - The difficulty preset, or null to keep the base values
+   */
+  constructor(tuning, preset = null) {
+    this.tuning = tuning;
+    this.preset = preset;
+    this.reset();
+  }
+
+  /**
+   * Go back to the values for the start of a run
+   */
+  reset() {
+    this.intensity = 0;
+    this.spawnInterval = this.tuning.obstacleSpawnInterval;
+    this.obstacleSpeed = this.tuning.obstacleSpeed;
+    this.unlockedTypes = [DEFAULT_OBSTACLE_TYPE];
+    this.apply();
+  }
+
+  /**
+   * Update the difficulty for the current state of the run
+   *
+   * @param {RunState} run - The current run
+   */
+  update(run) {
+    if (!this.preset) return;
+
+    const timeIntensity = (run.elapsed / 1000) / this.preset.rampTime;
+    const progressIntensity = run.progress / 100;
+    const intensity = this.preset.timeWeight * timeIntensity +
+      this.preset.progressWeight * progressIntensity;
+
+    this.intensity = Math.max(0, Math.min(1, intensity));
+    this.apply();
+  }
+
+  /**
+   * Read the current values from the preset's curves
+   */
+  apply() {
+    if (!this.preset) return;
+
+    this.spawnInterval = this.tuning.obstacleSpawnInterval *
+      sampleCurve(this.preset.spawnInterval, this.intensity);
+    this.obstacleSpeed = this.tuning.obstacleSpeed *
+      sampleCurve(this.preset.obstacleSpeed, this.intensity);
+
+    // Unlocked types keep the order of OBSTACLE_TYPES so spawning stays deterministic
+    this.unlockedTypes = Object.keys(OBSTACLE_TYPES).filter((type) => {
+      if (type === DEFAULT_OBSTACLE_TYPE) return true;
+      const unlockAt = this.preset.unlocks[type];
+      return unlockAt !== undefined && this.intensity >= unlockAt;
+    });
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Ghost Racer
+ *
+ * This file contains the ghost: a second simulation that replays a recorded run
+ * (the personal best) in lockstep with the live run, so the player can race it.
+ * The ghost only reports where its character is and what it has scored; it never
+ * interacts with the live run.
+ */
+
+import { Simulation } from './simulation.js';
+import { ReplayPlayer } from './replay.js';
+
+export class Ghost {
+  /**
+   * Create a new Ghost instance
+   *
+   * @param {Object} tuning - The read-only tuning config
+   * @param {Object} replay - The replay to race against
+   * @param {Object|null} difficulty - The difficulty preset the replay was recorded with
+   * @param {Array<Object>|null} levels - The levels the replay was recorded with
+   */
+  constructor(tuning, replay, difficulty = null, levels = null) {
+    this.tuning = tuning;
+    this.replay = replay;
+    this.simulation = new Simulation(tuning, replay.seed, difficulty, levels, replay.controlMode);
+    this.player = new ReplayPlayer(replay);
+
+    // Recent x positions of the ghost, newest first
+    this.trail = [];
+  }
+
+  /**
+   * The ghost character's world x coordinate
+   *
+   * @returns {number} The x coordinate
+   */
+  get x() {
+    return this.simulation.character.x;
+  }
+
+  /**
+   * The ghost's score at the current tick
+   *
+   * @returns {number} The score
+   */
+  get score() {
+    return this.simulation.run.score;
+  }
+
+  /**
+   * Whether the recorded run has ended
+   *
+   * @returns {boolean} True once the ghost has no more steps
+   */
+  isFinished() {
+    return this.player.isFinished(this.simulation.tick) || this.simulation.run.isGameOver;
+  }
+
+  /**
+   * Advance the ghost by one step, alongside a step of the live run
+   */
+  step() {
+    if (this.isFinished()) return;
+
+    this.simulation.step(this.player.inputAt(this.simulation.tick));
+
+    // Sample the position for the trail every few steps
+    if (this.simulation.tick % this.tuning.ghostTrailInterval === 0) {
+      this.trail.unshift(this.x);
+
+      if (this.trail.length > this.tuning.ghostTrailLength) {
+        this.trail.pop();
+      }
+    }
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * Lanes
+ *
+ * This file contains the control modes and the lane layout used by the lane
+ * control mode. The number of lanes is derived from the width of the road
+ * (worldRoadWidth is the world size of the config.roadWidth share of the
+ * screen), so every lane keeps roughly the same width on every road.
+ * Like the simulation it does not depend on Phaser.
+ */
+
+/**
+ * How the player steers the character
+ *
+ * @constant {Object} CONTROL_MODES
+ */
+export const CONTROL_MODES = Object.freeze({
+  FREE: 'free',  // The character moves continuously while steering
+  LANES: 'lanes' // A steering tap or swipe moves the character to the next lane
+});
+
+/**
+ * The control mode used when none is chosen
+ *
+ * @constant {string} DEFAULT_CONTROL_MODE
+ */
+export const DEFAULT_CONTROL_MODE = CONTROL_MODES.FREE;
+
+/**
+ * Get the number of lanes on the road
+ *
+ * @param {Object} tuning - The read-only tuning config
+ * @returns {number} The lane count, between minLanes and maxLanes
+ */
+export function getLaneCount(tuning) {
+  const lanes = Math.round(tuning.worldRoadWidth / tuning.laneWidth);
+  return Math.max(tuning.minLanes, Math.min(tuning.maxLanes, lanes));
+}
+
+/**
+ * Get the world x coordinate of the center of a lane
+ *
+ * @param {Object} tuning - The read-only tuning config
+ * @param {number} lane - The lane index, 0 being the leftmost lane
+ * @returns {number} The x coordinate
+ */
+export function getLaneCenter(tuning, lane) {
+  const laneWidth = tuning.worldRoadWidth / getLaneCount(tuning);
+  return -tuning.worldRoadWidth / 2 + laneWidth * (lane + 0.5);
+}
+
+/**
+ * Ease in and out (quadratic), used for lane changes
+ *
+ * @param {number} t - The progress of the change, from 0 to 1
+ * @returns {number} The eased progress
+ */
+export function easeInOut(t) {
+  return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+}
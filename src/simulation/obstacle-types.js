@@ -0,0 +1,136 @@
+/**
+ * Obstacle Types
+ *
+ * This file is the registry of the kinds of obstacles the simulation can spawn.
+ * Each type sets its hitbox, the damage it deals to the character, the score
+ * for destroying it, the hits it takes to destroy, its spawn weight and how it
+ * moves. The standard obstacle is always available; the others are unlocked by
+ * the difficulty director as a run gets harder. Enemies are obstacles with an
+ * `attack`: they fire shots down the road at the character, each one announced
+ * by a telegraph first.
+ *
+ * Textures are not part of the registry because the simulation does not depend
+ * on Phaser: each type has a generator in src/assets/images/obstacle-sprites.js
+ * and a texture key in AssetManager.keys.obstacles.
+ */
+
+/**
+ * How an obstacle moves along the road
+ *
+ * @constant {Object} OBSTACLE_MOVEMENT
+ */
+export const OBSTACLE_MOVEMENT = Object.freeze({
+  STRAIGHT: 'straight', // Moves straight toward the character at the obstacle speed
+  STATIC: 'static',     // Stands on the road, so it only moves with the road speed
+  WEAVE: 'weave',       // Moves toward the character while drifting from side to side
+  TRACK: 'track'        // Moves toward the character while steering toward its x position
+});
+
+/**
+ * @typedef {Object} ObstacleType
+ * @property {{width: number, length: number}} hitbox - Hitbox in world units
+ * @property {number} damage - Health lost when the obstacle hits the character
+ * @property {number} score - Score awarded for destroying the obstacle
+ * @property {number} health - Projectile hits needed to destroy the obstacle
+ * @property {number} spawnWeight - Relative chance of spawning, unless the level's mix sets one
+ * @property {number} speedMultiplier - Multiplier on the current obstacle speed
+ * @property {string} movement - One of OBSTACLE_MOVEMENT
+ * @property {number} [laneSpan] - Lanes covered in lane mode, filling them (1 by default)
+ * @property {number} [weaveAmplitude] - Distance a weaving obstacle drifts to each side in
+ *   world units
+ * @property {number} [weaveFrequency] - Side to side cycles per second of a weaving obstacle
+ * @property {number} [trackSpeed] - Sideways speed of a tracking obstacle in world units per second
+ * @property {EnemyAttack} [attack] - The shots fired at the character, for enemies
+ */
+
+/**
+ * @typedef {Object} EnemyAttack
+ * @property {number} interval - Time between shots in ms
+ * @property {number} telegraph - Warning shown before each shot in ms
+ * @property {number} minDistance - Closest distance to the character the enemy still fires from
+ * @property {number} speed - Speed of the shots down the road in world units per second
+ * @property {number} damage - Health lost when a shot hits the character
+ * @property {{width: number, length: number}} hitbox - Hitbox of the shots in world units
+ */
+
+/**
+ * Obstacle type definitions, keyed by type name
+ * The order is the order types are considered for spawning
+ *
+ * @constant {Object<string, ObstacleType>} OBSTACLE_TYPES
+ */
+export const OBSTACLE_TYPES = Object.freeze({
+  standard: Object.freeze({
+    hitbox: Object.freeze({ width: 40, length: 64 }),
+    damage: 10,
+    score: 20,
+    health: 1,
+    spawnWeight: 4,
+    speedMultiplier: 1,
+    movement: OBSTACLE_MOVEMENT.STRAIGHT
+  }),
+  debris: Object.freeze({
+    hitbox: Object.freeze({ width: 20, length: 20 }), // Small and hard to hit
+    damage: 5,
+    score: 15,
+    health: 1,
+    spawnWeight: 3,
+    speedMultiplier: 1.8,
+    movement: OBSTACLE_MOVEMENT.STRAIGHT
+  }),
+  weaver: Object.freeze({
+    hitbox: Object.freeze({ width: 40, length: 48 }),
+    damage: 10,
+    score: 30,
+    health: 1,
+    spawnWeight: 2,
+    speedMultiplier: 0.9,
+    movement: OBSTACLE_MOVEMENT.WEAVE,
+    weaveAmplitude: 80,
+    weaveFrequency: 0.5
+  }),
+  armored: Object.freeze({
+    hitbox: Object.freeze({ width: 48, length: 64 }),
+    damage: 20,
+    score: 60,
+    health: 3,
+    spawnWeight: 1,
+    speedMultiplier: 0.8,
+    movement: OBSTACLE_MOVEMENT.STRAIGHT
+  }),
+  barrier: Object.freeze({
+    hitbox: Object.freeze({ width: 250, length: 32 }), // About two lanes wide in free mode
+    damage: 25,
+    score: 50,
+    health: 5,
+    spawnWeight: 1,
+    speedMultiplier: 1,
+    movement: OBSTACLE_MOVEMENT.STATIC,
+    laneSpan: 2
+  }),
+  gunner: Object.freeze({
+    hitbox: Object.freeze({ width: 44, length: 52 }),
+    damage: 15,
+    score: 80,
+    health: 2,
+    spawnWeight: 1,
+    speedMultiplier: 0.5, // Slow, so it has time to fire
+    movement: OBSTACLE_MOVEMENT.TRACK,
+    trackSpeed: 70,
+    attack: Object.freeze({
+      interval: 2000,
+      telegraph: 600,
+      minDistance: 160,
+      speed: 240,
+      damage: 10,
+      hitbox: Object.freeze({ width: 12, length: 20 })
+    })
+  })
+});
+
+/**
+ * The obstacle type available from the start of every run
+ *
+ * @constant {string} DEFAULT_OBSTACLE_TYPE
+ */
+export const DEFAULT_OBSTACLE_TYPE = 'standard';
@@ -0,0 +1,65 @@
+/**
+ * Power-Up Types
+ *
+ * This file is the registry of the pickups the simulation can spawn on the
+ * road. A pickup is collected by touching it. Most power-ups start a timed
+ * effect, tracked by RunState; collecting one that is already active restarts
+ * its timer. Repair restores health and upgrade raises the level of the weapon
+ * being fired, both at once.
+ *
+ * Textures are not part of the registry because the simulation does not depend
+ * on Phaser: each type has a generator in src/assets/images/power-up-sprites.js
+ * and a texture key in AssetManager.keys.powerUps.
+ */
+
+/**
+ * @typedef {Object} PowerUpType
+ * @property {string} name - The name shown in the HUD
+ * @property {number} spawnWeight - Relative chance of spawning
+ * @property {number} duration - Length of the effect in ms (0 for an instant pickup)
+ * @property {number} [fireRateMultiplier] - Multiplier on the time between shots
+ * @property {number} [projectiles] - Projectiles fired per shot, fanned out across the road
+ * @property {number} [spreadSpeed] - Sideways speed between neighboring fanned projectiles in
+ *   world units per second
+ * @property {number} [health] - Health restored on pickup
+ * @property {boolean} [upgrade] - Whether the pickup upgrades the weapon being fired
+ */
+
+/**
+ * Power-up type definitions, keyed by type name
+ * The order is the order types are considered for spawning
+ *
+ * @constant {Object<string, PowerUpType>} POWER_UP_TYPES
+ */
+export const POWER_UP_TYPES = Object.freeze({
+  shield: Object.freeze({
+    name: 'Shield',
+    spawnWeight: 2,
+    duration: 15000 // Or until it absorbs a hit
+  }),
+  rapidFire: Object.freeze({
+    name: 'Rapid Fire',
+    spawnWeight: 2,
+    duration: 8000,
+    fireRateMultiplier: 0.5
+  }),
+  spread: Object.freeze({
+    name: 'Spread Shot',
+    spawnWeight: 2,
+    duration: 8000,
+    projectiles: 3,
+    spreadSpeed: 120
+  }),
+  repair: Object.freeze({
+    name: 'Repair',
+    spawnWeight: 1,
+    duration: 0,
+    health: 30
+  }),
+  upgrade: Object.freeze({
+    name: 'Upgrade',
+    spawnWeight: 1,
+    duration: 0,
+    upgrade: true
+  })
+});
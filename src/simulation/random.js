@@ -0,0 +1,173 @@
+/**
+ * Seeded Random Number Generator
+ *
+ * This file contains a small deterministic random number generator (mulberry32)
+ * and a service that splits one run seed into independent named streams.
+ * The same seed always produces the same sequence, in the browser and under Node.
+ */
+
+export class SeededRandom {
+  /**
+   * Create a new SeededRandom instance
+   *
+   * @param {number} seed - The seed for the sequence (converted to a 32-bit unsigned integer)
+   */
+  constructor(seed) {
+    this.state = seed >>> 0;
+  }
+
+  /**
+   * Get the next number in the sequence
+   *
+   * @returns {number} A float in the range [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Get a random integer between min and max (inclusive)
+   *
+   * @param {number} min - The minimum value
+   * @param {number} max - The maximum value
+   * @returns {number} A random integer
+   */
+  between(min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  }
+
+  /**
+   * Get a random float between min and max
+   *
+   * @param {number} min - The minimum value
+   * @param {number} max - The maximum value
+   * @returns {number} A random float
+   */
+  floatBetween(min, max) {
+    return this.next() * (max - min) + min;
+  }
+}
+
+/**
+ * Names of the independent random streams
+ * Gameplay draws never depend on how many cosmetic draws were made
+ *
+ * @constant {Object} RANDOM_STREAMS
+ */
+export const RANDOM_STREAMS = Object.freeze({
+  GAMEPLAY: 'gameplay', // Spawning and anything else that affects the run
+  COSMETIC: 'cosmetic', // Visual-only effects such as depth elements
+  TRACK: 'track',       // Generated road bends and hills
+  POWER_UPS: 'powerUps' // Power-up spawns, so pickups never change the obstacles
+});
+
+/**
+ * Derive the seed of a named stream from the run seed (FNV-1a hash)
+ *
+ * @param {number} seed - The run seed
+ * @param {string} name - The stream name
+ * @returns {number} The stream seed as a 32-bit unsigned integer
+ */
+export function deriveSeed(seed, name) {
+  let hash = (0x811C9DC5 ^ seed) >>> 0;
+
+  for (let i = 0; i < name.length; i++) {
+    hash ^= name.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+
+  return hash;
+}
+
+/**
+ * Create a new random seed for a run
+ *
+ * @returns {number} A 32-bit unsigned integer seed
+ */
+export function createSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Parse a seed from user input such as a URL parameter
+ *
+ * @param {string|number} value - The value to parse
+ * @returns {number|null} The seed, or null if the value is not a valid seed
+ */
+export function parseSeed(value) {
+  if (value === null || value === undefined || !/^\d+$/.test(String(value).trim())) {
+    return null;
+  }
+
+  const seed = Number(String(value).trim());
+  return seed <= 4294967295 ? seed : null;
+}
+
+export class RandomService {
+  /**
+   * Create a new RandomService instance
+   *
+   * @param {number} seed - The run seed all streams are derived from
+   */
+  constructor(seed) {
+    this.reset(seed);
+  }
+
+  /**
+   * Restart all streams from a new seed
+   *
+   * @param {number} seed - The run seed all streams are derived from
+   */
+  reset(seed) {
+    this.seed = seed >>> 0;
+    this.streams = new Map();
+  }
+
+  /**
+   * Get a named stream, creating it on first use
+   *
+   * @param {string} name - The stream name (see RANDOM_STREAMS)
+   * @returns {SeededRandom} The stream's generator
+   */
+  stream(name) {
+    if (!this.streams.has(name)) {
+      this.streams.set(name, new SeededRandom(deriveSeed(this.seed, name)));
+    }
+
+    return this.streams.get(name);
+  }
+
+  /**
+   * Create a plain copy of the seed and the position of every stream
+   *
+   * @returns {{seed: number, streams: Object<string, number>}} The state of the service
+   */
+  snapshot() {
+    const streams = {};
+    this.streams.forEach((random, name) => {
+      streams[name] = random.state;
+    });
+
+    return { seed: this.seed, streams };
+  }
+
+  /**
+   * Continue every stream from a copy made by snapshot()
+   *
+   * @param {{seed: number, streams: Object<string, number>}} snapshot - The state to continue from
+   */
+  restore(snapshot) {
+    this.reset(snapshot.seed);
+
+    // A generator's state is also a valid seed that continues its sequence
+    Object.keys(snapshot.streams).forEach((name) => {
+      this.streams.set(name, new SeededRandom(snapshot.streams[name]));
+    });
+  }
+}
@@ -0,0 +1,266 @@
+/**
+ * Replay Recording
+ *
+ * This file records the player's input for every simulation step and plays it
+ * back. Because the simulation is deterministic, a replay only needs the seed,
+ * the difficulty, the control mode, a hash of the gameplay data and the input events: re-running
+ * the simulation with them reproduces the run exactly.
+ * Like the simulation it does not depend on Phaser, so replays can be checked under Node.
+ */
+
+import { CONTROL_MODES } from './lanes.js';
+import { STEERING_STEPS, getSteeringStrength } from './simulation.js';
+
+/**
+ * Version of the replay file format
+ * Replays with a different version are rejected
+ *
+ * @constant {number} REPLAY_VERSION
+ */
+export const REPLAY_VERSION = 4;
+
+/**
+ * Bit flags used to store the input of one step as a single number
+ *
+ * @constant {Object} INPUT_FLAGS
+ */
+export const INPUT_FLAGS = Object.freeze({
+  LEFT: 1,  // Steering left
+  RIGHT: 2, // Steering right
+  FIRE: 4,  // Fire pressed
+  MENU: 8,  // The menu was opened before this step
+  SWITCH: 16 // Switch to the next weapon
+});
+
+/**
+ * Bit position of the steering strength in the mask
+ * The bits above the flags hold how far short of full strength the step
+ * steers, so full-strength steering and older replays leave them at 0
+ *
+ * @constant {number} STEERING_SHIFT
+ */
+const STEERING_SHIFT = 5;
+
+/**
+ * Pack a step's input into a bit mask
+ *
+ * @param {Object} input - The input ({ left, right, steer, fire, menu, switchWeapon })
+ * @returns {number} The bit mask
+ */
+export function encodeInput(input) {
+  const steering = input.left || input.right
+    ? STEERING_STEPS - Math.round(getSteeringStrength(input) * STEERING_STEPS)
+    : 0;
+
+  return (steering << STEERING_SHIFT) |
+         (input.left ? INPUT_FLAGS.LEFT : 0) |
+         (input.right ? INPUT_FLAGS.RIGHT : 0) |
+         (input.fire ? INPUT_FLAGS.FIRE : 0) |
+         (input.menu ? INPUT_FLAGS.MENU : 0) |
+         (input.switchWeapon ? INPUT_FLAGS.SWITCH : 0);
+}
+
+/**
+ * Unpack a bit mask into a step's input
+ *
+ * @param {number} mask - The bit mask
+ * @returns {Object} The input ({ left, right, steer, fire, menu, switchWeapon })
+ */
+export function decodeInput(mask) {
+  return {
+    left: (mask & INPUT_FLAGS.LEFT) !== 0,
+    right: (mask & INPUT_FLAGS.RIGHT) !== 0,
+    steer: (STEERING_STEPS - (mask >> STEERING_SHIFT)) / STEERING_STEPS,
+    fire: (mask & INPUT_FLAGS.FIRE) !== 0,
+    menu: (mask & INPUT_FLAGS.MENU) !== 0,
+    switchWeapon: (mask & INPUT_FLAGS.SWITCH) !== 0
+  };
+}
+
+/**
+ * Hash the tuning config, difficulty preset and levels (FNV-1a) so a replay
+ * can tell whether it was recorded with the same gameplay values
+ *
+ * @param {Object} tuning - The tuning config
+ * @param {Object|null} difficulty - The difficulty preset, if any
+ * @param {Array<Object>|null} levels - The levels, if any
+ * @returns {string} The hash as 8 hex digits
+ */
+export function hashTuning(tuning, difficulty = null, levels = null) {
+  const text = JSON.stringify({ tuning, difficulty, levels });
+  let hash = 0x811C9DC5;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+
+  return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Check a replay loaded from a file and return it in a normalized form
+ *
+ * @param {Object|string} source - The replay as an object or a JSON string
+ * @returns {Object} The replay
+ * @throws {Error} If the replay is malformed or has a different version
+ */
+export function parseReplay(source) {
+  const replay = typeof source === 'string' ? JSON.parse(source) : source;
+
+  if (!replay || typeof replay !== 'object') {
+    throw new Error('Replay is not an object');
+  }
+
+  if (replay.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version ${replay.version} (expected ${REPLAY_VERSION})`);
+  }
+
+  if (replay.difficulty !== null && typeof replay.difficulty !== 'string') {
+    throw new Error('Replay difficulty must be a preset name');
+  }
+
+  if (!Object.values(CONTROL_MODES).includes(replay.controlMode)) {
+    throw new Error(`Unknown replay control mode ${replay.controlMode}`);
+  }
+
+  if (!Number.isInteger(replay.seed) || !Number.isInteger(replay.ticks) ||
+      !Array.isArray(replay.inputs)) {
+    throw new Error('Replay is missing its seed, ticks or inputs');
+  }
+
+  const inputsValid = replay.inputs.every((entry) => Array.isArray(entry) &&
+    Number.isInteger(entry[0]) && Number.isInteger(entry[1]));
+  if (!inputsValid) {
+    throw new Error('Replay inputs must be [tick, mask] pairs');
+  }
+
+  return {
+    version: replay.version,
+    seed: replay.seed >>> 0,
+    difficulty: replay.difficulty,
+    controlMode: replay.controlMode,
+    tuningHash: String(replay.tuningHash || ''),
+    ticks: replay.ticks,
+    score: replay.score,
+    inputs: replay.inputs.map((entry) => [entry[0], entry[1]])
+  };
+}
+
+export class ReplayRecorder {
+  /**
+   * Create a new ReplayRecorder instance
+   *
+   * @param {number} seed - The seed of the recorded run
+   * @param {Object} tuning - The tuning config of the recorded run
+   * @param {Object|null} difficulty - The difficulty preset of the recorded run, if any
+   * @param {Array<Object>|null} levels - The levels of the recorded run, if any
+   * @param {string} controlMode - The control mode of the recorded run
+   */
+  constructor(seed, tuning, difficulty = null, levels = null, controlMode = CONTROL_MODES.FREE) {
+    this.seed = seed >>> 0;
+    this.difficulty = difficulty ? difficulty.name : null;
+    this.controlMode = controlMode;
+    this.tuningHash = hashTuning(tuning, difficulty, levels);
+
+    // Input changes as [tick, mask] pairs; a step repeats the last recorded mask
+    this.inputs = [];
+    this.lastMask = 0;
+    this.ticks = 0;
+  }
+
+  /**
+   * Record the input for a simulation step
+   *
+   * @param {number} tick - The simulation tick before the step
+   * @param {Object} input - The input passed to the step
+   */
+  record(tick, input) {
+    const mask = encodeInput(input);
+
+    if (mask !== this.lastMask) {
+      this.inputs.push([tick, mask]);
+      this.lastMask = mask;
+    }
+
+    this.ticks = tick + 1;
+  }
+
+  /**
+   * Continue recording a run from its replay so far, so a resumed run still replays from the start
+   *
+   * @param {Object} replay - The replay of the run up to now, from toJSON()
+   */
+  resume(replay) {
+    this.inputs = replay.inputs.map((entry) => entry.slice());
+    this.lastMask = this.inputs.length > 0 ? this.inputs[this.inputs.length - 1][1] : 0;
+    this.ticks = replay.ticks;
+  }
+
+  /**
+   * Build the replay file contents
+   *
+   * @param {number} score - The final score, used to check the playback
+   * @returns {Object} The replay, ready for JSON.stringify
+   */
+  toJSON(score) {
+    return {
+      version: REPLAY_VERSION,
+      seed: this.seed,
+      difficulty: this.difficulty,
+      controlMode: this.controlMode,
+      tuningHash: this.tuningHash,
+      ticks: this.ticks,
+      score: score,
+      inputs: this.inputs.map((entry) => entry.slice())
+    };
+  }
+}
+
+export class ReplayPlayer {
+  /**
+   * Create a new ReplayPlayer instance
+   *
+   * @param {Object} replay - A replay returned by parseReplay() or ReplayRecorder.toJSON()
+   */
+  constructor(replay) {
+    this.replay = replay;
+    this.reset();
+  }
+
+  /**
+   * Go back to the start of the replay
+   */
+  reset() {
+    this.cursor = 0;   // Index of the next input change
+    this.mask = 0;     // Input of the current step
+  }
+
+  /**
+   * Get the recorded input for a simulation step
+   * Steps must be requested in order; call reset() to go back
+   *
+   * @param {number} tick - The simulation tick before the step
+   * @returns {Object} The input ({ left, right, steer, fire, menu, switchWeapon })
+   */
+  inputAt(tick) {
+    const inputs = this.replay.inputs;
+
+    while (this.cursor < inputs.length && inputs[this.cursor][0] <= tick) {
+      this.mask = inputs[this.cursor][1];
+      this.cursor++;
+    }
+
+    return decodeInput(this.mask);
+  }
+
+  /**
+   * Whether the replay has no more steps after a tick
+   *
+   * @param {number} tick - The current simulation tick
+   * @returns {boolean} True if the replay has ended
+   */
+  isFinished(tick) {
+    return tick >= this.replay.ticks;
+  }
+}
@@ -0,0 +1,1251 @@
+/**
+ * Simulation Core
+ *
+ * This file contains the headless gameplay simulation. It owns every gameplay rule
+ * (spawning, movement, enemy fire, bosses, collision damage, power-ups, scoring
+ * and progress) and advances the world one fixed step at a time from the
+ * player's input and a seed.
+ * It does not depend on Phaser so it can run under Node; imports use explicit
+ * .js extensions for the same reason.
+ *
+ * World coordinates do not depend on the screen size: x runs across the road with
+ * 0 at its center, and z runs along the road with the character at z = 0 and
+ * positive values ahead of it.
+ */
+
+import { RunState, SCORE_SOURCES } from '../models/run-state.js';
+import { RandomService, RANDOM_STREAMS } from './random.js';
+import { DifficultyDirector } from './difficulty.js';
+import { OBSTACLE_TYPES, OBSTACLE_MOVEMENT, DEFAULT_OBSTACLE_TYPE } from './obstacle-types.js';
+import {
+  CONTROL_MODES, DEFAULT_CONTROL_MODE, getLaneCount, getLaneCenter, easeInOut
+} from './lanes.js';
+import { Track } from './track.js';
+import { POWER_UP_TYPES } from './power-ups.js';
+import { WEAPON_TYPES, getWeaponStats } from './weapons.js';
+import { BOSS_TYPES, DEFAULT_BOSS, getBossPhase } from './bosses.js';
+
+/**
+ * Event types reported by Simulation.step()
+ *
+ * @constant {Object} SIMULATION_EVENTS
+ */
+export const SIMULATION_EVENTS = Object.freeze({
+  OBSTACLE_SPAWNED: 'obstacleSpawned',     // A new obstacle entered the road
+  OBSTACLE_AVOIDED: 'obstacleAvoided',     // An obstacle passed behind the character
+  NEAR_MISS: 'nearMiss',                   // An obstacle passed near the character without a hit
+  OBSTACLE_DAMAGED: 'obstacleDamaged',     // A projectile hit an obstacle that has health left
+  OBSTACLE_DESTROYED: 'obstacleDestroyed', // A projectile destroyed an obstacle
+  PROJECTILE_FIRED: 'projectileFired',     // The character fired a projectile
+  PROJECTILE_EXPIRED: 'projectileExpired', // A projectile left the road without a hit
+  ENEMY_TELEGRAPH: 'enemyTelegraph',       // An enemy is about to fire
+  ENEMY_FIRED: 'enemyFired',               // An enemy fired a shot at the character
+  ENEMY_PROJECTILE_EXPIRED: 'enemyProjectileExpired',     // An enemy shot went behind the character
+  ENEMY_PROJECTILE_CANCELLED: 'enemyProjectileCancelled', // A projectile shot down an enemy shot
+  PLAYER_HIT: 'playerHit',                 // An obstacle or enemy shot hit the character
+  SHIELD_BLOCKED: 'shieldBlocked',         // The shield absorbed an obstacle or shot and broke
+  POWER_UP_SPAWNED: 'powerUpSpawned',      // A new power-up appeared on the road
+  POWER_UP_COLLECTED: 'powerUpCollected',  // The character picked up a power-up
+  POWER_UP_MISSED: 'powerUpMissed',        // A power-up passed behind the character
+  POWER_UP_ENDED: 'powerUpEnded',          // A timed power-up effect ran out
+  WEAPON_SWITCHED: 'weaponSwitched',       // The player switched to the next weapon
+  WEAPON_UPGRADED: 'weaponUpgraded',       // The weapon being fired went up a level
+  BOSS_SPAWNED: 'bossSpawned',             // The stage boss entered the road
+  BOSS_PHASE_CHANGED: 'bossPhaseChanged',  // The boss moved on to its next attack phase
+  BOSS_WEAK_POINTS_OPENED: 'bossWeakPointsOpened', // The boss's weak points can be damaged
+  BOSS_WEAK_POINTS_CLOSED: 'bossWeakPointsClosed', // The boss's weak points are covered again
+  BOSS_TELEGRAPH: 'bossTelegraph',         // The boss is about to fire a volley
+  BOSS_FIRED: 'bossFired',                 // The boss fired a volley of shots
+  BOSS_DAMAGED: 'bossDamaged',             // A projectile hit an open weak point
+  BOSS_BLOCKED: 'bossBlocked',             // A projectile hit the boss's armor and did no damage
+  BOSS_DEFEATED: 'bossDefeated',           // The boss ran out of health and started exploding
+  STAGE_CLEARED: 'stageCleared',           // Progress reached 100% and the stage ended
+  STAGE_STARTED: 'stageStarted',           // The next level started after a stage clear
+  GAME_OVER: 'gameOver'                    // The character ran out of health
+});
+
+/**
+ * States of a boss fight
+ *
+ * @constant {Object} BOSS_STATES
+ */
+export const BOSS_STATES = Object.freeze({
+  ENTERING: 'entering',   // Moving down the road to its fighting distance; cannot be hurt
+  FIGHTING: 'fighting',   // Swaying, firing and opening its weak points
+  EXPLODING: 'exploding'  // Destroyed; the stage clears when the explosion sequence ends
+});
+
+/**
+ * Number of steps the steering strength is rounded to, so a replay can store
+ * it exactly
+ *
+ * @constant {number} STEERING_STEPS
+ */
+export const STEERING_STEPS = 100;
+
+/**
+ * Read how hard a step's input steers
+ * Keyboard and touch input leave out input.steer and steer at full strength
+ *
+ * @param {Object} input - The player's input for a step
+ * @returns {number} The strength, from 0 to 1, rounded to STEERING_STEPS
+ */
+export function getSteeringStrength(input) {
+  if (typeof input.steer !== 'number') return 1;
+
+  const strength = Math.max(0, Math.min(1, input.steer));
+
+  return Math.round(strength * STEERING_STEPS) / STEERING_STEPS;
+}
+
+/**
+ * Check whether two world entities overlap
+ *
+ * @param {Object} a - The first entity ({ x, z, width, length })
+ * @param {Object} b - The second entity ({ x, z, width, length })
+ * @returns {boolean} True if the hitboxes overlap
+ */
+function overlaps(a, b) {
+  return Math.abs(a.x - b.x) < (a.width + b.width) / 2 &&
+         Math.abs(a.z - b.z) < (a.length + b.length) / 2;
+}
+
+export class Simulation {
+  /**
+   * Create a new Simulation instance
+   *
+   * @param {Object} tuning - The read-only tuning config
+   * @param {number} seed - The seed for all gameplay randomness
+   * @param {Object|null} difficulty - The difficulty preset, or null to keep the base tuning values
+   * @param {Array<Object>|null} levels - The levels to play in order, or null for one endless stage
+   * @param {string} controlMode - One of CONTROL_MODES
+   */
+  constructor(
+    tuning, seed = Date.now(), difficulty = null, levels = null, controlMode = DEFAULT_CONTROL_MODE
+  ) {
+    this.tuning = tuning;
+
+    // Length of one simulation step in ms
+    this.stepDuration = 1000 / tuning.simulationRate;
+
+    // Values for the current run (health, score, progress, timers)
+    this.run = new RunState(tuning);
+
+    // Lanes used by the lane control mode and lane-aligned spawns
+    this.laneCount = getLaneCount(tuning);
+    this.laneWidth = tuning.worldRoadWidth / this.laneCount;
+
+    // Start the first run
+    this.reset(seed, difficulty, levels, controlMode);
+  }
+
+  /**
+   * Reset the world to the start of a new run
+   *
+   * @param {number} seed - The seed for the new run (defaults to the current seed)
+   * @param {Object|null} difficulty - The difficulty preset (defaults to the current preset)
+   * @param {Array<Object>|null} levels - The levels to play (defaults to the current levels)
+   * @param {string} controlMode - The control mode (defaults to the current mode)
+   */
+  reset(
+    seed = this.seed, difficulty = this.difficulty, levels = this.levels,
+    controlMode = this.controlMode
+  ) {
+    this.seed = seed >>> 0;
+    this.difficulty = difficulty || null;
+    this.levels = levels && levels.length > 0 ? levels : null;
+    this.controlMode = controlMode === CONTROL_MODES.LANES
+      ? CONTROL_MODES.LANES
+      : CONTROL_MODES.FREE;
+    this.run.reset();
+
+    // The first level sets the progress needed to clear the first stage
+    this.levelIndex = 0;
+    this.level = this.levels ? this.levels[0] : null;
+    if (this.level) {
+      this.run.progressGoal = this.level.length;
+    }
+
+    // Scales spawning and obstacle speed as the run goes on
+    this.director = new DifficultyDirector(this.tuning, this.difficulty);
+
+    // Named random streams derived from the seed; only the gameplay stream
+    // is used here, so visual effects can never change the run
+    this.random = new RandomService(this.seed);
+    this.gameplayRandom = this.random.stream(RANDOM_STREAMS.GAMEPLAY);
+    this.powerUpRandom = this.random.stream(RANDOM_STREAMS.POWER_UPS);
+
+    // Bends and hills of the road for the first stage
+    this.startTrack();
+
+    this.tick = 0;    // Number of steps taken
+    this.nextId = 1;  // Next entity id
+
+    // Half the width of the area the character can move in
+    this.characterLimit = this.tuning.worldRoadWidth / 2 - this.tuning.roadPadding;
+
+    // The character always sits at z = 0
+    this.character = {
+      x: 0,
+      z: 0,
+      width: this.tuning.characterHitbox.width,
+      length: this.tuning.characterHitbox.length
+    };
+
+    // In lane mode the character starts in the middle lane (left of the middle with an even count)
+    if (this.controlMode === CONTROL_MODES.LANES) {
+      this.character.lane = Math.floor((this.laneCount - 1) / 2);
+      this.character.x = getLaneCenter(this.tuning, this.character.lane);
+      this.character.laneStartX = this.character.x; // Where the current lane change started
+      this.character.laneTimer = this.tuning.laneChangeDuration; // Time into the lane change in ms
+    }
+
+    // Steering of the previous step, so lane changes happen once per tap
+    this.previousInput = { left: false, right: false };
+
+    this.obstacles = [];   // Active obstacles
+    this.projectiles = []; // Active projectiles
+    this.enemyProjectiles = []; // Active enemy shots, which only hit the character and projectiles
+    this.boss = null;           // The stage boss while it is on the road
+    this.bossDefeated = false;  // Whether the boss of the current stage was destroyed
+    this.powerUps = [];    // Power-ups waiting on the road
+    this.events = [];      // Events reported by the last step
+  }
+
+  /**
+   * Create a plain copy of the whole world, so a run can be saved and continued later
+   * The tuning, difficulty preset and levels are not part of the copy
+   *
+   * @returns {Object} The state of the world, safe to serialize
+   */
+  snapshot() {
+    return JSON.parse(JSON.stringify({
+      seed: this.seed,
+      controlMode: this.controlMode,
+      levelIndex: this.levelIndex,
+      tick: this.tick,
+      nextId: this.nextId,
+      trackPosition: this.trackPosition,
+      track: this.track.snapshot(),
+      random: this.random.snapshot(),
+      run: this.run.snapshot(),
+      character: this.character,
+      previousInput: this.previousInput,
+      obstacles: this.obstacles,
+      projectiles: this.projectiles,
+      enemyProjectiles: this.enemyProjectiles,
+      boss: this.boss,
+      bossDefeated: this.bossDefeated,
+      powerUps: this.powerUps
+    }));
+  }
+
+  /**
+   * Continue a run from a copy made by snapshot()
+   * The simulation must have the tuning, difficulty preset and levels the copy was made with
+   *
+   * @param {Object} snapshot - The state of the world to continue from
+   */
+  restore(snapshot) {
+    const state = JSON.parse(JSON.stringify(snapshot));
+
+    this.reset(state.seed, this.difficulty, this.levels, state.controlMode);
+    this.run.restore(state.run);
+
+    this.levelIndex = state.levelIndex;
+    this.level = this.levels ? this.levels[this.levelIndex] : null;
+
+    // Every stream continues where it stopped, including the track's
+    this.random.restore(state.random);
+    this.gameplayRandom = this.random.stream(RANDOM_STREAMS.GAMEPLAY);
+    this.powerUpRandom = this.random.stream(RANDOM_STREAMS.POWER_UPS);
+    this.startTrack();
+    this.track.restore(state.track);
+    this.trackPosition = state.trackPosition;
+
+    this.tick = state.tick;
+    this.nextId = state.nextId;
+    this.character = state.character;
+    this.previousInput = state.previousInput;
+    this.obstacles = state.obstacles;
+    this.projectiles = state.projectiles;
+    this.enemyProjectiles = state.enemyProjectiles;
+    this.boss = state.boss;
+    this.bossDefeated = state.bossDefeated;
+    this.powerUps = state.powerUps;
+
+    this.director.update(this.run);
+  }
+
+  /**
+   * Advance the world by one fixed step
+   *
+   * @param {Object} input - The player's input for this step
+   * @param {boolean} input.left - Whether the character is steering left
+   * @param {boolean} input.right - Whether the character is steering right
+   * @param {number} [input.steer=1] - How hard the character steers, from 0 to 1
+   * @param {boolean} input.fire - Whether the player pressed fire
+   * @param {boolean} input.switchWeapon - Whether the player switched to the next weapon
+   * @returns {Array<Object>} The events that happened during the step
+   */
+  step(input = {}) {
+    this.events = [];
+
+    // Nothing moves once the run has ended
+    if (this.run.isGameOver) return this.events;
+
+    const seconds = this.stepDuration / 1000;
+    this.tick++;
+
+    // Advance the run clock
+    this.run.elapsed += this.stepDuration;
+
+    // The road stays empty while the stage clear summary is shown
+    if (this.run.isStageClear) {
+      this.updateStageClear();
+      return this.events;
+    }
+
+    // Track the distance travelled along the road
+    this.run.distance += (this.tuning.roadSpeed * seconds) / this.tuning.pixelsPerMeter;
+    this.trackPosition += this.tuning.roadSpeed * seconds;
+
+    // Adjust the difficulty to the time played and the progress made
+    this.director.update(this.run);
+
+    if (input.switchWeapon) {
+      this.switchWeapon();
+    }
+
+    if (input.fire) {
+      this.fireProjectile();
+    }
+
+    this.updateSpawning();
+    this.updatePowerUpSpawning();
+    this.updateObstacles(seconds);
+    this.updateEnemyFire();
+    this.updateBoss(seconds);
+    this.updateProjectiles(seconds);
+    this.updateEnemyProjectiles(seconds);
+    this.updatePowerUps(seconds);
+    this.updateInvulnerability();
+    this.updateEffects();
+
+    if (this.controlMode === CONTROL_MODES.LANES) {
+      this.updateCharacterLane(input);
+    } else {
+      this.updateCharacter(input, seconds);
+    }
+    this.previousInput = { left: Boolean(input.left), right: Boolean(input.right) };
+
+    // Check collisions at the end of every step
+    this.checkCharacterCollisions();
+    this.checkNearMisses();
+    this.checkEnemyProjectileHits();
+    this.checkPowerUpPickups();
+    this.checkEnemyProjectileCancels();
+    this.checkBossHits();
+    this.checkProjectileCollisions();
+
+    // Nearly completing the stage brings out the boss, and beating it clears the stage
+    this.checkBossSpawn();
+    this.checkStageClear();
+
+    return this.events;
+  }
+
+  /**
+   * Record an event for the current step
+   *
+   * @param {string} type - One of SIMULATION_EVENTS
+   * @param {Object} data - Additional event data
+   */
+  emit(type, data = {}) {
+    this.events.push(Object.assign({ type, tick: this.tick }, data));
+  }
+
+  /**
+   * Get the stats of the weapon being fired at its current level
+   *
+   * @returns {WeaponType} The weapon stats
+   */
+  getWeapon() {
+    return getWeaponStats(this.run.weapon, this.run.weaponLevels[this.run.weapon] || 1);
+  }
+
+  /**
+   * Switch to the next weapon; each weapon keeps its upgrade level
+   */
+  switchWeapon() {
+    const types = Object.keys(WEAPON_TYPES);
+    this.run.weapon = types[(types.indexOf(this.run.weapon) + 1) % types.length];
+
+    this.emit(SIMULATION_EVENTS.WEAPON_SWITCHED, {
+      weapon: this.run.weapon,
+      level: this.run.weaponLevels[this.run.weapon] || 1
+    });
+  }
+
+  /**
+   * Raise the level of the weapon being fired, up to its last level
+   */
+  upgradeWeapon() {
+    const level = this.run.weaponLevels[this.run.weapon] || 1;
+    if (level >= WEAPON_TYPES[this.run.weapon].levels.length) return;
+
+    this.run.weaponLevels[this.run.weapon] = level + 1;
+    this.emit(SIMULATION_EVENTS.WEAPON_UPGRADED, { weapon: this.run.weapon, level: level + 1 });
+  }
+
+  /**
+   * Fire a shot from the character if the weapon's fire rate allows it
+   * Rapid fire shortens the time between shots, and spread shot fans at least
+   * its number of projectiles out across the road
+   */
+  fireProjectile() {
+    const weapon = this.getWeapon();
+    const rapidFire = POWER_UP_TYPES.rapidFire;
+    const fireRate = this.tuning.fireRate * weapon.fireRateMultiplier *
+      (this.run.hasEffect('rapidFire') ? rapidFire.fireRateMultiplier : 1);
+    if (!this.run.canFire(fireRate)) return;
+
+    this.run.recordFire();
+
+    const spread = POWER_UP_TYPES.spread;
+    const spreading = this.run.hasEffect('spread');
+    const count = spreading ? Math.max(weapon.projectiles, spread.projectiles) : weapon.projectiles;
+    const spreadSpeed = spreading
+      ? Math.max(weapon.spreadSpeed, spread.spreadSpeed)
+      : weapon.spreadSpeed;
+
+    for (let i = 0; i < count; i++) {
+      const projectile = {
+        id: this.nextId++,
+        weapon: this.run.weapon,
+        x: this.character.x,
+        z: this.character.z + this.tuning.projectileSpawnOffset,
+        vx: (i - (count - 1) / 2) * spreadSpeed, // Sideways speed, 0 for a single shot
+        speed: this.tuning.projectileSpeed * weapon.speedMultiplier,
+        damage: weapon.damage,
+        pierce: weapon.pierce, // Obstacles it can still pass through
+        hits: [],              // Ids of the obstacles it has hit, so it never hits one twice
+        width: weapon.hitbox.width,
+        length: weapon.hitbox.length
+      };
+
+      this.projectiles.push(projectile);
+      this.emit(SIMULATION_EVENTS.PROJECTILE_FIRED, { projectile });
+    }
+  }
+
+  /**
+   * Spawn a new obstacle when the spawn timer runs out
+   */
+  updateSpawning() {
+    // The road is left to the boss while it is out
+    if (this.boss) return;
+
+    const spawnInterval = this.director.spawnInterval;
+
+    this.run.obstacleSpawnTimer += this.stepDuration;
+    if (this.run.obstacleSpawnTimer < spawnInterval) return;
+
+    this.run.obstacleSpawnTimer -= spawnInterval;
+
+    const typeName = this.chooseObstacleType();
+    const type = OBSTACLE_TYPES[typeName];
+    const levelSpeed = this.level ? this.level.speed : 1;
+
+    // Static obstacles stand on the road, so they only move with the road
+    const speed = type.movement === OBSTACLE_MOVEMENT.STATIC
+      ? this.tuning.roadSpeed
+      : this.director.obstacleSpeed * type.speedMultiplier * levelSpeed;
+
+    // Obstacles spanning lanes fill them in lane mode
+    const laneSpan = type.laneSpan || 1;
+    const width = this.controlMode === CONTROL_MODES.LANES && laneSpan > 1
+      ? laneSpan * this.laneWidth - 2 * this.tuning.laneMargin
+      : type.hitbox.width;
+
+    // Randomly position the obstacle so all of it stays on the road, even while weaving
+    const weaveAmplitude = type.movement === OBSTACLE_MOVEMENT.WEAVE ? type.weaveAmplitude : 0;
+    const edgeDistance = Math.max(this.tuning.obstacleSpawnPadding, width / 2) + weaveAmplitude;
+    const spawnLimit = this.tuning.worldRoadWidth / 2 - edgeDistance;
+    const x = this.controlMode === CONTROL_MODES.LANES
+      ? this.chooseLanePosition(laneSpan, spawnLimit)
+      : this.gameplayRandom.between(-spawnLimit, spawnLimit);
+
+    const obstacle = {
+      id: this.nextId++,
+      type: typeName,
+      x: x,
+      z: this.tuning.spawnDistance,
+      width: width,
+      length: type.hitbox.length,
+      speed: speed,
+      health: type.health,
+      passed: false // Whether it has been checked for a near miss
+    };
+
+    // Weaving obstacles drift around their spawn position, starting in a random direction
+    if (type.movement === OBSTACLE_MOVEMENT.WEAVE) {
+      obstacle.originX = x;
+      obstacle.age = 0;
+      obstacle.weaveDirection = this.gameplayRandom.next() < 0.5 ? -1 : 1;
+    }
+
+    // Enemies count down to their first shot from the moment they spawn
+    if (type.attack) {
+      obstacle.fireTimer = 0;
+      obstacle.telegraphing = false;
+    }
+
+    this.obstacles.push(obstacle);
+    this.emit(SIMULATION_EVENTS.OBSTACLE_SPAWNED, { obstacle });
+  }
+
+  /**
+   * Spawn a new power-up when the power-up timer runs out
+   * Power-ups lie on the road, so they only move with the road
+   */
+  updatePowerUpSpawning() {
+    this.run.powerUpSpawnTimer += this.stepDuration;
+    if (this.run.powerUpSpawnTimer < this.tuning.powerUpSpawnInterval) return;
+
+    this.run.powerUpSpawnTimer -= this.tuning.powerUpSpawnInterval;
+
+    const types = Object.keys(POWER_UP_TYPES);
+    const total = types.reduce((sum, type) => sum + POWER_UP_TYPES[type].spawnWeight, 0);
+    let roll = this.powerUpRandom.next() * total;
+    const type = types.find((name) => (roll -= POWER_UP_TYPES[name].spawnWeight) < 0) ||
+      types[types.length - 1];
+
+    const hitbox = this.tuning.powerUpHitbox;
+    const spawnLimit = this.tuning.worldRoadWidth / 2 -
+      Math.max(this.tuning.obstacleSpawnPadding, hitbox.width / 2);
+    const x = this.controlMode === CONTROL_MODES.LANES
+      ? this.chooseLanePosition(1, spawnLimit, this.powerUpRandom)
+      : this.powerUpRandom.between(-spawnLimit, spawnLimit);
+
+    const powerUp = {
+      id: this.nextId++,
+      type: type,
+      x: x,
+      z: this.tuning.spawnDistance,
+      width: hitbox.width,
+      length: hitbox.length
+    };
+
+    this.powerUps.push(powerUp);
+    this.emit(SIMULATION_EVENTS.POWER_UP_SPAWNED, { powerUp });
+  }
+
+  /**
+   * Pick a lane-aligned spawn position in lane mode
+   * An obstacle spanning several lanes is centered on the lanes it covers
+   *
+   * @param {number} laneSpan - The number of lanes the obstacle covers
+   * @param {number} spawnLimit - The largest distance from the road center the obstacle may
+   *   spawn at
+   * @param {SeededRandom} random - The random stream to pick from
+   * @returns {number} The x coordinate
+   */
+  chooseLanePosition(laneSpan, spawnLimit, random = this.gameplayRandom) {
+    const positions = [];
+    for (let lane = 0; lane + laneSpan <= this.laneCount; lane++) {
+      const first = getLaneCenter(this.tuning, lane);
+      const last = getLaneCenter(this.tuning, lane + laneSpan - 1);
+      const x = (first + last) / 2;
+      if (Math.abs(x) <= spawnLimit) {
+        positions.push(x);
+      }
+    }
+
+    // A road too narrow for the obstacle's lanes gets it in the middle
+    if (positions.length === 0) return 0;
+
+    return positions[Math.floor(random.next() * positions.length)];
+  }
+
+  /**
+   * Get the spawn weight of an obstacle type
+   * The level's obstacle mix overrides the type's own spawn weight
+   *
+   * @param {string} type - The obstacle type
+   * @returns {number} The spawn weight
+   */
+  getSpawnWeight(type) {
+    const mix = this.level ? this.level.obstacleMix : null;
+
+    if (mix && mix[type] !== undefined) {
+      return mix[type];
+    }
+
+    return OBSTACLE_TYPES[type].spawnWeight;
+  }
+
+  /**
+   * Pick the type of the next obstacle
+   * Types must be unlocked by the difficulty, and are picked by their spawn weight
+   *
+   * @returns {string} The obstacle type
+   */
+  chooseObstacleType() {
+    const candidates = this.director.unlockedTypes.filter((type) => this.getSpawnWeight(type) > 0);
+
+    if (candidates.length === 0) return DEFAULT_OBSTACLE_TYPE;
+    if (candidates.length === 1) return candidates[0];
+
+    const weights = candidates.map((type) => this.getSpawnWeight(type));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+    let roll = this.gameplayRandom.next() * total;
+    for (let i = 0; i < candidates.length; i++) {
+      roll -= weights[i];
+      if (roll < 0) return candidates[i];
+    }
+
+    return candidates[candidates.length - 1];
+  }
+
+  /**
+   * Move obstacles toward the character and score the ones that get past
+   *
+   * @param {number} seconds - The length of the step in seconds
+   */
+  updateObstacles(seconds) {
+    for (let i = this.obstacles.length - 1; i >= 0; i--) {
+      const obstacle = this.obstacles[i];
+
+      // Move the obstacle toward the character at the speed it spawned with
+      obstacle.z -= obstacle.speed * seconds;
+
+      // Weaving obstacles drift from side to side around their spawn position
+      const type = OBSTACLE_TYPES[obstacle.type];
+      if (type.movement === OBSTACLE_MOVEMENT.WEAVE) {
+        obstacle.age += seconds;
+        obstacle.x = obstacle.originX + obstacle.weaveDirection * type.weaveAmplitude *
+          Math.sin(2 * Math.PI * type.weaveFrequency * obstacle.age);
+      }
+
+      // Tracking obstacles steer toward the character, staying on the road
+      if (type.movement === OBSTACLE_MOVEMENT.TRACK) {
+        const limit = this.tuning.worldRoadWidth / 2 - obstacle.width / 2;
+        const targetX = Math.max(-limit, Math.min(limit, this.character.x));
+        const move = type.trackSpeed * seconds;
+        obstacle.x += Math.max(-move, Math.min(move, targetX - obstacle.x));
+      }
+
+      // Remove obstacles that are far enough behind the character
+      if (obstacle.z < -this.tuning.despawnDistance) {
+        this.obstacles.splice(i, 1);
+
+        // Increase score and progress when successfully avoiding an obstacle
+        this.run.addScore(this.tuning.avoidScore, SCORE_SOURCES.DODGES);
+        this.run.addProgress(this.tuning.avoidProgress);
+
+        this.emit(SIMULATION_EVENTS.OBSTACLE_AVOIDED, { obstacle });
+      }
+    }
+  }
+
+  /**
+   * Move projectiles up the road and remove the ones out of range
+   *
+   * @param {number} seconds - The length of the step in seconds
+   */
+  updateProjectiles(seconds) {
+    for (let i = this.projectiles.length - 1; i >= 0; i--) {
+      const projectile = this.projectiles[i];
+
+      // Move the projectile up the road (spread shots also drift sideways)
+      projectile.z += projectile.speed * seconds;
+      projectile.x += projectile.vx * seconds;
+
+      if (projectile.z > this.tuning.projectileRange) {
+        this.projectiles.splice(i, 1);
+        this.emit(SIMULATION_EVENTS.PROJECTILE_EXPIRED, { projectile });
+      }
+    }
+  }
+
+  /**
+   * Count down each enemy's next shot
+   * A telegraph is emitted before every shot so the player can dodge it, and
+   * enemies stop firing once they are too close to the character
+   */
+  updateEnemyFire() {
+    this.obstacles.forEach((obstacle) => {
+      const attack = OBSTACLE_TYPES[obstacle.type].attack;
+      if (!attack || obstacle.z < attack.minDistance) return;
+
+      obstacle.fireTimer += this.stepDuration;
+
+      if (!obstacle.telegraphing && obstacle.fireTimer >= attack.interval - attack.telegraph) {
+        obstacle.telegraphing = true;
+        this.emit(SIMULATION_EVENTS.ENEMY_TELEGRAPH, { obstacle, duration: attack.telegraph });
+      }
+
+      if (obstacle.fireTimer < attack.interval) return;
+
+      obstacle.fireTimer -= attack.interval;
+      obstacle.telegraphing = false;
+
+      const enemyProjectile = {
+        id: this.nextId++,
+        x: obstacle.x,
+        z: obstacle.z - obstacle.length / 2,
+        vx: 0,
+        speed: attack.speed,
+        damage: attack.damage,
+        width: attack.hitbox.width,
+        length: attack.hitbox.length
+      };
+
+      this.enemyProjectiles.push(enemyProjectile);
+      this.emit(SIMULATION_EVENTS.ENEMY_FIRED, { obstacle, enemyProjectile });
+    });
+  }
+
+  /**
+   * Move enemy shots down the road and remove the ones that passed the character
+   *
+   * @param {number} seconds - The length of the step in seconds
+   */
+  updateEnemyProjectiles(seconds) {
+    for (let i = this.enemyProjectiles.length - 1; i >= 0; i--) {
+      const enemyProjectile = this.enemyProjectiles[i];
+      enemyProjectile.z -= enemyProjectile.speed * seconds;
+      enemyProjectile.x += enemyProjectile.vx * seconds;
+
+      if (enemyProjectile.z < -this.tuning.despawnDistance) {
+        this.enemyProjectiles.splice(i, 1);
+        this.emit(SIMULATION_EVENTS.ENEMY_PROJECTILE_EXPIRED, { enemyProjectile });
+      }
+    }
+  }
+
+  /**
+   * Move power-ups with the road and remove the ones the character missed
+   *
+   * @param {number} seconds - The length of the step in seconds
+   */
+  updatePowerUps(seconds) {
+    for (let i = this.powerUps.length - 1; i >= 0; i--) {
+      const powerUp = this.powerUps[i];
+      powerUp.z -= this.tuning.roadSpeed * seconds;
+
+      if (powerUp.z < -this.tuning.despawnDistance) {
+        this.powerUps.splice(i, 1);
+        this.emit(SIMULATION_EVENTS.POWER_UP_MISSED, { powerUp });
+      }
+    }
+  }
+
+  /**
+   * Count down the active power-up effects
+   */
+  updateEffects() {
+    this.run.updateEffects(this.stepDuration).forEach((type) => {
+      this.emit(SIMULATION_EVENTS.POWER_UP_ENDED, { powerUpType: type });
+    });
+  }
+
+  /**
+   * Collect the power-ups touching the character
+   */
+  checkPowerUpPickups() {
+    for (let i = this.powerUps.length - 1; i >= 0; i--) {
+      const powerUp = this.powerUps[i];
+      if (!overlaps(this.character, powerUp)) continue;
+
+      const type = POWER_UP_TYPES[powerUp.type];
+      this.powerUps.splice(i, 1);
+
+      if (type.health) {
+        this.run.heal(type.health);
+      }
+      if (type.upgrade) {
+        this.upgradeWeapon();
+      }
+      if (type.duration > 0) {
+        this.run.addEffect(powerUp.type, type.duration);
+      }
+
+      this.emit(SIMULATION_EVENTS.POWER_UP_COLLECTED, { powerUp });
+    }
+  }
+
+  /**
+   * End the invulnerability period after a collision
+   */
+  updateInvulnerability() {
+    if (!this.run.isInvulnerable) return;
+
+    this.run.invulnerabilityTimer += this.stepDuration;
+    if (this.run.invulnerabilityTimer >= this.tuning.invulnerabilityDuration) {
+      this.run.isInvulnerable = false;
+    }
+  }
+
+  /**
+   * Start the track of the current stage
+   * A level's own layout is played in a loop; otherwise the track is generated
+   * from its own random stream, so the road never changes the spawns
+   */
+  startTrack() {
+    const layout = this.level && this.level.track ? this.level.track : null;
+
+    this.track = new Track(this.tuning, this.random.stream(RANDOM_STREAMS.TRACK), layout);
+    this.trackPosition = 0; // Distance along the track in world units, at the character
+  }
+
+  /**
+   * Steer the character within the road
+   * The character moves at characterSpeed scaled by the steering strength.
+   * Curves push the character toward their outside edge, so the player has to
+   * steer against them
+   *
+   * @param {Object} input - The player's input for this step
+   * @param {number} seconds - The length of the step in seconds
+   */
+  updateCharacter(input, seconds) {
+    const direction = (input.right ? 1 : 0) - (input.left ? 1 : 0);
+    const push = -this.track.getCurve(this.trackPosition) * this.tuning.centrifugalForce;
+    if (direction === 0 && push === 0) return;
+
+    const speed = direction * this.tuning.characterSpeed * getSteeringStrength(input);
+    const x = this.character.x + (speed + push) * seconds;
+    this.character.x = Math.max(-this.characterLimit, Math.min(this.characterLimit, x));
+  }
+
+  /**
+   * Move the character between lanes in lane mode
+   * Each new steering press starts an eased change to the next lane; a press during
+   * a change retargets it from where the character is. Curves do not push the
+   * character in lane mode, so it always settles on a lane center
+   *
+   * @param {Object} input - The player's input for this step
+   */
+  updateCharacterLane(input) {
+    const character = this.character;
+    const direction = (input.right && !this.previousInput.right ? 1 : 0) -
+                      (input.left && !this.previousInput.left ? 1 : 0);
+    const lane = Math.max(0, Math.min(this.laneCount - 1, character.lane + direction));
+
+    if (lane !== character.lane) {
+      character.lane = lane;
+      character.laneStartX = character.x;
+      character.laneTimer = 0;
+    }
+
+    if (character.laneTimer >= this.tuning.laneChangeDuration) return;
+
+    character.laneTimer = Math.min(
+      this.tuning.laneChangeDuration, character.laneTimer + this.stepDuration
+    );
+    const t = character.laneTimer / this.tuning.laneChangeDuration;
+    const targetX = getLaneCenter(this.tuning, character.lane);
+    character.x = character.laneStartX + (targetX - character.laneStartX) * easeInOut(t);
+  }
+
+  /**
+   * Apply damage for obstacles touching the character
+   */
+  checkCharacterCollisions() {
+    for (let i = this.obstacles.length - 1; i >= 0; i--) {
+      const obstacle = this.obstacles[i];
+      if (!overlaps(this.character, obstacle)) continue;
+
+      // The shield absorbs one hit, destroying the obstacle
+      if (this.run.hasEffect('shield') && !this.run.isInvulnerable) {
+        this.run.removeEffect('shield');
+        this.obstacles.splice(i, 1);
+        this.emit(SIMULATION_EVENTS.SHIELD_BLOCKED, { obstacle });
+        return;
+      }
+
+      // Obstacles pass through the character while it is invulnerable
+      if (!this.run.applyDamage(OBSTACLE_TYPES[obstacle.type].damage)) return;
+
+      this.obstacles.splice(i, 1);
+      this.emit(SIMULATION_EVENTS.PLAYER_HIT, { obstacle });
+
+      // Check if the character is dead
+      if (this.run.isDead()) {
+        this.run.isGameOver = true;
+        this.emit(SIMULATION_EVENTS.GAME_OVER);
+      }
+      return;
+    }
+  }
+
+  /**
+   * Reward obstacles that got past the character with only a small gap
+   * Each obstacle is checked once, as soon as it is fully behind the character
+   */
+  checkNearMisses() {
+    const character = this.character;
+
+    this.obstacles.forEach((obstacle) => {
+      const obstacleFront = obstacle.z + obstacle.length / 2;
+      if (obstacle.passed || obstacleFront > character.z - character.length / 2) return;
+
+      obstacle.passed = true;
+      const gap = Math.abs(obstacle.x - character.x) - (obstacle.width + character.width) / 2;
+      if (gap < 0 || gap > this.tuning.nearMissDistance) return;
+
+      this.run.addScore(this.tuning.nearMissScore, SCORE_SOURCES.NEAR_MISSES);
+      this.emit(SIMULATION_EVENTS.NEAR_MISS, { obstacle, score: this.tuning.nearMissScore });
+    });
+  }
+
+  /**
+   * Apply damage for enemy shots touching the character
+   * Shots are dodged like obstacles, and the shield absorbs them the same way
+   */
+  checkEnemyProjectileHits() {
+    for (let i = this.enemyProjectiles.length - 1; i >= 0; i--) {
+      const enemyProjectile = this.enemyProjectiles[i];
+      if (!overlaps(this.character, enemyProjectile)) continue;
+
+      if (this.run.hasEffect('shield') && !this.run.isInvulnerable) {
+        this.run.removeEffect('shield');
+        this.enemyProjectiles.splice(i, 1);
+        this.emit(SIMULATION_EVENTS.SHIELD_BLOCKED, { enemyProjectile });
+        return;
+      }
+
+      // Shots pass through the character while it is invulnerable
+      if (!this.run.applyDamage(enemyProjectile.damage)) return;
+
+      this.enemyProjectiles.splice(i, 1);
+      this.emit(SIMULATION_EVENTS.PLAYER_HIT, { enemyProjectile });
+
+      if (this.run.isDead()) {
+        this.run.isGameOver = true;
+        this.emit(SIMULATION_EVENTS.GAME_OVER);
+      }
+      return;
+    }
+  }
+
+  /**
+   * Shoot down enemy shots hit by projectiles, for a bonus
+   * A shot counts as a hit for the projectile, so only piercing projectiles
+   * carry on
+   */
+  checkEnemyProjectileCancels() {
+    for (let i = this.projectiles.length - 1; i >= 0; i--) {
+      const projectile = this.projectiles[i];
+      const index = this.enemyProjectiles
+        .findIndex((enemyProjectile) => overlaps(projectile, enemyProjectile));
+      if (index === -1) continue;
+
+      const enemyProjectile = this.enemyProjectiles[index];
+      this.enemyProjectiles.splice(index, 1);
+
+      const spent = projectile.pierce <= 0;
+      if (spent) {
+        this.projectiles.splice(i, 1);
+      } else {
+        projectile.pierce -= 1;
+      }
+
+      this.run.addScore(this.tuning.enemyProjectileCancelScore, SCORE_SOURCES.SHOTS_DOWN);
+      this.emit(SIMULATION_EVENTS.ENEMY_PROJECTILE_CANCELLED, {
+        enemyProjectile, projectile, spent
+      });
+    }
+  }
+
+  /**
+   * Bring out the stage boss once progress reaches bossProgress
+   * Bosses are only fought in stages, once per stage
+   */
+  checkBossSpawn() {
+    if (!this.level || this.boss || this.bossDefeated || this.run.isGameOver) return;
+    if (this.run.progress < this.tuning.bossProgress) return;
+
+    const type = BOSS_TYPES[DEFAULT_BOSS];
+    const boss = {
+      id: this.nextId++,
+      type: DEFAULT_BOSS,
+      x: 0,
+      z: this.tuning.spawnDistance + type.hitbox.length, // Enters from beyond the spawn line
+      width: type.hitbox.width,
+      length: type.hitbox.length,
+      health: type.health,
+      state: BOSS_STATES.ENTERING,
+      phase: 0,
+      swayDirection: 1,
+      attackTimer: 0,
+      telegraphing: false,
+      weakPointsOpen: false,
+      weakPointTimer: 0,
+      explosionTimer: 0,
+      weakPoints: type.weakPoints.map((weakPoint) => ({
+        offset: weakPoint.x,
+        x: weakPoint.x,
+        z: 0,
+        width: weakPoint.width,
+        length: weakPoint.length
+      }))
+    };
+    this.placeWeakPoints(boss);
+
+    this.boss = boss;
+    this.emit(SIMULATION_EVENTS.BOSS_SPAWNED, { boss });
+  }
+
+  /**
+   * Keep the weak points on the front of the boss's body
+   *
+   * @param {Object} boss - The boss
+   */
+  placeWeakPoints(boss) {
+    boss.weakPoints.forEach((weakPoint) => {
+      weakPoint.x = boss.x + weakPoint.offset;
+      weakPoint.z = boss.z - boss.length / 2;
+    });
+  }
+
+  /**
+   * Move the boss, cycle its weak points and fire its volleys
+   * Once destroyed, the boss leaves the road when its explosion sequence ends
+   *
+   * @param {number} seconds - The length of the step in seconds
+   */
+  updateBoss(seconds) {
+    const boss = this.boss;
+    if (!boss) return;
+
+    const type = BOSS_TYPES[boss.type];
+
+    if (boss.state === BOSS_STATES.EXPLODING) {
+      boss.explosionTimer += this.stepDuration;
+      if (boss.explosionTimer >= type.explosionDuration) {
+        this.boss = null;
+        this.bossDefeated = true;
+
+        // Beating the boss completes the stage
+        this.run.addProgress(this.run.progressGoal);
+      }
+      return;
+    }
+
+    if (boss.state === BOSS_STATES.ENTERING) {
+      boss.z = Math.max(type.distance, boss.z - type.entrySpeed * seconds);
+      if (boss.z === type.distance) {
+        boss.state = BOSS_STATES.FIGHTING;
+      }
+      this.placeWeakPoints(boss);
+      return;
+    }
+
+    const phase = type.phases[boss.phase];
+
+    // Sway across the road, turning at the edges
+    const limit = this.tuning.worldRoadWidth / 2 - boss.width / 2;
+    boss.x += boss.swayDirection * phase.swaySpeed * seconds;
+    if (Math.abs(boss.x) >= limit) {
+      boss.x = Math.sign(boss.x) * limit;
+      boss.swayDirection = -Math.sign(boss.x);
+    }
+    this.placeWeakPoints(boss);
+
+    // The weak points open and close on the phase's cycle
+    boss.weakPointTimer += this.stepDuration;
+    const cycle = boss.weakPointsOpen ? phase.weakPointOpen : phase.weakPointClosed;
+    if (boss.weakPointTimer >= cycle) {
+      boss.weakPointTimer -= cycle;
+      boss.weakPointsOpen = !boss.weakPointsOpen;
+      this.emit(boss.weakPointsOpen
+        ? SIMULATION_EVENTS.BOSS_WEAK_POINTS_OPENED
+        : SIMULATION_EVENTS.BOSS_WEAK_POINTS_CLOSED, { boss });
+    }
+
+    this.updateBossAttack(boss, phase.attack);
+  }
+
+  /**
+   * Count down the boss's next volley, telegraphing it before it is fired
+   * Volleys are aimed at the character's position when they are fired
+   *
+   * @param {Object} boss - The boss
+   * @param {BossAttack} attack - The attack of the current phase
+   */
+  updateBossAttack(boss, attack) {
+    boss.attackTimer += this.stepDuration;
+
+    if (!boss.telegraphing && boss.attackTimer >= attack.interval - attack.telegraph) {
+      boss.telegraphing = true;
+      this.emit(SIMULATION_EVENTS.BOSS_TELEGRAPH, { boss, duration: attack.telegraph });
+    }
+
+    if (boss.attackTimer < attack.interval) return;
+
+    boss.attackTimer -= attack.interval;
+    boss.telegraphing = false;
+
+    const z = boss.z - boss.length / 2;
+    const aimSpeed = (this.character.x - boss.x) * attack.speed / z;
+    const enemyProjectiles = [];
+
+    for (let i = 0; i < attack.shots; i++) {
+      enemyProjectiles.push({
+        id: this.nextId++,
+        x: boss.x,
+        z: z,
+        vx: aimSpeed + (i - (attack.shots - 1) / 2) * attack.spreadSpeed,
+        speed: attack.speed,
+        damage: attack.damage,
+        width: attack.hitbox.width,
+        length: attack.hitbox.length
+      });
+    }
+
+    this.enemyProjectiles.push(...enemyProjectiles);
+    this.emit(SIMULATION_EVENTS.BOSS_FIRED, { boss, enemyProjectiles });
+  }
+
+  /**
+   * Damage the boss with projectiles that hit its open weak points
+   * The boss stops every projectile: its armor takes no damage, and piercing
+   * projectiles do not pass through it
+   */
+  checkBossHits() {
+    const boss = this.boss;
+    if (!boss || boss.state === BOSS_STATES.EXPLODING) return;
+
+    for (let i = this.projectiles.length - 1; i >= 0; i--) {
+      const projectile = this.projectiles[i];
+      const weakPoint = boss.state === BOSS_STATES.FIGHTING && boss.weakPointsOpen
+        ? boss.weakPoints.find((candidate) => overlaps(projectile, candidate))
+        : null;
+      if (!weakPoint && !overlaps(projectile, boss)) continue;
+
+      this.projectiles.splice(i, 1);
+
+      if (!weakPoint) {
+        this.emit(SIMULATION_EVENTS.BOSS_BLOCKED, { boss, projectile, spent: true });
+        continue;
+      }
+
+      this.damageBoss(projectile.damage);
+      this.emit(SIMULATION_EVENTS.BOSS_DAMAGED, { boss, projectile, weakPoint, spent: true });
+      if (boss.state === BOSS_STATES.EXPLODING) return;
+    }
+  }
+
+  /**
+   * Remove health from the boss, moving on through its phases
+   * A boss out of health is destroyed and awards its score bonus
+   *
+   * @param {number} amount - The damage dealt
+   */
+  damageBoss(amount) {
+    const boss = this.boss;
+    const type = BOSS_TYPES[boss.type];
+    boss.health = Math.max(0, boss.health - amount);
+
+    if (boss.health === 0) {
+      boss.state = BOSS_STATES.EXPLODING;
+      boss.weakPointsOpen = false;
+
+      const score = this.run.addKill(type.score);
+
+      this.emit(SIMULATION_EVENTS.BOSS_DEFEATED, { boss, score, duration: type.explosionDuration });
+      return;
+    }
+
+    const phase = getBossPhase(type, boss.health);
+    if (phase !== boss.phase) {
+      boss.phase = phase;
+      this.emit(SIMULATION_EVENTS.BOSS_PHASE_CHANGED, { boss, phase });
+    }
+  }
+
+  /**
+   * End the stage once progress reaches 100% and the stage boss is beaten
+   * The road is cleared and the next level starts after the stage clear summary
+   */
+  checkStageClear() {
+    if (!this.level || this.run.isGameOver || this.run.progress < 100 || !this.bossDefeated) return;
+
+    this.run.isStageClear = true;
+    this.run.stageClearTimer = 0;
+    this.obstacles = [];
+    this.projectiles = [];
+    this.enemyProjectiles = [];
+    this.powerUps = [];
+
+    this.emit(SIMULATION_EVENTS.STAGE_CLEARED, {
+      stage: this.run.stage,
+      level: this.level,
+      summary: {
+        score: this.run.score - this.run.stageStartScore,
+        kills: this.run.kills - this.run.stageStartKills,
+        time: this.run.elapsed - this.run.stageStartElapsed
+      }
+    });
+  }
+
+  /**
+   * Wait for the stage clear summary, then start the next level
+   * After the last level the levels are played again from the first
+   */
+  updateStageClear() {
+    this.run.stageClearTimer += this.stepDuration;
+    if (this.run.stageClearTimer < this.tuning.stageClearDuration) return;
+
+    this.levelIndex = (this.levelIndex + 1) % this.levels.length;
+    this.level = this.levels[this.levelIndex];
+    this.run.startNextStage(this.level.length);
+    this.bossDefeated = false;
+    this.startTrack();
+
+    this.emit(SIMULATION_EVENTS.STAGE_STARTED, { stage: this.run.stage, level: this.level });
+  }
+
+  /**
+   * Damage obstacles hit by projectiles and destroy the ones out of health
+   * A projectile is spent on its first hit unless it pierces; the events say
+   * whether it was spent
+   */
+  checkProjectileCollisions() {
+    for (let i = this.projectiles.length - 1; i >= 0; i--) {
+      const projectile = this.projectiles[i];
+      const index = this.obstacles.findIndex((obstacle) => {
+        return !projectile.hits.includes(obstacle.id) && overlaps(projectile, obstacle);
+      });
+      if (index === -1) continue;
+
+      const obstacle = this.obstacles[index];
+      projectile.hits.push(obstacle.id);
+
+      const spent = projectile.pierce <= 0;
+      if (spent) {
+        this.projectiles.splice(i, 1);
+      } else {
+        projectile.pierce -= 1;
+      }
+
+      // Obstacles lose the projectile's damage from their hit points
+      obstacle.health -= projectile.damage;
+      if (obstacle.health > 0) {
+        this.emit(SIMULATION_EVENTS.OBSTACLE_DAMAGED, { obstacle, projectile, spent });
+        continue;
+      }
+
+      this.obstacles.splice(index, 1);
+
+      // Count the kill and increase score (multiplied by the combo) and progress
+      const score = this.run.addKill(OBSTACLE_TYPES[obstacle.type].score);
+      this.run.addProgress(this.tuning.killProgress);
+
+      this.emit(SIMULATION_EVENTS.OBSTACLE_DESTROYED, { obstacle, projectile, spent, score });
+    }
+  }
+}
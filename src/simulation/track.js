@@ -0,0 +1,231 @@
+/**
+ * Track
+ *
+ * This file contains the layout of the road as a list of segments: straights,
+ * curves that bend the road to one side, and hills that raise or lower it.
+ * A level can list its own segments, which are played in a loop; otherwise
+ * segments are generated from the run seed as the character moves along.
+ *
+ * The track only knows how the road bends at a distance along it. Curves push
+ * the character toward their outside edge in the simulation, and the renderers
+ * bend and raise the road they draw. Like the simulation it does not depend on
+ * Phaser.
+ */
+
+/**
+ * Kinds of track segments
+ *
+ * @constant {Object} TRACK_SEGMENTS
+ */
+export const TRACK_SEGMENTS = Object.freeze({
+  STRAIGHT: 'straight', // A flat, straight road
+  CURVE: 'curve',       // The road bends left (negative curve) or right (positive curve)
+  HILL: 'hill'          // The road rises (positive hill) or dips (negative hill) and comes back
+});
+
+/**
+ * Relative chance of each kind of segment in generated tracks
+ *
+ * @constant {Object<string, number>} SEGMENT_WEIGHTS
+ */
+const SEGMENT_WEIGHTS = Object.freeze({
+  straight: 2,
+  curve: 2,
+  hill: 1
+});
+
+/**
+ * @typedef {Object} TrackSegment
+ * @property {string} type - One of TRACK_SEGMENTS
+ * @property {number} length - Length of the segment along the road in world units
+ * @property {number} [curve] - How sharply a curve bends, from -1 (left) to 1 (right)
+ * @property {number} [hill] - Height of the top of a hill in world units (negative for a dip)
+ */
+
+/**
+ * Check that a track segment from level data can be played
+ *
+ * @param {Object} segment - The segment definition
+ * @returns {boolean} True if the segment is valid
+ */
+export function isValidSegment(segment) {
+  if (!segment || typeof segment.length !== 'number' || segment.length <= 0) return false;
+
+  switch (segment.type) {
+    case TRACK_SEGMENTS.STRAIGHT:
+      return true;
+    case TRACK_SEGMENTS.CURVE:
+      return typeof segment.curve === 'number' && Math.abs(segment.curve) <= 1;
+    case TRACK_SEGMENTS.HILL:
+      return typeof segment.hill === 'number';
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check that a track layout from level data can be played
+ *
+ * @param {Array<Object>} layout - The segment definitions
+ * @returns {boolean} True if the layout has at least one segment and every segment is valid
+ */
+export function isValidTrack(layout) {
+  return Array.isArray(layout) && layout.length > 0 && layout.every(isValidSegment);
+}
+
+/**
+ * Generate a random track segment
+ *
+ * @param {SeededRandom} random - The random stream the track is generated from
+ * @param {Object} tuning - The read-only tuning config
+ * @returns {TrackSegment} The segment
+ */
+export function generateSegment(random, tuning) {
+  const types = Object.keys(SEGMENT_WEIGHTS);
+  const totalWeight = types.reduce((total, type) => total + SEGMENT_WEIGHTS[type], 0);
+  let roll = random.next() * totalWeight;
+  const type = types.find((name) => (roll -= SEGMENT_WEIGHTS[name]) < 0) || TRACK_SEGMENTS.STRAIGHT;
+
+  const segment = {
+    type: type,
+    length: random.floatBetween(tuning.trackSegmentMinLength, tuning.trackSegmentMaxLength)
+  };
+
+  // Bends and hills are never so gentle that they cannot be noticed
+  const side = random.next() < 0.5 ? -1 : 1;
+  if (type === TRACK_SEGMENTS.CURVE) {
+    segment.curve = side * random.floatBetween(0.3, 1);
+  } else if (type === TRACK_SEGMENTS.HILL) {
+    segment.hill = side * random.floatBetween(0.3, 1) * tuning.maxHillHeight;
+  }
+
+  return segment;
+}
+
+export class Track {
+  /**
+   * Create a new Track instance
+   * Every track starts with a straight lead-in, so a stage never starts in a bend
+   *
+   * @param {Object} tuning - The read-only tuning config
+   * @param {SeededRandom} random - The random stream generated segments are drawn from
+   * @param {Array<TrackSegment>|null} layout - Segments to play in a loop, or null to generate them
+   */
+  constructor(tuning, random, layout = null) {
+    this.tuning = tuning;
+    this.random = random;
+    this.layout = layout;
+
+    // Segments with their start position along the road
+    this.segments = [];
+    this.length = 0;
+    this.layoutIndex = 0;
+
+    this.addSegment({ type: TRACK_SEGMENTS.STRAIGHT, length: tuning.trackSegmentMinLength });
+  }
+
+  /**
+   * Append a segment to the end of the track
+   *
+   * @param {TrackSegment} segment - The segment
+   */
+  addSegment(segment) {
+    this.segments.push({ segment, start: this.length });
+    this.length += segment.length;
+  }
+
+  /**
+   * Find the segment at a position along the road, extending the track if needed
+   *
+   * @param {number} position - The distance along the road in world units
+   * @returns {{segment: TrackSegment, start: number}|null} The segment and its start, or null
+   *   before the track
+   */
+  getSegmentAt(position) {
+    if (position < 0) return null;
+
+    while (position >= this.length) {
+      if (this.layout) {
+        this.addSegment(this.layout[this.layoutIndex]);
+        this.layoutIndex = (this.layoutIndex + 1) % this.layout.length;
+      } else {
+        this.addSegment(generateSegment(this.random, this.tuning));
+      }
+    }
+
+    // Binary search for the last segment starting at or before the position
+    let low = 0;
+    let high = this.segments.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this.segments[middle].start <= position) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return this.segments[low];
+  }
+
+  /**
+   * Get how sharply the road bends at a position
+   * Curves ease in and out, so the bend is strongest in the middle of the segment
+   *
+   * @param {number} position - The distance along the road in world units
+   * @returns {number} The bend, from -1 (left) to 1 (right)
+   */
+  getCurve(position) {
+    const entry = this.getSegmentAt(position);
+    if (!entry || entry.segment.type !== TRACK_SEGMENTS.CURVE) return 0;
+
+    const t = (position - entry.start) / entry.segment.length;
+    return entry.segment.curve * Math.sin(Math.PI * t);
+  }
+
+  /**
+   * Get the height of the road at a position
+   * Hills rise and fall smoothly over the length of the segment
+   *
+   * @param {number} position - The distance along the road in world units
+   * @returns {number} The height in world units
+   */
+  getElevation(position) {
+    const entry = this.getSegmentAt(position);
+    if (!entry || entry.segment.type !== TRACK_SEGMENTS.HILL) return 0;
+
+    const t = (position - entry.start) / entry.segment.length;
+    return entry.segment.hill * (1 - Math.cos(2 * Math.PI * t)) / 2;
+  }
+
+  /**
+   * Create a plain copy of the segments built so far
+   *
+   * @returns {Object} The state of the track
+   */
+  snapshot() {
+    return {
+      segments: this.segments.map((entry) => ({
+        segment: Object.assign({}, entry.segment),
+        start: entry.start
+      })),
+      length: this.length,
+      layoutIndex: this.layoutIndex
+    };
+  }
+
+  /**
+   * Continue the track from a copy made by snapshot()
+   * The random stream is not part of the copy; it is restored with the other streams
+   *
+   * @param {Object} snapshot - The state to continue from
+   */
+  restore(snapshot) {
+    this.segments = snapshot.segments.map((entry) => ({
+      segment: Object.assign({}, entry.segment),
+      start: entry.start
+    }));
+    this.length = snapshot.length;
+    this.layoutIndex = snapshot.layoutIndex;
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * Weapon Types
+ *
+ * This file is the registry of the weapons the character can fire. Each weapon
+ * sets the projectiles it fires: how fast they fly, the damage they deal, how
+ * many obstacles they pierce, how many are fanned out per shot and how often it
+ * fires. Speed and fire rate are multipliers on the tuning's projectileSpeed and
+ * fireRate, like the obstacle speed multipliers.
+ *
+ * A weapon can be upgraded during a run: each entry of `levels` lists the stats
+ * that change at that level, on top of the base stats. The `visual` block is
+ * plain data for the renderers (the simulation ignores it): the projectile
+ * texture in AssetManager.keys.projectiles, its size and tint, and the trail.
+ */
+
+/**
+ * @typedef {Object} WeaponVisual
+ * @property {string} texture - Key of the projectile texture in AssetManager.keys.projectiles
+ * @property {number} size - Width of the drawn projectile in world units
+ * @property {number} tint - Tint of the projectile
+ * @property {number} glowTint - Tint of the glow around the projectile
+ * @property {{tint: number, frequency: number, lifespan: number}} trail - Particles left behind
+ *   the projectile
+ */
+
+/**
+ * @typedef {Object} WeaponType
+ * @property {string} name - The name shown in the HUD
+ * @property {number} speedMultiplier - Multiplier on the tuning's projectileSpeed
+ * @property {number} fireRateMultiplier - Multiplier on the tuning's time between shots
+ * @property {number} damage - Health removed from an obstacle per hit
+ * @property {number} pierce - Obstacles a projectile passes through before it is spent
+ * @property {number} projectiles - Projectiles fired per shot
+ * @property {number} spreadSpeed - Sideways speed between neighboring projectiles of a shot in
+ *   world units per second
+ * @property {{width: number, length: number}} hitbox - Projectile hitbox in world units
+ * @property {Array<Object>} levels - Stats changed at each level, the first entry being level 1
+ * @property {WeaponVisual} visual - How the projectiles are drawn
+ */
+
+/**
+ * Weapon definitions, keyed by weapon type
+ * The order is the order the player switches through them
+ *
+ * @constant {Object<string, WeaponType>} WEAPON_TYPES
+ */
+export const WEAPON_TYPES = Object.freeze({
+  blaster: Object.freeze({
+    name: 'Blaster',
+    speedMultiplier: 1,
+    fireRateMultiplier: 1,
+    damage: 1,
+    pierce: 0,
+    projectiles: 1,
+    spreadSpeed: 0,
+    hitbox: Object.freeze({ width: 15, length: 24 }),
+    levels: Object.freeze([
+      Object.freeze({}),
+      Object.freeze({ fireRateMultiplier: 0.8 }),
+      Object.freeze({ fireRateMultiplier: 0.6, damage: 2 })
+    ]),
+    visual: Object.freeze({
+      texture: 'sparkle',
+      size: 15,
+      tint: 0xffff00,
+      glowTint: 0xffff99,
+      trail: Object.freeze({ tint: 0xffff66, frequency: 50, lifespan: 300 })
+    })
+  }),
+  scatter: Object.freeze({
+    name: 'Scatter',
+    speedMultiplier: 0.9,
+    fireRateMultiplier: 1.4,
+    damage: 1,
+    pierce: 0,
+    projectiles: 3,
+    spreadSpeed: 150,
+    hitbox: Object.freeze({ width: 12, length: 18 }),
+    levels: Object.freeze([
+      Object.freeze({}),
+      Object.freeze({ projectiles: 5 }),
+      Object.freeze({ projectiles: 5, damage: 2 })
+    ]),
+    visual: Object.freeze({
+      texture: 'pellet',
+      size: 12,
+      tint: 0x66ff66,
+      glowTint: 0xccffcc,
+      trail: Object.freeze({ tint: 0x66ff66, frequency: 80, lifespan: 200 })
+    })
+  }),
+  lance: Object.freeze({
+    name: 'Lance',
+    speedMultiplier: 1.6,
+    fireRateMultiplier: 1.8,
+    damage: 2,
+    pierce: 2,
+    projectiles: 1,
+    spreadSpeed: 0,
+    hitbox: Object.freeze({ width: 10, length: 40 }),
+    levels: Object.freeze([
+      Object.freeze({}),
+      Object.freeze({ pierce: 3 }),
+      Object.freeze({ pierce: 4, damage: 3 })
+    ]),
+    visual: Object.freeze({
+      texture: 'lance',
+      size: 10,
+      tint: 0x66ccff,
+      glowTint: 0xaaddff,
+      trail: Object.freeze({ tint: 0x3399ff, frequency: 30, lifespan: 250 })
+    })
+  })
+});
+
+/**
+ * The weapon every run starts with
+ *
+ * @constant {string} DEFAULT_WEAPON
+ */
+export const DEFAULT_WEAPON = 'blaster';
+
+/**
+ * Get the stats of a weapon at an upgrade level
+ *
+ * @param {string} type - The weapon type
+ * @param {number} level - The upgrade level, from 1 to the number of levels
+ * @returns {WeaponType} The base stats with the level's changes applied
+ */
+export function getWeaponStats(type, level) {
+  const weapon = WEAPON_TYPES[type];
+  const index = Math.max(0, Math.min(weapon.levels.length, level) - 1);
+
+  return Object.assign({}, weapon, weapon.levels[index]);
+}
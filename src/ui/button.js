@@ -0,0 +1,94 @@
+/**
+ * Button Widget
+ *
+ * A text button. Hovering it with the pointer focuses it; the focused button is
+ * enlarged and drawn in the focus color. Buttons outside a focus group lose
+ * the highlight when the pointer leaves them.
+ */
+
+import Phaser from 'phaser';
+import { UI_THEME, textStyle } from './theme.js';
+
+export class Button extends Phaser.GameObjects.Text {
+  /**
+   * Create a new Button and add it to the scene
+   *
+   * @param {Phaser.Scene} scene - The scene the button belongs to
+   * @param {number} x - The x position of the button's center
+   * @param {number} y - The y position of the button's center
+   * @param {string} label - The button text
+   * @param {Function} onClick - Called with the button when it is pressed
+   * @param {Object} [options] - Button options
+   * @param {number} [options.size=24] - Font size in unscaled pixels
+   * @param {string} [options.color='#ffffff'] - Text color when not focused
+   * @param {boolean} [options.stroke=false] - Whether the text is outlined
+   */
+  constructor(scene, x, y, label, onClick, options = {}) {
+    const color = options.color || UI_THEME.textColor;
+    const size = options.size || UI_THEME.buttonSize;
+    super(scene, x, y, label, textStyle({ size, color, stroke: options.stroke }));
+
+    this.onClick = onClick;
+    this.color = color;
+
+    // Focus state, managed by the focus group the button is added to
+    this.focusable = true;
+    this.focused = false;
+    this.focusGroup = null;
+
+    this.setOrigin(0.5);
+    this.setInteractive({ useHandCursor: true });
+
+    this.on('pointerover', () => {
+      if (this.focusGroup) {
+        this.focusGroup.focus(this);
+      } else {
+        this.setFocused(true);
+      }
+    });
+
+    this.on('pointerout', () => {
+      if (!this.focusGroup) this.setFocused(false);
+    });
+
+    this.on('pointerdown', () => {
+      this.activate();
+    });
+
+    scene.add.existing(this);
+  }
+
+  /**
+   * Shows or hides the focus highlight
+   *
+   * @param {boolean} focused - Whether the button is focused
+   * @returns {Button} This button
+   */
+  setFocused(focused) {
+    this.focused = focused;
+    this.setScale(focused ? UI_THEME.focusScale : 1);
+    this.setColor(focused ? UI_THEME.focusColor : this.color);
+
+    return this;
+  }
+
+  /**
+   * Changes the color of the text when it is not focused
+   *
+   * @param {string} color - The new color
+   * @returns {Button} This button
+   */
+  setTextColor(color) {
+    this.color = color;
+    if (!this.focused) this.setColor(color);
+
+    return this;
+  }
+
+  /**
+   * Presses the button
+   */
+  activate() {
+    this.onClick(this);
+  }
+}
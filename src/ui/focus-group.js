@@ -0,0 +1,147 @@
+/**
+ * Focus Group
+ *
+ * This file keeps track of which widget of a menu or dialog has the focus. Only
+ * one widget in a group is focused at a time, whether it was reached with the
+ * pointer or by moving through the group, so the highlight never shows on two
+ * widgets at once. Focusable widgets have `focusable` set and provide
+ * `setFocused(focused)`, `activate()` and optionally `adjust(direction)`.
+ */
+
+export class FocusGroup {
+  /**
+   * Create a new FocusGroup instance
+   *
+   * @param {Object} [options] - Group options
+   * @param {Function} [options.onCancel] - Called when the group is cancelled, for example to close
+   *   its dialog
+   */
+  constructor({ onCancel = null } = {}) {
+    this.items = [];
+    this.index = -1;
+    this.onCancel = onCancel;
+  }
+
+  /**
+   * Add a widget to the end of the group
+   * Widgets that hold other widgets, such as lists, add their focusable items
+   *
+   * @param {Object} widget - The widget
+   * @returns {Object} The widget
+   */
+  add(widget) {
+    if (typeof widget.getFocusables === 'function') {
+      widget.getFocusables().forEach((item) => this.add(item));
+    } else if (widget.focusable) {
+      widget.focusGroup = this;
+      this.items.push(widget);
+    }
+
+    return widget;
+  }
+
+  /**
+   * Get the focused widget
+   *
+   * @returns {Object|null} The widget, or null if nothing is focused
+   */
+  getFocused() {
+    return this.items[this.index] || null;
+  }
+
+  /**
+   * Move the focus to a widget of the group
+   *
+   * @param {Object} widget - The widget
+   */
+  focus(widget) {
+    const index = this.items.indexOf(widget);
+    if (index < 0 || index === this.index) return;
+
+    this.blur();
+    this.index = index;
+    widget.setFocused(true);
+  }
+
+  /**
+   * Move the focus to the first widget that is shown, for example when a menu opens
+   */
+  focusFirst() {
+    this.blur();
+    this.move(1);
+  }
+
+  /**
+   * Remove the focus from the focused widget
+   */
+  blur() {
+    const focused = this.getFocused();
+    if (focused) focused.setFocused(false);
+    this.index = -1;
+  }
+
+  /**
+   * Check whether a widget can take the focus
+   * Hidden widgets, or widgets in a hidden container, are skipped
+   *
+   * @param {Object} widget - The widget
+   * @returns {boolean} True if the widget is shown
+   */
+  isAvailable(widget) {
+    for (let object = widget; object; object = object.parentContainer) {
+      if (!object.visible || !object.active) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Move the focus through the group, wrapping around at the ends
+   *
+   * @param {number} step - 1 for the next widget, -1 for the previous one
+   */
+  move(step) {
+    const count = this.items.length;
+    let index = this.index < 0 && step < 0 ? 0 : this.index;
+
+    for (let tried = 0; tried < count; tried++) {
+      index = (index + step + count) % count;
+      if (this.isAvailable(this.items[index])) {
+        this.focus(this.items[index]);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Change the value of the focused widget, or move the focus if it has no value
+   *
+   * @param {number} direction - 1 to increase, -1 to decrease
+   */
+  adjust(direction) {
+    const focused = this.getFocused();
+
+    if (focused && typeof focused.adjust === 'function') {
+      focused.adjust(direction);
+    } else {
+      this.move(direction);
+    }
+  }
+
+  /**
+   * Press the focused widget
+   */
+  activate() {
+    const focused = this.getFocused();
+    if (focused && this.isAvailable(focused)) {
+      focused.activate();
+    }
+  }
+
+  /**
+   * Cancel the group, usually closing the dialog it belongs to
+   */
+  cancel() {
+    if (this.onCancel) this.onCancel();
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * Label Widget
+ *
+ * Text in the theme's font, centered on its position unless another origin is given.
+ */
+
+import Phaser from 'phaser';
+import { textStyle } from './theme.js';
+
+export class Label extends Phaser.GameObjects.Text {
+  /**
+   * Create a new Label and add it to the scene
+   *
+   * @param {Phaser.Scene} scene - The scene the label belongs to
+   * @param {number} x - The x position
+   * @param {number} y - The y position
+   * @param {string|Array<string>} text - The text, or its lines
+   * @param {Object} [options] - Label options
+   * @param {number} [options.size=18] - Font size in unscaled pixels
+   * @param {string} [options.color='#ffffff'] - Text color
+   * @param {boolean} [options.bold=false] - Whether the text is bold
+   * @param {boolean} [options.stroke=false] - Whether the text is outlined
+   * @param {string} [options.align='center'] - Alignment of multi-line text
+   * @param {number} [options.lineSpacing=0] - Extra space between lines
+   * @param {number} [options.wrapWidth] - Width at which the text wraps
+   * @param {number} [options.originX=0.5] - Horizontal origin (0 left-aligns the label on x)
+   */
+  constructor(scene, x, y, text, options = {}) {
+    const style = textStyle(options);
+    style.align = options.align || 'center';
+    style.lineSpacing = options.lineSpacing || 0;
+    if (options.wrapWidth) {
+      style.wordWrap = { width: options.wrapWidth };
+    }
+
+    super(scene, x, y, text, style);
+
+    this.setOrigin(options.originX === undefined ? 0.5 : options.originX, 0.5);
+    scene.add.existing(this);
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * List Widget
+ *
+ * A column (or row) of widgets laid out at an even spacing from its position.
+ * A list is focused through its items, in the order they were added. A list
+ * shown on its own, outside a panel, can scale itself by the uiScale setting.
+ */
+
+import Phaser from 'phaser';
+import { Button } from './button.js';
+import { followUiScale } from './theme.js';
+
+export class List extends Phaser.GameObjects.Container {
+  /**
+   * Create a new List and add it to the scene
+   *
+   * @param {Phaser.Scene} scene - The scene the list belongs to
+   * @param {number} x - The x position of the first item
+   * @param {number} y - The y position of the first item
+   * @param {Object} [options] - List options
+   * @param {number} [options.spacing=50] - Distance between the items in unscaled pixels
+   * @param {boolean} [options.horizontal=false] - Whether the items are laid out left to right
+   * @param {Object} [options.buttonOptions] - Options for the buttons made with addButton()
+   * @param {boolean} [options.scaled=false] - Whether the list scales itself by the uiScale setting
+   */
+  constructor(scene, x, y, options = {}) {
+    super(scene, x, y);
+
+    this.spacing = options.spacing || 50;
+    this.horizontal = options.horizontal || false;
+    this.buttonOptions = options.buttonOptions || {};
+    this.items = [];
+
+    if (options.scaled) {
+      followUiScale(this);
+    }
+
+    scene.add.existing(this);
+  }
+
+  /**
+   * Add a widget below (or beside) the last item
+   *
+   * @param {Phaser.GameObjects.GameObject} widget - The widget
+   * @returns {Phaser.GameObjects.GameObject} The widget
+   */
+  addItem(widget) {
+    const offset = this.items.length * this.spacing;
+    widget.setPosition(this.horizontal ? offset : 0, this.horizontal ? 0 : offset);
+
+    this.items.push(widget);
+    this.add(widget);
+
+    return widget;
+  }
+
+  /**
+   * Add a button in the list's button style
+   *
+   * @param {string} label - The button text
+   * @param {Function} onClick - Called with the button when it is pressed
+   * @returns {Button} The button
+   */
+  addButton(label, onClick) {
+    return this.addItem(new Button(this.scene, 0, 0, label, onClick, this.buttonOptions));
+  }
+
+  /**
+   * Get the items that can take the focus, for the focus group the list is added to
+   *
+   * @returns {Array<Object>} The focusable items
+   */
+  getFocusables() {
+    return this.items.filter((item) => item.focusable);
+  }
+}
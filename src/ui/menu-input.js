@@ -0,0 +1,127 @@
+/**
+ * Menu Input
+ *
+ * This file lets the keyboard and gamepads drive the focus group of whatever
+ * menu or dialog a scene is showing: arrows or the D-pad move the focus and
+ * change values, Enter or A presses the focused widget and Escape or B goes
+ * back. Pads use the standard Gamepad API button layout. Like FocusGroup it
+ * does not depend on Phaser, so it can be checked under Node.
+ */
+
+/**
+ * Menu action of each keyboard key, by Phaser key name
+ *
+ * @constant {Object<string, string>} MENU_KEYS
+ */
+export const MENU_KEYS = Object.freeze({
+  UP: 'up',
+  DOWN: 'down',
+  LEFT: 'left',
+  RIGHT: 'right',
+  ENTER: 'confirm',
+  ESC: 'cancel'
+});
+
+/**
+ * Menu action of each gamepad button, by index in the standard layout
+ *
+ * @constant {Object<number, string>} MENU_PAD_BUTTONS
+ */
+export const MENU_PAD_BUTTONS = Object.freeze({
+  0: 'confirm',  // A (bottom face button)
+  1: 'cancel',   // B (right face button)
+  12: 'up',      // D-pad
+  13: 'down',
+  14: 'left',
+  15: 'right'
+});
+
+export class MenuInput {
+  /**
+   * Create a new MenuInput for a scene
+   * The scene's keyboard and gamepad plugins drop the listeners when the scene shuts down
+   *
+   * @param {Phaser.Scene} scene - The scene whose input drives the menus
+   * @param {Function} getFocusGroup - Returns the focus group of the menu being shown, or null
+   * @param {Object} [options] - Input options
+   * @param {boolean} [options.escape=true] - Whether Escape goes back; off for scenes that handle
+   *   it themselves
+   */
+  constructor(scene, getFocusGroup, { escape = true } = {}) {
+    this.getFocusGroup = getFocusGroup;
+
+    Object.keys(MENU_KEYS).forEach((key) => {
+      if (key === 'ESC' && !escape) return;
+
+      scene.input.keyboard.on(`keydown-${key}`, () => {
+        this.perform(MENU_KEYS[key]);
+      });
+    });
+
+    // A pad button already held when the scene starts or resumes (for example the one that
+    // closed an overlay) is seen as a new press in the scene's first update, so pad presses
+    // in that update are ignored
+    this.ignorePad = true;
+    const onResume = () => {
+      this.ignorePad = true;
+    };
+    const onPostUpdate = () => {
+      this.ignorePad = false;
+    };
+    scene.events.on('resume', onResume);
+    scene.events.on('postupdate', onPostUpdate);
+
+    // Unlike the input plugins, the scene's own events outlive a restart
+    scene.events.once('shutdown', () => {
+      scene.events.off('resume', onResume);
+      scene.events.off('postupdate', onPostUpdate);
+    });
+
+    // The gamepad plugin is only present when it is enabled in the game config
+    if (scene.input.gamepad) {
+      scene.input.gamepad.on('down', (pad, button) => {
+        const action = MENU_PAD_BUTTONS[button.index];
+        if (action && !this.ignorePad) {
+          this.perform(action);
+        }
+      });
+    }
+  }
+
+  /**
+   * Performs a menu action on the focus group being shown
+   * A group with nothing focused yet focuses its first widget on any move
+   *
+   * @param {string} action - One of the values of MENU_KEYS
+   * @returns {boolean} True if a menu was shown to take the action
+   */
+  perform(action) {
+    const group = this.getFocusGroup();
+    if (!group) return false;
+
+    switch (action) {
+      case 'up':
+        group.move(-1);
+        break;
+      case 'down':
+        group.move(1);
+        break;
+      case 'left':
+        group.adjust(-1);
+        break;
+      case 'right':
+        group.adjust(1);
+        break;
+      case 'confirm':
+        group.activate();
+        break;
+      case 'cancel':
+        group.cancel();
+        break;
+      default:
+        return false;
+    }
+
+    return true;
+  }
+}
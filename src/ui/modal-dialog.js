@@ -0,0 +1,79 @@
+/**
+ * Modal Dialog Widget
+ *
+ * A panel in the middle of the screen over a dimmed backdrop that takes all
+ * pointer input, so nothing behind the dialog reacts while it is open. An
+ * optional message and a row of buttons are laid out from the options; other
+ * widgets can be added with addWidget().
+ */
+
+import { UI_THEME } from './theme.js';
+import { Panel } from './panel.js';
+import { Label } from './label.js';
+import { List } from './list.js';
+
+/**
+ * Space between the buttons of a dialog's button row
+ *
+ * @constant {number} BUTTON_ROW_SPACING
+ */
+const BUTTON_ROW_SPACING = 140;
+
+export class ModalDialog extends Panel {
+  /**
+   * Create a new ModalDialog and show it
+   *
+   * @param {Phaser.Scene} scene - The scene the dialog belongs to
+   * @param {Object} options - Dialog options, and the Panel options
+   * @param {string|Array<string>} [options.message] - Text shown in the middle of the dialog
+   * @param {Array<Array>} [options.buttons] - [label, onClick] pairs for a row of buttons at the
+   *   bottom
+   * @param {boolean} [options.overlay=true] - Whether to dim the screen behind the dialog
+   */
+  constructor(scene, options) {
+    const camera = scene.cameras.main;
+
+    // The backdrop is created first so it stays behind the panel
+    const overlay = scene.add.rectangle(
+      camera.width / 2, camera.height / 2, camera.width, camera.height,
+      UI_THEME.overlayColor, options.overlay === false ? 0 : UI_THEME.overlayAlpha
+    );
+    overlay.setDepth(UI_THEME.dialogDepth);
+    overlay.setInteractive();
+
+    super(scene, camera.width / 2, camera.height / 2, options);
+
+    this.overlay = overlay;
+    this.setDepth(UI_THEME.dialogDepth);
+    this.once('destroy', () => this.overlay.destroy());
+
+    const buttonsY = this.bottom - 45;
+
+    if (options.message) {
+      const contentTop = options.title ? this.top + UI_THEME.titleOffset * 2 : this.top;
+      const messageY = (contentTop + buttonsY - 25) / 2;
+      this.message = this.addWidget(new Label(scene, 0, messageY, options.message, {
+        size: 20,
+        lineSpacing: 8,
+        wrapWidth: options.width - 50
+      }));
+    }
+
+    if (options.buttons) {
+      const buttonsX = -(options.buttons.length - 1) * BUTTON_ROW_SPACING / 2;
+      const buttons = new List(scene, buttonsX, buttonsY, {
+        spacing: BUTTON_ROW_SPACING,
+        horizontal: true
+      });
+      options.buttons.forEach(([label, onClick]) => buttons.addButton(label, onClick));
+      this.buttons = this.addWidget(buttons);
+    }
+  }
+
+  /**
+   * Closes the dialog and removes its backdrop
+   */
+  close() {
+    this.destroy();
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * Panel Widget
+ *
+ * The framed box behind menus and dialogs, with an optional title at the top.
+ * Widgets added with addWidget() join the panel's focus group. The panel
+ * scales itself and everything in it by the uiScale setting.
+ */
+
+import Phaser from 'phaser';
+import { UI_THEME, followUiScale } from './theme.js';
+import { Label } from './label.js';
+import { FocusGroup } from './focus-group.js';
+
+export class Panel extends Phaser.GameObjects.Container {
+  /**
+   * Create a new Panel and add it to the scene
+   *
+   * @param {Phaser.Scene} scene - The scene the panel belongs to
+   * @param {number} x - The x position of the panel's center
+   * @param {number} y - The y position of the panel's center
+   * @param {Object} options - Panel options
+   * @param {number} options.width - Width in unscaled pixels
+   * @param {number} options.height - Height in unscaled pixels
+   * @param {string} [options.title] - The title shown at the top
+   * @param {string} [options.titleColor='#ffffff'] - Color of the title
+   * @param {number} [options.titleSize=32] - Font size of the title
+   * @param {Function} [options.onCancel] - Called when the panel's focus group is cancelled
+   */
+  constructor(scene, x, y, options) {
+    super(scene, x, y);
+
+    this.panelWidth = options.width;
+    this.panelHeight = options.height;
+    this.focusGroup = new FocusGroup({ onCancel: options.onCancel });
+
+    const background = scene.add.rectangle(
+      0, 0, options.width, options.height, UI_THEME.panelColor, UI_THEME.panelAlpha
+    );
+    background.setStrokeStyle(UI_THEME.panelStrokeWidth, UI_THEME.panelStrokeColor);
+    this.add(background);
+
+    if (options.title) {
+      this.title = new Label(scene, 0, this.top + UI_THEME.titleOffset, options.title, {
+        size: options.titleSize || UI_THEME.titleSize,
+        color: options.titleColor
+      });
+      this.add(this.title);
+    }
+
+    followUiScale(this);
+    scene.add.existing(this);
+  }
+
+  /**
+   * The y position of the top edge, relative to the panel's center
+   *
+   * @returns {number} The top edge
+   */
+  get top() {
+    return -this.panelHeight / 2;
+  }
+
+  /**
+   * The y position of the bottom edge, relative to the panel's center
+   *
+   * @returns {number} The bottom edge
+   */
+  get bottom() {
+    return this.panelHeight / 2;
+  }
+
+  /**
+   * Add a widget to the panel; focusable widgets join its focus group
+   *
+   * @param {Phaser.GameObjects.GameObject} widget - The widget
+   * @returns {Phaser.GameObjects.GameObject} The widget
+   */
+  addWidget(widget) {
+    this.add(widget);
+    this.focusGroup.add(widget);
+
+    return widget;
+  }
+}
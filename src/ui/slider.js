@@ -0,0 +1,154 @@
+/**
+ * Slider Widget
+ *
+ * A track with a handle and the current value beside it. The value can be
+ * dragged, set by pressing the track, or stepped while the slider is focused.
+ * Pointer positions are converted through the slider's world transform, so it
+ * works at any uiScale and inside scaled panels.
+ */
+
+import Phaser from 'phaser';
+import { UI_THEME } from './theme.js';
+import { Label } from './label.js';
+
+export class Slider extends Phaser.GameObjects.Container {
+  /**
+   * Create a new Slider and add it to the scene
+   * The track starts at x and runs to the right
+   *
+   * @param {Phaser.Scene} scene - The scene the slider belongs to
+   * @param {number} x - The x position of the left end of the track
+   * @param {number} y - The y position of the track
+   * @param {Object} options - Slider options
+   * @param {number} options.min - The lowest value
+   * @param {number} options.max - The highest value
+   * @param {number} options.step - The step between values
+   * @param {number} options.value - The starting value
+   * @param {Function} options.onChange - Called with the new value after it changes
+   * @param {Function} [options.format] - Turns a value into the text shown beside the track
+   * @param {number} [options.width=150] - Length of the track in unscaled pixels
+   */
+  constructor(scene, x, y, options) {
+    super(scene, x, y);
+
+    this.min = options.min;
+    this.max = options.max;
+    this.step = options.step;
+    this.onChange = options.onChange;
+    this.format = options.format || ((value) => `${value}`);
+    this.trackWidth = options.width || 150;
+
+    // Focus state, managed by the focus group the slider is added to
+    this.focusable = true;
+    this.focused = false;
+    this.focusGroup = null;
+
+    this.track = scene.add.rectangle(0, 0, this.trackWidth, 6, UI_THEME.trackColor);
+    this.track.setOrigin(0, 0.5);
+    this.handle = scene.add.circle(0, 0, 10, UI_THEME.handleColor);
+    this.valueLabel = new Label(scene, this.trackWidth + 15, 0, '', {
+      color: UI_THEME.valueColor,
+      originX: 0
+    });
+    this.add([this.track, this.handle, this.valueLabel]);
+
+    // Pressing the track or the handle starts a drag that follows the pointer until it is released
+    this.dragging = false;
+    [this.track, this.handle].forEach((part) => {
+      part.setInteractive({ useHandCursor: true });
+
+      part.on('pointerover', () => {
+        if (this.focusGroup) this.focusGroup.focus(this);
+      });
+
+      part.on('pointerdown', (pointer) => {
+        this.dragging = true;
+        this.setFromPointer(pointer);
+      });
+    });
+
+    this.onPointerMove = (pointer) => {
+      if (this.dragging) this.setFromPointer(pointer);
+    };
+    this.onPointerUp = () => {
+      this.dragging = false;
+    };
+    scene.input.on('pointermove', this.onPointerMove);
+    scene.input.on('pointerup', this.onPointerUp);
+    this.once('destroy', () => {
+      scene.input.off('pointermove', this.onPointerMove);
+      scene.input.off('pointerup', this.onPointerUp);
+    });
+
+    this.setValue(options.value);
+    scene.add.existing(this);
+  }
+
+  /**
+   * Shows a value without calling onChange, for example after it changed elsewhere
+   *
+   * @param {number} value - The value
+   * @returns {Slider} This slider
+   */
+  setValue(value) {
+    this.value = value;
+    this.handle.x = this.trackWidth * (value - this.min) / (this.max - this.min);
+    this.valueLabel.setText(this.format(value));
+
+    return this;
+  }
+
+  /**
+   * Changes the value, snapped to the steps and kept in range, and reports it
+   *
+   * @param {number} value - The requested value
+   */
+  change(value) {
+    const steps = Math.round((Phaser.Math.Clamp(value, this.min, this.max) - this.min) / this.step);
+    const snapped = Number((this.min + steps * this.step).toFixed(4));
+    if (snapped === this.value) return;
+
+    this.setValue(snapped);
+    this.onChange(snapped);
+  }
+
+  /**
+   * Changes the value to the point of the track under the pointer
+   *
+   * @param {Phaser.Input.Pointer} pointer - The pointer
+   */
+  setFromPointer(pointer) {
+    const local = this.getWorldTransformMatrix().applyInverse(pointer.x, pointer.y);
+    const fraction = Phaser.Math.Clamp(local.x / this.trackWidth, 0, 1);
+
+    this.change(this.min + fraction * (this.max - this.min));
+  }
+
+  /**
+   * Steps the value while the slider is focused
+   *
+   * @param {number} direction - 1 to increase, -1 to decrease
+   */
+  adjust(direction) {
+    this.change(this.value + direction * this.step);
+  }
+
+  /**
+   * Shows or hides the focus highlight
+   *
+   * @param {boolean} focused - Whether the slider is focused
+   * @returns {Slider} This slider
+   */
+  setFocused(focused) {
+    this.focused = focused;
+    this.handle.setFillStyle(focused ? UI_THEME.focusHandleColor : UI_THEME.handleColor);
+    this.handle.setScale(focused ? UI_THEME.focusScale * 1.2 : 1);
+
+    return this;
+  }
+
+  /**
+   * Sliders have no action of their own; Enter or a pad button leaves them as they are
+   */
+  activate() {}
+}
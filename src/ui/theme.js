@@ -0,0 +1,98 @@
+/**
+ * UI Theme
+ *
+ * This file defines the look shared by every widget in src/ui/, so menus and
+ * dialogs in different scenes match. Sizes are in unscaled pixels; panels and
+ * lists scale their contents by the player's uiScale setting.
+ */
+
+import { loadSettings } from '../config/settings.js';
+
+/**
+ * Colors, fonts and sizes of the widgets
+ *
+ * @constant {Object} UI_THEME
+ */
+export const UI_THEME = Object.freeze({
+  fontFamily: 'Arial',
+
+  textColor: '#ffffff',       // Labels and buttons
+  mutedColor: '#aaaaaa',      // Secondary text such as seeds and hints
+  valueColor: '#ffff66',      // Current values of toggles and sliders
+  highlightColor: '#ffdd44',  // Text that needs attention, such as a new high score
+  focusColor: '#66ddff',      // The focused widget
+
+  labelSize: 18,
+  buttonSize: 24,
+  titleSize: 32,
+
+  focusScale: 1.1,            // Scale of the focused button (the old hover effect)
+
+  overlayColor: 0x000000,
+  overlayAlpha: 0.7,
+  panelColor: 0x333333,
+  panelAlpha: 0.9,
+  panelStrokeColor: 0xffffff,
+  panelStrokeWidth: 2,
+  titleOffset: 35,            // Distance from the top of a panel to the middle of its title
+
+  trackColor: 0x888888,
+  handleColor: 0xffffff,
+  focusHandleColor: 0x66ddff,
+
+  dialogDepth: 200            // Dialogs stay in front of the HUD, boss bar and stage summaries
+});
+
+/**
+ * Creates a text style in the theme's font
+ *
+ * @param {Object} [options] - Style options
+ * @param {number} [options.size=UI_THEME.labelSize] - Font size in unscaled pixels
+ * @param {string} [options.color=UI_THEME.textColor] - Text color
+ * @param {boolean} [options.bold=false] - Whether the text is bold
+ * @param {boolean} [options.stroke=false] - Whether the text is outlined, for text drawn straight
+ *   on the game
+ * @returns {Object} A Phaser text style
+ */
+export function textStyle({
+  size = UI_THEME.labelSize,
+  color = UI_THEME.textColor,
+  bold = false,
+  stroke = false
+} = {}) {
+  const style = {
+    font: `${bold ? 'bold ' : ''}${size}px ${UI_THEME.fontFamily}`,
+    fill: color
+  };
+
+  if (stroke) {
+    style.stroke = '#000000';
+    style.strokeThickness = Math.max(2, Math.round(size / 8));
+  }
+
+  return style;
+}
+
+/**
+ * Gets the scale the player chose for menus and the HUD
+ *
+ * @returns {number} The uiScale setting
+ */
+export function getUiScale() {
+  return loadSettings().uiScale;
+}
+
+/**
+ * Keeps a container at the uiScale setting while it exists, so a change in the
+ * settings panel resizes open menus at once
+ *
+ * @param {Phaser.GameObjects.Container} container - The container to scale
+ */
+export function followUiScale(container) {
+  container.setScale(getUiScale());
+
+  const stopFollowing = loadSettings().onChange((key, value) => {
+    if (key === 'uiScale') container.setScale(value);
+  });
+  container.once('destroy', stopFollowing);
+}
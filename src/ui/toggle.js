@@ -0,0 +1,73 @@
+/**
+ * Toggle Widget
+ *
+ * A button showing one of a list of values. Pressing it, or adjusting it while
+ * focused, steps through the values and wraps around.
+ */
+
+import { Button } from './button.js';
+import { UI_THEME } from './theme.js';
+
+export class Toggle extends Button {
+  /**
+   * Create a new Toggle and add it to the scene
+   *
+   * @param {Phaser.Scene} scene - The scene the toggle belongs to
+   * @param {number} x - The x position of the toggle's center
+   * @param {number} y - The y position of the toggle's center
+   * @param {Object} options - Toggle options
+   * @param {Array<*>} [options.values=[true, false]] - The values, in the order they are stepped
+   *   through
+   * @param {Array<string>} [options.labels=['On', 'Off']] - The text shown for each value
+   * @param {*} options.value - The starting value
+   * @param {Function} options.onChange - Called with the new value after it changes
+   * @param {number} [options.size=20] - Font size in unscaled pixels
+   * @param {string} [options.prefix=''] - Text shown before the value, such as 'View: '
+   */
+  constructor(scene, x, y, options) {
+    super(scene, x, y, '', null, {
+      size: options.size || 20,
+      color: options.prefix ? UI_THEME.textColor : UI_THEME.valueColor
+    });
+
+    this.values = options.values || [true, false];
+    this.labels = options.labels || ['On', 'Off'];
+    this.prefix = options.prefix || '';
+    this.onChange = options.onChange;
+
+    this.setValue(options.value);
+  }
+
+  /**
+   * Shows a value without calling onChange, for example after it changed elsewhere
+   *
+   * @param {*} value - One of the toggle's values
+   * @returns {Toggle} This toggle
+   */
+  setValue(value) {
+    this.value = value;
+    this.setText(`${this.prefix}${this.labels[this.values.indexOf(value)]}`);
+
+    return this;
+  }
+
+  /**
+   * Steps to the next value when the toggle is pressed
+   */
+  activate() {
+    this.adjust(1);
+  }
+
+  /**
+   * Steps to the next or previous value
+   *
+   * @param {number} direction - 1 for the next value, -1 for the previous one
+   */
+  adjust(direction) {
+    const count = this.values.length;
+    const index = (this.values.indexOf(this.value) + direction + count) % count;
+
+    this.setValue(this.values[index]);
+    this.onChange(this.value);
+  }
+}
@@ -0,0 +1,18 @@
+/**
+ * UI Widgets
+ *
+ * This file gathers the widget toolkit used to build menus and dialogs, so a
+ * scene imports everything it needs from one place. See docs/ARCHITECTURE.md
+ * for how the widgets fit together.
+ */
+
+export { UI_THEME, textStyle, getUiScale, followUiScale } from './theme.js';
+export { FocusGroup } from './focus-group.js';
+export { MenuInput, MENU_KEYS, MENU_PAD_BUTTONS } from './menu-input.js';
+export { Label } from './label.js';
+export { Button } from './button.js';
+export { Toggle } from './toggle.js';
+export { Slider } from './slider.js';
+export { List } from './list.js';
+export { Panel } from './panel.js';
+export { ModalDialog } from './modal-dialog.js';
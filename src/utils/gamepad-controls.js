@@ -0,0 +1,220 @@
+/**
+ * Gamepad Controls
+ *
+ * This file reads the gamepads during a run: the left stick or the D-pad
+ * steers, the face buttons fire and Start opens the menu. Pads are read from
+ * the Gamepad API every frame and use its standard button layout, the same as
+ * the menus. Pads plugged in or unplugged mid-run are noticed on the next
+ * read. It does not depend on Phaser, so it can be checked under Node with
+ * stand-in Gamepad objects.
+ */
+
+/**
+ * Button indices in the standard Gamepad API layout
+ *
+ * @constant {Object<string, number>} GAMEPAD_BUTTONS
+ */
+export const GAMEPAD_BUTTONS = Object.freeze({
+  A: 0,
+  B: 1,
+  X: 2,
+  Y: 3,
+  START: 9,
+  DPAD_LEFT: 14,
+  DPAD_RIGHT: 15
+});
+
+/**
+ * Buttons that fire a projectile
+ *
+ * @constant {Array<number>} FIRE_BUTTONS
+ */
+export const FIRE_BUTTONS = Object.freeze([
+  GAMEPAD_BUTTONS.A,
+  GAMEPAD_BUTTONS.B,
+  GAMEPAD_BUTTONS.X,
+  GAMEPAD_BUTTONS.Y
+]);
+
+/**
+ * Index of the left stick's horizontal axis
+ *
+ * @constant {number} STEERING_AXIS
+ */
+const STEERING_AXIS = 0;
+
+/**
+ * Read the pads the browser knows about
+ *
+ * @returns {Array<Gamepad|null>} The pads, with null for empty slots
+ */
+function getNavigatorGamepads() {
+  if (typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') {
+    return [];
+  }
+
+  return Array.from(navigator.getGamepads() || []);
+}
+
+/**
+ * Check whether a button is held
+ * Early implementations of the Gamepad API report buttons as plain numbers
+ *
+ * @param {GamepadButton|number} [button] - The button
+ * @returns {boolean} True if the button is held
+ */
+function isPressed(button) {
+  if (typeof button === 'object' && button !== null) return button.pressed;
+
+  return button > 0.5;
+}
+
+/**
+ * Gamepad input for one frame
+ *
+ * @typedef {Object} GamepadFrame
+ * @property {number} steering - How far to steer, from -1 (full left) to 1 (full right), 0
+ *   inside the deadzone
+ * @property {number} steerPressed - -1 or 1 if steering started this frame in that
+ *   direction, otherwise 0
+ * @property {boolean} fire - Whether a fire button was pressed this frame
+ * @property {boolean} menu - Whether Start was pressed this frame
+ */
+
+export class GamepadControls {
+  /**
+   * Create a new GamepadControls instance
+   * Buttons already held when it is created are not reported as presses
+   *
+   * @param {Object} [options] - Control options
+   * @param {number} [options.deadzone=0.2] - How far the stick can lean, from 0 to 1,
+   *   before it steers
+   * @param {Function} [options.getGamepads] - Returns the pads; defaults to
+   *   navigator.getGamepads()
+   * @param {Function} [options.onConnect] - Called with a pad that was plugged in
+   * @param {Function} [options.onDisconnect] - Called with a pad that was unplugged
+   */
+  constructor({
+    deadzone = 0.2,
+    getGamepads = getNavigatorGamepads,
+    onConnect = null,
+    onDisconnect = null
+  } = {}) {
+    this.deadzone = deadzone;
+    this.getGamepads = getGamepads;
+    this.onConnect = onConnect;
+    this.onDisconnect = onDisconnect;
+
+    // The pads seen on the last read, by index, with the buttons they held and their steering
+    this.pads = new Map();
+
+    this.sync();
+  }
+
+  /**
+   * Get the pads that are connected
+   *
+   * @returns {Array<Gamepad>} The pads
+   */
+  getConnected() {
+    return this.getGamepads().filter((pad) => pad && pad.connected !== false);
+  }
+
+  /**
+   * Check whether any pad is connected
+   *
+   * @returns {boolean} True if a pad was connected on the last read
+   */
+  isConnected() {
+    return this.pads.size > 0;
+  }
+
+  /**
+   * Get how far a pad steers
+   * The D-pad steers fully; the stick steers once it leans past the deadzone,
+   * scaled so it goes from 0 at the edge of the deadzone to 1 when fully over
+   *
+   * @param {Gamepad} pad - The pad
+   * @returns {number} The steering, from -1 to 1
+   */
+  getSteering(pad) {
+    const dpad = (isPressed(pad.buttons[GAMEPAD_BUTTONS.DPAD_RIGHT]) ? 1 : 0) -
+                 (isPressed(pad.buttons[GAMEPAD_BUTTONS.DPAD_LEFT]) ? 1 : 0);
+    if (dpad !== 0) return dpad;
+
+    const axis = pad.axes[STEERING_AXIS] || 0;
+    const lean = Math.abs(axis);
+    if (lean <= this.deadzone) return 0;
+
+    return Math.sign(axis) * Math.min(1, (lean - this.deadzone) / (1 - this.deadzone));
+  }
+
+  /**
+   * Takes the current state of the pads as already seen, without reporting
+   * presses or connections, for example when a menu that used the pad closes
+   */
+  sync() {
+    this.pads.clear();
+    this.getConnected().forEach((pad) => this.pads.set(pad.index, this.readPad(pad)));
+  }
+
+  /**
+   * Read the buttons held and the steering of a pad
+   *
+   * @param {Gamepad} pad - The pad
+   * @returns {Object} The pad, its held buttons and its steering
+   */
+  readPad(pad) {
+    return {
+      pad,
+      held: pad.buttons.map(isPressed),
+      steering: this.getSteering(pad)
+    };
+  }
+
+  /**
+   * Read the pads for this frame
+   * Every pad can steer and press buttons; the pad leaning furthest steers
+   *
+   * @returns {GamepadFrame} The input for this frame
+   */
+  poll() {
+    const frame = { steering: 0, steerPressed: 0, fire: false, menu: false };
+    const seen = new Map();
+
+    this.getConnected().forEach((pad) => {
+      const previous = this.pads.get(pad.index);
+      const current = this.readPad(pad);
+      seen.set(pad.index, current);
+
+      if (!previous && this.onConnect) {
+        this.onConnect(pad);
+      }
+
+      const wasHeld = (index) => Boolean(previous && previous.held[index]);
+      const pressed = (index) => current.held[index] && !wasHeld(index);
+
+      if (FIRE_BUTTONS.some(pressed)) frame.fire = true;
+      if (pressed(GAMEPAD_BUTTONS.START)) frame.menu = true;
+
+      const direction = Math.sign(current.steering);
+      if (direction !== 0 && direction !== Math.sign(previous ? previous.steering : 0)) {
+        frame.steerPressed = direction;
+      }
+
+      if (Math.abs(current.steering) > Math.abs(frame.steering)) {
+        frame.steering = current.steering;
+      }
+    });
+
+    this.pads.forEach((previous, index) => {
+      if (!seen.has(index) && this.onDisconnect) {
+        this.onDisconnect(previous.pad);
+      }
+    });
+
+    this.pads = seen;
+
+    return frame;
+  }
+}
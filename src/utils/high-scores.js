@@ -0,0 +1,159 @@
+/**
+ * High Scores Utility
+ *
+ * This utility keeps the table of the best runs in localStorage. The table is
+ * stored with a schema version: tables written by older versions are migrated
+ * step by step when they are read, and entries keep fields they do not know
+ * about, so a table written by a newer version is not damaged by an older one.
+ */
+
+/**
+ * Version of the stored table layout
+ * Bump it and add a step to MIGRATIONS whenever the layout changes
+ *
+ * @constant {number} HIGH_SCORE_VERSION
+ */
+export const HIGH_SCORE_VERSION = 1;
+
+/**
+ * Number of runs kept in the table
+ *
+ * @constant {number} MAX_HIGH_SCORES
+ */
+export const MAX_HIGH_SCORES = 10;
+
+/**
+ * localStorage key of the high-score table
+ *
+ * @constant {string} STORAGE_KEY
+ */
+const STORAGE_KEY = 'railgame.highScores';
+
+/**
+ * Steps that upgrade a stored table by one version, keyed by the version they upgrade from
+ * Version 0 is a bare list of entries, without a version
+ *
+ * @constant {Object<number, Function>} MIGRATIONS
+ */
+const MIGRATIONS = {
+  0: (table) => ({ version: 1, entries: table.entries })
+};
+
+/**
+ * @typedef {Object} HighScore
+ * @property {number} score - The final score
+ * @property {number} distance - The distance travelled in meters
+ * @property {string|null} date - When the run ended, as an ISO date string
+ * @property {string|null} difficulty - The difficulty preset name
+ * @property {number|null} seed - The seed the run was played with
+ */
+
+/**
+ * @typedef {Object} HighScoreTable
+ * @property {number} version - The layout version
+ * @property {Array<HighScore>} entries - The runs, best first
+ */
+
+/**
+ * Check a stored entry and fill in missing fields
+ * Fields it does not know are kept as they are
+ *
+ * @param {Object} entry - The stored entry
+ * @returns {HighScore|null} The entry, or null if it has no usable score
+ */
+function normalizeEntry(entry) {
+  if (!entry || typeof entry !== 'object' || !Number.isFinite(entry.score)) return null;
+
+  return Object.assign({}, entry, {
+    distance: Number.isFinite(entry.distance) ? entry.distance : 0,
+    date: typeof entry.date === 'string' ? entry.date : null,
+    difficulty: typeof entry.difficulty === 'string' ? entry.difficulty : null,
+    seed: Number.isFinite(entry.seed) ? entry.seed : null
+  });
+}
+
+/**
+ * Bring stored high-score data up to the current layout
+ * Unreadable data gives an empty table
+ *
+ * @param {*} data - The parsed stored data
+ * @returns {HighScoreTable} The migrated table
+ */
+export function migrateHighScores(data) {
+  let table;
+
+  if (Array.isArray(data)) {
+    table = { version: 0, entries: data };
+  } else if (data && typeof data === 'object' && Number.isInteger(data.version) &&
+             Array.isArray(data.entries)) {
+    table = data;
+  } else {
+    return { version: HIGH_SCORE_VERSION, entries: [] };
+  }
+
+  while (table.version < HIGH_SCORE_VERSION) {
+    table = MIGRATIONS[table.version](table);
+  }
+
+  const entries = table.entries
+    .map(normalizeEntry)
+    .filter((entry) => entry !== null)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_HIGH_SCORES);
+
+  return { version: table.version, entries };
+}
+
+/**
+ * Add a run to a table if it is good enough
+ * A run that ties an entry is placed below it
+ *
+ * @param {HighScoreTable} table - The table to add to
+ * @param {HighScore} entry - The run
+ * @returns {number} The rank of the run (0 is the best), or -1 if it did not make the table
+ */
+export function insertHighScore(table, entry) {
+  let rank = table.entries.findIndex((existing) => entry.score > existing.score);
+  if (rank === -1) rank = table.entries.length;
+  if (rank >= MAX_HIGH_SCORES) return -1;
+
+  table.entries.splice(rank, 0, normalizeEntry(entry));
+  table.entries.length = Math.min(table.entries.length, MAX_HIGH_SCORES);
+
+  return rank;
+}
+
+/**
+ * Load the high-score table
+ *
+ * @returns {HighScoreTable} The table, empty if there is none or it cannot be read
+ */
+export function loadHighScores() {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return migrateHighScores(stored ? JSON.parse(stored) : null);
+  } catch (error) {
+    console.warn('Ignoring unreadable high scores:', error.message);
+    return migrateHighScores(null);
+  }
+}
+
+/**
+ * Add a finished run to the stored high-score table
+ *
+ * @param {HighScore} entry - The run
+ * @returns {number} The rank of the run (0 is the best), or -1 if it did not make the table
+ */
+export function recordHighScore(entry) {
+  const table = loadHighScores();
+  const rank = insertHighScore(table, entry);
+  if (rank === -1) return rank;
+
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(table));
+  } catch (error) {
+    console.warn('Could not save high scores:', error.message);
+  }
+
+  return rank;
+}
@@ -36,12 +36,7 @@ export class PerformanceMonitor {
   init() {
     // Create FPS text display if enabled
     if (this.options.showFPS) {
-      this.fpsText = this.scene.add.text(10, 10, 'FPS: 0', {
-        font: '16px Arial',
-        fill: '#00ff00'
-      });
-      this.fpsText.setDepth(999); // Ensure it's on top of other elements
-      this.fpsText.setScrollFactor(0); // Fix to camera
+      this.createFPSText();
     }
     
     // Set up update interval
@@ -54,6 +49,18 @@ export class PerformanceMonitor {
     });
   }
   
+  /**
+   * Create the FPS text display
+   */
+  createFPSText() {
+    this.fpsText = this.scene.add.text(10, 10, `FPS: ${this.fps}`, {
+      font: '16px Arial',
+      fill: '#00ff00'
+    });
+    this.fpsText.setDepth(999); // Ensure it's on top of other elements
+    this.fpsText.setScrollFactor(0); // Fix to camera
+  }
+  
   /**
    * Update performance metrics
    */
@@ -65,7 +72,7 @@ export class PerformanceMonitor {
     this.fps = Math.round((this.frameCount / elapsed) * 1000);
     
     // Update display if enabled
-    if (this.options.showFPS && this.fpsText) {
+    if (this.fpsText && this.fpsText.visible) {
       this.fpsText.setText(`FPS: ${this.fps}`);
     }
     
@@ -94,9 +101,21 @@ export class PerformanceMonitor {
    * Toggle the visibility of the FPS display
    */
   toggleFPSDisplay() {
-    if (this.fpsText) {
-      this.fpsText.visible = !this.fpsText.visible;
+    this.setFPSVisible(!this.fpsText || !this.fpsText.visible);
+  }
+  
+  /**
+   * Show or hide the FPS display, creating it if it was never shown
+   * 
+   * @param {boolean} visible - Whether the FPS counter is shown
+   */
+  setFPSVisible(visible) {
+    if (!this.fpsText) {
+      if (!visible) return;
+      this.createFPSText();
     }
+    
+    this.fpsText.setVisible(visible);
   }
   
   /**
@@ -0,0 +1,57 @@
+/**
+ * Personal Best Utility
+ *
+ * This utility keeps the replay of the player's best run on each difficulty
+ * in localStorage, so the next runs can race against it as a ghost.
+ */
+
+import { parseReplay } from '../simulation/replay.js';
+
+/**
+ * Prefix of the localStorage keys of personal best replays (one per difficulty)
+ *
+ * @constant {string} STORAGE_KEY
+ */
+const STORAGE_KEY = 'railgame.personalBest';
+
+/**
+ * Load the personal best replay for a difficulty
+ *
+ * @param {string} difficulty - The difficulty preset name
+ * @returns {Object|null} The replay, or null if there is none or it cannot be read
+ */
+export function loadPersonalBest(difficulty) {
+  try {
+    const stored = window.localStorage.getItem(`${STORAGE_KEY}.${difficulty}`);
+    return stored ? parseReplay(stored) : null;
+  } catch (error) {
+    console.warn('Ignoring unreadable personal best:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Check whether a finished run should replace the stored personal best
+ *
+ * A best recorded under different tuning can no longer be raced, so any run replaces it.
+ *
+ * @param {Object|null} best - The stored personal best replay
+ * @param {Object} replay - The replay of the finished run
+ * @returns {boolean} True if the run is the new personal best
+ */
+export function isNewPersonalBest(best, replay) {
+  return !best || best.tuningHash !== replay.tuningHash || replay.score > best.score;
+}
+
+/**
+ * Store a replay as the new personal best for its difficulty
+ *
+ * @param {Object} replay - The replay of the best run
+ */
+export function savePersonalBest(replay) {
+  try {
+    window.localStorage.setItem(`${STORAGE_KEY}.${replay.difficulty}`, JSON.stringify(replay));
+  } catch (error) {
+    console.warn('Could not save personal best:', error.message);
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * Replay File Utility
+ *
+ * This utility saves replays as JSON files and reads them back, so a replay can
+ * be attached to a bug report and opened again by dropping it onto the game.
+ */
+
+import { parseReplay } from '../simulation/replay.js';
+
+/**
+ * Download a replay as a JSON file
+ *
+ * @param {Object} replay - The replay to save
+ */
+export function downloadReplay(replay) {
+  const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `railgame-replay-${replay.seed}.json`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Read a replay from a file chosen or dropped by the user
+ *
+ * @param {File} file - The replay file
+ * @returns {Promise<Object>} The parsed replay
+ */
+export function readReplayFile(file) {
+  return file.text().then((text) => parseReplay(text));
+}
@@ -0,0 +1,128 @@
+/**
+ * Run Save Utility
+ *
+ * This utility keeps the run in progress in localStorage, so a run survives the
+ * browser killing the tab in the background. A save holds a snapshot of the
+ * simulation (including the position of every random stream) and the replay of
+ * the run so far. Saves from a build with a different save format, replay format
+ * or gameplay data cannot be continued and are discarded.
+ */
+
+import { loadTuning } from '../config/tuning.js';
+import { loadDifficulty } from '../config/difficulty.js';
+import { loadLevels } from '../config/levels.js';
+import { parseReplay, hashTuning } from '../simulation/replay.js';
+
+/**
+ * Version of the save format
+ * Saves with a different version are rejected
+ *
+ * @constant {number} SAVE_VERSION
+ */
+export const SAVE_VERSION = 1;
+
+/**
+ * localStorage key of the saved run
+ *
+ * @constant {string} STORAGE_KEY
+ */
+const STORAGE_KEY = 'railgame.runSave';
+
+/**
+ * Build the save of a run in progress
+ *
+ * @param {Simulation} simulation - The simulation of the run
+ * @param {ReplayRecorder} recorder - The recorder of the run's input
+ * @returns {Object} The save, ready for JSON.stringify
+ */
+export function createRunSave(simulation, recorder) {
+  return {
+    version: SAVE_VERSION,
+    savedAt: new Date().toISOString(),
+    difficulty: recorder.difficulty,
+    tuningHash: recorder.tuningHash,
+    simulation: simulation.snapshot(),
+    replay: recorder.toJSON(simulation.run.score)
+  };
+}
+
+/**
+ * Check a stored save and return it in a normalized form
+ *
+ * @param {Object|string} source - The save as an object or a JSON string
+ * @returns {Object} The save
+ * @throws {Error} If the save is malformed or was made by a different build
+ */
+export function parseRunSave(source) {
+  const save = typeof source === 'string' ? JSON.parse(source) : source;
+
+  if (!save || typeof save !== 'object') {
+    throw new Error('Save is not an object');
+  }
+
+  if (save.version !== SAVE_VERSION) {
+    throw new Error(`Unsupported save version ${save.version} (expected ${SAVE_VERSION})`);
+  }
+
+  if (!save.simulation || !save.simulation.run || save.simulation.run.isGameOver) {
+    throw new Error('Save has no run in progress');
+  }
+
+  // The replay is checked like a replay file, which also rejects older gameplay versions
+  const replay = parseReplay(save.replay);
+
+  const current = hashTuning(loadTuning(), loadDifficulty(save.difficulty), loadLevels());
+  if (save.tuningHash !== current || replay.tuningHash !== current) {
+    throw new Error('Save was made with different gameplay values');
+  }
+
+  return {
+    version: save.version,
+    savedAt: save.savedAt,
+    difficulty: save.difficulty,
+    tuningHash: save.tuningHash,
+    simulation: save.simulation,
+    replay
+  };
+}
+
+/**
+ * Load the saved run
+ * A save that cannot be continued is discarded
+ *
+ * @returns {Object|null} The save, or null if there is none or it cannot be continued
+ */
+export function loadRunSave() {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored ? parseRunSave(stored) : null;
+  } catch (error) {
+    console.warn('Discarding saved run:', error.message);
+    clearRunSave();
+    return null;
+  }
+}
+
+/**
+ * Store a save as the run to continue
+ *
+ * @param {Object} save - The save from createRunSave()
+ */
+export function storeRunSave(save) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(save));
+  } catch (error) {
+    console.warn('Could not save the run:', error.message);
+  }
+}
+
+/**
+ * Remove the saved run, once it has ended or a new run replaces it
+ */
+export function clearRunSave() {
+  try {
+    window.localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.warn('Could not clear the saved run:', error.message);
+  }
+}
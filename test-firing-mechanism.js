@@ -13,6 +13,19 @@ try {
   // Read the MainScene.js file
   const mainScenePath = path.join(__dirname, 'src', 'scenes', 'MainScene.js');
   const mainSceneContent = fs.readFileSync(mainScenePath, 'utf8');
+
+  // Read the simulation.js file
+  const simulationPath = path.join(__dirname, 'src', 'simulation', 'simulation.js');
+  const simulationContent = fs.readFileSync(simulationPath, 'utf8');
+
+  // Read the renderer files (sprites and effects live in the shared world-renderer.js)
+  const rendererContent = ['world-renderer.js', 'top-down-renderer.js']
+    .map((file) => fs.readFileSync(path.join(__dirname, 'src', 'rendering', file), 'utf8'))
+    .join('\n');
+
+  // Read the tuning.json file
+  const tuningPath = path.join(__dirname, 'src', 'config', 'tuning.json');
+  const tuningContent = fs.readFileSync(tuningPath, 'utf8');
   
   console.log('\nChecking menu button fix:');
   
@@ -26,7 +39,7 @@ try {
   console.log('\nChecking firing mechanism:');
   
   // Check for projectile configuration
-  if (mainSceneContent.includes('projectileSpeed: 7.5')) {
+  if (tuningContent.includes('"projectileSpeed": 450')) {
     console.log('✓ Projectile speed configuration implemented (3x character speed)');
   } else {
     console.log('✗ Projectile speed configuration not implemented');
@@ -60,11 +73,11 @@ try {
     console.log('✗ Projectile creation method not implemented');
   }
   
-  // Check for projectile group
-  if (mainSceneContent.includes('createProjectileGroup()')) {
-    console.log('✓ Projectile group creation implemented');
+  // Check for projectile collisions in the simulation
+  if (simulationContent.includes('checkProjectileCollisions()')) {
+    console.log('✓ Projectile collision detection implemented');
   } else {
-    console.log('✗ Projectile group creation not implemented');
+    console.log('✗ Projectile collision detection not implemented');
   }
   
   // Check for projectile-obstacle collision
@@ -75,7 +88,7 @@ try {
   }
   
   // Check for explosion animation
-  if (mainSceneContent.includes('createExplosionAnimation')) {
+  if (rendererContent.includes('createExplosionAnimation')) {
     console.log('✓ Explosion animation implemented');
   } else {
     console.log('✗ Explosion animation not implemented');
@@ -0,0 +1,174 @@
+/**
+ * Test script to verify gamepad controls during a run
+ * Run with: node test-gamepad-controls.mjs
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ROOT_DIR, check, reportError } from './test-helpers.mjs';
+
+// The controls do not depend on Phaser, so they load directly under Node
+import { GamepadControls, GAMEPAD_BUTTONS } from './src/utils/gamepad-controls.js';
+
+console.log('Testing gamepad controls...');
+
+/**
+ * Create a stand-in for a Gamepad API pad in the standard layout
+ *
+ * @param {number} index - The pad's slot
+ * @returns {Object} The pad, with press(), release() and lean() helpers
+ */
+function fakePad(index) {
+  return {
+    index,
+    id: `Test pad ${index}`,
+    connected: true,
+    mapping: 'standard',
+    axes: [0, 0, 0, 0],
+    buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 })),
+    press(button) { this.buttons[button] = { pressed: true, value: 1 }; },
+    release(button) { this.buttons[button] = { pressed: false, value: 0 }; },
+    lean(x) { this.axes[0] = x; }
+  };
+}
+
+try {
+  const mainSceneContent = fs.readFileSync(
+    path.join(ROOT_DIR, 'src', 'scenes', 'MainScene.js'), 'utf8'
+  );
+  const settingsContent = fs.readFileSync(
+    path.join(ROOT_DIR, 'src', 'config', 'settings.js'), 'utf8'
+  );
+
+  console.log('\nChecking steering:');
+
+  const slots = [null, null, null, null];
+  const log = [];
+  const pad = fakePad(0);
+  slots[0] = pad;
+  const controls = new GamepadControls({
+    deadzone: 0.2,
+    getGamepads: () => slots,
+    onConnect: (connected) => log.push(`connected ${connected.index}`),
+    onDisconnect: (disconnected) => log.push(`disconnected ${disconnected.index}`)
+  });
+
+  pad.lean(0.15);
+  check(controls.poll().steering === 0, 'Stick inside the deadzone does not steer');
+  pad.lean(-0.6);
+  let frame = controls.poll();
+  check(
+    Math.abs(frame.steering + 0.5) < 1e-9 && frame.steerPressed === -1,
+    'Stick past the deadzone steers, scaled from the edge of the deadzone'
+  );
+  pad.lean(-1);
+  frame = controls.poll();
+  check(
+    frame.steering === -1 && frame.steerPressed === 0,
+    'Holding the stick over does not count as a new push'
+  );
+
+  controls.deadzone = 0.5;
+  pad.lean(-0.4);
+  check(controls.poll().steering === 0, 'The deadzone can be changed while playing');
+  controls.deadzone = 0.2;
+
+  pad.press(GAMEPAD_BUTTONS.DPAD_RIGHT);
+  frame = controls.poll();
+  check(
+    frame.steering === 1 && frame.steerPressed === 1,
+    'D-pad steers fully and takes over from the stick'
+  );
+  pad.release(GAMEPAD_BUTTONS.DPAD_RIGHT);
+  pad.lean(0);
+
+  console.log('\nChecking buttons:');
+
+  controls.poll();
+  pad.press(GAMEPAD_BUTTONS.A);
+  check(controls.poll().fire === true, 'A fires');
+  check(controls.poll().fire === false, 'A held does not fire again');
+  pad.release(GAMEPAD_BUTTONS.A);
+  pad.press(GAMEPAD_BUTTONS.Y);
+  check(controls.poll().fire === true, 'Other face buttons fire too');
+  pad.press(GAMEPAD_BUTTONS.START);
+  frame = controls.poll();
+  check(frame.menu === true && frame.fire === false, 'Start opens the menu');
+
+  pad.release(GAMEPAD_BUTTONS.START);
+  controls.poll();
+  pad.press(GAMEPAD_BUTTONS.START);
+  controls.sync();
+  check(
+    controls.poll().menu === false,
+    'Buttons held when the controls sync are not taken as presses'
+  );
+
+  pad.buttons[GAMEPAD_BUTTONS.X] = 1;
+  check(controls.poll().fire === true, 'Buttons reported as plain numbers are read');
+
+  console.log('\nChecking hot-plugging:');
+
+  check(
+    log.length === 0 && controls.isConnected(),
+    'Pads connected at the start are not announced'
+  );
+  const second = fakePad(2);
+  second.press(GAMEPAD_BUTTONS.B);
+  slots[2] = second;
+  frame = controls.poll();
+  check(
+    log.join() === 'connected 2' && frame.fire === true,
+    'A pad plugged in mid-run is noticed and can be used at once'
+  );
+
+  second.lean(0.9);
+  pad.lean(-0.3);
+  check(controls.poll().steering > 0.8, 'The pad leaning furthest steers');
+
+  second.connected = false;
+  controls.poll();
+  slots[0] = null;
+  controls.poll();
+  check(
+    log.join() === 'connected 2,disconnected 2,disconnected 0' && !controls.isConnected(),
+    'Unplugged pads are noticed'
+  );
+  check(controls.poll().steering === 0, 'Nothing steers without a pad');
+
+  const withoutApi = new GamepadControls();
+  check(
+    withoutApi.poll().fire === false && !withoutApi.isConnected(),
+    'Controls work where the Gamepad API is missing'
+  );
+
+  console.log('\nChecking integration:');
+
+  check(/gamepadDeadzone: \{[^}]*default: 0\.2/.test(settingsContent), 'Deadzone is a setting');
+  check(
+    mainSceneContent.includes('this.state.isMovingLeft = gamepad.steering < 0'),
+    'Stick and D-pad map onto the movement intents'
+  );
+  check(
+    /this\.state\.steerStrength = Math\.abs\(gamepad\.steering\)/.test(mainSceneContent) &&
+      mainSceneContent.includes('steer: this.state.steerStrength'),
+    'A stick pushed partway steers the character more slowly'
+  );
+  check(
+    /requestLaneChange\(gamepad\.steerPressed\)/.test(mainSceneContent),
+    'Each push changes lane in lane mode'
+  );
+  check(
+    /JustDown\(this\.escKey\) \|\| startPressed/.test(mainSceneContent),
+    'Start toggles the menu like ESC'
+  );
+  check(
+    /closeMenu\(\) \{[^]*?this\.gamepadControls\.sync\(\)/.test(mainSceneContent),
+    'The button that closes the menu does not also fire'
+  );
+
+  console.log('\nGamepad control checks complete!');
+
+} catch (error) {
+  reportError(error);
+}
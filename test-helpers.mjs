@@ -0,0 +1,116 @@
+/**
+ * Shared helpers for the test scripts
+ * Scripts that fail a check or stop on an error exit with a non-zero code
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * The project root, for reading source files as text
+ *
+ * @constant {string} ROOT_DIR
+ */
+export const ROOT_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Print a check result in the same format as the other test scripts
+ *
+ * @param {boolean} passed - Whether the check passed
+ * @param {string} message - Description of the check
+ */
+export function check(passed, message) {
+  console.log(`${passed ? '✓' : '✗'} ${message}`);
+
+  if (!passed) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Install a minimal localStorage as window.localStorage, shared by every
+ * module like the browser's
+ *
+ * @returns {Object<string, string>} The stored items, by key
+ */
+export function installFakeStorage() {
+  const items = {};
+
+  globalThis.window = {
+    localStorage: {
+      getItem: (key) => (key in items ? items[key] : null),
+      setItem: (key, value) => { items[key] = String(value); },
+      removeItem: (key) => { delete items[key]; }
+    }
+  };
+
+  return items;
+}
+
+/**
+ * Create a stand-in for an event emitter, such as a scene's events or an input plugin
+ *
+ * @returns {Object} The emitter, which can also count the listeners of an event
+ */
+export function fakeEmitter() {
+  const listeners = {};
+
+  return {
+    on(event, listener) { (listeners[event] = listeners[event] || []).push(listener); },
+    once(event, listener) { this.on(event, listener); },
+    off(event, listener) {
+      listeners[event] = (listeners[event] || []).filter((other) => other !== listener);
+    },
+    emit(event, ...args) {
+      (listeners[event] || []).slice().forEach((listener) => listener(...args));
+    },
+    count(event) { return (listeners[event] || []).length; }
+  };
+}
+
+/**
+ * Create a stand-in for a scene with keyboard and (optionally) gamepad input
+ *
+ * @param {boolean} [withGamepad=true] - Whether the gamepad plugin is enabled
+ * @returns {Object} The scene
+ */
+export function fakeScene(withGamepad = true) {
+  return {
+    events: fakeEmitter(),
+    input: {
+      keyboard: fakeEmitter(),
+      gamepad: withGamepad ? fakeEmitter() : undefined
+    }
+  };
+}
+
+/**
+ * Create a stand-in for a focusable widget, recording what happens to it
+ *
+ * @param {string} name - Name of the widget in the log
+ * @param {Array<string>} log - Where activations and adjustments are recorded
+ * @param {Object} [extra] - Extra properties, such as an adjust() method
+ * @returns {Object} The widget
+ */
+export function fakeWidget(name, log, extra = {}) {
+  return Object.assign({
+    name,
+    focusable: true,
+    focused: false,
+    visible: true,
+    active: true,
+    parentContainer: null,
+    setFocused(focused) { this.focused = focused; },
+    activate() { log.push(`${name} pressed`); }
+  }, extra);
+}
+
+/**
+ * Report an error that stopped the checks
+ *
+ * @param {Error} error - The error
+ */
+export function reportError(error) {
+  console.error('Error checking implementation:', error.message);
+  process.exitCode = 1;
+}
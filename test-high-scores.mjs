@@ -0,0 +1,111 @@
+/**
+ * Test script to verify the persistent high-score table
+ * Run with: node test-high-scores.mjs
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ROOT_DIR, check, installFakeStorage, reportError } from './test-helpers.mjs';
+
+// The table logic does not depend on Phaser, so it loads directly under Node
+import {
+  migrateHighScores, insertHighScore, loadHighScores, recordHighScore,
+  HIGH_SCORE_VERSION, MAX_HIGH_SCORES
+} from './src/utils/high-scores.js';
+
+console.log('Testing high scores...');
+
+try {
+  const mainScenePath = path.join(ROOT_DIR, 'src', 'scenes', 'MainScene.js');
+  const mainSceneContent = fs.readFileSync(mainScenePath, 'utf8');
+  const indexPath = path.join(ROOT_DIR, 'src', 'index.js');
+  const indexContent = fs.readFileSync(indexPath, 'utf8');
+
+  const entry = (score) => ({
+    score,
+    distance: score / 10,
+    date: '2026-01-01T00:00:00.000Z',
+    difficulty: 'normal',
+    seed: score
+  });
+
+  console.log('\nChecking the table:');
+
+  // Runs are kept best first, and only the top MAX_HIGH_SCORES make it
+  const table = migrateHighScores(null);
+  check(
+    table.version === HIGH_SCORE_VERSION && table.entries.length === 0,
+    'Missing data gives an empty table'
+  );
+  const ranks = [];
+  for (let i = 1; i <= MAX_HIGH_SCORES; i++) {
+    ranks.push(insertHighScore(table, entry(i * 100)));
+  }
+  check(ranks.every((rank) => rank === 0), 'Better runs are ranked first');
+  check(insertHighScore(table, entry(50)) === -1, 'Runs below a full table are not kept');
+  check(
+    insertHighScore(table, entry(550)) === 5 && table.entries.length === MAX_HIGH_SCORES &&
+      table.entries[MAX_HIGH_SCORES - 1].score === 200,
+    'A new run pushes the lowest run out'
+  );
+  check(insertHighScore(table, entry(1000)) === 1, 'Ties are ranked below the earlier run');
+
+  console.log('\nChecking migrations:');
+
+  // Unversioned data (a bare list) is migrated to the current version
+  const legacy = migrateHighScores([entry(300), { score: 500 }, { name: 'no score' }]);
+  check(
+    legacy.version === HIGH_SCORE_VERSION && legacy.entries.length === 2 &&
+      legacy.entries[0].score === 500,
+    'Unversioned tables are migrated and sorted'
+  );
+  check(
+    legacy.entries[0].distance === 0 && legacy.entries[0].date === null &&
+      legacy.entries[0].seed === null,
+    'Missing fields are filled in'
+  );
+
+  // Data written by a newer version keeps its version and unknown fields
+  const newer = migrateHighScores({
+    version: HIGH_SCORE_VERSION + 1,
+    entries: [Object.assign(entry(700), { character: 'rocket' })]
+  });
+  check(
+    newer.version === HIGH_SCORE_VERSION + 1 && newer.entries[0].character === 'rocket',
+    'Fields from newer versions are kept'
+  );
+  check(migrateHighScores('corrupt').entries.length === 0, 'Unreadable data gives an empty table');
+
+  console.log('\nChecking storage:');
+
+  const storage = installFakeStorage();
+  check(loadHighScores().entries.length === 0, 'An empty browser gives an empty table');
+  recordHighScore(entry(300));
+  check(
+    recordHighScore(entry(500)) === 0 && Object.keys(storage).length === 1,
+    'Runs are stored under one key'
+  );
+  const stored = loadHighScores();
+  check(
+    stored.version === HIGH_SCORE_VERSION &&
+      stored.entries.map((run) => run.score).join() === '500,300',
+    'The table is read back in rank order'
+  );
+
+  console.log('\nChecking integration:');
+
+  check(mainSceneContent.includes('recordHighScore({'), 'Finished runs are offered to the table');
+  check(
+    mainSceneContent.includes("this.scene.launch('HighScoresScene'"),
+    'High Scores screen opened from the menu'
+  );
+  check(
+    /scene: \[[^\]]*HighScoresScene/.test(indexContent),
+    'HighScoresScene registered with the game'
+  );
+
+  console.log('\nHigh score checks complete!');
+
+} catch (error) {
+  reportError(error);
+}
@@ -0,0 +1,137 @@
+/**
+ * Test script to verify keyboard and gamepad navigation of the menus
+ * Run with: node test-menu-input.mjs
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ROOT_DIR, check, fakeScene, fakeWidget, reportError } from './test-helpers.mjs';
+
+// Neither module depends on Phaser, so they load directly under Node
+import { FocusGroup } from './src/ui/focus-group.js';
+import { MenuInput } from './src/ui/menu-input.js';
+
+console.log('Testing menu input...');
+
+try {
+  const scenes = [
+    'MainScene', 'GameOverScene', 'HighScoresScene', 'MenuScene', 'SettingsScene', 'ReplayScene'
+  ];
+  const sceneContents = scenes.map((scene) => {
+    return fs.readFileSync(path.join(ROOT_DIR, 'src', 'scenes', `${scene}.js`), 'utf8');
+  });
+
+  console.log('\nChecking keyboard navigation:');
+
+  const log = [];
+  let cancelled = 0;
+  const group = new FocusGroup({ onCancel: () => { cancelled++; } });
+  const resume = group.add(fakeWidget('Resume', log));
+  const volume = group.add(fakeWidget('Volume', log, {
+    adjust(direction) { log.push(`Volume ${direction}`); }
+  }));
+  group.add(fakeWidget('Exit', log));
+
+  let shown = group;
+  const scene = fakeScene();
+  const input = new MenuInput(scene, () => shown);
+  const { keyboard, gamepad } = scene.input;
+
+  keyboard.emit('keydown-DOWN');
+  check(
+    group.getFocused() === resume && resume.focused,
+    'Down arrow focuses the first item of a menu'
+  );
+  keyboard.emit('keydown-DOWN');
+  keyboard.emit('keydown-RIGHT');
+  keyboard.emit('keydown-LEFT');
+  check(
+    group.getFocused() === volume && log.join() === 'Volume 1,Volume -1',
+    'Left and right arrows change the focused value'
+  );
+  keyboard.emit('keydown-UP');
+  keyboard.emit('keydown-ENTER');
+  check(
+    log[log.length - 1] === 'Resume pressed',
+    'Up arrow moves back and Enter presses the focused item'
+  );
+  keyboard.emit('keydown-ESC');
+  check(cancelled === 1, 'Escape cancels the menu');
+
+  shown = null;
+  check(input.perform('confirm') === false, 'Nothing happens while no menu is shown');
+  shown = group;
+
+  const noEscape = fakeScene();
+  new MenuInput(noEscape, () => group, { escape: false });
+  check(
+    noEscape.input.keyboard.count('keydown-ESC') === 0 &&
+      noEscape.input.keyboard.count('keydown-ENTER') === 1,
+    'Scenes that handle Escape themselves can leave it out'
+  );
+
+  console.log('\nChecking gamepad navigation:');
+
+  log.length = 0;
+  group.blur();
+  gamepad.emit('down', {}, { index: 13 });
+  check(group.getFocused() === null, 'A button held when the scene starts is ignored');
+
+  scene.events.emit('postupdate');
+  gamepad.emit('down', {}, { index: 13 });
+  gamepad.emit('down', {}, { index: 13 });
+  gamepad.emit('down', {}, { index: 15 });
+  gamepad.emit('down', {}, { index: 14 });
+  check(
+    group.getFocused() === volume && log.join() === 'Volume 1,Volume -1',
+    'D-pad moves the focus and changes values'
+  );
+  gamepad.emit('down', {}, { index: 12 });
+  gamepad.emit('down', {}, { index: 0 });
+  gamepad.emit('down', {}, { index: 1 });
+  check(
+    log[log.length - 1] === 'Resume pressed' && cancelled === 2,
+    'A presses the focused item and B cancels'
+  );
+  gamepad.emit('down', {}, { index: 3 });
+  check(log.length === 3 && cancelled === 2, 'Other pad buttons are left to the game');
+
+  scene.events.emit('resume');
+  gamepad.emit('down', {}, { index: 1 });
+  check(cancelled === 2, 'The button that closed an overlay does not also act on the menu below');
+  scene.events.emit('postupdate');
+  gamepad.emit('down', {}, { index: 1 });
+  check(cancelled === 3, 'Pad presses count again after the first update');
+
+  scene.events.emit('shutdown');
+  check(
+    scene.events.count('resume') === 0 && scene.events.count('postupdate') === 0,
+    'Scene listeners are removed on shutdown'
+  );
+
+  let created = true;
+  try {
+    new MenuInput(fakeScene(false), () => group);
+  } catch (error) {
+    created = false;
+  }
+  check(created, 'Menus still work from the keyboard without the gamepad plugin');
+
+  console.log('\nChecking integration:');
+
+  const indexContent = fs.readFileSync(path.join(ROOT_DIR, 'src', 'index.js'), 'utf8');
+  check(
+    /input: \{[^}]*gamepad: true/.test(indexContent),
+    'Gamepad plugin is enabled in the game config'
+  );
+  check(
+    sceneContents.every((content) => content.includes('new MenuInput(this')),
+    'Every menu can be used from the keyboard and gamepad'
+  );
+  check(/focusFirst\(\)/.test(sceneContents[0]), 'The in-game menu focuses Resume when opened');
+
+  console.log('\nMenu input checks complete!');
+
+} catch (error) {
+  reportError(error);
+}
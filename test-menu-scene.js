@@ -0,0 +1,78 @@
+/**
+ * Test script to verify the main menu scene
+ * Run with: node test-menu-scene.js
+ */
+
+console.log('Testing main menu scene...');
+
+// Check for the required changes in the codebase
+const fs = require('fs');
+const path = require('path');
+
+try {
+  const read = (...parts) => fs.readFileSync(path.join(__dirname, 'src', ...parts), 'utf8');
+  const menuSceneContent = read('scenes', 'MenuScene.js');
+  const loadingSceneContent = read('scenes', 'LoadingScene.js');
+  const mainSceneContent = read('scenes', 'MainScene.js');
+  const gameOverSceneContent = read('scenes', 'GameOverScene.js');
+  const indexContent = read('index.js');
+
+  console.log('\nChecking the menu:');
+
+  // Check that loading leads to the menu rather than straight into a run
+  if (loadingSceneContent.includes("this.scene.start('MenuScene')") &&
+      !loadingSceneContent.includes("this.scene.start('MainScene')")) {
+    console.log('✓ LoadingScene opens the main menu');
+  } else {
+    console.log('✗ LoadingScene does not open the main menu');
+  }
+
+  // Check the menu entries
+  const entries = ['Play', 'Difficulty', 'High Scores', 'Settings', 'Credits'];
+  const missing = entries.filter((entry) => {
+    return !menuSceneContent.includes(`'${entry}`) && !menuSceneContent.includes(`\`${entry}`);
+  });
+  if (missing.length === 0) {
+    console.log('✓ Menu offers Play, Difficulty, High Scores, Settings and Credits');
+  } else {
+    console.log(`✗ Menu entries missing: ${missing.join(', ')}`);
+  }
+
+  // Check the animated road backdrop
+  if (menuSceneContent.includes('AssetManager.keys.road') &&
+      menuSceneContent.includes('AssetManager.keys.yellowLine') &&
+      menuSceneContent.includes('tilePositionY +=')) {
+    console.log('✓ Menu scrolls the road and yellow line behind it');
+  } else {
+    console.log('✗ Menu road backdrop missing');
+  }
+
+  // Check that MenuScene is registered
+  if (/scene: \[[^\]]*MenuScene/.test(indexContent)) {
+    console.log('✓ MenuScene registered with the game');
+  } else {
+    console.log('✗ MenuScene not registered with the game');
+  }
+
+  console.log('\nChecking the way back:');
+
+  // Check that leaving a run returns to the menu instead of reloading the page
+  if (!mainSceneContent.includes('window.location.reload()') &&
+      mainSceneContent.includes("this.scene.start('MenuScene')")) {
+    console.log('✓ Exit returns to the main menu');
+  } else {
+    console.log('✗ Exit does not return to the main menu');
+  }
+
+  if (!gameOverSceneContent.includes('window.location.reload()') &&
+      gameOverSceneContent.includes("this.scene.start('MenuScene')")) {
+    console.log('✓ Game over Main Menu button returns to the main menu');
+  } else {
+    console.log('✗ Game over Main Menu button does not return to the main menu');
+  }
+
+  console.log('\nMain menu checks complete!');
+
+} catch (error) {
+  console.error('Error checking implementation:', error.message);
+}
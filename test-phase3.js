@@ -21,6 +21,15 @@ try {
   // Read the MainScene.js file
   const mainScenePath = path.join(__dirname, 'src', 'scenes', 'MainScene.js');
   const mainSceneContent = fs.readFileSync(mainScenePath, 'utf8');
+
+  // Read the simulation.js file
+  const simulationPath = path.join(__dirname, 'src', 'simulation', 'simulation.js');
+  const simulationContent = fs.readFileSync(simulationPath, 'utf8');
+
+  // Read the renderer files (sprites and effects live in the shared world-renderer.js)
+  const rendererContent = ['world-renderer.js', 'top-down-renderer.js']
+    .map((file) => fs.readFileSync(path.join(__dirname, 'src', 'rendering', file), 'utf8'))
+    .join('\n');
   
   console.log('\nChecking Yellow Line Movement correction:');
   
@@ -39,14 +48,14 @@ try {
   }
   
   // Check for yellow line creation in MainScene
-  if (mainSceneContent.includes('this.yellowLine = this.add.tileSprite')) {
+  if (rendererContent.includes('yellowLine: this.scene.add.tileSprite')) {
     console.log('✓ Yellow line created as separate tile sprite');
   } else {
     console.log('✗ Yellow line not created as separate tile sprite');
   }
   
   // Check for yellow line movement
-  if (mainSceneContent.includes('this.yellowLine.tilePositionY += this.config.yellowLineSpeed')) {
+  if (rendererContent.includes('this.yellowLineScroll += this.tuning.yellowLineSpeed')) {
     console.log('✓ Yellow line movement implemented with different speed');
   } else {
     console.log('✗ Yellow line movement not implemented correctly');
@@ -54,15 +63,15 @@ try {
   
   console.log('\nChecking Collision Detection and Response:');
   
-  // Check for physics initialization
-  if (mainSceneContent.includes('initializePhysics')) {
-    console.log('✓ Physics initialization implemented');
+  // Check for collision detection in the simulation
+  if (simulationContent.includes('checkCharacterCollisions')) {
+    console.log('✓ Collision detection implemented');
   } else {
-    console.log('✗ Physics initialization not implemented');
+    console.log('✗ Collision detection not implemented');
   }
   
   // Check for obstacle creation
-  if (mainSceneContent.includes('createObstacle')) {
+  if (rendererContent.includes('createObstacle')) {
     console.log('✓ Obstacle creation implemented');
   } else {
     console.log('✗ Obstacle creation not implemented');
@@ -76,28 +85,28 @@ try {
   }
   
   // Check for collision animation
-  if (mainSceneContent.includes('createCollisionAnimation')) {
+  if (rendererContent.includes('createCollisionAnimation')) {
     console.log('✓ Collision animation implemented');
   } else {
     console.log('✗ Collision animation not implemented');
   }
   
   // Check for obstacle removal
-  if (mainSceneContent.includes('removeObstacle')) {
+  if (rendererContent.includes('removeObstacle')) {
     console.log('✓ Obstacle removal implemented');
   } else {
     console.log('✗ Obstacle removal not implemented');
   }
   
   // Check for health reduction
-  if (mainSceneContent.includes('this.config.health - this.config.collisionDamage')) {
+  if (simulationContent.includes('this.run.applyDamage(OBSTACLE_TYPES[obstacle.type].damage)')) {
     console.log('✓ Health reduction on collision implemented');
   } else {
     console.log('✗ Health reduction on collision not implemented');
   }
   
   // Check for health display update
-  if (mainSceneContent.includes('this.updateHealthBar(this.config.health)')) {
+  if (mainSceneContent.includes('this.updateHealthBar(this.run.health)')) {
     console.log('✓ Health display update implemented');
   } else {
     console.log('✗ Health display update not implemented');
@@ -0,0 +1,129 @@
+/**
+ * Test script to verify the persisted player settings
+ * Run with: node test-settings.mjs
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ROOT_DIR, check, installFakeStorage, reportError } from './test-helpers.mjs';
+
+// The settings model does not depend on Phaser, so it loads directly under Node
+import { Settings } from './src/models/settings.js';
+
+console.log('Testing settings...');
+
+try {
+  // Shared by every Settings instance, like the browser's localStorage
+  const storage = installFakeStorage();
+
+  const definitions = {
+    showFPS: { label: 'FPS counter', default: true },
+    uiScale: { label: 'UI scale', default: 1.0, min: 0.75, max: 1.5, step: 0.05 },
+    controlMode: {
+      label: 'Controls',
+      default: 'free',
+      options: ['free', 'lanes'],
+      optionLabels: ['Free', 'Lanes']
+    }
+  };
+  const storageKey = 'test.settings';
+
+  const mainScenePath = path.join(ROOT_DIR, 'src', 'scenes', 'MainScene.js');
+  const mainSceneContent = fs.readFileSync(mainScenePath, 'utf8');
+  const indexPath = path.join(ROOT_DIR, 'src', 'index.js');
+  const indexContent = fs.readFileSync(indexPath, 'utf8');
+
+  console.log('\nChecking values:');
+
+  const settings = new Settings(definitions, storageKey);
+  check(
+    settings.showFPS === true && settings.uiScale === 1.0,
+    'Defaults apply before anything is chosen'
+  );
+
+  settings.uiScale = 9;
+  check(settings.uiScale === 1.5, 'Numbers are clamped to their range');
+  settings.controlMode = 'sideways';
+  settings.showFPS = 'no';
+  check(
+    settings.controlMode === 'free' && settings.showFPS === true,
+    'Invalid values are ignored'
+  );
+
+  console.log('\nChecking persistence:');
+
+  settings.showFPS = false;
+  settings.controlMode = 'lanes';
+  const reloaded = new Settings(definitions, storageKey);
+  check(
+    reloaded.showFPS === false && reloaded.controlMode === 'lanes' && reloaded.uiScale === 1.5,
+    'Chosen values are kept between sessions'
+  );
+  check(
+    Object.keys(JSON.parse(storage[storageKey])).sort().join() === 'controlMode,showFPS,uiScale',
+    'Only chosen values are stored'
+  );
+
+  storage[storageKey] = '{"uiScale": "huge", "showFPS": false, "removed": 1';
+  check(
+    new Settings(definitions, storageKey).showFPS === true,
+    'Unreadable data falls back to the defaults'
+  );
+  storage[storageKey] = '{"uiScale": "huge", "showFPS": false, "removed": 1}';
+  const partial = new Settings(definitions, storageKey);
+  check(
+    partial.uiScale === 1.0 && partial.showFPS === false,
+    'Invalid stored values are dropped'
+  );
+
+  console.log('\nChecking device defaults:');
+
+  storage[storageKey] = '{}';
+  const device = new Settings(definitions, storageKey);
+  device.setDefault('uiScale', 1.25);
+  check(
+    device.uiScale === 1.25 && !device.isOverridden('uiScale'),
+    'Device values replace the default'
+  );
+  device.uiScale = 0.8;
+  device.setDefault('uiScale', 1.4);
+  check(device.uiScale === 0.8, "Device values do not replace the player's choice");
+  device.reset('uiScale');
+  check(device.uiScale === 1.4, 'Resetting goes back to the device default');
+
+  console.log('\nChecking change listeners:');
+
+  const changes = [];
+  const stop = device.onChange((key, value) => changes.push(`${key}=${value}`));
+  device.showFPS = false;
+  device.showFPS = false;
+  device.resetAll();
+  device.setDefault('showFPS', false);
+  stop();
+  device.uiScale = 1;
+  check(
+    changes.join() === 'showFPS=false,showFPS=true,showFPS=false',
+    'Listeners hear each real change until they stop'
+  );
+
+  console.log('\nChecking integration:');
+
+  check(
+    mainSceneContent.includes('this.settings.onChange('),
+    'MainScene applies changes during a run'
+  );
+  check(
+    mainSceneContent.includes("this.scene.launch('SettingsScene'"),
+    'Settings opened from the in-game menu'
+  );
+  check(
+    indexContent.includes("setDefault('uiScale'") &&
+      indexContent.includes("setDefault('touchSensitivity'"),
+    'Device detection only sets defaults'
+  );
+
+  console.log('\nSettings checks complete!');
+
+} catch (error) {
+  reportError(error);
+}
@@ -0,0 +1,1012 @@
+/**
+ * Test script to verify the headless simulation core
+ * Run with: node test-simulation.mjs
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ROOT_DIR, check, reportError } from './test-helpers.mjs';
+
+// The simulation does not depend on Phaser, so it loads directly under Node
+import { Simulation, SIMULATION_EVENTS, BOSS_STATES } from './src/simulation/simulation.js';
+import { RandomService, RANDOM_STREAMS, parseSeed, SeededRandom } from './src/simulation/random.js';
+import { OBSTACLE_TYPES } from './src/simulation/obstacle-types.js';
+import { CONTROL_MODES, getLaneCount, getLaneCenter } from './src/simulation/lanes.js';
+import { DifficultyDirector, sampleCurve } from './src/simulation/difficulty.js';
+import { BOSS_TYPES, getBossPhase } from './src/simulation/bosses.js';
+import { Track, TRACK_SEGMENTS, isValidTrack } from './src/simulation/track.js';
+import { POWER_UP_TYPES } from './src/simulation/power-ups.js';
+import { WEAPON_TYPES, DEFAULT_WEAPON, getWeaponStats } from './src/simulation/weapons.js';
+import { RunState, SCORE_SOURCES } from './src/models/run-state.js';
+import {
+  ReplayRecorder, ReplayPlayer, parseReplay, hashTuning, REPLAY_VERSION,
+  INPUT_FLAGS, encodeInput, decodeInput
+} from './src/simulation/replay.js';
+import { Ghost } from './src/simulation/ghost.js';
+import { isNewPersonalBest } from './src/utils/personal-best.js';
+
+console.log('Testing headless simulation...');
+
+/**
+ * Step a simulation a number of times with the same input
+ *
+ * @param {Object} simulation - The simulation to step
+ * @param {number} steps - Number of steps to run
+ * @param {Object} input - The input for every step
+ * @returns {Array<Object>} All events reported during the steps
+ */
+function run(simulation, steps, input = {}) {
+  const events = [];
+  for (let i = 0; i < steps; i++) {
+    events.push(...simulation.step(input));
+  }
+  return events;
+}
+
+/**
+ * Step a simulation once with the fire button held
+ *
+ * @param {Object} simulation - The simulation to step
+ * @returns {Array<Object>} The projectile fired events of the step
+ */
+function fire(simulation) {
+  return run(simulation, 1, { fire: true })
+    .filter((e) => e.type === SIMULATION_EVENTS.PROJECTILE_FIRED);
+}
+
+try {
+  const standard = OBSTACLE_TYPES.standard;
+  const tuningPath = path.join(ROOT_DIR, 'src', 'config', 'tuning.json');
+  const tuning = JSON.parse(fs.readFileSync(tuningPath, 'utf8'));
+
+  console.log('\nChecking determinism:');
+
+  // Same seed and inputs must produce the same world
+  const first = new Simulation(tuning, 1234);
+  const second = new Simulation(tuning, 1234);
+  run(first, 1200, { left: true, fire: true });
+  run(second, 1200, { left: true, fire: true });
+  check(
+    JSON.stringify(first.obstacles) === JSON.stringify(second.obstacles) &&
+      JSON.stringify(first.run.snapshot()) === JSON.stringify(second.run.snapshot()),
+    'Same seed and inputs produce the same run'
+  );
+
+  // Different seeds must produce different obstacle positions
+  const other = new Simulation(tuning, 4321);
+  const otherSpawns = run(other, 600).filter((e) => e.type === SIMULATION_EVENTS.OBSTACLE_SPAWNED);
+  const firstSpawns = run(new Simulation(tuning, 1234), 600)
+    .filter((e) => e.type === SIMULATION_EVENTS.OBSTACLE_SPAWNED);
+  check(
+    otherSpawns.map((e) => e.obstacle.x).join() !== firstSpawns.map((e) => e.obstacle.x).join(),
+    'Different seeds produce different obstacles'
+  );
+
+  // Cosmetic draws must not change the gameplay sequence
+  const plain = new RandomService(99);
+  const busy = new RandomService(99);
+  for (let i = 0; i < 50; i++) busy.stream(RANDOM_STREAMS.COSMETIC).next();
+  check(
+    plain.stream(RANDOM_STREAMS.GAMEPLAY).next() === busy.stream(RANDOM_STREAMS.GAMEPLAY).next(),
+    'Cosmetic randomness does not affect the gameplay stream'
+  );
+
+  // Seeds from URL parameters are validated
+  check(
+    parseSeed('12345') === 12345 && parseSeed('abc') === null && parseSeed('-1') === null,
+    'Seeds are parsed from user input'
+  );
+
+  console.log('\nChecking spawning and scoring:');
+
+  // One obstacle per spawn interval
+  const stepsPerSpawn = Math.ceil(tuning.obstacleSpawnInterval / (1000 / tuning.simulationRate));
+  const spawning = new Simulation(tuning, 1);
+  const spawnEvents = run(spawning, stepsPerSpawn * 3)
+    .filter((e) => e.type === SIMULATION_EVENTS.OBSTACLE_SPAWNED);
+  check(spawnEvents.length === 3, 'Obstacles spawn once per spawn interval');
+
+  // Avoided obstacles award score and progress
+  const avoiding = new Simulation(tuning, 1);
+  avoiding.obstacles.push({
+    id: 999, type: 'standard', x: 200, z: 0, width: 40, length: 64,
+    speed: tuning.obstacleSpeed, health: 1
+  });
+  avoiding.character.x = -200;
+  const avoided = run(avoiding, 120).some((e) => e.type === SIMULATION_EVENTS.OBSTACLE_AVOIDED);
+  check(
+    avoided && avoiding.run.score === tuning.avoidScore &&
+      avoiding.run.progress === tuning.avoidProgress,
+    'Avoided obstacles award score and progress'
+  );
+
+  // Destroyed obstacles award score, progress and a kill
+  const shooting = new Simulation(tuning, 1);
+  shooting.obstacles.push({
+    id: 999, type: 'standard', x: 0, z: 200, width: 40, length: 64,
+    speed: tuning.obstacleSpeed, health: 1
+  });
+  const destroyed = run(shooting, 30, { fire: true })
+    .some((e) => e.type === SIMULATION_EVENTS.OBSTACLE_DESTROYED);
+  check(
+    destroyed && shooting.run.kills === 1 && shooting.run.score === standard.score,
+    'Projectiles destroy obstacles and award kill score'
+  );
+
+  // The fire rate limits how often projectiles are fired
+  const firing = new Simulation(tuning, 1);
+  const shots = run(firing, tuning.simulationRate, { fire: true })
+    .filter((e) => e.type === SIMULATION_EVENTS.PROJECTILE_FIRED);
+  check(shots.length === Math.ceil(1000 / tuning.fireRate), 'Fire rate limits projectiles');
+
+  console.log('\nChecking collision damage:');
+
+  // Collisions remove health and grant invulnerability
+  const colliding = new Simulation(tuning, 1);
+  colliding.obstacles.push({
+    id: 998, type: 'standard', x: 0, z: 0, width: 40, length: 64,
+    speed: tuning.obstacleSpeed, health: 1
+  });
+  colliding.obstacles.push({
+    id: 999, type: 'standard', x: 0, z: 10, width: 40, length: 64,
+    speed: tuning.obstacleSpeed, health: 1
+  });
+  run(colliding, 2);
+  check(
+    colliding.run.health === tuning.maxHealth - standard.damage && colliding.run.isInvulnerable,
+    'Collision damage applied once while invulnerable'
+  );
+
+  // Running out of health ends the run
+  const dying = new Simulation(tuning, 1);
+  dying.run.health = standard.damage;
+  dying.obstacles.push({
+    id: 999, type: 'standard', x: 0, z: 0, width: 40, length: 64,
+    speed: tuning.obstacleSpeed, health: 1
+  });
+  const gameOver = run(dying, 1).some((e) => e.type === SIMULATION_EVENTS.GAME_OVER);
+  const tickAtDeath = dying.tick;
+  run(dying, 10);
+  check(
+    gameOver && dying.run.isGameOver && dying.tick === tickAtDeath,
+    'Game over stops the simulation'
+  );
+
+  console.log('\nChecking movement:');
+
+  // The character stays on the road
+  const steering = new Simulation(tuning, 1);
+  run(steering, 600, { right: true });
+  check(
+    steering.character.x === tuning.worldRoadWidth / 2 - tuning.roadPadding,
+    'Character movement is limited to the road'
+  );
+
+  // A gamepad stick pushed partway steers proportionally slower
+  const fullSteer = new Simulation(tuning, 1);
+  const partSteer = new Simulation(tuning, 1);
+  run(fullSteer, 10, { right: true });
+  run(partSteer, 10, { right: true, steer: 0.4 });
+  check(
+    fullSteer.character.x > 0 &&
+      Math.abs(partSteer.character.x - fullSteer.character.x * 0.4) < 1e-9,
+    'Steering strength scales the character speed'
+  );
+
+  console.log('\nChecking lane mode:');
+
+  const laneCount = getLaneCount(tuning);
+  check(laneCount >= 3 && laneCount <= 5, 'The lane count is derived from the road width');
+
+  // A held steering input moves exactly one lane, with an eased change
+  const laning = new Simulation(tuning, 1, null, null, CONTROL_MODES.LANES);
+  const startLane = laning.character.lane;
+  check(
+    laning.character.x === getLaneCenter(tuning, startLane),
+    'The character starts on a lane center'
+  );
+  laning.step({ right: true });
+  const firstStepX = laning.character.x;
+  run(laning, 60, { right: true });
+  check(
+    firstStepX > getLaneCenter(tuning, startLane) &&
+      firstStepX < getLaneCenter(tuning, startLane + 1) &&
+      laning.character.x === getLaneCenter(tuning, startLane + 1),
+    'A steering tap eases the character to the next lane, once per tap'
+  );
+
+  // Each new tap moves one more lane, stopping at the edge of the road
+  for (let i = 0; i < laneCount; i++) {
+    run(laning, 1, { left: true });
+    run(laning, 30);
+  }
+  check(
+    laning.character.lane === 0 && laning.character.x === getLaneCenter(tuning, 0),
+    'Lanes stop at the road edge'
+  );
+
+  // Obstacles spawn on lane centers
+  const laneCenters = Array.from({ length: laneCount }, (_, lane) => getLaneCenter(tuning, lane));
+  const laneSpawns = new Simulation(tuning, 3, null, null, CONTROL_MODES.LANES);
+  const laneObstacles = run(laneSpawns, 1200)
+    .filter((e) => e.type === SIMULATION_EVENTS.OBSTACLE_SPAWNED)
+    .map((e) => e.obstacle);
+  check(
+    laneObstacles.length > 0 && laneObstacles.every((o) => laneCenters.includes(o.x)),
+    'Obstacles spawn aligned to lanes'
+  );
+  check(
+    CONTROL_MODES.FREE === new Simulation(tuning, 1).controlMode,
+    'Free steering stays the default'
+  );
+
+  console.log('\nChecking difficulty:');
+
+  const difficultyPath = path.join(ROOT_DIR, 'src', 'config', 'difficulty.json');
+  const presets = JSON.parse(fs.readFileSync(difficultyPath, 'utf8'));
+  const normal = Object.assign({ name: 'normal' }, presets.normal);
+
+  check(
+    sampleCurve([[0, 1], [1, 3]], 0.5) === 2 && sampleCurve([[0, 1], [1, 3]], 2) === 3,
+    'Curves interpolate between points and hold their end values'
+  );
+
+  // Later in the run obstacles spawn more often and move faster
+  const director = new DifficultyDirector(tuning, normal);
+  const startInterval = director.spawnInterval;
+  const startSpeed = director.obstacleSpeed;
+  director.update({ elapsed: normal.rampTime * 1000, progress: 100 });
+  check(
+    director.intensity === 1 && director.spawnInterval < startInterval &&
+      director.obstacleSpeed > startSpeed,
+    'Difficulty shortens the spawn interval and raises obstacle speed'
+  );
+  check(director.unlockedTypes.includes('debris'), 'Difficulty unlocks new obstacle types');
+
+  // Harder presets start harder
+  const easyDirector = new DifficultyDirector(tuning, presets.easy);
+  const hardDirector = new DifficultyDirector(tuning, presets.hard);
+  check(
+    easyDirector.spawnInterval > hardDirector.spawnInterval &&
+      easyDirector.obstacleSpeed < hardDirector.obstacleSpeed,
+    'Presets pick different curves'
+  );
+
+  // Without a preset the base tuning values are kept
+  const flat = new DifficultyDirector(tuning);
+  flat.update({ elapsed: 600000, progress: 100 });
+  check(
+    flat.spawnInterval === tuning.obstacleSpawnInterval &&
+      flat.obstacleSpeed === tuning.obstacleSpeed,
+    'No preset keeps the base spawn interval and speed'
+  );
+
+  console.log('\nChecking obstacle types:');
+
+  // Armored obstacles take several hits before they are destroyed
+  const armoring = new Simulation(tuning, 1);
+  armoring.obstacles.push({
+    id: 999, type: 'armored', x: 0, z: 300, width: 48, length: 64,
+    speed: 0, health: OBSTACLE_TYPES.armored.health
+  });
+  const armorEvents = run(armoring, tuning.simulationRate * 3, { fire: true });
+  const armorHits = armorEvents.filter((e) => e.type === SIMULATION_EVENTS.OBSTACLE_DAMAGED);
+  check(
+    armorHits.length === OBSTACLE_TYPES.armored.health - 1 &&
+      armoring.run.kills === 1 && armoring.run.score === OBSTACLE_TYPES.armored.score,
+    'Armored obstacles need several hits and award their own score'
+  );
+
+  // Each type deals its own damage
+  const debrisHit = new Simulation(tuning, 1);
+  debrisHit.obstacles.push({
+    id: 999, type: 'debris', x: 0, z: 0, width: 20, length: 20,
+    speed: 0, health: 1
+  });
+  run(debrisHit, 1);
+  check(
+    debrisHit.run.health === tuning.maxHealth - OBSTACLE_TYPES.debris.damage,
+    'Obstacle types deal their own damage'
+  );
+
+  // Spawned obstacles use their type's hitbox and movement, and stay on the road
+  const allTypes = Object.assign({}, normal, {
+    unlocks: { debris: 0, weaver: 0, armored: 0, barrier: 0, gunner: 0 }
+  });
+  const mixedTypes = new Simulation(tuning, 5, allTypes);
+  const spawnedTypes = {};
+  let onRoad = true;
+  for (let i = 0; i < 6000; i++) {
+    mixedTypes.step({ left: i % 200 < 100, right: i % 200 >= 100, fire: true });
+    if (mixedTypes.run.isGameOver) mixedTypes.reset(mixedTypes.seed + 1);
+    mixedTypes.obstacles.forEach((o) => {
+      spawnedTypes[o.type] = o;
+      onRoad = onRoad && Math.abs(o.x) + o.width / 2 <= tuning.worldRoadWidth / 2;
+    });
+  }
+  check(
+    Object.keys(OBSTACLE_TYPES).every((type) => spawnedTypes[type] &&
+      spawnedTypes[type].width === OBSTACLE_TYPES[type].hitbox.width),
+    'Every obstacle type spawns with its own hitbox'
+  );
+  check(onRoad, 'Obstacles stay on the road, even while weaving');
+  check(spawnedTypes.barrier.speed === tuning.roadSpeed, 'Static barriers only move with the road');
+  check(spawnedTypes.weaver.x !== spawnedTypes.weaver.originX, 'Weavers drift sideways');
+
+  // In lane mode barriers fill the two lanes they cover
+  const laneTypes = new Simulation(tuning, 5, allTypes, null, CONTROL_MODES.LANES);
+  let laneBarrier = null;
+  for (let i = 0; i < 12000 && !laneBarrier; i++) {
+    laneTypes.step({});
+    if (laneTypes.run.isGameOver) laneTypes.reset(laneTypes.seed + 1);
+    laneBarrier = laneTypes.obstacles.find((o) => o.type === 'barrier') || null;
+  }
+  const laneWidth = tuning.worldRoadWidth / laneCount;
+  check(
+    laneBarrier && laneBarrier.width === 2 * laneWidth - 2 * tuning.laneMargin &&
+      laneCenters.some((x) => Math.abs(x + laneWidth / 2 - laneBarrier.x) < 1e-9),
+    'Barriers span two lanes in lane mode'
+  );
+
+  console.log('\nChecking levels:');
+
+  const levelsPath = path.join(ROOT_DIR, 'src', 'config', 'levels');
+  const levels = fs.readdirSync(levelsPath).sort()
+    .map((file) => JSON.parse(fs.readFileSync(path.join(levelsPath, file), 'utf8')));
+
+  // Reaching 100% progress brings out the boss, and beating it clears the road and reports the
+  // stage summary
+  const staged = new Simulation(tuning, 99, normal, levels);
+  run(staged, 300);
+  check(staged.run.progressGoal === levels[0].length, 'The first level sets the stage length');
+  staged.run.addProgress(levels[0].length);
+  const bossEvents = run(staged, 1);
+  check(
+    bossEvents.some((e) => e.type === SIMULATION_EVENTS.BOSS_SPAWNED) &&
+      !bossEvents.some((e) => e.type === SIMULATION_EVENTS.STAGE_CLEARED),
+    'The stage waits for its boss to be beaten'
+  );
+  staged.damageBoss(staged.boss.health);
+  const explosionDuration = BOSS_TYPES[staged.boss.type].explosionDuration;
+  const explosionSteps = Math.ceil(explosionDuration / staged.stepDuration);
+  const clearEvents = run(staged, explosionSteps);
+  const cleared = clearEvents.find((e) => e.type === SIMULATION_EVENTS.STAGE_CLEARED);
+  check(
+    cleared && cleared.stage === 1 && cleared.level.id === levels[0].id &&
+      cleared.summary.score === staged.run.score,
+    'Beating the boss clears the stage with a summary'
+  );
+  check(
+    staged.run.isStageClear && staged.obstacles.length === 0,
+    'The road is cleared between stages'
+  );
+
+  // Nothing spawns during the intermission, then the next level starts
+  const intermissionSteps = Math.ceil(tuning.stageClearDuration / staged.stepDuration) + 1;
+  const intermission = run(staged, intermissionSteps);
+  check(
+    !intermission.some((e) => e.type === SIMULATION_EVENTS.OBSTACLE_SPAWNED) &&
+      intermission.some((e) => {
+        return e.type === SIMULATION_EVENTS.STAGE_STARTED && e.level.id === levels[1].id;
+      }),
+    'The next level starts after the stage clear summary'
+  );
+  check(
+    staged.run.stage === 2 && staged.run.progress === 0 &&
+      staged.run.progressGoal === levels[1].length,
+    'Progress restarts for the next level'
+  );
+
+  // Each level applies its own obstacle speed and mix
+  let spawned = null;
+  for (let i = 0; i < 600 && !spawned; i++) {
+    spawned = staged.step({}).find((e) => {
+      return e.type === SIMULATION_EVENTS.OBSTACLE_SPAWNED && e.obstacle.type === 'standard';
+    });
+  }
+  check(
+    spawned &&
+      Math.abs(spawned.obstacle.speed - staged.director.obstacleSpeed * levels[1].speed) < 1e-9,
+    'Levels scale the obstacle speed'
+  );
+  const unlocked = Object.assign({}, normal, { unlocks: { debris: 0 } });
+  const mixed = new Simulation(tuning, 99, unlocked, [Object.assign({}, levels[0], {
+    obstacleMix: { standard: 0, debris: 1 }
+  })]);
+  const mixedSpawns = run(mixed, 600).filter((e) => e.type === SIMULATION_EVENTS.OBSTACLE_SPAWNED);
+  check(
+    mixedSpawns.length > 0 && mixedSpawns.every((e) => e.obstacle.type === 'debris'),
+    'Levels pick obstacle types from their mix'
+  );
+
+  console.log('\nChecking the track:');
+
+  const trackRandom = (seed) => new RandomService(seed).stream(RANDOM_STREAMS.TRACK);
+  const layoutOf = (track) => JSON.stringify(track.segments);
+
+  // Generated tracks come from the seed and start straight
+  const trackA = new Track(tuning, trackRandom(5));
+  const trackB = new Track(tuning, trackRandom(5));
+  trackA.getCurve(20000);
+  trackB.getCurve(20000);
+  check(layoutOf(trackA) === layoutOf(trackB), 'The same seed generates the same track');
+  check(
+    trackA.segments[0].segment.type === TRACK_SEGMENTS.STRAIGHT &&
+      trackA.segments.some((entry) => entry.segment.type === TRACK_SEGMENTS.CURVE) &&
+      trackA.segments.some((entry) => entry.segment.type === TRACK_SEGMENTS.HILL),
+    'Generated tracks start straight, then mix curves and hills'
+  );
+  const otherTrack = new Track(tuning, trackRandom(6));
+  otherTrack.getCurve(20000);
+  check(layoutOf(otherTrack) !== layoutOf(trackA), 'Different seeds generate different tracks');
+
+  // A level's layout is played in a loop, with curves easing in and out
+  const layout = [{ type: TRACK_SEGMENTS.CURVE, length: 1000, curve: 0.8 }];
+  const looped = new Track(tuning, trackRandom(5), layout);
+  const curveStart = tuning.trackSegmentMinLength;
+  check(
+    looped.getCurve(curveStart) === 0 && Math.abs(looped.getCurve(curveStart + 500) - 0.8) < 1e-9 &&
+      Math.abs(looped.getCurve(curveStart + 1500) - 0.8) < 1e-9,
+    'Level layouts loop, and curves are sharpest in their middle'
+  );
+  check(
+    levels.every((level) => level.track === undefined || isValidTrack(level.track)) &&
+      !isValidTrack([{ type: TRACK_SEGMENTS.CURVE, length: 100, curve: 2 }]) && !isValidTrack([]),
+    'Level track layouts are validated'
+  );
+
+  // Curves push the character to their outside edge, except in lane mode
+  const curvy = [Object.assign({}, levels[0], {
+    track: [{ type: TRACK_SEGMENTS.CURVE, length: 100000, curve: 1 }]
+  })];
+  const curveSteps = Math.ceil((curveStart + 2000) / tuning.roadSpeed * tuning.simulationRate);
+  const pushed = new Simulation(tuning, 7, null, curvy);
+  run(pushed, curveSteps);
+  check(pushed.character.x < 0, 'A right curve pushes the character to the left');
+  const counterSteered = new Simulation(tuning, 7, null, curvy);
+  run(counterSteered, curveSteps, { right: true });
+  check(
+    counterSteered.character.x > pushed.character.x,
+    'Steering against a curve counters the push'
+  );
+  const lanePushed = new Simulation(tuning, 7, null, curvy, CONTROL_MODES.LANES);
+  const laneStartX = lanePushed.character.x;
+  run(lanePushed, curveSteps);
+  check(lanePushed.character.x === laneStartX, 'Curves do not push the character in lane mode');
+
+  console.log('\nChecking power-ups:');
+
+  const pickup = (simulation, type) => {
+    simulation.powerUps.push({
+      id: 900, type, x: simulation.character.x, z: 0, width: 32, length: 32
+    });
+    return run(simulation, 1).some((e) => {
+      return e.type === SIMULATION_EVENTS.POWER_UP_COLLECTED && e.powerUp.type === type;
+    });
+  };
+
+  // Power-ups spawn on the road at their own interval and pass by when missed
+  const spawningPowerUps = new Simulation(tuning, 11);
+  const powerUpSteps = Math.ceil(tuning.powerUpSpawnInterval / spawningPowerUps.stepDuration) + 1;
+  const powerUpEvents = run(spawningPowerUps, powerUpSteps);
+  const spawnedPowerUp = powerUpEvents.find((e) => e.type === SIMULATION_EVENTS.POWER_UP_SPAWNED);
+  check(
+    spawnedPowerUp && POWER_UP_TYPES[spawnedPowerUp.powerUp.type] &&
+      Math.abs(spawnedPowerUp.powerUp.x) + spawnedPowerUp.powerUp.width / 2 <=
+        tuning.worldRoadWidth / 2,
+    'Power-ups spawn on the road'
+  );
+  spawningPowerUps.character.x = spawnedPowerUp.powerUp.x > 0 ? -200 : 200;
+  const missed = run(spawningPowerUps, 1200)
+    .some((e) => e.type === SIMULATION_EVENTS.POWER_UP_MISSED);
+  check(missed, 'Missed power-ups leave the road');
+
+  // The shield absorbs one hit and then breaks
+  const shielded = new Simulation(tuning, 1);
+  check(
+    pickup(shielded, 'shield') && shielded.run.hasEffect('shield'),
+    'Touching a power-up collects it'
+  );
+  shielded.obstacles.push({
+    id: 999, type: 'standard', x: 0, z: 0, width: 40, length: 64,
+    speed: tuning.obstacleSpeed, health: 1
+  });
+  const blocked = run(shielded, 1).some((e) => e.type === SIMULATION_EVENTS.SHIELD_BLOCKED);
+  check(
+    blocked && shielded.run.health === tuning.maxHealth && !shielded.run.hasEffect('shield') &&
+      shielded.obstacles.length === 0,
+    'The shield absorbs one hit'
+  );
+
+  // Rapid fire shortens the time between shots
+  const rapid = new Simulation(tuning, 1);
+  pickup(rapid, 'rapidFire');
+  const rapidFireRate = tuning.fireRate * POWER_UP_TYPES.rapidFire.fireRateMultiplier;
+  const halfRateSteps = Math.ceil(rapidFireRate / rapid.stepDuration);
+  let rapidShots = fire(rapid).length;
+  run(rapid, halfRateSteps); // Still well under the normal fire rate
+  rapidShots += fire(rapid).length;
+  check(rapidShots === 2, 'Rapid fire shortens the time between shots');
+
+  // Spread shot fans several projectiles out across the road
+  const spreading = new Simulation(tuning, 1);
+  pickup(spreading, 'spread');
+  const fanned = fire(spreading);
+  check(
+    fanned.length === POWER_UP_TYPES.spread.projectiles &&
+      new Set(fanned.map((e) => e.projectile.vx)).size === fanned.length,
+    'Spread shot fires a fan of projectiles'
+  );
+
+  // Repair restores health up to the maximum, and timed effects run out
+  const repairing = new Simulation(tuning, 1);
+  repairing.run.health = tuning.maxHealth - 10;
+  check(
+    pickup(repairing, 'repair') && repairing.run.health === tuning.maxHealth,
+    'Repair restores health up to the maximum'
+  );
+  const ended = run(spreading, Math.ceil(POWER_UP_TYPES.spread.duration / spreading.stepDuration))
+    .some((e) => e.type === SIMULATION_EVENTS.POWER_UP_ENDED && e.powerUpType === 'spread');
+  check(ended && !spreading.run.hasEffect('spread'), 'Timed power-up effects run out');
+
+  console.log('\nChecking weapons:');
+
+  const target = (id, z, health) => ({
+    id, type: 'armored', x: 0, z, width: 48, length: 64, speed: tuning.obstacleSpeed, health
+  });
+  const hitsOf = (events) => events.filter((e) => e.type === SIMULATION_EVENTS.OBSTACLE_DAMAGED ||
+    e.type === SIMULATION_EVENTS.OBSTACLE_DESTROYED);
+
+  // Projectiles remove their weapon's damage from the obstacle's hit points
+  const armed = new Simulation(tuning, 1);
+  check(armed.run.weapon === DEFAULT_WEAPON, 'Runs start with the default weapon');
+  armed.obstacles.push(target(901, 300, 3));
+  const blasterHits = hitsOf(run(armed, 1, { fire: true }).concat(run(armed, 40)));
+  check(
+    blasterHits.length === 1 && blasterHits[0].spent &&
+      armed.obstacles[0].health === 3 - WEAPON_TYPES.blaster.damage,
+    'Projectiles damage obstacles by their weapon\'s damage'
+  );
+
+  // Switching cycles through every weapon and back
+  const switching = new Simulation(tuning, 1);
+  const weaponOrder = [];
+  for (let i = 0; i < Object.keys(WEAPON_TYPES).length; i++) {
+    const switched = run(switching, 1, { switchWeapon: true })
+      .find((e) => e.type === SIMULATION_EVENTS.WEAPON_SWITCHED);
+    weaponOrder.push(switched && switched.weapon);
+  }
+  check(
+    weaponOrder.join() === Object.keys(WEAPON_TYPES).slice(1).concat(DEFAULT_WEAPON).join(),
+    'Switching cycles through every weapon'
+  );
+
+  // The lance pierces obstacles, hitting each one once for its full damage
+  const piercing = new Simulation(tuning, 1);
+  run(piercing, 1, { switchWeapon: true });
+  run(piercing, 1, { switchWeapon: true });
+  const lance = WEAPON_TYPES.lance;
+  piercing.obstacles.push(
+    target(902, 200, 10), target(903, 300, 10), target(904, 400, 10), target(905, 500, 10)
+  );
+  const lanceHits = hitsOf(run(piercing, 1, { fire: true }).concat(run(piercing, 40)));
+  check(
+    piercing.run.weapon === 'lance' && lanceHits.length === lance.pierce + 1 &&
+      new Set(lanceHits.map((e) => e.obstacle.id)).size === lanceHits.length &&
+      lanceHits.every((e) => e.obstacle.health === 10 - lance.damage) &&
+      lanceHits.filter((e) => e.spent).length === 1 && lanceHits[lanceHits.length - 1].spent,
+    'Piercing projectiles pass through obstacles until spent'
+  );
+
+  // The scatter gun fans its projectiles out
+  const scattering = new Simulation(tuning, 1);
+  run(scattering, 1, { switchWeapon: true });
+  const scattered = fire(scattering);
+  check(
+    scattered.length === WEAPON_TYPES.scatter.projectiles &&
+      new Set(scattered.map((e) => e.projectile.vx)).size === scattered.length,
+    'The scatter gun fires a fan of projectiles'
+  );
+
+  // Upgrades raise the level of the weapon being fired, up to its last level
+  const upgrading = new Simulation(tuning, 1);
+  const maxLevel = WEAPON_TYPES.blaster.levels.length;
+  for (let i = 0; i < maxLevel + 1; i++) {
+    pickup(upgrading, 'upgrade');
+  }
+  check(
+    upgrading.run.weaponLevels.blaster === maxLevel,
+    'Upgrades raise the weapon level up to its last level'
+  );
+  const upgraded = getWeaponStats('blaster', maxLevel);
+  check(
+    upgraded.damage === WEAPON_TYPES.blaster.levels[maxLevel - 1].damage &&
+      upgraded.pierce === WEAPON_TYPES.blaster.pierce,
+    'Weapon levels change stats on top of the base stats'
+  );
+
+  // An upgraded fire rate allows a shot sooner than the base fire rate
+  const upgradedFireRate = tuning.fireRate * upgraded.fireRateMultiplier;
+  const upgradedRateSteps = Math.ceil(upgradedFireRate / upgrading.stepDuration);
+  let upgradedShots = fire(upgrading).length;
+  run(upgrading, upgradedRateSteps);
+  upgradedShots += fire(upgrading).length;
+  check(upgradedShots === 2, 'Weapon fire rates change the time between shots');
+
+  console.log('\nChecking enemies:');
+
+  const gunner = OBSTACLE_TYPES.gunner;
+  const enemy = (simulation, x, z) => {
+    const obstacle = {
+      id: 950, type: 'gunner', x, z, width: gunner.hitbox.width, length: gunner.hitbox.length,
+      speed: 0, health: gunner.health, fireTimer: 0, telegraphing: false
+    };
+    simulation.obstacles.push(obstacle);
+    return obstacle;
+  };
+  const fireSteps = Math.ceil(gunner.attack.interval / (1000 / tuning.simulationRate));
+
+  // Enemies steer toward the character and telegraph every shot before firing
+  const hunted = new Simulation(tuning, 1);
+  const hunter = enemy(hunted, 200, 400);
+  const huntEvents = run(hunted, fireSteps);
+  const telegraph = huntEvents.find((e) => e.type === SIMULATION_EVENTS.ENEMY_TELEGRAPH);
+  const fired = huntEvents.find((e) => e.type === SIMULATION_EVENTS.ENEMY_FIRED);
+  check(hunter.x < 200, 'Enemies steer toward the character');
+  check(
+    telegraph && fired &&
+      fired.tick - telegraph.tick === Math.round(gunner.attack.telegraph / hunted.stepDuration) &&
+      hunted.enemyProjectiles.length === 1,
+    'Enemies telegraph their shots before firing'
+  );
+
+  // Enemy shots fly down the road and hurt the character
+  const shotAt = new Simulation(tuning, 1);
+  enemy(shotAt, 0, 400);
+  const flightSteps = Math.ceil(400 / gunner.attack.speed * tuning.simulationRate);
+  const shotEvents = run(shotAt, fireSteps + flightSteps);
+  check(
+    shotEvents.some((e) => e.type === SIMULATION_EVENTS.PLAYER_HIT && e.enemyProjectile) &&
+      shotAt.run.health === tuning.maxHealth - gunner.attack.damage,
+    'Enemy shots hurt the character'
+  );
+
+  // Moving out of the way dodges the shot
+  const dodging = new Simulation(tuning, 1);
+  enemy(dodging, 0, 400);
+  run(dodging, fireSteps);
+  dodging.obstacles = [];
+  const dodgeEvents = run(dodging, 240, { left: true });
+  check(
+    dodgeEvents.some((e) => e.type === SIMULATION_EVENTS.ENEMY_PROJECTILE_EXPIRED) &&
+      dodging.run.health === tuning.maxHealth,
+    'Enemy shots can be dodged'
+  );
+
+  // Projectiles shoot down enemy shots for a bonus
+  const cancelling = new Simulation(tuning, 1);
+  cancelling.enemyProjectiles.push({
+    id: 960, x: 0, z: 200, vx: 0, speed: gunner.attack.speed, damage: 10, width: 12, length: 20
+  });
+  const scoreBefore = cancelling.run.score;
+  const cancelled = run(cancelling, 1, { fire: true }).concat(run(cancelling, 30))
+    .find((e) => e.type === SIMULATION_EVENTS.ENEMY_PROJECTILE_CANCELLED);
+  check(
+    cancelled && cancelled.spent && cancelling.enemyProjectiles.length === 0 &&
+      cancelling.run.score === scoreBefore + tuning.enemyProjectileCancelScore,
+    'Projectiles shoot down enemy shots for a bonus'
+  );
+
+  // Enemies hold fire once they are too close
+  const close = new Simulation(tuning, 1);
+  enemy(close, 0, gunner.attack.minDistance - 1);
+  check(
+    !run(close, fireSteps).some((e) => e.type === SIMULATION_EVENTS.ENEMY_FIRED),
+    'Enemies hold fire close to the character'
+  );
+
+  console.log('\nChecking bosses:');
+
+  const warden = BOSS_TYPES.warden;
+
+  // The boss appears once progress reaches bossProgress, and obstacles stop spawning
+  const bossFight = new Simulation(tuning, 3, normal, levels);
+  bossFight.run.addProgress(levels[0].length * (tuning.bossProgress - 1) / 100);
+  check(
+    !run(bossFight, 1).some((e) => e.type === SIMULATION_EVENTS.BOSS_SPAWNED),
+    'No boss before bossProgress'
+  );
+  bossFight.run.addProgress(levels[0].length / 100);
+  check(
+    run(bossFight, 1).some((e) => e.type === SIMULATION_EVENTS.BOSS_SPAWNED),
+    'The boss appears at bossProgress'
+  );
+  const entryDistance = bossFight.boss.z - warden.distance;
+  const entrySteps = Math.ceil(entryDistance / warden.entrySpeed * tuning.simulationRate) + 1;
+  const entryEvents = run(bossFight, entrySteps);
+  check(
+    bossFight.boss.state === BOSS_STATES.FIGHTING && bossFight.boss.z === warden.distance,
+    'The boss enters to its fighting distance'
+  );
+  check(
+    !entryEvents.concat(run(bossFight, 600))
+      .some((e) => e.type === SIMULATION_EVENTS.OBSTACLE_SPAWNED),
+    'Obstacles stop spawning while the boss is out'
+  );
+
+  // Volleys are telegraphed, and later phases fire more shots
+  const volleySteps = Math.ceil(warden.phases[0].attack.interval / bossFight.stepDuration) + 1;
+  const volley = run(bossFight, volleySteps);
+  const bossTelegraph = volley.find((e) => e.type === SIMULATION_EVENTS.BOSS_TELEGRAPH);
+  const bossVolley = volley.find((e) => e.type === SIMULATION_EVENTS.BOSS_FIRED);
+  check(
+    bossTelegraph && bossVolley && bossTelegraph.tick < bossVolley.tick,
+    'Boss volleys are telegraphed'
+  );
+
+  // The armor blocks projectiles; only open weak points take damage
+  const aimAt = (simulation, target) => {
+    simulation.projectiles.push({
+      id: 970 + simulation.tick, weapon: 'blaster', x: target.x, z: target.z, vx: 0, speed: 0,
+      damage: 1, pierce: 0, hits: [], width: 15, length: 24
+    });
+    return run(simulation, 1);
+  };
+  const boss = bossFight.boss;
+  boss.weakPointsOpen = false;
+  boss.weakPointTimer = 0;
+  const armorHit = aimAt(bossFight, boss.weakPoints[0]);
+  check(
+    armorHit.some((e) => e.type === SIMULATION_EVENTS.BOSS_BLOCKED) &&
+      boss.health === warden.health,
+    'Closed weak points do not take damage'
+  );
+  boss.weakPointsOpen = true;
+  boss.weakPointTimer = 0;
+  const damaged = aimAt(bossFight, boss.weakPoints[1]);
+  check(
+    damaged.some((e) => e.type === SIMULATION_EVENTS.BOSS_DAMAGED) &&
+      boss.health === warden.health - 1,
+    'Open weak points take damage'
+  );
+  const openSteps = Math.ceil(warden.phases[0].weakPointOpen / bossFight.stepDuration);
+  const closing = run(bossFight, openSteps);
+  check(
+    closing.some((e) => e.type === SIMULATION_EVENTS.BOSS_WEAK_POINTS_CLOSED),
+    'Weak points close again'
+  );
+
+  // Phases follow the health left
+  bossFight.damageBoss(boss.health - Math.floor(warden.health * warden.phases[2].health));
+  check(
+    boss.phase === warden.phases.length - 1 && getBossPhase(warden, warden.health) === 0,
+    'The boss moves through its phases as it loses health'
+  );
+  bossFight.run.isInvulnerable = true; // Keep the character alive through the volley
+  const lastVolleySteps = Math.ceil(warden.phases[2].attack.interval / bossFight.stepDuration) + 1;
+  const lastPhaseVolley = run(bossFight, lastVolleySteps)
+    .find((e) => e.type === SIMULATION_EVENTS.BOSS_FIRED);
+  check(
+    lastPhaseVolley && lastPhaseVolley.enemyProjectiles.length === warden.phases[2].attack.shots,
+    'Later phases fire larger volleys'
+  );
+
+  // Beating the boss awards its bonus, then the stage clears after the explosion sequence
+  const scoreBeforeBoss = bossFight.run.score;
+  bossFight.damageBoss(boss.health);
+  check(
+    boss.state === BOSS_STATES.EXPLODING && bossFight.run.score === scoreBeforeBoss + warden.score,
+    'Beating the boss awards its score bonus'
+  );
+  const explosion = run(bossFight, Math.ceil(warden.explosionDuration / bossFight.stepDuration));
+  check(
+    bossFight.boss === null && explosion.some((e) => e.type === SIMULATION_EVENTS.STAGE_CLEARED),
+    'The stage clears once the boss has exploded'
+  );
+
+  console.log('\nChecking combos and near misses:');
+
+  // Every comboStep kills raise the multiplier, up to maxComboMultiplier
+  const comboRun = new RunState(tuning);
+  const comboScores = [];
+  for (let i = 0; i < tuning.comboStep * tuning.maxComboMultiplier + 1; i++) {
+    comboScores.push(comboRun.addKill(10));
+  }
+  check(
+    comboScores[tuning.comboStep - 2] === 10 && comboScores[tuning.comboStep - 1] === 20 &&
+      comboScores[comboScores.length - 1] === 10 * tuning.maxComboMultiplier,
+    'Kill combos multiply kill scores up to maxComboMultiplier'
+  );
+  check(
+    comboRun.scoreSources[SCORE_SOURCES.KILLS] === 10 * comboScores.length &&
+      comboRun.scoreSources[SCORE_SOURCES.COMBO] === comboRun.score - 10 * comboScores.length,
+    'The multiplier bonus is counted as combo score'
+  );
+  comboRun.applyDamage(1);
+  check(
+    comboRun.combo === 0 && comboRun.getComboMultiplier() === 1,
+    'Taking damage resets the combo'
+  );
+
+  // Obstacles passing close to the character award a near-miss bonus, wide passes do not
+  const passing = (gap) => {
+    const simulation = new Simulation(tuning, 1);
+    const character = simulation.character;
+    simulation.obstacles.push({
+      ...standard.hitbox, id: 990, type: 'standard', speed: tuning.obstacleSpeed, passed: false,
+      x: character.x + (standard.hitbox.width + character.width) / 2 + gap,
+      z: character.z - (standard.hitbox.length + character.length) / 2 + 1
+    });
+    return run(simulation, 2).filter((e) => e.type === SIMULATION_EVENTS.NEAR_MISS);
+  };
+  const nearMisses = passing(tuning.nearMissDistance / 2);
+  check(
+    nearMisses.length === 1 && nearMisses[0].score === tuning.nearMissScore,
+    'Close passes award a near-miss bonus once'
+  );
+  check(passing(tuning.nearMissDistance * 2).length === 0, 'Wide passes are not near misses');
+
+  // Every point of a run is counted under one of the sources
+  const sourced = new Simulation(tuning, 8, normal, levels);
+  run(sourced, 3000, { fire: true });
+  const sourceTotal = Object.values(sourced.run.scoreSources)
+    .reduce((sum, points) => sum + points, 0);
+  check(
+    sourceTotal === sourced.run.score && sourced.run.score > 0,
+    'The score breakdown adds up to the score'
+  );
+
+  console.log('\nChecking replays:');
+
+  // Record a run with changing input, then play it back from the saved file
+  const recorded = new Simulation(tuning, 777, normal, levels);
+  const recorder = new ReplayRecorder(777, tuning, normal, levels);
+  const inputRandom = new SeededRandom(42);
+  for (let i = 0; i < 3000 && !recorded.run.isGameOver; i++) {
+    const roll = inputRandom.next();
+    const input = {
+      left: roll < 0.3, right: roll > 0.7, steer: inputRandom.next(), fire: inputRandom.next() < 0.1
+    };
+    recorder.record(recorded.tick, input);
+    recorded.step(input);
+  }
+
+  const replay = parseReplay(JSON.stringify(recorder.toJSON(recorded.run.score)));
+  const replayed = new Simulation(tuning, replay.seed, normal, levels);
+  const player = new ReplayPlayer(replay);
+  while (!player.isFinished(replayed.tick) && !replayed.run.isGameOver) {
+    replayed.step(player.inputAt(replayed.tick));
+  }
+  check(
+    JSON.stringify(replayed.run.snapshot()) === JSON.stringify(recorded.run.snapshot()) &&
+      replayed.character.x === recorded.character.x,
+    'Replay reproduces the recorded run'
+  );
+  check(replay.inputs.length < replay.ticks, 'Replay only stores input changes');
+  check(
+    replay.inputs.some((entry) => entry[1] >= 32) &&
+      decodeInput(encodeInput({ right: true, steer: 0.456 })).steer === 0.46 &&
+      decodeInput(INPUT_FLAGS.LEFT).steer === 1,
+    'Replays store the steering strength, and masks without it steer fully'
+  );
+  check(
+    replay.tuningHash === hashTuning(tuning, normal, levels) && replay.difficulty === 'normal',
+    'Replay stores the difficulty and tuning hash'
+  );
+
+  // Lane mode runs store their control mode and replay the same way
+  const laneRun = new Simulation(tuning, 31, normal, levels, CONTROL_MODES.LANES);
+  const laneRecorder = new ReplayRecorder(31, tuning, normal, levels, CONTROL_MODES.LANES);
+  for (let i = 0; i < 1500 && !laneRun.run.isGameOver; i++) {
+    const input = { left: i % 90 === 0, right: i % 140 === 0, fire: i % 20 === 0 };
+    laneRecorder.record(laneRun.tick, input);
+    laneRun.step(input);
+  }
+  const laneReplay = parseReplay(JSON.stringify(laneRecorder.toJSON(laneRun.run.score)));
+  const laneReplayed = new Simulation(
+    tuning, laneReplay.seed, normal, levels, laneReplay.controlMode
+  );
+  const lanePlayer = new ReplayPlayer(laneReplay);
+  while (!lanePlayer.isFinished(laneReplayed.tick) && !laneReplayed.run.isGameOver) {
+    laneReplayed.step(lanePlayer.inputAt(laneReplayed.tick));
+  }
+  check(
+    laneReplay.controlMode === CONTROL_MODES.LANES &&
+      laneReplayed.character.x === laneRun.character.x &&
+      JSON.stringify(laneReplayed.run.snapshot()) === JSON.stringify(laneRun.run.snapshot()),
+    'Lane mode replays store the control mode and reproduce the run'
+  );
+
+  // Replays from another format version are rejected
+  let rejected = false;
+  try {
+    parseReplay(Object.assign({}, replay, { version: REPLAY_VERSION + 1 }));
+  } catch (error) {
+    rejected = true;
+  }
+  check(rejected, 'Replays with a different version are rejected');
+
+  console.log('\nChecking ghost:');
+
+  // The ghost follows the recorded run step by step
+  const ghost = new Ghost(tuning, replay, normal, levels);
+  const reference = new Simulation(tuning, replay.seed, normal, levels);
+  const referencePlayer = new ReplayPlayer(replay);
+  let ghostInSync = true;
+  for (let i = 0; i < 600; i++) {
+    ghost.step();
+    reference.step(referencePlayer.inputAt(reference.tick));
+    ghostInSync = ghostInSync && ghost.x === reference.character.x &&
+      ghost.score === reference.run.score;
+  }
+  check(ghostInSync, 'Ghost follows the recorded run');
+  check(
+    ghost.trail.length === tuning.ghostTrailLength && ghost.trail[0] === ghost.x,
+    'Ghost trail keeps recent positions'
+  );
+
+  // The ghost stops when its run ends
+  while (!ghost.isFinished()) ghost.step();
+  check(ghost.score === replay.score, 'Ghost finishes with the recorded score');
+
+  // A best from other tuning cannot be raced, so even a lower score replaces it
+  const lowerRun = Object.assign({}, replay, { score: replay.score - 1 });
+  check(isNewPersonalBest(null, lowerRun), 'First run becomes the personal best');
+  check(!isNewPersonalBest(replay, lowerRun), 'Lower score keeps the personal best');
+  check(
+    isNewPersonalBest(replay, Object.assign({}, replay, { score: replay.score + 1 })),
+    'Higher score replaces the personal best'
+  );
+  check(
+    isNewPersonalBest(Object.assign({}, replay, { tuningHash: 'stale' }), lowerRun),
+    'Personal best from other tuning is replaced by a lower score'
+  );
+
+  console.log('\nChecking saved runs:');
+
+  // A run restored from a snapshot plays on exactly like the original
+  const inputAt = (tick) => ({
+    left: tick % 300 < 120, right: tick % 300 > 200, fire: tick % 7 === 0
+  });
+  const stepWith = (simulation, steps, recorder = null) => {
+    for (let i = 0; i < steps; i++) {
+      const input = inputAt(simulation.tick);
+      if (recorder) recorder.record(simulation.tick, input);
+      simulation.step(input);
+    }
+  };
+  const original = new Simulation(tuning, 77, normal, levels);
+  const fullRecorder = new ReplayRecorder(77, tuning, normal, levels);
+  stepWith(original, 1500, fullRecorder);
+  const saved = JSON.parse(JSON.stringify(original.snapshot()));
+  check(
+    saved.obstacles.length + saved.projectiles.length > 0 &&
+      Object.keys(saved.random.streams).length >= 2,
+    'Snapshots include the entities on the road and the random streams'
+  );
+
+  const restored = new Simulation(tuning, 1, normal, levels);
+  restored.restore(saved);
+  check(
+    JSON.stringify(restored.snapshot()) === JSON.stringify(saved),
+    'Restoring a snapshot reproduces it'
+  );
+
+  const resumedRecorder = new ReplayRecorder(77, tuning, normal, levels);
+  resumedRecorder.resume(fullRecorder.toJSON(original.run.score));
+  stepWith(original, 1500, fullRecorder);
+  stepWith(restored, 1500, resumedRecorder);
+  check(
+    JSON.stringify(restored.snapshot()) === JSON.stringify(original.snapshot()),
+    'A restored run plays on exactly like the original'
+  );
+  check(
+    JSON.stringify(resumedRecorder.toJSON(0)) === JSON.stringify(fullRecorder.toJSON(0)),
+    'A resumed recording matches a recording of the whole run'
+  );
+
+  console.log('\nSimulation checks complete!');
+
+} catch (error) {
+  reportError(error);
+}
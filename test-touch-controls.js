@@ -13,11 +13,15 @@ try {
   // Read the MainScene.js file
   const mainScenePath = path.join(__dirname, 'src', 'scenes', 'MainScene.js');
   const mainSceneContent = fs.readFileSync(mainScenePath, 'utf8');
+
+  // Read the settings definitions (the control area height is a player setting)
+  const settingsPath = path.join(__dirname, 'src', 'config', 'settings.js');
+  const settingsContent = fs.readFileSync(settingsPath, 'utf8');
   
   console.log('\nChecking touch control implementation:');
   
   // Check for control area configuration
-  if (mainSceneContent.includes('controlAreaHeight: 0.25')) {
+  if (/controlAreaHeight: \{[^}]*default: 0\.25/.test(settingsContent)) {
     console.log('✓ Control area height configuration found');
   } else {
     console.log('✗ Control area height configuration not found');
@@ -31,7 +35,9 @@ try {
   }
   
   // Check for bottom quarter restriction
-  if (mainSceneContent.includes('const controlAreaHeight = this.gameHeight * this.config.controlAreaHeight')) {
+  if (mainSceneContent.includes(
+    'const controlAreaHeight = this.gameHeight * this.settings.controlAreaHeight'
+  )) {
     console.log('✓ Bottom quarter restriction implemented');
   } else {
     console.log('✗ Bottom quarter restriction not implemented');
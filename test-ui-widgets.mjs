@@ -0,0 +1,97 @@
+/**
+ * Test script to verify the UI widget toolkit
+ * Run with: node test-ui-widgets.mjs
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ROOT_DIR, check, fakeWidget, reportError } from './test-helpers.mjs';
+
+// The focus group does not depend on Phaser, so it loads directly under Node
+import { FocusGroup } from './src/ui/focus-group.js';
+
+console.log('Testing UI widgets...');
+
+try {
+  const scenes = [
+    'MainScene', 'GameOverScene', 'HighScoresScene', 'MenuScene', 'SettingsScene', 'ReplayScene'
+  ];
+  const sceneContents = scenes.map((scene) => {
+    return fs.readFileSync(path.join(ROOT_DIR, 'src', 'scenes', `${scene}.js`), 'utf8');
+  });
+
+  console.log('\nChecking focus navigation:');
+
+  const log = [];
+  let cancelled = false;
+  const group = new FocusGroup({ onCancel: () => { cancelled = true; } });
+  const resume = group.add(fakeWidget('Resume', log));
+  const volume = group.add(fakeWidget('Volume', log, {
+    adjust(direction) { log.push(`Volume ${direction}`); }
+  }));
+  const exit = group.add(fakeWidget('Exit', log));
+
+  // A list adds its focusable items; labels are left out
+  const container = { visible: true, active: true, parentContainer: null };
+  const listed = fakeWidget('Listed', log, { parentContainer: container });
+  group.add({ getFocusables: () => [listed] });
+  group.add({ name: 'Label' });
+  check(group.items.length === 4, 'Focusable widgets and list items join the group');
+
+  group.move(1);
+  check(
+    group.getFocused() === resume && resume.focused,
+    'Moving from nothing focuses the first widget'
+  );
+  group.move(-1);
+  check(
+    group.getFocused() === listed && !resume.focused,
+    'Focus wraps around and only one widget is highlighted'
+  );
+
+  container.visible = false;
+  group.move(-1);
+  group.move(1);
+  check(group.getFocused() === resume, 'Widgets in hidden containers are skipped');
+
+  group.focus(volume);
+  group.adjust(-1);
+  group.focus(exit);
+  group.adjust(-1);
+  check(
+    log.join() === 'Volume -1' && group.getFocused() === volume,
+    'Adjusting changes values, or moves between buttons'
+  );
+
+  group.activate();
+  group.focus(exit);
+  group.activate();
+  group.cancel();
+  check(
+    log.join() === 'Volume -1,Volume pressed,Exit pressed' && cancelled,
+    'Activating presses the focused widget; cancel is reported'
+  );
+
+  console.log('\nChecking integration:');
+
+  check(
+    sceneContents.every((content) => {
+      return !/createButton\(|\b(?!menuButton)\w+Button\.on\('pointerover'/.test(content);
+    }),
+    'Scenes no longer build their own text buttons and hover effects'
+  );
+  check(
+    sceneContents.every((content) => content.includes("from '../ui/widgets'")),
+    'Every menu is built from the widgets'
+  );
+  check(
+    /new ModalDialog\(this, \{[^]*?message: 'Are you sure you want to leave the game\?'/
+      .test(sceneContents[0]),
+    'Exit confirmation is a modal dialog'
+  );
+
+  console.log('\nUI widget checks complete!');
+
+} catch (error) {
+  reportError(error);
+}
@@ -13,25 +13,29 @@ try {
   // Read the MainScene.js file
   const mainScenePath = path.join(__dirname, 'src', 'scenes', 'MainScene.js');
   const mainSceneContent = fs.readFileSync(mainScenePath, 'utf8');
+
+  // Read the tuning.json file
+  const tuningPath = path.join(__dirname, 'src', 'config', 'tuning.json');
+  const tuningContent = fs.readFileSync(tuningPath, 'utf8');
   
   console.log('\nChecking game speed reduction:');
   
   // Check for reduced road speed
-  if (mainSceneContent.includes('roadSpeed: 1')) {
+  if (tuningContent.includes('"roadSpeed": 60')) {
     console.log('✓ Road speed reduced by 50%');
   } else {
     console.log('✗ Road speed not reduced');
   }
   
   // Check for reduced character speed
-  if (mainSceneContent.includes('characterSpeed: 2.5')) {
+  if (tuningContent.includes('"characterSpeed": 150')) {
     console.log('✓ Character speed reduced by 50%');
   } else {
     console.log('✗ Character speed not reduced');
   }
   
   // Check for reduced obstacle speed
-  if (mainSceneContent.includes('obstacleSpeed: 2')) {
+  if (tuningContent.includes('"obstacleSpeed": 120')) {
     console.log('✓ Obstacle speed reduced by 50%');
   } else {
     console.log('✗ Obstacle speed not reduced');
@@ -40,7 +44,7 @@ try {
   console.log('\nChecking yellow line direction:');
   
   // Check for negative yellow line speed
-  if (mainSceneContent.includes('yellowLineSpeed: -1.5')) {
+  if (tuningContent.includes('"yellowLineSpeed": -90')) {
     console.log('✓ Yellow line direction reversed');
   } else {
     console.log('✗ Yellow line direction not reversed');